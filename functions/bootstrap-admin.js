@@ -0,0 +1,104 @@
+// Grant the first admin role (staff-roles bootstrap)
+//
+// grantStaffRole can only be called by an existing admin, so the very first admin
+// is granted here with service account credentials. Refuses to run once any admin
+// exists in /staffRoles unless --force is given.
+//
+// Usage:
+//   node bootstrap-admin.js <uid|email> "<reason>" [--force]
+//
+// Against the emulators, set FIREBASE_AUTH_EMULATOR_HOST and FIREBASE_DATABASE_EMULATOR_HOST
+// (no service account needed; GCLOUD_PROJECT selects the project).
+const admin = require('firebase-admin');
+
+const DATABASE_URL = 'https://point-hub-a9db1-default-rtdb.asia-southeast1.firebasedatabase.app';
+const STAFF_ROLES = ['admin', 'operator', 'support'];
+
+function initializeAdmin() {
+  if (process.env.FIREBASE_AUTH_EMULATOR_HOST || process.env.FIREBASE_DATABASE_EMULATOR_HOST) {
+    const projectId = process.env.GCLOUD_PROJECT || 'point-hub-a9db1';
+    admin.initializeApp({
+      projectId,
+      databaseURL: `http://${process.env.FIREBASE_DATABASE_EMULATOR_HOST || '127.0.0.1:9000'}?ns=${projectId}-default-rtdb`
+    });
+    return;
+  }
+
+  const serviceAccount = require('./serviceAccountKey.json'); // You need to add your service account key
+  admin.initializeApp({
+    credential: admin.credential.cert(serviceAccount),
+    databaseURL: DATABASE_URL
+  });
+}
+
+async function bootstrapAdmin() {
+  const args = process.argv.slice(2);
+  const force = args.includes('--force');
+  const [target, reason] = args.filter((arg) => arg !== '--force');
+
+  if (!target || !reason || !reason.trim()) {
+    console.error('Usage: node bootstrap-admin.js <uid|email> "<reason>" [--force]');
+    process.exitCode = 1;
+    return;
+  }
+
+  initializeAdmin();
+  const db = admin.database();
+
+  try {
+    const adminsSnapshot = await db.ref('/staffRoles').orderByChild('roles/admin').equalTo(true).once('value');
+    if (adminsSnapshot.exists() && !force) {
+      console.error(`An admin already exists (${Object.keys(adminsSnapshot.val()).join(', ')}). Use grantStaffRole, or pass --force.`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const user = target.includes('@')
+      ? await admin.auth().getUserByEmail(target)
+      : await admin.auth().getUser(target);
+
+    const claims = { ...(user.customClaims || {}) };
+    const previousRoles = STAFF_ROLES.filter((role) => claims[role] === true);
+    if (previousRoles.includes('admin')) {
+      console.log(`${user.uid} is already an admin.`);
+      return;
+    }
+
+    claims.admin = true;
+    await admin.auth().setCustomUserClaims(user.uid, claims);
+
+    const roles = STAFF_ROLES.filter((role) => claims[role] === true);
+    const now = Date.now();
+    const changeRef = db.ref('/staffRoleChanges').push();
+    await db.ref().update({
+      [`/staffRoleChanges/${changeRef.key}`]: {
+        changeId: changeRef.key,
+        targetUid: user.uid,
+        targetEmail: user.email || null,
+        role: 'admin',
+        action: 'grant',
+        reason: reason.trim(),
+        previousRoles,
+        roles,
+        actorUid: 'bootstrap',
+        source: 'bootstrap',
+        createdAt: now
+      },
+      [`/staffRoles/${user.uid}`]: {
+        roles: Object.fromEntries(roles.map((role) => [role, true])),
+        email: user.email || null,
+        updatedAt: now,
+        updatedBy: 'bootstrap'
+      }
+    });
+
+    console.log(`Granted admin to ${user.uid} (${user.email || 'no email'}). The user must sign in again to pick up the claim.`);
+  } catch (error) {
+    console.error('Error granting first admin:', error);
+    process.exitCode = 1;
+  } finally {
+    admin.app().delete();
+  }
+}
+
+bootstrapAdmin();
@@ -1,11 +1,21 @@
 import { onCall, HttpsError } from 'firebase-functions/v2/https';
 import { CallableRequest } from 'firebase-functions/v2/https';
 import { rtdb } from './firebase-config';
+import { setMembershipTier } from './membership';
+import { requireRole } from './auth-guards';
+import { withRateLimit } from './rate-limit';
+import { withAudit } from './audit';
 
-export const setAllUsersVip = onCall({ invoker: 'public' }, async (request: CallableRequest) => {
+export const setAllUsersVip = onCall({ invoker: 'public' }, withRateLimit('setAllUsersVip', withAudit('setAllUsersVip', async (request: CallableRequest) => {
+  const adminUid = requireRole(request, 'admin');
+  // expiresAt(ms): 지정 등급 만료 시각, 생략하면 해제할 때까지 로그인 재계산으로 덮어쓰지 않음
+  const { expiresAt = null } = request.data || {};
+  if (expiresAt !== null && (typeof expiresAt !== 'number' || !Number.isFinite(expiresAt) || expiresAt <= Date.now())) {
+    throw new HttpsError('invalid-argument', 'expiresAt must be a future timestamp in milliseconds');
+  }
 
   try {
-    console.log('[setAllUsersVip] Starting to set all users as VIP...');
+    console.log(`[setAllUsersVip] Admin ${adminUid} started setting all users as VIP...`);
     
     // Get all users
     const usersSnapshot = await rtdb.ref('/users').once('value');
@@ -23,23 +33,23 @@ export const setAllUsersVip = onCall({ invoker: 'public' }, async (request: Call
     
     console.log(`[setAllUsersVip] Found ${userIds.length} users to update`);
 
-    // Prepare batch update
-    const updates: Record<string, string> = {};
-    
-    userIds.forEach(uid => {
-      updates[`/users/${uid}/profile/membership`] = 'vip';
-    });
-
-    // Execute batch update
-    await rtdb.ref().update(updates);
+    // 등급 변경 내역(/membershipHistory)을 남기기 위해 사용자별로 변경
+    // 관리자 지정으로 기록해서 expiresAt까지는 PointHub 로그인 재계산이 덮어쓰지 않음
+    const updatedUsers: string[] = [];
+    for (const uid of userIds) {
+      if (await setMembershipTier(uid, 'vip', 'admin_bulk', {}, { override: { setBy: adminUid, expiresAt } })) {
+        updatedUsers.push(uid);
+      }
+    }
     
-    console.log(`[setAllUsersVip] Successfully updated ${userIds.length} users to VIP status`);
+    console.log(`[setAllUsersVip] Successfully updated ${updatedUsers.length} users to VIP status (${userIds.length - updatedUsers.length} already VIP)`);
 
     return {
       success: true,
-      message: `Successfully set ${userIds.length} users as VIP`,
-      usersUpdated: userIds.length,
-      updatedUsers: userIds
+      message: `Successfully set ${updatedUsers.length} users as VIP`,
+      usersUpdated: updatedUsers.length,
+      updatedUsers,
+      expiresAt
     };
 
   } catch (error) {
@@ -48,4 +58,4 @@ export const setAllUsersVip = onCall({ invoker: 'public' }, async (request: Call
     const errorMessage = error instanceof Error ? error.message : 'Unknown error';
     throw new HttpsError('internal', `Failed to set users as VIP: ${errorMessage}`);
   }
-});
\ No newline at end of file
+}, { paths: ['/users/*/profile/membership', '/users/*/profile/membershipOverride', '/membershipHistory'] })));
\ No newline at end of file
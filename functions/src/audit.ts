@@ -0,0 +1,267 @@
+/**
+ * 감사 로그 (Audit Log)
+ *
+ * 권한이 필요한 작업과 데이터를 삭제/덮어쓰는 작업의 실행 기록을 /audit/{auditId}에 남긴다.
+ * - 추가 전용: 기록은 push로만 생성하고 수정/삭제하는 코드는 두지 않는다 (클라이언트 읽기/쓰기 불가)
+ * - 기록 내용: 실행자 uid/이메일/역할/custom claims, 함수 이름, 파라미터(비밀값 마스킹), 영향 경로, 결과 요약 또는 오류
+ * - 실패한 호출(권한 거부 포함)도 status: 'failed'로 기록
+ * - 조회는 admin 전용 queryAuditLog (실행자, 함수, 기간 필터)
+ *
+ * 사용: onCall(withAudit('initializeSystem', async (request) => { ... }, { paths: ['/config'] }))
+ */
+
+import { onCall, HttpsError, CallableRequest } from 'firebase-functions/v2/https';
+import { rtdb } from './firebase-config';
+import { requireAdmin, getStaffRoles, StaffRole } from './auth-guards';
+import { redactForLog } from './pointhub-client';
+import { withRateLimit } from './rate-limit';
+
+type AuditStatus = 'success' | 'failed';
+
+interface AuditOptions {
+  paths?: string[] | ((request: CallableRequest) => string[]); // 영향 받는 RTDB 경로
+}
+
+export interface AuditEntry {
+  auditId: string;
+  functionName: string;
+  actorUid: string | null;
+  actorEmail: string | null;
+  actorRoles: StaffRole[];
+  actorClaims: Record<string, any>;
+  params: unknown;
+  paths: string[];
+  status: AuditStatus;
+  result: unknown;
+  error: { code: string; message: string } | null;
+  projectId: string | null;
+  startedAt: number;
+  createdAt: number;
+  durationMs: number;
+  // 조회용 복합 키 (`${actorUid}|${createdAt}`, `${functionName}|${createdAt}`)
+  actorKey: string;
+  functionKey: string;
+}
+
+const AUDIT_PATH = '/audit';
+const MAX_RESULT_JSON_LENGTH = 4000;
+const DEFAULT_QUERY_LIMIT = 50;
+const MAX_QUERY_LIMIT = 500;
+// 복합 키의 시각 자릿수 - 문자열 범위 비교가 숫자 비교와 같도록 0으로 채움
+// (현재 ms 타임스탬프와 같은 13자리라 이전에 기록된 키도 그대로 범위에 포함됨)
+const AUDIT_KEY_TIME_WIDTH = 13;
+// 서버에서 거를 수 없는 조건(status 등)이 있을 때 한 번에 읽는 수와 요청당 최대로 읽는 수
+const AUDIT_SCAN_BATCH = 200;
+const MAX_AUDIT_SCAN_ENTRIES = 5000;
+
+// ID 토큰의 표준 필드 - custom claims만 남기기 위해 제외
+const STANDARD_TOKEN_FIELDS = new Set([
+  'aud', 'auth_time', 'email', 'email_verified', 'exp', 'firebase', 'iat', 'iss',
+  'phone_number', 'picture', 'name', 'sub', 'uid', 'user_id'
+]);
+
+function getActorClaims(token: Record<string, any> | undefined): Record<string, any> {
+  const claims: Record<string, any> = {};
+  for (const [key, value] of Object.entries(token || {})) {
+    if (!STANDARD_TOKEN_FIELDS.has(key)) {
+      claims[key] = value;
+    }
+  }
+  return redactForLog(claims) as Record<string, any>;
+}
+
+/**
+ * 결과 요약 - 비밀값을 마스킹하고, 너무 크면 최상위 단순 값만 남긴다
+ */
+function summarizeResult(result: unknown): unknown {
+  if (result === undefined) {
+    return null;
+  }
+  const redacted = redactForLog(result);
+  if (JSON.stringify(redacted).length <= MAX_RESULT_JSON_LENGTH || !redacted || typeof redacted !== 'object') {
+    return redacted;
+  }
+
+  const summary: Record<string, unknown> = { truncated: true };
+  for (const [key, value] of Object.entries(redacted as Record<string, unknown>)) {
+    if (value === null || typeof value !== 'object') {
+      summary[key] = value;
+    } else if (Array.isArray(value)) {
+      summary[`${key}Count`] = value.length;
+    }
+  }
+  return summary;
+}
+
+function toAuditError(error: unknown): { code: string; message: string } {
+  if (error instanceof HttpsError) {
+    return { code: error.code, message: error.message };
+  }
+  return { code: 'internal', message: error instanceof Error ? error.message : String(error) };
+}
+
+function toAuditKey(value: string | null, createdAt: number): string {
+  const time = String(Math.max(0, Math.floor(createdAt))).padStart(AUDIT_KEY_TIME_WIDTH, '0');
+  return `${value ?? 'anonymous'}|${time}`;
+}
+
+/**
+ * 감사 기록 추가 - 기록 실패는 호출 결과에 영향을 주지 않고 전체 내용을 에러 로그로 남긴다
+ */
+async function appendAuditEntry(entry: Omit<AuditEntry, 'auditId'>): Promise<string | null> {
+  const auditRef = rtdb.ref(AUDIT_PATH).push();
+  const auditId = auditRef.key as string;
+  try {
+    await auditRef.set({ auditId, ...entry });
+    return auditId;
+  } catch (error) {
+    console.error(`[audit] Failed to write audit entry for ${entry.functionName}:`, error, JSON.stringify(entry));
+    return null;
+  }
+}
+
+/**
+ * onCall 핸들러를 감사 기록으로 감싼다.
+ * @param functionName 기록에 남길 함수 이름
+ * @param handler 실제 처리 함수
+ * @param options 영향 받는 경로 (요청에 따라 달라지면 함수로 지정)
+ */
+export function withAudit<T, D = any>(
+  functionName: string,
+  handler: (request: CallableRequest<D>) => Promise<T>,
+  options: AuditOptions = {}
+): (request: CallableRequest<D>) => Promise<T> {
+  return async (request: CallableRequest<D>) => {
+    const startedAt = Date.now();
+    const token = request.auth?.token as Record<string, any> | undefined;
+    const actorUid = request.auth?.uid ?? null;
+
+    const record = async (status: AuditStatus, result: unknown, error: unknown) => {
+      const createdAt = Date.now();
+      let paths: string[] = [];
+      try {
+        paths = typeof options.paths === 'function' ? options.paths(request as CallableRequest) : options.paths || [];
+      } catch (pathError) {
+        console.error(`[audit] Failed to resolve paths for ${functionName}:`, pathError);
+      }
+
+      const auditId = await appendAuditEntry({
+        functionName,
+        actorUid,
+        actorEmail: token?.email ?? null,
+        actorRoles: getStaffRoles(token),
+        actorClaims: getActorClaims(token),
+        params: redactForLog(request.data ?? null) ?? null,
+        paths,
+        status,
+        result: status === 'success' ? summarizeResult(result) : null,
+        error: status === 'failed' ? toAuditError(error) : null,
+        projectId: process.env.GCLOUD_PROJECT || null,
+        startedAt,
+        createdAt,
+        durationMs: createdAt - startedAt,
+        actorKey: toAuditKey(actorUid, createdAt),
+        functionKey: toAuditKey(functionName, createdAt)
+      });
+      console.log(`[audit] ${functionName} by ${actorUid ?? 'anonymous'}: ${status} (audit ${auditId ?? 'not written'})`);
+    };
+
+    let result: T;
+    try {
+      result = await handler(request);
+    } catch (error) {
+      await record('failed', null, error);
+      throw error;
+    }
+    await record('success', result, null);
+    return result;
+  };
+}
+
+/**
+ * 감사 기록 조회 (admin 전용)
+ * data: { actorUid?, functionName?, status?, from?, to?, limit?, cursor? }
+ * - from/to: createdAt 범위 (ms, 포함)
+ * - limit: 기본 50, 최대 500 - 최신순으로 반환
+ * - cursor: 이전 응답의 nextCursor - 그 감사 기록보다 오래된 기록부터 조회 (같은 밀리초의 기록도 빠지지 않음)
+ * - nextCursor: 다음 페이지가 있을 수 있으면 마지막으로 본 감사 기록 ID, 없으면 null
+ */
+export const queryAuditLog = onCall(withRateLimit('queryAuditLog', async (request: CallableRequest) => {
+  requireAdmin(request);
+
+  const { actorUid, functionName, status, cursor } = request.data || {};
+  const from = Number(request.data?.from) || 0;
+  const to = Number(request.data?.to) || Date.now();
+  const limit = Math.min(Math.max(Number(request.data?.limit) || DEFAULT_QUERY_LIMIT, 1), MAX_QUERY_LIMIT);
+
+  if (actorUid !== undefined && (typeof actorUid !== 'string' || !actorUid)) {
+    throw new HttpsError('invalid-argument', 'actorUid must be a non-empty string');
+  }
+  if (functionName !== undefined && (typeof functionName !== 'string' || !functionName)) {
+    throw new HttpsError('invalid-argument', 'functionName must be a non-empty string');
+  }
+  if (status !== undefined && status !== 'success' && status !== 'failed') {
+    throw new HttpsError('invalid-argument', 'status must be success or failed');
+  }
+  if (from > to) {
+    throw new HttpsError('invalid-argument', 'from must be before to');
+  }
+  if (cursor !== undefined && (typeof cursor !== 'string' || !cursor)) {
+    throw new HttpsError('invalid-argument', 'cursor must be a non-empty string');
+  }
+
+  // 실행자 또는 함수 복합 키로 범위 조회, 둘 다 없으면 createdAt으로 조회
+  const orderField = actorUid ? 'actorKey' : functionName ? 'functionKey' : 'createdAt';
+  const lower = actorUid ? toAuditKey(actorUid, from) : functionName ? toAuditKey(functionName, from) : from;
+  const upper = actorUid ? toAuditKey(actorUid, to) : functionName ? toAuditKey(functionName, to) : to;
+
+  // 서버에서 거를 수 없는 조건이 있으면 최신순으로 나눠 읽으며 메모리에서 필터 (최대 MAX_AUDIT_SCAN_ENTRIES개)
+  const needsFilter = Boolean(status) || Boolean(actorUid && functionName);
+  const batchSize = needsFilter ? AUDIT_SCAN_BATCH : limit;
+  const page: AuditEntry[] = [];
+  let before: { value: string | number; key: string } | null = null;
+  if (cursor) {
+    // cursor 기록의 정렬 값과 키로 그 기록 바로 앞에서 이어서 조회
+    const cursorEntry = (await rtdb.ref(`${AUDIT_PATH}/${cursor}`).once('value')).val() as AuditEntry | null;
+    if (!cursorEntry) {
+      throw new HttpsError('invalid-argument', 'cursor does not match an audit entry');
+    }
+    before = { value: cursorEntry[orderField], key: cursor };
+  }
+  let oldestScanned: AuditEntry | null = null;
+  let scanned = 0;
+  let exhausted = false;
+
+  while (page.length < limit && scanned < MAX_AUDIT_SCAN_ENTRIES) {
+    let query = rtdb.ref(AUDIT_PATH).orderByChild(orderField).startAt(lower);
+    query = before ? query.endBefore(before.value, before.key) : query.endAt(upper);
+    const snapshot = await query.limitToLast(batchSize).once('value');
+
+    const batch: AuditEntry[] = [];
+    snapshot.forEach((child) => {
+      batch.push(child.val() as AuditEntry);
+    });
+    scanned += batch.length;
+
+    for (const entry of batch.reverse()) {
+      oldestScanned = entry;
+      if (functionName && entry.functionName !== functionName) continue;
+      if (status && entry.status !== status) continue;
+      page.push(entry);
+      if (page.length === limit) break;
+    }
+
+    if (batch.length < batchSize) {
+      exhausted = true;
+      break;
+    }
+    const oldest = batch[batch.length - 1];
+    before = { value: oldest[orderField], key: oldest.auditId };
+  }
+
+  // limit개를 채웠거나 스캔 한도에 걸린 경우 다음 페이지가 있을 수 있음
+  const last = page.length === limit ? page[page.length - 1] : (!exhausted ? oldestScanned as AuditEntry | null : null);
+  const nextCursor = last ? last.auditId : null;
+
+  return { success: true, entries: page, nextCursor };
+}));
@@ -0,0 +1,54 @@
+import { CallableRequest, HttpsError } from 'firebase-functions/v2/https';
+
+/**
+ * 운영자 역할 (Firebase Auth custom claims에 { admin: true } 형태로 저장)
+ * 상위 역할은 하위 역할의 권한을 포함한다: admin > operator > support
+ */
+export type StaffRole = 'admin' | 'operator' | 'support';
+
+export const STAFF_ROLES: StaffRole[] = ['admin', 'operator', 'support'];
+
+const ROLE_RANK: Record<StaffRole, number> = {
+  support: 1,
+  operator: 2,
+  admin: 3
+};
+
+export function isStaffRole(value: any): value is StaffRole {
+  return typeof value === 'string' && (STAFF_ROLES as string[]).includes(value);
+}
+
+/**
+ * 토큰(또는 custom claims)에 설정된 역할 목록
+ */
+export function getStaffRoles(claims: Record<string, any> | undefined | null): StaffRole[] {
+  return STAFF_ROLES.filter((role) => claims?.[role] === true);
+}
+
+/**
+ * 역할 확인 - 각 권한 함수가 필요한 최소 역할을 선언한다
+ * @param minimumRole 통과에 필요한 최소 역할 (상위 역할도 통과)
+ * @returns 호출자 UID
+ */
+export function requireRole(request: CallableRequest, minimumRole: StaffRole): string {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Authentication required');
+  }
+
+  const roles = getStaffRoles(request.auth.token);
+  if (!roles.some((role) => ROLE_RANK[role] >= ROLE_RANK[minimumRole])) {
+    console.warn(`[requireRole] User ${request.auth.uid} attempted an operation that requires the ${minimumRole} role`);
+    throw new HttpsError('permission-denied', `${minimumRole} privileges required`);
+  }
+
+  return request.auth.uid;
+}
+
+/**
+ * 관리자 custom claim 확인
+ * Firebase Auth custom claims에 admin: true가 설정된 사용자만 통과
+ * @returns 관리자 UID
+ */
+export function requireAdmin(request: CallableRequest): string {
+  return requireRole(request, 'admin');
+}
@@ -0,0 +1,368 @@
+/**
+ * 관리자 잔액 조정 (Balance Adjustment)
+ *
+ * 사용자가 직접 호출하던 credit 함수를 대체한다.
+ * - admin custom claim이 있는 사용자만 조정 요청/승인 가능
+ * - 승인 기준 금액(/config/balanceAdjustments/approvalThreshold) 이하는 즉시 반영
+ * - 기준 금액을 넘으면 요청자가 아닌 다른 관리자의 승인 후 반영
+ * - 조정 기록은 /balanceAdjustments/{adjustmentId}에 사유, 요청자, 승인자, Ledger 링크와 함께 저장
+ * - 지갑 반영 후 상태 기록이 실패해 processing에 남은 조정은 recoverBalanceAdjustments가 Ledger를 보고 마무리
+ */
+
+import { onCall, HttpsError, CallableRequest } from 'firebase-functions/v2/https';
+import { rtdb } from './firebase-config';
+import { requireAdmin } from './auth-guards';
+import { creditWallet, debitWallet, WalletCurrency, WalletMutationResult } from './wallet';
+import { withIdempotency } from './idempotency';
+import { withRateLimit } from './rate-limit';
+import { withAudit } from './audit';
+
+type AdjustmentDirection = 'credit' | 'debit';
+type AdjustmentStatus = 'pending_approval' | 'processing' | 'applied' | 'rejected' | 'failed';
+
+interface BalanceAdjustment {
+  adjustmentId: string;
+  targetUid: string;
+  direction: AdjustmentDirection;
+  currency: WalletCurrency;
+  amount: number;
+  reason: string;
+  status: AdjustmentStatus;
+  requiresApproval: boolean;
+  approvalThreshold: number;
+  requestedBy: string;
+  requestedAt: number;
+  approvedBy?: string;
+  approvedAt?: number;
+  rejectedBy?: string;
+  rejectedAt?: number;
+  rejectionReason?: string;
+  ledgerId?: string;
+  ledgerPath?: string;
+  appliedAt?: number;
+  failureReason?: string;
+}
+
+const ADJUSTMENTS_PATH = '/balanceAdjustments';
+const ADJUSTMENT_CONFIG_PATH = '/config/balanceAdjustments';
+const DEFAULT_APPROVAL_THRESHOLD = 1000;
+const MAX_REASON_LENGTH = 500;
+// processing 상태가 이보다 오래되면 중단된 조정으로 보고 복구 (콜러블 실행 시간보다 충분히 길게)
+const STALE_PROCESSING_MS = 10 * 60 * 1000;
+
+async function getApprovalThreshold(): Promise<number> {
+  const snapshot = await rtdb.ref(`${ADJUSTMENT_CONFIG_PATH}/approvalThreshold`).once('value');
+  const value = snapshot.val();
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 ? value : DEFAULT_APPROVAL_THRESHOLD;
+}
+
+function validateReason(value: any, fieldName: string): string {
+  const reason = typeof value === 'string' ? value.trim() : '';
+  if (!reason) {
+    throw new HttpsError('invalid-argument', `${fieldName} is required`);
+  }
+  if (reason.length > MAX_REASON_LENGTH) {
+    throw new HttpsError('invalid-argument', `${fieldName} must be at most ${MAX_REASON_LENGTH} characters`);
+  }
+  return reason;
+}
+
+/**
+ * 조정 내용을 지갑에 반영하고 기록에 Ledger 링크를 남긴다.
+ * 호출 전에 기록 상태가 processing으로 선점되어 있어야 한다.
+ */
+async function applyAdjustment(adjustment: BalanceAdjustment, approvedBy: string): Promise<BalanceAdjustment> {
+  const adjustmentRef = rtdb.ref(`${ADJUSTMENTS_PATH}/${adjustment.adjustmentId}`);
+  const meta = {
+    adjustmentId: adjustment.adjustmentId,
+    reason: adjustment.reason,
+    requestedBy: adjustment.requestedBy,
+    approvedBy
+  };
+
+  let mutation: WalletMutationResult;
+  try {
+    mutation = adjustment.direction === 'credit'
+      ? await creditWallet(adjustment.targetUid, adjustment.amount, 'admin_adjustment', meta, { currency: adjustment.currency })
+      : await debitWallet(adjustment.targetUid, adjustment.amount, 'admin_adjustment', meta, { currency: adjustment.currency });
+  } catch (error) {
+    const failureReason = error instanceof Error ? error.message : 'Unknown error';
+    await adjustmentRef.update({ status: 'failed', failureReason });
+    console.error(`[applyAdjustment] Adjustment ${adjustment.adjustmentId} failed:`, error);
+    throw error instanceof HttpsError ? error : new HttpsError('internal', 'Failed to apply balance adjustment');
+  }
+
+  const appliedFields = {
+    status: 'applied' as AdjustmentStatus,
+    ledgerId: mutation.ledgerId,
+    ledgerPath: `/ledger/${adjustment.targetUid}/${mutation.ledgerId}`,
+    appliedAt: Date.now()
+  };
+  await adjustmentRef.update(appliedFields);
+
+  console.log(`[applyAdjustment] Adjustment ${adjustment.adjustmentId} applied: ${adjustment.direction} ${adjustment.amount} ${adjustment.currency.toUpperCase()} for user ${adjustment.targetUid} (ledger ${mutation.ledgerId})`);
+
+  return { ...adjustment, ...appliedFields };
+}
+
+// 잔액 조정 요청 (관리자 전용)
+export const requestBalanceAdjustment = onCall(withRateLimit('requestBalanceAdjustment', withIdempotency('requestBalanceAdjustment', withAudit('requestBalanceAdjustment', async (request: CallableRequest) => {
+  const adminUid = requireAdmin(request);
+  const { targetUid, direction, amount, currency = 'usdt', reason } = request.data || {};
+
+  if (typeof targetUid !== 'string' || !targetUid) {
+    throw new HttpsError('invalid-argument', 'targetUid is required');
+  }
+  if (direction !== 'credit' && direction !== 'debit') {
+    throw new HttpsError('invalid-argument', 'direction must be credit or debit');
+  }
+  if (currency !== 'usdt' && currency !== 'ivy') {
+    throw new HttpsError('invalid-argument', 'currency must be usdt or ivy');
+  }
+
+  const amountNumber = typeof amount === 'number' ? amount : parseFloat(String(amount));
+  if (!Number.isFinite(amountNumber) || amountNumber <= 0) {
+    throw new HttpsError('invalid-argument', `Amount must be greater than 0. Got: ${amount}`);
+  }
+
+  const validatedReason = validateReason(reason, 'reason');
+
+  const userSnapshot = await rtdb.ref(`/users/${targetUid}/profile`).once('value');
+  if (!userSnapshot.exists()) {
+    throw new HttpsError('not-found', `User ${targetUid} not found`);
+  }
+
+  const approvalThreshold = await getApprovalThreshold();
+  const requiresApproval = amountNumber > approvalThreshold;
+  const adjustmentRef = rtdb.ref(ADJUSTMENTS_PATH).push();
+  const adjustment: BalanceAdjustment = {
+    adjustmentId: adjustmentRef.key as string,
+    targetUid,
+    direction,
+    currency,
+    amount: amountNumber,
+    reason: validatedReason,
+    status: requiresApproval ? 'pending_approval' : 'processing',
+    requiresApproval,
+    approvalThreshold,
+    requestedBy: adminUid,
+    requestedAt: Date.now()
+  };
+
+  if (!requiresApproval) {
+    // 기준 금액 이하 - 요청한 관리자가 승인자로 기록됨
+    adjustment.approvedBy = adminUid;
+    adjustment.approvedAt = adjustment.requestedAt;
+  }
+
+  await adjustmentRef.set(adjustment);
+  console.log(`[requestBalanceAdjustment] Admin ${adminUid} requested ${direction} ${amountNumber} ${currency.toUpperCase()} for user ${targetUid} (requiresApproval: ${requiresApproval})`);
+
+  if (requiresApproval) {
+    return { success: true, adjustment };
+  }
+
+  const applied = await applyAdjustment(adjustment, adminUid);
+  return { success: true, adjustment: applied };
+}, { paths: [ADJUSTMENTS_PATH] }))));
+
+// 잔액 조정 승인 (요청자가 아닌 다른 관리자만 가능)
+export const approveBalanceAdjustment = onCall(withRateLimit('approveBalanceAdjustment', withAudit('approveBalanceAdjustment', async (request: CallableRequest) => {
+  const adminUid = requireAdmin(request);
+  const { adjustmentId } = request.data || {};
+
+  if (typeof adjustmentId !== 'string' || !adjustmentId) {
+    throw new HttpsError('invalid-argument', 'adjustmentId is required');
+  }
+
+  const adjustmentRef = rtdb.ref(`${ADJUSTMENTS_PATH}/${adjustmentId}`);
+  const now = Date.now();
+  let rejection: HttpsError | null = null;
+
+  // pending_approval -> processing 선점 (두 관리자가 동시에 승인해도 한 번만 반영)
+  const claimResult = await adjustmentRef.transaction((current: BalanceAdjustment | null) => {
+    rejection = null;
+    if (!current) {
+      return current;
+    }
+    if (current.status !== 'pending_approval') {
+      rejection = new HttpsError('failed-precondition', `Adjustment is not pending approval (status: ${current.status})`);
+      return;
+    }
+    if (current.requestedBy === adminUid) {
+      rejection = new HttpsError('permission-denied', 'An adjustment must be approved by a different admin');
+      return;
+    }
+    return {
+      ...current,
+      status: 'processing',
+      approvedBy: adminUid,
+      approvedAt: now
+    };
+  });
+
+  if (rejection) {
+    throw rejection;
+  }
+  if (!claimResult.committed || !claimResult.snapshot.exists()) {
+    throw new HttpsError('not-found', `Adjustment ${adjustmentId} not found`);
+  }
+
+  const adjustment = claimResult.snapshot.val() as BalanceAdjustment;
+  const applied = await applyAdjustment(adjustment, adminUid);
+  return { success: true, adjustment: applied };
+}, { paths: (request) => [`${ADJUSTMENTS_PATH}/${request.data?.adjustmentId}`, '/users/*/wallet', '/ledger'] })));
+
+// 잔액 조정 반려
+export const rejectBalanceAdjustment = onCall(withRateLimit('rejectBalanceAdjustment', withAudit('rejectBalanceAdjustment', async (request: CallableRequest) => {
+  const adminUid = requireAdmin(request);
+  const { adjustmentId, reason } = request.data || {};
+
+  if (typeof adjustmentId !== 'string' || !adjustmentId) {
+    throw new HttpsError('invalid-argument', 'adjustmentId is required');
+  }
+  const rejectionReason = validateReason(reason, 'reason');
+
+  const adjustmentRef = rtdb.ref(`${ADJUSTMENTS_PATH}/${adjustmentId}`);
+  let currentStatus: AdjustmentStatus | null = null;
+
+  const result = await adjustmentRef.transaction((current: BalanceAdjustment | null) => {
+    currentStatus = current ? current.status : null;
+    if (!current) {
+      return current;
+    }
+    if (current.status !== 'pending_approval') {
+      return;
+    }
+    return {
+      ...current,
+      status: 'rejected',
+      rejectedBy: adminUid,
+      rejectedAt: Date.now(),
+      rejectionReason
+    };
+  });
+
+  if (!result.snapshot.exists()) {
+    throw new HttpsError('not-found', `Adjustment ${adjustmentId} not found`);
+  }
+  if (!result.committed) {
+    throw new HttpsError('failed-precondition', `Adjustment is not pending approval (status: ${currentStatus})`);
+  }
+
+  console.log(`[rejectBalanceAdjustment] Admin ${adminUid} rejected adjustment ${adjustmentId}`);
+  return { success: true, adjustment: result.snapshot.val() };
+}, { paths: (request) => [`${ADJUSTMENTS_PATH}/${request.data?.adjustmentId}`] })));
+
+// 잔액 조정 목록 조회 (status 필터 선택)
+export const listBalanceAdjustments = onCall(withRateLimit('listBalanceAdjustments', async (request: CallableRequest) => {
+  requireAdmin(request);
+  const { status, limit = 50 } = request.data || {};
+  const pageSize = Math.min(Math.max(Number(limit) || 50, 1), 200);
+
+  const query = status
+    ? rtdb.ref(ADJUSTMENTS_PATH).orderByChild('status').equalTo(status).limitToLast(pageSize)
+    : rtdb.ref(ADJUSTMENTS_PATH).orderByKey().limitToLast(pageSize);
+
+  const snapshot = await query.once('value');
+  const adjustments: BalanceAdjustment[] = [];
+  snapshot.forEach((child) => {
+    adjustments.push(child.val());
+    return false;
+  });
+
+  // 최신 요청이 먼저 오도록 정렬
+  adjustments.sort((a, b) => b.requestedAt - a.requestedAt);
+
+  return { success: true, adjustments };
+}));
+
+/**
+ * 이 조정으로 만들어진 Ledger 항목 ID (아직 outbox에 있는 항목 포함)
+ */
+async function findAdjustmentLedgerId(uid: string, adjustmentId: string): Promise<string | null> {
+  const snapshot = await rtdb.ref(`/ledger/${uid}`)
+    .orderByChild('meta/adjustmentId')
+    .equalTo(adjustmentId)
+    .limitToFirst(1)
+    .once('value');
+
+  let ledgerId: string | null = null;
+  snapshot.forEach((child) => {
+    ledgerId = child.key;
+    return true;
+  });
+  if (ledgerId) {
+    return ledgerId;
+  }
+
+  const outboxSnapshot = await rtdb.ref(`/users/${uid}/wallet/ledgerOutbox`).once('value');
+  outboxSnapshot.forEach((child) => {
+    if (child.child('meta/adjustmentId').val() === adjustmentId) {
+      ledgerId = child.key;
+      return true;
+    }
+    return false;
+  });
+  return ledgerId;
+}
+
+/**
+ * processing에 멈춘 조정 마무리 (스케줄러에서 호출)
+ * - Ledger 항목이 있으면 지갑 반영은 끝난 것 - applied로 기록하고 Ledger 링크를 남김
+ * - 없으면 지갑은 바뀌지 않았음 - 다시 반영하지 않고 failed로 기록 (필요하면 관리자가 새로 요청)
+ */
+export async function recoverBalanceAdjustments(): Promise<{ applied: number; failed: number; failures: number }> {
+  const now = Date.now();
+  const summary = { applied: 0, failed: 0, failures: 0 };
+
+  const snapshot = await rtdb.ref(ADJUSTMENTS_PATH).orderByChild('status').equalTo('processing').once('value');
+  const adjustments: BalanceAdjustment[] = [];
+  snapshot.forEach((child) => {
+    adjustments.push(child.val());
+    return false;
+  });
+
+  for (const adjustment of adjustments) {
+    if ((adjustment.approvedAt ?? adjustment.requestedAt) + STALE_PROCESSING_MS > now) {
+      continue;
+    }
+
+    try {
+      const ledgerId = await findAdjustmentLedgerId(adjustment.targetUid, adjustment.adjustmentId);
+      const fields: Partial<BalanceAdjustment> = ledgerId
+        ? {
+          status: 'applied',
+          ledgerId,
+          ledgerPath: `/ledger/${adjustment.targetUid}/${ledgerId}`,
+          appliedAt: now
+        }
+        : {
+          status: 'failed',
+          failureReason: 'Interrupted before the wallet was updated'
+        };
+
+      const result = await rtdb.ref(`${ADJUSTMENTS_PATH}/${adjustment.adjustmentId}`).transaction((current: BalanceAdjustment | null) => {
+        if (!current || current.status !== 'processing') {
+          return; // Abort - 이미 처리됨
+        }
+        return { ...current, ...fields };
+      });
+
+      if (result.committed) {
+        if (ledgerId) {
+          summary.applied++;
+        } else {
+          summary.failed++;
+        }
+        console.warn(`[recoverBalanceAdjustments] Adjustment ${adjustment.adjustmentId} was stuck in processing - marked ${fields.status}${ledgerId ? ` (ledger ${ledgerId})` : ''}`);
+      }
+    } catch (error) {
+      summary.failures++;
+      console.error(`[recoverBalanceAdjustments] Failed to recover adjustment ${adjustment.adjustmentId}:`, error);
+    }
+  }
+
+  console.log(`[recoverBalanceAdjustments] applied: ${summary.applied}, failed: ${summary.failed}, failures: ${summary.failures}`);
+  return summary;
+}
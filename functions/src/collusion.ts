@@ -0,0 +1,772 @@
+/**
+ * 다중 계정/공모 탐지 (Collusion Detection)
+ *
+ * 골든벨은 소수 선택 쪽이 이기므로 여러 계정으로 짝/홀을 나눠 선택하면 승리가 보장되고,
+ * 큐브는 여러 계정으로 좌석을 싸게 점유할 수 있다. 게임별로 참가자 쌍의 의심 신호를 점수화해
+ * 임계값을 넘는 계정 묶음을 /collusionCases/{caseId}에 검토 대상으로 기록한다.
+ *
+ * 신호 (쌍 점수 = 가중치 합):
+ * - shared_device: 같은 기기 ID (로그인/가입 시 클라이언트가 보낸 deviceId 해시)
+ * - shared_ip: 같은 IP (최초 또는 최근 접속 IP 해시)
+ * - synchronized_timing: 골든벨 선택 제출 시각이 여러 라운드에서 거의 같음 / 큐브 참가 시각이 거의 같음
+ * - opposing_choices: 골든벨에서 함께 참가한 모든 라운드에서 항상 반대 선택
+ *
+ * 계정 신호는 /accountSignals/{uid}에 HMAC 해시로만 저장한다 (원본 IP/기기 ID는 저장하지 않음).
+ * 키는 Secret Manager의 COLLUSION_SIGNAL_SECRET (IPv4 전체를 대입해 되돌릴 수 없도록).
+ * 신호를 기록하는 콜러블은 secrets에 COLLUSION_SIGNAL_SECRET을 선언하므로 시크릿이 없으면 배포가 실패한다.
+ *   firebase functions:secrets:set COLLUSION_SIGNAL_SECRET   (에뮬레이터: functions/.secret.local)
+ * /config/collusion.holdPayouts가 true이면 사례에 포함된 계정의 게임 상금은 지급 대신
+ * /heldPayouts에 보류되고, reviewCollusionCase로 기각(지급)하거나 확정(몰수)한다.
+ * 확정된 사례의 보류(/payoutHolds)는 유지되어 이후 상금도 계속 보류된다.
+ */
+
+import { createHash, createHmac } from 'crypto';
+import { onCall, HttpsError, CallableRequest } from 'firebase-functions/v2/https';
+import { defineSecret } from 'firebase-functions/params';
+import { rtdb } from './firebase-config';
+import { requireRole } from './auth-guards';
+import { clearCreditMarker, creditWallet, creditWalletOnce, findLedgerIdByMeta } from './wallet';
+import { withRateLimit } from './rate-limit';
+import { withAudit } from './audit';
+
+export type CollusionGameType = 'goldenbell' | 'cube';
+type SignalType = 'shared_device' | 'shared_ip' | 'synchronized_timing' | 'opposing_choices';
+type CaseStatus = 'open' | 'confirmed' | 'dismissed';
+
+interface CollusionConfig {
+  enabled: boolean;
+  holdPayouts: boolean; // 사례에 포함된 계정의 게임 상금 보류
+  flagScore: number; // 이 점수 이상인 쌍을 사례로 기록
+  syncWindowMs: number; // 이 간격 이내의 제출/참가를 동시로 간주
+  minRounds: number; // 골든벨 라운드 기반 신호에 필요한 최소 라운드 수
+}
+
+interface AccountSignals {
+  firstIpHash?: string | null;
+  firstDeviceHash?: string | null;
+  firstSeenAt?: number;
+  firstSource?: string;
+  lastIpHash?: string | null;
+  lastDeviceHash?: string | null;
+  lastSeenAt?: number;
+}
+
+interface PairSignal {
+  type: SignalType;
+  weight: number;
+  detail: Record<string, any>;
+}
+
+interface PairScore {
+  uids: [string, string];
+  score: number;
+  signals: PairSignal[];
+}
+
+interface CollusionCase {
+  caseId: string;
+  gameType: CollusionGameType;
+  gameId: string;
+  uids: string[];
+  score: number;
+  pairs: PairScore[];
+  status: CaseStatus;
+  payoutHold: boolean;
+  createdAt: number;
+  updatedAt: number;
+  reviewedBy?: string;
+  reviewedAt?: number;
+  reviewNote?: string;
+}
+
+interface HeldPayout {
+  heldPayoutId: string;
+  uid: string;
+  amount: number;
+  operation: string;
+  meta: Record<string, any>;
+  caseIds: string[];
+  status: 'held' | 'releasing' | 'released' | 'forfeited';
+  createdAt: number;
+  resolvedAt?: number;
+  ledgerId?: string;
+}
+
+interface PayoutHoldEntry {
+  gameType: CollusionGameType;
+  gameId: string;
+  createdAt: number;
+  confirmedAt?: number; // 확정된 사례 - 해제하지 않고 계속 보류
+}
+
+const ACCOUNT_SIGNALS_PATH = '/accountSignals';
+const COLLUSION_CASES_PATH = '/collusionCases';
+const PAYOUT_HOLDS_PATH = '/payoutHolds';
+const HELD_PAYOUTS_PATH = '/heldPayouts';
+const COLLUSION_STATE_PATH = '/collusionState';
+const COLLUSION_CONFIG_PATH = '/config/collusion';
+
+const SIGNAL_WEIGHTS: Record<SignalType, number> = {
+  shared_device: 45,
+  shared_ip: 35,
+  synchronized_timing: 25,
+  opposing_choices: 40
+};
+
+const DEFAULT_CONFIG: CollusionConfig = {
+  enabled: true,
+  holdPayouts: false,
+  flagScore: 60,
+  syncWindowMs: 1500,
+  minRounds: 3
+};
+
+const SCAN_OVERLAP_MS = 10 * 60 * 1000;
+const INITIAL_SCAN_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+const MAX_DEVICE_ID_LENGTH = 128;
+// releasing 상태가 이보다 오래되면 지급이 중단된 것으로 보고 복구
+const RELEASING_RECOVERY_GRACE_MS = 2 * 60 * 1000;
+
+// 계정 신호 HMAC 키 - 신호를 기록하는 콜러블의 secrets에 포함해야 한다
+export const COLLUSION_SIGNAL_SECRET = defineSecret('COLLUSION_SIGNAL_SECRET');
+
+async function getCollusionConfig(): Promise<CollusionConfig> {
+  const snapshot = await rtdb.ref(COLLUSION_CONFIG_PATH).once('value');
+  const config = snapshot.val() || {};
+  return {
+    enabled: config.enabled !== false,
+    holdPayouts: config.holdPayouts === true,
+    flagScore: Number(config.flagScore) > 0 ? Number(config.flagScore) : DEFAULT_CONFIG.flagScore,
+    syncWindowMs: Number(config.syncWindowMs) > 0 ? Number(config.syncWindowMs) : DEFAULT_CONFIG.syncWindowMs,
+    minRounds: Number(config.minRounds) > 0 ? Number(config.minRounds) : DEFAULT_CONFIG.minRounds
+  };
+}
+
+function hashSignal(secret: string, kind: 'ip' | 'device', value: string): string {
+  return createHmac('sha256', secret).update(`${kind}:${value}`).digest('hex').slice(0, 32);
+}
+
+function pairKey(a: string, b: string): string {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+// ============================================
+// 계정 신호 수집
+// ============================================
+
+/**
+ * 로그인/프로필 생성 시 IP와 기기 ID 해시 기록 (실패해도 호출은 계속 진행)
+ * data.deviceId: 클라이언트가 브라우저에 저장해 두고 보내는 임의 ID
+ */
+export async function recordAccountSignals(uid: string, request: CallableRequest, source: string): Promise<void> {
+  try {
+    const secret = COLLUSION_SIGNAL_SECRET.value();
+    if (!secret) {
+      // 콜러블에 secrets 선언이 빠진 경우 - 공유 IP/기기 탐지가 꺼지므로 오류로 기록
+      console.error(`[recordAccountSignals] COLLUSION_SIGNAL_SECRET is not available to this function - skipped signals for user ${uid}`);
+      return;
+    }
+    const ip = request.rawRequest?.ip;
+    const deviceId = typeof request.data?.deviceId === 'string' ? request.data.deviceId.trim().slice(0, MAX_DEVICE_ID_LENGTH) : '';
+    const ipHash = ip ? hashSignal(secret, 'ip', ip) : null;
+    const deviceHash = deviceId ? hashSignal(secret, 'device', deviceId) : null;
+    if (!ipHash && !deviceHash) {
+      return;
+    }
+
+    const now = Date.now();
+    await rtdb.ref(`${ACCOUNT_SIGNALS_PATH}/${uid}`).transaction((current: AccountSignals | null) => {
+      const next: AccountSignals = { ...(current || {}) };
+      if (!next.firstSeenAt) {
+        next.firstSeenAt = now;
+        next.firstSource = source;
+        next.firstIpHash = ipHash;
+        next.firstDeviceHash = deviceHash;
+      }
+      next.firstIpHash = next.firstIpHash || ipHash;
+      next.firstDeviceHash = next.firstDeviceHash || deviceHash;
+      next.lastIpHash = ipHash || next.lastIpHash || null;
+      next.lastDeviceHash = deviceHash || next.lastDeviceHash || null;
+      next.lastSeenAt = now;
+      return next;
+    });
+  } catch (error) {
+    console.error(`[recordAccountSignals] Failed to record signals for ${uid}:`, error);
+  }
+}
+
+async function loadAccountSignals(uids: string[]): Promise<Map<string, AccountSignals>> {
+  const snapshots = await Promise.all(uids.map((uid) => rtdb.ref(`${ACCOUNT_SIGNALS_PATH}/${uid}`).once('value')));
+  const signals = new Map<string, AccountSignals>();
+  snapshots.forEach((snapshot, index) => {
+    if (snapshot.exists()) {
+      signals.set(uids[index], snapshot.val());
+    }
+  });
+  return signals;
+}
+
+function signalHashes(signals: AccountSignals | undefined, kind: 'ip' | 'device'): string[] {
+  if (!signals) return [];
+  const values = kind === 'ip'
+    ? [signals.firstIpHash, signals.lastIpHash]
+    : [signals.firstDeviceHash, signals.lastDeviceHash];
+  return Array.from(new Set(values.filter((value): value is string => typeof value === 'string' && value.length > 0)));
+}
+
+// ============================================
+// 점수 계산
+// ============================================
+
+/**
+ * 같은 IP/기기 해시를 가진 참가자 쌍 (해시별로 묶어서 O(n) 근처로 계산)
+ */
+function findSharedSignalPairs(uids: string[], signals: Map<string, AccountSignals>, kind: 'ip' | 'device'): Set<string> {
+  const groups = new Map<string, string[]>();
+  for (const uid of uids) {
+    for (const hash of signalHashes(signals.get(uid), kind)) {
+      const group = groups.get(hash) || [];
+      group.push(uid);
+      groups.set(hash, group);
+    }
+  }
+
+  const pairs = new Set<string>();
+  for (const group of groups.values()) {
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length; j++) {
+        pairs.add(pairKey(group[i], group[j]));
+      }
+    }
+  }
+  return pairs;
+}
+
+/**
+ * 이벤트 묶음마다 syncWindowMs 이내에 발생한 쌍의 횟수 (시각 정렬 후 창 안의 쌍만 비교)
+ */
+function countSynchronizedPairs(eventGroups: Array<Array<{ uid: string; at: number }>>, windowMs: number): Map<string, number> {
+  const counts = new Map<string, number>();
+  for (const events of eventGroups) {
+    const sorted = [...events].sort((a, b) => a.at - b.at);
+    const seenInGroup = new Set<string>();
+    for (let i = 0; i < sorted.length; i++) {
+      for (let j = i + 1; j < sorted.length && sorted[j].at - sorted[i].at <= windowMs; j++) {
+        if (sorted[i].uid === sorted[j].uid) continue;
+        const key = pairKey(sorted[i].uid, sorted[j].uid);
+        if (seenInGroup.has(key)) continue;
+        seenInGroup.add(key);
+        counts.set(key, (counts.get(key) || 0) + 1);
+      }
+    }
+  }
+  return counts;
+}
+
+function buildPairScores(
+  candidates: Set<string>,
+  signalFor: (a: string, b: string) => PairSignal[],
+  flagScore: number
+): PairScore[] {
+  const flagged: PairScore[] = [];
+  for (const key of candidates) {
+    const [a, b] = key.split('|');
+    const signals = signalFor(a, b);
+    const score = signals.reduce((sum, signal) => sum + signal.weight, 0);
+    if (score >= flagScore) {
+      flagged.push({ uids: [a, b], score, signals });
+    }
+  }
+  return flagged;
+}
+
+function sharedSignal(type: 'shared_ip' | 'shared_device', pairs: Set<string>, a: string, b: string): PairSignal[] {
+  return pairs.has(pairKey(a, b)) ? [{ type, weight: SIGNAL_WEIGHTS[type], detail: {} }] : [];
+}
+
+/**
+ * 골든벨 게임 - 라운드 결과(results/{round}.choices)와 라운드별 선택 제출 시각 기준
+ */
+function scoreGoldenBellGame(game: any, signals: Map<string, AccountSignals>, config: CollusionConfig): PairScore[] {
+  const participants: Record<string, any> = game?.participants || {};
+  const uids = Object.keys(participants);
+
+  // uid -> round -> choice
+  const choices = new Map<string, Map<number, string>>();
+  for (const [roundKey, result] of Object.entries(game?.results || {}) as [string, any][]) {
+    const round = Number(roundKey);
+    for (const side of ['even', 'odd']) {
+      for (const uid of (result?.choices?.[side] || []) as string[]) {
+        const byRound = choices.get(uid) || new Map<number, string>();
+        byRound.set(round, side);
+        choices.set(uid, byRound);
+      }
+    }
+  }
+
+  const roundEvents = new Map<number, Array<{ uid: string; at: number }>>();
+  for (const uid of uids) {
+    for (const [roundKey, at] of Object.entries(participants[uid]?.roundChoiceTimes || {})) {
+      if (typeof at !== 'number') continue;
+      const events = roundEvents.get(Number(roundKey)) || [];
+      events.push({ uid, at });
+      roundEvents.set(Number(roundKey), events);
+    }
+  }
+  const syncCounts = countSynchronizedPairs(Array.from(roundEvents.values()), config.syncWindowMs);
+
+  const ipPairs = findSharedSignalPairs(uids, signals, 'ip');
+  const devicePairs = findSharedSignalPairs(uids, signals, 'device');
+
+  // 반대 선택만으로는 임계값을 넘지 않으므로 다른 신호가 있는 쌍만 후보로 본다
+  const candidates = new Set<string>([...ipPairs, ...devicePairs]);
+  for (const [key, count] of syncCounts) {
+    if (count >= config.minRounds) candidates.add(key);
+  }
+
+  return buildPairScores(candidates, (a, b) => {
+    const pairSignals = [
+      ...sharedSignal('shared_device', devicePairs, a, b),
+      ...sharedSignal('shared_ip', ipPairs, a, b)
+    ];
+
+    const syncedRounds = syncCounts.get(pairKey(a, b)) || 0;
+    if (syncedRounds >= config.minRounds) {
+      pairSignals.push({
+        type: 'synchronized_timing',
+        weight: SIGNAL_WEIGHTS.synchronized_timing,
+        detail: { rounds: syncedRounds, windowMs: config.syncWindowMs }
+      });
+    }
+
+    const choicesA = choices.get(a);
+    const choicesB = choices.get(b);
+    if (choicesA && choicesB) {
+      const sharedRounds = Array.from(choicesA.keys()).filter((round) => choicesB.has(round));
+      const opposing = sharedRounds.filter((round) => choicesA.get(round) !== choicesB.get(round));
+      if (sharedRounds.length >= config.minRounds && opposing.length === sharedRounds.length) {
+        pairSignals.push({
+          type: 'opposing_choices',
+          weight: SIGNAL_WEIGHTS.opposing_choices,
+          detail: { rounds: sharedRounds.length }
+        });
+      }
+    }
+    return pairSignals;
+  }, config.flagScore);
+}
+
+/**
+ * 큐브 게임 - 참가(베팅) 시각 기준
+ */
+function scoreCubeGame(game: any, signals: Map<string, AccountSignals>, config: CollusionConfig): PairScore[] {
+  const participants: Record<string, Record<string, any>> = game?.participants || {};
+  const uids = Object.keys(participants);
+
+  const joinEvents: Array<{ uid: string; at: number }> = [];
+  for (const uid of uids) {
+    for (const bet of Object.values(participants[uid] || {})) {
+      if (typeof bet?.joinedAt === 'number') {
+        joinEvents.push({ uid, at: bet.joinedAt });
+      }
+    }
+  }
+  const syncCounts = countSynchronizedPairs([joinEvents], config.syncWindowMs);
+
+  const ipPairs = findSharedSignalPairs(uids, signals, 'ip');
+  const devicePairs = findSharedSignalPairs(uids, signals, 'device');
+  // 참가 시각만 겹치는 쌍은 흔하므로 IP/기기 신호가 있는 쌍만 후보
+  const candidates = new Set<string>([...ipPairs, ...devicePairs]);
+
+  return buildPairScores(candidates, (a, b) => {
+    const pairSignals = [
+      ...sharedSignal('shared_device', devicePairs, a, b),
+      ...sharedSignal('shared_ip', ipPairs, a, b)
+    ];
+    if (syncCounts.has(pairKey(a, b))) {
+      pairSignals.push({
+        type: 'synchronized_timing',
+        weight: SIGNAL_WEIGHTS.synchronized_timing,
+        detail: { joins: 1, windowMs: config.syncWindowMs }
+      });
+    }
+    return pairSignals;
+  }, config.flagScore);
+}
+
+/**
+ * 의심 쌍을 연결된 계정 묶음으로 합친다
+ */
+function clusterPairs(pairs: PairScore[]): PairScore[][] {
+  const parent = new Map<string, string>();
+  const find = (uid: string): string => {
+    let root = uid;
+    while (parent.get(root) !== root) root = parent.get(root) as string;
+    parent.set(uid, root);
+    return root;
+  };
+
+  for (const pair of pairs) {
+    for (const uid of pair.uids) {
+      if (!parent.has(uid)) parent.set(uid, uid);
+    }
+    parent.set(find(pair.uids[0]), find(pair.uids[1]));
+  }
+
+  const clusters = new Map<string, PairScore[]>();
+  for (const pair of pairs) {
+    const root = find(pair.uids[0]);
+    clusters.set(root, [...(clusters.get(root) || []), pair]);
+  }
+  return Array.from(clusters.values());
+}
+
+// ============================================
+// 사례 기록 / 상금 보류
+// ============================================
+
+/**
+ * 사례 기록 - 같은 게임/계정 묶음은 같은 caseId (재실행 시 점수만 갱신, 검토된 사례는 유지)
+ */
+async function recordCase(
+  gameType: CollusionGameType,
+  gameId: string,
+  pairs: PairScore[],
+  config: CollusionConfig
+): Promise<CollusionCase | null> {
+  const uids = Array.from(new Set(pairs.flatMap((pair) => pair.uids))).sort();
+  const caseId = `${gameType}_${gameId}_${createHash('sha256').update(uids.join(',')).digest('hex').slice(0, 12)}`;
+  const score = Math.max(...pairs.map((pair) => pair.score));
+  const now = Date.now();
+
+  const result = await rtdb.ref(`${COLLUSION_CASES_PATH}/${caseId}`).transaction((current: CollusionCase | null) => {
+    if (current && current.status !== 'open') {
+      return; // Abort - 이미 검토된 사례
+    }
+    return {
+      ...(current || { caseId, gameType, gameId, uids, status: 'open', createdAt: now }),
+      score,
+      pairs,
+      payoutHold: config.holdPayouts || current?.payoutHold === true,
+      updatedAt: now
+    };
+  });
+  if (!result.committed) {
+    return null;
+  }
+
+  const collusionCase = result.snapshot.val() as CollusionCase;
+  if (collusionCase.payoutHold) {
+    const holdUpdates: Record<string, any> = {};
+    for (const uid of uids) {
+      const hold: PayoutHoldEntry = { gameType, gameId, createdAt: collusionCase.createdAt };
+      holdUpdates[`${PAYOUT_HOLDS_PATH}/${uid}/${caseId}`] = hold;
+    }
+    if (Object.keys(holdUpdates).length > 0) {
+    await rtdb.ref().update(holdUpdates);
+  }
+  }
+  return collusionCase;
+}
+
+/**
+ * 게임 한 판 평가 - 임계값을 넘는 계정 묶음마다 사례 기록
+ * @returns 기록(갱신)된 사례 수
+ */
+export async function evaluateGameForCollusion(gameType: CollusionGameType, gameId: string, config?: CollusionConfig): Promise<number> {
+  const activeConfig = config || await getCollusionConfig();
+  const gameSnapshot = await rtdb.ref(`/games/${gameType}/${gameId}`).once('value');
+  const game = gameSnapshot.val();
+  const uids = Object.keys(game?.participants || {});
+  if (uids.length < 2) {
+    return 0;
+  }
+
+  const signals = await loadAccountSignals(uids);
+  const pairs = gameType === 'goldenbell'
+    ? scoreGoldenBellGame(game, signals, activeConfig)
+    : scoreCubeGame(game, signals, activeConfig);
+
+  let recorded = 0;
+  for (const cluster of clusterPairs(pairs)) {
+    const collusionCase = await recordCase(gameType, gameId, cluster, activeConfig);
+    if (collusionCase) {
+      recorded++;
+      console.warn(`[collusion] Flagged ${gameType} ${gameId}: ${collusionCase.uids.join(', ')} (score ${collusionCase.score}, case ${collusionCase.caseId})`);
+    }
+  }
+  return recorded;
+}
+
+/**
+ * 상금 지급 직전 검사 - holdPayouts가 켜져 있을 때만 해당 게임을 바로 평가 (실패해도 지급은 진행)
+ */
+export async function screenGameBeforePayout(gameType: CollusionGameType, gameId: string): Promise<void> {
+  try {
+    const config = await getCollusionConfig();
+    if (config.enabled && config.holdPayouts) {
+      await evaluateGameForCollusion(gameType, gameId, config);
+    }
+  } catch (error) {
+    console.error(`[collusion] Payout screening failed for ${gameType} ${gameId}:`, error);
+  }
+}
+
+/**
+ * 게임 상금 지급 - 검토 중인 사례에 포함된 계정이면 지급하지 않고 /heldPayouts에 보류
+ */
+export async function creditGamePayout(
+  uid: string,
+  amount: number,
+  operation: string,
+  meta: Record<string, any> = {}
+): Promise<{ held: boolean; heldPayoutId?: string; ledgerId?: string }> {
+  const holdsSnapshot = await rtdb.ref(`${PAYOUT_HOLDS_PATH}/${uid}`).once('value');
+  if (!holdsSnapshot.exists()) {
+    const mutation = await creditWallet(uid, amount, operation, meta);
+    return { held: false, ledgerId: mutation.ledgerId };
+  }
+
+  const heldRef = rtdb.ref(HELD_PAYOUTS_PATH).push();
+  const heldPayout: HeldPayout = {
+    heldPayoutId: heldRef.key as string,
+    uid,
+    amount,
+    operation,
+    meta,
+    caseIds: Object.keys(holdsSnapshot.val()),
+    status: 'held',
+    createdAt: Date.now()
+  };
+  await heldRef.set(heldPayout);
+  console.warn(`[collusion] Held ${operation} payout of ${amount} for ${uid} (cases: ${heldPayout.caseIds.join(', ')})`);
+  return { held: true, heldPayoutId: heldPayout.heldPayoutId };
+}
+
+/**
+ * 보류 상금 지급 - 지갑 트랜잭션 안에서 heldPayoutId 입금 표시를 남기므로 여러 번 호출해도 한 번만 입금된다
+ * (표시가 생기기 전에 지급된 상금은 Ledger의 meta.heldPayoutId로 확인)
+ */
+async function payHeldPayout(payout: HeldPayout): Promise<string> {
+  const existingLedgerId = await findLedgerIdByMeta(payout.uid, 'heldPayoutId', payout.heldPayoutId);
+  if (existingLedgerId) {
+    return existingLedgerId;
+  }
+  const credit = await creditWalletOnce(payout.uid, payout.heldPayoutId, payout.amount, payout.operation, {
+    ...payout.meta,
+    heldPayoutId: payout.heldPayoutId
+  });
+  return credit.ledgerId;
+}
+
+async function markHeldPayoutReleased(payout: HeldPayout, ledgerId: string): Promise<void> {
+  await rtdb.ref(`${HELD_PAYOUTS_PATH}/${payout.heldPayoutId}`).update({ status: 'released', ledgerId });
+  await clearCreditMarker(payout.uid, payout.heldPayoutId).catch((error) => {
+    console.error(`[collusion] Failed to clear credit marker for held payout ${payout.heldPayoutId}:`, error);
+  });
+}
+
+/**
+ * 보류 상금 처리 - 지급(released)은 held → releasing 선점 후 지급해서 중복 지급 방지
+ * 지급 후 상태 기록이 실패하면 releasing으로 남고 recoverReleasingPayouts가 마무리한다.
+ */
+async function resolveHeldPayout(heldPayoutId: string, outcome: 'released' | 'forfeited'): Promise<boolean> {
+  const heldRef = rtdb.ref(`${HELD_PAYOUTS_PATH}/${heldPayoutId}`);
+  const claim = await heldRef.transaction((current: HeldPayout | null) => {
+    if (!current || current.status !== 'held') {
+      return; // Abort - 이미 처리됨
+    }
+    return { ...current, status: outcome === 'released' ? 'releasing' : 'forfeited', resolvedAt: Date.now() };
+  });
+  if (!claim.committed) {
+    return false;
+  }
+
+  if (outcome === 'released') {
+    const payout = claim.snapshot.val() as HeldPayout;
+    let ledgerId: string;
+    try {
+      ledgerId = await payHeldPayout(payout);
+    } catch (error) {
+      // 입금 표시가 남아 있으면 다음 지급 시 다시 입금되지 않음
+      await heldRef.update({ status: 'held', resolvedAt: null });
+      throw error;
+    }
+    await markHeldPayoutReleased(payout, ledgerId);
+  }
+  return true;
+}
+
+/**
+ * releasing에 멈춘 보류 상금 마무리 (스케줄러에서 호출)
+ * 입금 여부는 지갑의 입금 표시/Ledger로 확인하므로 이미 입금된 상금은 상태만 released로 기록한다.
+ */
+export async function recoverReleasingPayouts(): Promise<{ released: number; failures: number }> {
+  const now = Date.now();
+  const summary = { released: 0, failures: 0 };
+
+  const snapshot = await rtdb.ref(HELD_PAYOUTS_PATH).orderByChild('status').equalTo('releasing').once('value');
+  const payouts: HeldPayout[] = [];
+  snapshot.forEach((child) => {
+    payouts.push(child.val());
+    return false;
+  });
+
+  for (const payout of payouts) {
+    if ((payout.resolvedAt ?? payout.createdAt) + RELEASING_RECOVERY_GRACE_MS > now) {
+      continue;
+    }
+    try {
+      const ledgerId = await payHeldPayout(payout);
+      await markHeldPayoutReleased(payout, ledgerId);
+      summary.released++;
+      console.warn(`[recoverReleasingPayouts] Held payout ${payout.heldPayoutId} was stuck in releasing - marked released (ledger ${ledgerId})`);
+    } catch (error) {
+      summary.failures++;
+      console.error(`[recoverReleasingPayouts] Failed to recover held payout ${payout.heldPayoutId}:`, error);
+    }
+  }
+
+  console.log(`[recoverReleasingPayouts] released: ${summary.released}, failures: ${summary.failures}`);
+  return summary;
+}
+
+// ============================================
+// 스케줄러 / 콜러블
+// ============================================
+
+/**
+ * 최근 종료된 골든벨/큐브 게임 평가 - 스케줄러에서 호출
+ * 마지막 실행 시각부터 (겹침 포함) resultCalculatedAt 기준으로 조회
+ */
+export async function runCollusionDetection(): Promise<{ games: number; cases: number }> {
+  const config = await getCollusionConfig();
+  if (!config.enabled) {
+    console.log('[runCollusionDetection] Disabled by /config/collusion');
+    return { games: 0, cases: 0 };
+  }
+
+  const now = Date.now();
+  const stateSnapshot = await rtdb.ref(`${COLLUSION_STATE_PATH}/lastScanAt`).once('value');
+  const since = (stateSnapshot.val() || now - INITIAL_SCAN_LOOKBACK_MS) - SCAN_OVERLAP_MS;
+
+  let games = 0;
+  let cases = 0;
+  for (const gameType of ['goldenbell', 'cube'] as CollusionGameType[]) {
+    const snapshot = await rtdb.ref(`/games/${gameType}`)
+      .orderByChild('resultCalculatedAt')
+      .startAt(since)
+      .endAt(now)
+      .once('value');
+
+    for (const gameId of Object.keys(snapshot.val() || {})) {
+      try {
+        cases += await evaluateGameForCollusion(gameType, gameId, config);
+        games++;
+      } catch (error) {
+        console.error(`[runCollusionDetection] Failed to evaluate ${gameType} ${gameId}:`, error);
+      }
+    }
+  }
+
+  await rtdb.ref(`${COLLUSION_STATE_PATH}/lastScanAt`).set(now);
+  console.log(`[runCollusionDetection] Evaluated ${games} games, recorded ${cases} cases`);
+  return { games, cases };
+}
+
+/**
+ * 공모 의심 사례 목록 (support 이상)
+ * data: { status?: 'open' | 'confirmed' | 'dismissed', limit? } - 최신순, 기본 50, 최대 200
+ */
+export const listCollusionCases = onCall(withRateLimit('listCollusionCases', async (request: CallableRequest) => {
+  requireRole(request, 'support');
+
+  const { status } = request.data || {};
+  if (status !== undefined && !['open', 'confirmed', 'dismissed'].includes(status)) {
+    throw new HttpsError('invalid-argument', 'status must be open, confirmed or dismissed');
+  }
+  const limit = Math.min(Math.max(Number(request.data?.limit) || 50, 1), 200);
+
+  const query = status
+    ? rtdb.ref(COLLUSION_CASES_PATH).orderByChild('status').equalTo(status)
+    : rtdb.ref(COLLUSION_CASES_PATH).orderByChild('createdAt').limitToLast(limit);
+  const snapshot = await query.once('value');
+
+  const cases = (Object.values(snapshot.val() || {}) as CollusionCase[])
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(0, limit);
+
+  return { success: true, cases };
+}));
+
+/**
+ * 사례 검토 (admin 전용)
+ * data: { caseId, decision: 'confirm' | 'dismiss', note }
+ * - dismiss: 이 사례의 상금 보류 해제, 다른 보류가 없는 계정의 보류 상금 지급
+ * - confirm: 이 사례로 보류된 상금 몰수, 보류는 확정 표시 후 유지 - 이후 상금도 계속 보류 (계정 제재는 별도)
+ */
+export const reviewCollusionCase = onCall(withRateLimit('reviewCollusionCase', withAudit('reviewCollusionCase', async (request: CallableRequest) => {
+  const adminUid = requireRole(request, 'admin');
+  const { caseId, decision } = request.data || {};
+  const note = typeof request.data?.note === 'string' ? request.data.note.trim() : '';
+
+  if (typeof caseId !== 'string' || !caseId) {
+    throw new HttpsError('invalid-argument', 'caseId is required');
+  }
+  if (decision !== 'confirm' && decision !== 'dismiss') {
+    throw new HttpsError('invalid-argument', 'decision must be confirm or dismiss');
+  }
+  if (!note) {
+    throw new HttpsError('invalid-argument', 'note is required');
+  }
+
+  const status: CaseStatus = decision === 'confirm' ? 'confirmed' : 'dismissed';
+  const now = Date.now();
+  const result = await rtdb.ref(`${COLLUSION_CASES_PATH}/${caseId}`).transaction((current: CollusionCase | null) => {
+    if (!current || current.status !== 'open') {
+      return; // Abort - 없거나 이미 검토됨
+    }
+    return { ...current, status, reviewedBy: adminUid, reviewedAt: now, reviewNote: note.slice(0, 500), updatedAt: now };
+  });
+  if (!result.committed) {
+    const exists = (await rtdb.ref(`${COLLUSION_CASES_PATH}/${caseId}`).once('value')).exists();
+    throw exists
+      ? new HttpsError('failed-precondition', 'Case has already been reviewed')
+      : new HttpsError('not-found', 'Case not found');
+  }
+
+  const collusionCase = result.snapshot.val() as CollusionCase;
+  const holdUpdates: Record<string, any> = {};
+  for (const uid of collusionCase.uids) {
+    if (decision === 'confirm') {
+      if (!collusionCase.payoutHold) continue;
+      const hold: PayoutHoldEntry = { gameType: collusionCase.gameType, gameId: collusionCase.gameId, createdAt: collusionCase.createdAt, confirmedAt: now };
+      holdUpdates[`${PAYOUT_HOLDS_PATH}/${uid}/${caseId}`] = hold;
+    } else {
+      holdUpdates[`${PAYOUT_HOLDS_PATH}/${uid}/${caseId}`] = null;
+    }
+  }
+  await rtdb.ref().update(holdUpdates);
+
+  let released = 0;
+  let forfeited = 0;
+  for (const uid of collusionCase.uids) {
+    const [heldSnapshot, remainingHolds] = await Promise.all([
+      rtdb.ref(HELD_PAYOUTS_PATH).orderByChild('uid').equalTo(uid).once('value'),
+      rtdb.ref(`${PAYOUT_HOLDS_PATH}/${uid}`).once('value')
+    ]);
+
+    for (const payout of Object.values(heldSnapshot.val() || {}) as HeldPayout[]) {
+      if (payout.status !== 'held') continue;
+      if (decision === 'confirm') {
+        if ((payout.caseIds || []).includes(caseId) && await resolveHeldPayout(payout.heldPayoutId, 'forfeited')) forfeited++;
+      } else if (!remainingHolds.exists()) {
+        // 남은 보류가 없으면 다른 (이미 기각된) 사례로 보류된 상금도 함께 지급
+        if (await resolveHeldPayout(payout.heldPayoutId, 'released')) released++;
+      }
+    }
+  }
+
+  console.log(`[reviewCollusionCase] ${adminUid} ${status} case ${caseId} (released ${released}, forfeited ${forfeited})`);
+  return { success: true, case: collusionCase, released, forfeited };
+}, { paths: (request) => [`${COLLUSION_CASES_PATH}/${request.data?.caseId}`, PAYOUT_HOLDS_PATH, HELD_PAYOUTS_PATH] })));
@@ -0,0 +1,142 @@
+/**
+ * 국가별 이용 가능 여부 (Country Availability)
+ *
+ * /users/{uid}/profile/country(ISO 3166-1 alpha-2)를 기준으로 게임 종류별, 입출금별 이용 가능 국가를 제한한다.
+ * 설정이 없으면 모두 허용.
+ *
+ * /config/countryAvailability 예시:
+ * {
+ *   "features": {
+ *     "cube": { "blockedCountries": ["US"] },
+ *     "matching_random": { "allowedCountries": ["KR", "JP"], "allowUnknownCountry": false },
+ *     "withdraw": { "blockedCountries": ["CN"] }
+ *   }
+ * }
+ * - allowedCountries가 있으면 목록에 있는 국가만 허용, blockedCountries는 항상 차단
+ * - allowUnknownCountry: 국가가 설정되지 않은 사용자 허용 여부 (기본 true)
+ *
+ * 차단 시 failed-precondition HttpsError의 details.code = COUNTRY_NOT_ALLOWED
+ */
+
+import { HttpsError } from 'firebase-functions/v2/https';
+import { rtdb } from './firebase-config';
+
+export type AvailabilityFeature = 'cube' | 'matching_order' | 'matching_random' | 'goldenbell' | 'deposit' | 'withdraw';
+
+export const AVAILABILITY_FEATURES: AvailabilityFeature[] = [
+  'cube',
+  'matching_order',
+  'matching_random',
+  'goldenbell',
+  'deposit',
+  'withdraw'
+];
+
+interface CountryRule {
+  allowedCountries: string[] | null;
+  blockedCountries: string[];
+  allowUnknownCountry: boolean;
+}
+
+export interface FeatureAvailability {
+  available: boolean;
+  reason?: 'country_not_allowed' | 'country_blocked' | 'country_unknown';
+  allowedCountries: string[] | null;
+  blockedCountries: string[];
+}
+
+export interface UserAvailability {
+  country: string | null;
+  features: Partial<Record<AvailabilityFeature, FeatureAvailability>>;
+}
+
+const AVAILABILITY_CONFIG_PATH = '/config/countryAvailability';
+
+export function normalizeCountryCode(value: any): string | null {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const code = value.trim().toUpperCase();
+  return /^[A-Z]{2}$/.test(code) ? code : null;
+}
+
+function toCountryList(value: any): string[] {
+  const values = Array.isArray(value) ? value : value && typeof value === 'object' ? Object.values(value) : [];
+  return Array.from(new Set(values.map(normalizeCountryCode).filter((code): code is string => code !== null)));
+}
+
+async function getCountryRules(): Promise<Record<AvailabilityFeature, CountryRule>> {
+  const snapshot = await rtdb.ref(AVAILABILITY_CONFIG_PATH).once('value');
+  const configured = snapshot.val()?.features || {};
+  const rules = {} as Record<AvailabilityFeature, CountryRule>;
+
+  for (const feature of AVAILABILITY_FEATURES) {
+    const override = configured[feature] || {};
+    const allowed = toCountryList(override.allowedCountries);
+    rules[feature] = {
+      allowedCountries: allowed.length > 0 ? allowed : null,
+      blockedCountries: toCountryList(override.blockedCountries),
+      allowUnknownCountry: override.allowUnknownCountry !== false
+    };
+  }
+
+  return rules;
+}
+
+function evaluateRule(rule: CountryRule, country: string | null): FeatureAvailability {
+  const base = { allowedCountries: rule.allowedCountries, blockedCountries: rule.blockedCountries };
+
+  if (!country) {
+    return rule.allowUnknownCountry
+      ? { available: true, ...base }
+      : { available: false, reason: 'country_unknown', ...base };
+  }
+  if (rule.blockedCountries.includes(country)) {
+    return { available: false, reason: 'country_blocked', ...base };
+  }
+  if (rule.allowedCountries && !rule.allowedCountries.includes(country)) {
+    return { available: false, reason: 'country_not_allowed', ...base };
+  }
+  return { available: true, ...base };
+}
+
+async function getUserCountry(uid: string): Promise<string | null> {
+  const snapshot = await rtdb.ref(`/users/${uid}/profile/country`).once('value');
+  return normalizeCountryCode(snapshot.val());
+}
+
+/**
+ * 사용자의 기능별 이용 가능 여부 (상태 조회 응답용)
+ * @param features 조회할 기능 (기본: 전체)
+ */
+export async function getUserAvailability(
+  uid: string,
+  features: AvailabilityFeature[] = AVAILABILITY_FEATURES
+): Promise<UserAvailability> {
+  const [rules, country] = await Promise.all([getCountryRules(), getUserCountry(uid)]);
+  const result: UserAvailability['features'] = {};
+  for (const feature of features) {
+    result[feature] = evaluateRule(rules[feature], country);
+  }
+  return { country, features: result };
+}
+
+/**
+ * 기능 이용 가능 여부 확인 (참가/입출금 전에 호출)
+ * @param context 로그용 호출 위치 (예: joinCubeGame)
+ */
+export async function assertFeatureAvailable(uid: string, feature: AvailabilityFeature, context: string): Promise<void> {
+  const { country, features } = await getUserAvailability(uid, [feature]);
+  const availability = features[feature] as FeatureAvailability;
+  if (availability.available) {
+    return;
+  }
+
+  console.warn(`[countryAvailability] ${context} blocked for ${uid}: ${feature} not available in ${country ?? 'unknown country'} (${availability.reason})`);
+  throw new HttpsError('failed-precondition', `${feature} is not available in your country.`, {
+    code: 'COUNTRY_NOT_ALLOWED',
+    feature,
+    country,
+    reason: availability.reason
+  });
+}
@@ -1,10 +1,20 @@
-import { onCall } from 'firebase-functions/v2/https';
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
 import { CallableRequest } from 'firebase-functions/v2/https';
 import { onTaskDispatched } from 'firebase-functions/v2/tasks';
 import { getFunctions } from 'firebase-admin/functions';
 import type { TaskQueue } from 'firebase-admin/functions';
 import { rtdb } from './firebase-config';
+import { testOnlyCall } from './test-harness';
+import { requireRole } from './auth-guards';
+import { withAudit } from './audit';
 import { formatCubeHistory } from './history-formatter';
+import { placeHold, releaseHold, settleHold } from './wallet';
+import { withIdempotency, markIdempotencyCommitted } from './idempotency';
+import { assertCanWager } from './responsible-gaming';
+import { assertFeatureAvailable, getUserAvailability } from './country-availability';
+import { withRateLimit } from './rate-limit';
+import { captureGameOracleSnapshot, OracleSnapshot } from './oracle';
+import { creditGamePayout, screenGameBeforePayout } from './collusion';
 
 const CUBE_SETTLEMENT_DELAY_MS = 4.5 * 60 * 1000;
 const MAX_CUBE_POSITIONS = 2047;
@@ -34,39 +44,6 @@ async function enqueueCubeSettlementTask(gameId: string): Promise<void> {
   });
 }
 
-// Binance API에서 실시간 가격 데이터 가져오기
-async function fetchBinanceOracleData(): Promise<{ gameNumbers: Record<string, number>; prices: Record<string, string>; timestamp: number }> {
-  const cryptoPairs = ["BTCUSDT", "ETHUSDT", "XRPUSDT", "BNBUSDT", "SOLUSDT", "DOGEUSDT", "TRXUSDT"];
-  const priceData: Record<string, string> = {};
-  const gameNumbers: Record<string, number> = {};
-
-  // Fetch prices from Binance API
-  for (const symbol of cryptoPairs) {
-    try {
-      const response = await fetch(
-        `https://api.binance.com/api/v3/ticker/price?symbol=${symbol}`
-      );
-      const data = await response.json();
-      const price = parseFloat(data.price);
-      priceData[symbol] = data.price;
-      
-      // Extract second decimal digit for matching game
-      const priceStr = price.toFixed(2);
-      const secondDecimal = parseInt(priceStr.split('.')[1][1]);
-      gameNumbers[symbol.replace('USDT', '')] = secondDecimal;
-    } catch (error) {
-      console.error(`Failed to fetch price for ${symbol}:`, error);
-      throw new Error(`Failed to fetch Binance price for ${symbol}`);
-    }
-  }
-
-  return {
-    gameNumbers,
-    prices: priceData,
-    timestamp: Date.now()
-  };
-}
-
 // Types
 interface CubeGame {
   gameId: string;
@@ -117,6 +94,7 @@ interface CubeParticipant {
   betAmount: number;
   joinedAt: number;
   betId: string;
+  holdId?: string;
   isWinner?: boolean;
   reward?: number;
   finalPot?: string;
@@ -151,13 +129,6 @@ interface CubeGameResult {
   btcNumber?: number;
 }
 
-interface OracleSnapshot {
-  gameNumbers: Record<string, number>;
-  prices: Record<string, string>;
-  timestamp: number;
-  capturedAt: number;
-}
-
 interface CubeParticipantSettlement {
   finalPot: string;
   finalPotIndex: string;
@@ -412,7 +383,7 @@ function calculateBinaryTreeRewards(): Record<string, number> {
 }
 
 // 큐브 게임 참여
-export const joinCubeGame = onCall(async (request: CallableRequest) => {
+export const joinCubeGame = onCall(withRateLimit('joinCubeGame', withIdempotency('joinCubeGame', async (request: CallableRequest) => {
   if (!request.auth) {
     throw new Error('Authentication required');
   }
@@ -433,6 +404,9 @@ export const joinCubeGame = onCall(async (request: CallableRequest) => {
   }
 
   try {
+    // 국가별 이용 제한 확인 (차단 시 COUNTRY_NOT_ALLOWED 코드의 failed-precondition)
+    await assertFeatureAvailable(uid, 'cube', 'joinCubeGame');
+
     // 현재 활성 큐브 게임 조회
     const currentGame = await getCurrentCubeGameInternal();
     
@@ -488,66 +462,26 @@ export const joinCubeGame = onCall(async (request: CallableRequest) => {
     }
 
     const betAmount = 20; // 20달러 고정
-    
-    // 직접 경로에서 usdt 잔액 확인 (우선)
-    let directBalance = 0;
-    try {
-      const directBalanceSnapshot = await rtdb.ref(`/users/${uid}/wallet/usdt`).once('value');
-      directBalance = directBalanceSnapshot.val() || 0;
-      console.log(`[joinCubeGame] Direct path balance (/users/${uid}/wallet/usdt): ${directBalance} (type: ${typeof directBalance})`);
-    } catch (directError) {
-      console.error(`[joinCubeGame] Error reading direct path:`, directError);
-    }
-    
-    // userData에서도 usdt 확인
-    const userDataBalance = userData.wallet?.usdt || 0;
-    console.log(`[joinCubeGame] UserData wallet.usdt: ${userDataBalance} (type: ${typeof userDataBalance})`);
-    
-    // 최종 잔액: 직접 경로가 있으면 사용, 없으면 userData에서 가져옴
-    const finalBalance = directBalance > 0 ? directBalance : userDataBalance;
-    
-    console.log(`[joinCubeGame] User balance check - direct: ${directBalance}, userData: ${userDataBalance}, final: ${finalBalance}, required: ${betAmount}`);
-    console.log(`[joinCubeGame] Wallet structure:`, JSON.stringify(userData.wallet, null, 2));
-    
-    if (finalBalance < betAmount) {
-      console.error(`[joinCubeGame] Insufficient balance - Current: $${finalBalance}, Required: $${betAmount}`);
-      throw new Error(`Insufficient balance. Current: $${finalBalance}, Required: $${betAmount}`);
-    }
-
-    // 지갑에서 베팅 금액 차감 (트랜잭션 사용, usdt만 사용)
-    console.log(`[joinCubeGame] Attempting to debit ${betAmount} from wallet`);
-    let transactionSuccess = false;
-    let newBalance = 0;
-    
-    const debitResult = await rtdb.ref(`/users/${uid}/wallet/usdt`).transaction((currentBalance) => {
-      const balance = currentBalance !== null && currentBalance !== undefined ? currentBalance : finalBalance;
-      console.log(`[joinCubeGame] Transaction callback - currentBalance from DB: ${currentBalance}, using balance: ${balance}, expected: ${finalBalance}, required: ${betAmount}`);
-      
-      if (balance < betAmount) {
-        console.log(`[joinCubeGame] Transaction aborted - insufficient balance: ${balance} < ${betAmount}`);
-        transactionSuccess = false;
-        return; // Abort transaction
-      }
-      
-      newBalance = balance - betAmount;
-      console.log(`[joinCubeGame] Transaction will commit - newBalance: ${newBalance}`);
-      transactionSuccess = true;
-      return newBalance;
-    });
 
-    console.log(`[joinCubeGame] Transaction result - committed: ${debitResult.committed}, snapshot: ${debitResult.snapshot?.val()}`);
+    const now = Date.now();
+    const newBetId = `cube_bet_${now}_${Math.random().toString(36).substring(2, 8)}`;
 
-    if (!debitResult.committed || !transactionSuccess) {
-      console.error(`[joinCubeGame] Failed to debit wallet - committed: ${debitResult.committed}, transactionSuccess: ${transactionSuccess}`);
-      throw new Error('Failed to debit wallet');
-    }
+    // 책임 있는 게임 한도/쿨오프 확인 (초과 시 RG_* 코드의 failed-precondition)
+    await assertCanWager(uid, betAmount, 'joinCubeGame');
 
-    console.log(`[joinCubeGame] Wallet debited successfully - new balance: ${newBalance}`);
+    // 베팅 금액을 홀드로 이동 + Ledger 기록 (cube 차감 정책 - 기본 IVY 우선, 잔액 부족 시 failed-precondition)
+    // 게임 결과 계산 시 settle, 게임이 취소/미정산되면 sweeper가 release
+    console.log(`[joinCubeGame] Attempting to hold ${betAmount} from wallet`);
+    const hold = await placeHold(uid, 'cube', 'cube_bet', {
+      amountUsd: betAmount,
+      gameType: 'cube',
+      gameId: currentGame.gameId,
+      meta: { position: positionKey, betId: newBetId }
+    });
 
-    const now = Date.now();
+    console.log(`[joinCubeGame] Bet held successfully - holdId: ${hold.holdId}, amounts: ${JSON.stringify(hold.amounts)}`);
 
     const participantEmail = userData.auth?.email || 'unknown';
-    const newBetId = `cube_bet_${now}_${Math.random().toString(36).substring(2, 8)}`;
     const newParticipantEntry: CubeParticipant = {
       uid,
       email: participantEmail,
@@ -555,6 +489,7 @@ export const joinCubeGame = onCall(async (request: CallableRequest) => {
       betAmount,
       joinedAt: now,
       betId: newBetId,
+      holdId: hold.holdId,
       settlementStatus: 'pending'
     };
 
@@ -570,19 +505,21 @@ export const joinCubeGame = onCall(async (request: CallableRequest) => {
       position: positionKey
     } as CubeParticipantSummary;
 
-    await rtdb.ref().update(updates);
+    try {
+      await rtdb.ref().update(updates);
+    } catch (joinError) {
+      // 참가 기록 실패 시 홀드 해제 (금액 반환)
+      await releaseHold(uid, hold.holdId, 'join_failed', { gameId: currentGame.gameId, betId: newBetId });
+      throw joinError;
+    }
+    // 참가 기록까지 커밋됨 - 이후 단계가 실패해도 같은 키로 다시 참가하지 않음
+    markIdempotencyCommitted(request);
 
     // 총 상금 업데이트
     await rtdb.ref(`/games/cube/${currentGame.gameId}/totalPot`).transaction((currentPot) => {
       return (currentPot || 0) + betAmount;
     });
 
-    // Ledger에 베팅 기록
-    await recordCubeLedger(uid, 'debit', betAmount, 'cube_bet', {
-      gameId: currentGame.gameId,
-      position: positionKey
-    });
-
     // 게임이 가득 찼는지 확인 (2047명)
     const updatedGame = await getCurrentCubeGameInternal();
     if (updatedGame && countCubeParticipantSeats(updatedGame.participants) >= MAX_CUBE_POSITIONS) {
@@ -601,7 +538,7 @@ export const joinCubeGame = onCall(async (request: CallableRequest) => {
         settlementAt
       });
 
-      await captureCubeOracleSnapshot(currentGame.gameId);
+      await captureCubeOracleSnapshot(currentGame.gameId, now);
     }
 
     // 실시간 업데이트를 위해 위치 정보 브로드캐스트
@@ -646,12 +583,15 @@ export const joinCubeGame = onCall(async (request: CallableRequest) => {
 
   } catch (error) {
     console.error('Join cube game failed:', error);
+    if (error instanceof HttpsError) {
+      throw error; // 잔액 부족, 책임 있는 게임 한도 등 코드가 있는 에러는 그대로 전달
+    }
     throw new Error(`Failed to join cube game: ${error instanceof Error ? error.message : 'Unknown error'}`);
   }
-});
+})));
 
 // 큐브 게임 상태 조회
-export const getCubeGameStatus = onCall(async (request: CallableRequest) => {
+export const getCubeGameStatus = onCall(withRateLimit('getCubeGameStatus', async (request: CallableRequest) => {
   if (!request.auth) {
     throw new Error('Authentication required');
   }
@@ -660,13 +600,16 @@ export const getCubeGameStatus = onCall(async (request: CallableRequest) => {
 
   try {
     const currentGame = await getCurrentCubeGameInternal();
+    // 국가별 이용 가능 여부 (Unity에서 차단된 게임 숨김)
+    const availability = await getUserAvailability(uid, ['cube']);
     
     if (!currentGame) {
       return {
         success: true,
         status: 'no_game',
         nextGameAt: Date.now() + CUBE_SETTLEMENT_DELAY_MS, // test delay
-        message: 'No active game. New game will start soon.'
+        message: 'No active game. New game will start soon.',
+        availability
       };
     }
 
@@ -691,6 +634,7 @@ export const getCubeGameStatus = onCall(async (request: CallableRequest) => {
       success: true,
       status: currentGame.status,
       gameId: currentGame.gameId,
+      availability,
       participantCount,
       maxParticipants: MAX_CUBE_POSITIONS,
       totalPot: currentGame.totalPot,
@@ -715,10 +659,10 @@ export const getCubeGameStatus = onCall(async (request: CallableRequest) => {
     console.error('Get cube game status failed:', error);
     throw new Error('Failed to get game status');
   }
-});
+}));
 
 // 큐브 게임 위치 목록 조회 (페이징)
-export const getCubeGamePositions = onCall(async (request: CallableRequest) => {
+export const getCubeGamePositions = onCall(withRateLimit('getCubeGamePositions', async (request: CallableRequest) => {
   if (!request.auth) {
     throw new Error('Authentication required');
   }
@@ -775,15 +719,15 @@ export const getCubeGamePositions = onCall(async (request: CallableRequest) => {
     console.error('Get cube positions failed:', error);
     throw new Error('Failed to get positions');
   }
-});
+}));
 
 // getCurrentCubeGame Cloud Function (CORS 지원)
 export const getCurrentCubeGame = onCall(
   { cors: true },
-  async (request: CallableRequest) => {
+  withRateLimit('getCurrentCubeGame', async (request: CallableRequest) => {
     console.log('getCurrentCubeGame called via Cloud Function');
     return await getCurrentCubeGameInternal();
-  }
+  })
 );
 
 // 내부 헬퍼 함수들
@@ -806,6 +750,22 @@ async function getCurrentCubeGameInternal(): Promise<CubeGame | null> {
   return { ...game, gameId };
 }
 
+// 게임 참가자들의 베팅 홀드 확정 (실패한 홀드는 sweeper가 다시 처리)
+async function settleCubeGameHolds(gameId: string, game: CubeGame): Promise<void> {
+  for (const [uid, bets] of Object.entries(game.participants || {})) {
+    for (const bet of Object.values(getParticipantBetMap(bets))) {
+      if (!bet.holdId) {
+        continue;
+      }
+      try {
+        await settleHold(uid, bet.holdId, { gameId, betId: bet.betId });
+      } catch (error) {
+        console.error(`[settleCubeGameHolds] Failed to settle hold ${bet.holdId} for user ${uid}:`, error);
+      }
+    }
+  }
+}
+
 async function calculateCubeGameResult(gameId: string, overrideDirection?: number, overrideMoveDistance?: number): Promise<void> {
   try {
     // 게임 상태를 계산 중으로 변경
@@ -831,12 +791,13 @@ async function calculateCubeGameResult(gameId: string, overrideDirection?: numbe
         gameNumbers: {},
         prices: {},
         timestamp: Date.now(),
+        source: 'override',
         capturedAt: Date.now()
       };
     } else {
       // 일반 동작: Oracle에서 가져오기
       console.log(`[calculateCubeGameResult] Preparing oracle data for game ${gameId} at ${new Date(game.gameEndAt).toISOString()}`);
-      oracleSnapshot = game.oracleSnapshot || await captureCubeOracleSnapshot(gameId);
+      oracleSnapshot = game.oracleSnapshot || await captureCubeOracleSnapshot(gameId, game.gameEndAt);
 
       if (!oracleSnapshot || !oracleSnapshot.gameNumbers) {
         throw new Error('Failed to capture Oracle data for cube game');
@@ -879,6 +840,12 @@ async function calculateCubeGameResult(gameId: string, overrideDirection?: numbe
 
     await rtdb.ref(`/games/cube/${gameId}`).update(finishPayload);
 
+    // 결과가 나온 게임의 베팅 홀드 확정
+    await settleCubeGameHolds(gameId, game);
+
+    // 상금 보류가 켜져 있으면 참가자 정산(finalizeCubeGameHistory) 전에 공모 여부 평가
+    await screenGameBeforePayout('cube', gameId);
+
   } catch (error) {
     console.error(`Failed to calculate cube game result for ${gameId}:`, error);
   }
@@ -923,30 +890,11 @@ function normalizeCubePosition(position: number): number {
   return normalized;
 }
 
-async function captureCubeOracleSnapshot(gameId: string): Promise<OracleSnapshot> {
-  const snapshotRef = rtdb.ref(`/games/cube/${gameId}/oracleSnapshot`);
-  const existing = await snapshotRef.once('value');
-
-  if (existing.exists()) {
-    return existing.val() as OracleSnapshot;
-  }
-
-  console.log(`[captureCubeOracleSnapshot] Fetching Binance oracle data for cube game ${gameId}`);
-  const oracleData = await fetchBinanceOracleData();
-
-  if (!oracleData || !oracleData.gameNumbers) {
-    throw new Error('Failed to fetch oracle data for cube game');
-  }
-
-  const snapshot: OracleSnapshot = {
-    gameNumbers: oracleData.gameNumbers,
-    prices: oracleData.prices,
-    timestamp: oracleData.timestamp,
-    capturedAt: Date.now()
-  };
-
-  await snapshotRef.set(snapshot);
-  return snapshot;
+// 게임 마감 시점의 오라클 스냅샷을 게임에 고정 (oracle.ts의 공용 스냅샷 사용)
+// gameEndAt: 게임 종료 시각 - 이 시각의 공용 스냅샷으로 숫자를 정함
+async function captureCubeOracleSnapshot(gameId: string, gameEndAt: number): Promise<OracleSnapshot> {
+  console.log(`[captureCubeOracleSnapshot] Capturing oracle snapshot for cube game ${gameId} at ${new Date(gameEndAt).toISOString()}`);
+  return captureGameOracleSnapshot(`/games/cube/${gameId}/oracleSnapshot`, gameEndAt);
 }
 
 /* function convertNumberToPositionCode(position: number): string {
@@ -1145,7 +1093,7 @@ async function updateCubeGameRealtimeStatus(gameId: string, statusUpdate: {
 }
 
 // 큐브 게임 이력 조회 (마이페이지용)
-export const getCubeGameHistory = onCall(async (request: CallableRequest) => {
+export const getCubeGameHistory = onCall(withRateLimit('getCubeGameHistory', async (request: CallableRequest) => {
   if (!request.auth) {
     throw new Error('Authentication required');
   }
@@ -1221,10 +1169,10 @@ export const getCubeGameHistory = onCall(async (request: CallableRequest) => {
     console.error('[getCubeGameHistory] Get Cube game history failed:', error);
     throw new Error('Failed to get game history');
   }
-});
+}));
 
 // 사용자가 자신의 히스토리를 최종 확정하도록 호출하는 함수
-export const finalizeCubeGameHistory = onCall(async (request: CallableRequest) => {
+export const finalizeCubeGameHistory = onCall(withRateLimit('finalizeCubeGameHistory', async (request: CallableRequest) => {
   if (!request.auth) {
     throw new Error('Authentication required');
   }
@@ -1316,11 +1264,7 @@ export const finalizeCubeGameHistory = onCall(async (request: CallableRequest) =
 
     let rewardCredited = false;
     if (isWinner && !participant.rewardSettledAt) {
-      await rtdb.ref(`/users/${uid}/wallet/usdt`).transaction((currentBalance) => {
-        return (currentBalance || 0) + rewardAmount;
-      });
-
-      await recordCubeLedger(uid, 'credit', rewardAmount, 'cube_win', {
+      await creditGamePayout(uid, rewardAmount, 'cube_win', {
         gameId,
         position: resolvedFinalPotCode,
         settledVia: 'finalizeCubeGameHistory'
@@ -1394,32 +1338,14 @@ export const finalizeCubeGameHistory = onCall(async (request: CallableRequest) =
     console.error('[finalizeCubeGameHistory] Failed to finalize history:', error);
     throw new Error(error instanceof Error ? error.message : 'Failed to finalize history');
   }
-});
-
-async function recordCubeLedger(
-  uid: string, 
-  type: 'credit' | 'debit', 
-  amount: number, 
-  operation: string, 
-  meta: any
-): Promise<void> {
-  const ledgerEntry = {
-    type,
-    amountUsd: amount,
-    meta: {
-      operation,
-      ...meta,
-      timestamp: Date.now()
-    },
-    createdAt: Date.now()
-  };
-
-  await rtdb.ref(`/ledger/${uid}`).push(ledgerEntry);
-}
+}));
 
 // 초기 큐브 게임 생성 (시스템 시작시)
-export const initializeCubeGame = onCall(async (request: CallableRequest) => {
+export const initializeCubeGame = onCall(withRateLimit('initializeCubeGame', withAudit('initializeCubeGame', async (request: CallableRequest) => {
+  const operatorUid = requireRole(request, 'operator');
+
   try {
+    console.log(`[initializeCubeGame] Operator ${operatorUid} requested initialization`);
     // 현재 활성 게임이 있는지 확인
     const currentGame = await getCurrentCubeGameInternal();
     
@@ -1432,13 +1358,13 @@ export const initializeCubeGame = onCall(async (request: CallableRequest) => {
     
   } catch (error) {
     console.error('Failed to initialize cube game:', error);
-    throw new Error('Failed to initialize cube game');
+    throw new HttpsError('internal', 'Failed to initialize cube game');
   }
-});
+}, { paths: ['/games/cube'] })));
 
 // 큐브 게임 정산 및 새 게임 생성 스케줄러 (매 1분마다 실행)
 // 테스트 함수: Cube 게임을 종료된 것처럼 처리하여 결과 계산
-export const testCubeGameSettlement = onCall(async (request: CallableRequest) => {
+export const testCubeGameSettlement = testOnlyCall('testCubeGameSettlement', async (request: CallableRequest) => {
   if (!request.auth) {
     throw new Error('Authentication required');
   }
@@ -1479,7 +1405,7 @@ export async function processCubeGameSettlements(): Promise<void> {
           countdown: CUBE_SETTLEMENT_DELAY_MS,
           settlementAt
         });
-        await captureCubeOracleSnapshot(gameId);
+        await captureCubeOracleSnapshot(gameId, now);
         continue;
       }
 
@@ -1494,7 +1420,7 @@ export async function processCubeGameSettlements(): Promise<void> {
           gameEndAt: now,
           settlementAt
         });
-        await captureCubeOracleSnapshot(gameId);
+        await captureCubeOracleSnapshot(gameId, now);
         continue;
       }
 
@@ -1540,7 +1466,7 @@ export async function processCubeGameSettlements(): Promise<void> {
 }
 
 // 테스트 함수: 현재 게임을 강제로 가득 찬 상태로 만들기
-export const testFillCubeGame = onCall(async (request: CallableRequest) => {
+export const testFillCubeGame = testOnlyCall('testFillCubeGame', async (request: CallableRequest) => {
   try {
     console.log('[testFillCubeGame] Starting cube game fill test...');
     
@@ -1644,7 +1570,7 @@ export const testFillCubeGame = onCall(async (request: CallableRequest) => {
       progressPercent: 100
     });
 
-    await captureCubeOracleSnapshot(currentGame.gameId);
+    await captureCubeOracleSnapshot(currentGame.gameId, now);
 
     console.log(`[testFillCubeGame] Game ${currentGame.gameId} filled successfully. All ${finalParticipantCount} positions (Index 1-2047) are now occupied. Settlement scheduled in 5 seconds.`);
 
@@ -1664,10 +1590,10 @@ export const testFillCubeGame = onCall(async (request: CallableRequest) => {
     console.error('[testFillCubeGame] Test fill failed:', error);
     throw new Error(`Failed to fill cube game: ${error instanceof Error ? error.message : 'Unknown error'}`);
   }
-});
+}, { destructive: true, paths: ['/games/cube', '/games/cube_realtime'] });
 
 // 테스트 함수: 특정 Oracle 결과로 게임 결과 강제 계산
-export const testCubeGameWithOracle = onCall(async (request: CallableRequest) => {
+export const testCubeGameWithOracle = testOnlyCall('testCubeGameWithOracle', async (request: CallableRequest) => {
   const { oracleNumbers } = request.data as { oracleNumbers?: Record<string, number> };
   
   try {
@@ -1732,10 +1658,10 @@ export const testCubeGameWithOracle = onCall(async (request: CallableRequest) =>
     console.error('[testCubeGameWithOracle] Test oracle failed:', error);
     throw new Error(`Failed to test cube game with oracle: ${error instanceof Error ? error.message : 'Unknown error'}`);
   }
-});
+}, { destructive: true, paths: ['/games/cube', '/games/cube_realtime'] });
 
 // 테스트 함수: Cube 게임에서 MoveDistance와 MoveDirection을 고정하고 정산
-export const testCubeGameWithFixedMove = onCall(async (request: CallableRequest) => {
+export const testCubeGameWithFixedMove = testOnlyCall('testCubeGameWithFixedMove', async (request: CallableRequest) => {
   if (!request.auth) {
     throw new Error('Authentication required');
   }
@@ -1834,10 +1760,10 @@ export const testCubeGameWithFixedMove = onCall(async (request: CallableRequest)
     console.error('[testCubeGameWithFixedMove] Test failed:', error);
     throw new Error(`Failed to test cube game with fixed move: ${error instanceof Error ? error.message : 'Unknown error'}`);
   }
-});
+}, { destructive: true, paths: ['/games/cube', '/games/cube_realtime'] });
 
 // 테스트 함수: 현재 실행 중인 Cube 게임을 없애고 강제로 새로운 게임 생성
-export const testResetCubeGame = onCall(async (request: CallableRequest) => {
+export const testResetCubeGame = testOnlyCall('testResetCubeGame', async (request: CallableRequest) => {
   if (!request.auth) {
     throw new Error('Authentication required');
   }
@@ -1899,7 +1825,7 @@ export const testResetCubeGame = onCall(async (request: CallableRequest) => {
     console.error('[testResetCubeGame] Reset failed:', error);
     throw new Error(`Failed to reset cube game: ${error instanceof Error ? error.message : 'Unknown error'}`);
   }
-});
+}, { destructive: true, paths: ['/games/cube', '/games/cube_realtime'] });
 
 export const cubeGameSettlementWorker = onTaskDispatched<CubeSettlementTaskPayload>(
   {
@@ -1,6 +1,12 @@
-import { onCall } from 'firebase-functions/v2/https';
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
 import { CallableRequest } from 'firebase-functions/v2/https';
 import { rtdb } from './firebase-config';
+import { creditWallet, getWalletBalance, placeHold, releaseHold, settleHold } from './wallet';
+import { getMembershipConfig, isVipMembership } from './membership';
+import { assertCanWager } from './responsible-gaming';
+import { assertFeatureAvailable, getUserAvailability } from './country-availability';
+import { withRateLimit } from './rate-limit';
+import { getLatestOracleSnapshot, getOracleSnapshotAt } from './oracle';
 
 // Types
 interface GameBetRequest {
@@ -9,12 +15,6 @@ interface GameBetRequest {
   betData: any; // 게임별 베팅 데이터 (위치, 번호 등)
 }
 
-/* interface OracleSnapshot {
-  timestamp: number;
-  prices: Record<string, string>;
-  gameNumbers: Record<string, number>;
-} */
-
 interface GameResult {
   isWin: boolean;
   reward: number;
@@ -23,7 +23,7 @@ interface GameResult {
 }
 
 // 게임 베팅 및 결과 처리 (단일 함수로 통합)
-export const playGame = onCall(async (request: CallableRequest) => {
+export const playGame = onCall(withRateLimit('playGame', async (request: CallableRequest) => {
   if (!request.auth) {
     throw new Error('Authentication required');
   }
@@ -35,8 +35,11 @@ export const playGame = onCall(async (request: CallableRequest) => {
   if (!gameType || !betAmount || betAmount <= 0) {
     throw new Error('Invalid game parameters');
   }
+  if (!['cube', 'matching', 'goldenbell'].includes(gameType)) {
+    throw new Error(`Unknown game type: ${gameType}`);
+  }
 
-  // 사용자 잔액 확인
+  // 사용자 확인
   const userSnapshot = await rtdb.ref(`/users/${uid}`).once('value');
   const userData = userSnapshot.val();
   
@@ -44,11 +47,6 @@ export const playGame = onCall(async (request: CallableRequest) => {
     throw new Error('User not found');
   }
 
-  const userBalance = userData.wallet?.usdt || 0;
-  if (userBalance < betAmount) {
-    throw new Error('Insufficient balance');
-  }
-
   // 활성 게임 확인
   const currentGameSnapshot = await rtdb.ref('/games/current').once('value');
   const currentGame = currentGameSnapshot.val();
@@ -57,54 +55,42 @@ export const playGame = onCall(async (request: CallableRequest) => {
     throw new Error('No active game available');
   }
 
-  // Oracle 데이터 확인
-  const oracleSnapshot = await rtdb.ref('/oracle/current').once('value');
-  const oracleData = oracleSnapshot.val();
-  
-  if (!oracleData || !oracleData.gameNumbers) {
-    throw new Error('Oracle data not available');
-  }
+  // Oracle 데이터 확인 - 즉석 게임은 플레이 시각이 게임 시각 (그 시각의 공용 스냅샷, 실패 시 에러)
+  const playedAt = Date.now();
+  const oracleData = await getOracleSnapshotAt(playedAt);
 
   const transactionId = generateTransactionId();
 
-  try {
-    // 1. 베팅 금액 차감
-    const debitResult = await rtdb.ref(`/users/${uid}/wallet/usdt`).transaction((currentBalance) => {
-      if ((currentBalance || 0) < betAmount) {
-        return; // 트랜잭션 중단
-      }
-      return currentBalance - betAmount;
-    });
+  // 국가별 이용 제한, 책임 있는 게임 한도/쿨오프 확인 (차단 시 코드가 있는 failed-precondition)
+  await assertFeatureAvailable(uid, gameType === 'matching' ? 'matching_order' : gameType, 'playGame');
+  await assertCanWager(uid, betAmount, 'playGame');
 
-    if (!debitResult.committed) {
-      throw new Error('Insufficient funds');
-    }
+  // 1. 베팅 금액을 홀드로 이동 (Ledger 기록 포함, 잔액 부족 시 failed-precondition)
+  const hold = await placeHold(uid, 'instant', `${gameType}_bet`, {
+    amountUsd: betAmount,
+    gameType: 'instant',
+    gameId: currentGame.id,
+    meta: { instantGameType: gameType, betData, transactionId }
+  });
 
-    // 2. 베팅 기록
-    await recordTransaction(uid, 'debit', betAmount, `${gameType}_bet`, {
-      gameType,
-      betData,
-      transactionId,
-      gameId: currentGame.id
-    });
-
-    // 3. 게임 결과 계산 (서버에서 실행)
+  try {
+    // 2. 게임 결과 계산 (서버에서 실행)
     const gameResult = await calculateGameResult(gameType, betData, oracleData, betAmount);
     gameResult.transactionId = transactionId;
 
-    // 4. 승리시 보상 지급
-    if (gameResult.isWin && gameResult.reward > 0) {
-      await rtdb.ref(`/users/${uid}/wallet/usdt`).transaction((currentBalance) => {
-        return (currentBalance || 0) + gameResult.reward;
-      });
+    // 3. 결과가 나왔으므로 베팅 확정
+    await settleHold(uid, hold.holdId, { transactionId });
 
-      // 보상 기록
-      await recordTransaction(uid, 'credit', gameResult.reward, `${gameType}_win`, {
+    // 4. 승리시 보상 지급 (Ledger 기록 포함)
+    let balance: number | null = null;
+    if (gameResult.isWin && gameResult.reward > 0) {
+      const creditResult = await creditWallet(uid, gameResult.reward, `${gameType}_win`, {
         gameType,
         gameResult: gameResult.gameData,
         transactionId,
         originalBet: betAmount
       });
+      balance = creditResult.balanceAfter;
     }
 
     console.log(`Game ${gameType} completed for user ${uid}: ${gameResult.isWin ? 'WIN' : 'LOSE'}`);
@@ -112,18 +98,12 @@ export const playGame = onCall(async (request: CallableRequest) => {
     return {
       success: true,
       result: gameResult,
-      balance: await getCurrentBalance(uid)
+      balance: balance ?? await getWalletBalance(uid)
     };
 
   } catch (error) {
-    // 에러 발생시 차감된 금액 환불
-    await rtdb.ref(`/users/${uid}/wallet/usdt`).transaction((currentBalance) => {
-      return (currentBalance || 0) + betAmount;
-    });
-
-    // 환불 기록
-    await recordTransaction(uid, 'credit', betAmount, 'bet_refund', {
-      reason: 'game_error',
+    // 에러 발생시 홀드 해제 (아직 확정되지 않은 경우만 반환, Ledger 기록 포함)
+    await releaseHold(uid, hold.holdId, 'game_error', {
       originalTransactionId: transactionId,
       error: error instanceof Error ? error.message : 'Unknown error'
     });
@@ -131,7 +111,7 @@ export const playGame = onCall(async (request: CallableRequest) => {
     console.error('Game play failed:', error);
     throw new Error(`Game failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
   }
-});
+}));
 
 // 게임 결과 계산 함수들
 async function calculateGameResult(
@@ -282,66 +262,40 @@ function countMatches(userNumbers: number[], winningNumbers: number[]): number {
   return matches;
 }
 
-// 트랜잭션 기록 함수
-async function recordTransaction(
-  uid: string, 
-  type: 'credit' | 'debit', 
-  amount: number, 
-  operation: string, 
-  meta: any
-): Promise<void> {
-  const ledgerEntry = {
-    type,
-    amountUsd: amount,
-    meta: {
-      operation,
-      ...meta,
-      timestamp: Date.now()
-    },
-    createdAt: Date.now()
-  };
-
-  await rtdb.ref(`/ledger/${uid}`).push(ledgerEntry);
-}
-
-// 현재 잔액 조회
-async function getCurrentBalance(uid: string): Promise<number> {
-  const walletSnapshot = await rtdb.ref(`/users/${uid}/wallet/usdt`).once('value');
-  return walletSnapshot.val() || 0;
-}
-
 // 트랜잭션 ID 생성
 function generateTransactionId(): string {
   return `tx_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
 }
 
 // 현재 게임 상태 조회
-export const getCurrentGameStatus = onCall(async (request: CallableRequest) => {
+export const getCurrentGameStatus = onCall(withRateLimit('getCurrentGameStatus', async (request: CallableRequest) => {
   if (!request.auth) {
     throw new Error('Authentication required');
   }
 
   try {
     const gameSnapshot = await rtdb.ref('/games/current').once('value');
-    const oracleSnapshot = await rtdb.ref('/oracle/current').once('value');
+    const oracleData = await getLatestOracleSnapshot();
     
     const gameData = gameSnapshot.val();
-    const oracleData = oracleSnapshot.val();
+    // 게임/입출금별 국가 이용 가능 여부 (Unity에서 차단된 게임 숨김)
+    const availability = await getUserAvailability(request.auth.uid);
 
     return {
       success: true,
       game: gameData,
       oracle: oracleData,
+      availability,
       timestamp: Date.now()
     };
   } catch (error) {
     console.error('Get game status failed:', error);
     throw new Error('Failed to get game status');
   }
-});
+}));
 
 // 사용자 최근 게임 기록 조회
-export const getUserGameHistory = onCall(async (request: CallableRequest) => {
+export const getUserGameHistory = onCall(withRateLimit('getUserGameHistory', async (request: CallableRequest) => {
   if (!request.auth) {
     throw new Error('Authentication required');
   }
@@ -371,12 +325,12 @@ export const getUserGameHistory = onCall(async (request: CallableRequest) => {
     console.error('Get game history failed:', error);
     throw new Error('Failed to get game history');
   }
-});
+}));
 
 // ==================== 골든벨 전용 함수 ====================
 
 // 골든벨 베팅 금액 차감
-export const processGoldenBellBet = onCall(async (request: CallableRequest) => {
+export const processGoldenBellBet = onCall(withRateLimit('processGoldenBellBet', async (request: CallableRequest) => {
   if (!request.auth) {
     throw new Error('Authentication required');
   }
@@ -397,31 +351,22 @@ export const processGoldenBellBet = onCall(async (request: CallableRequest) => {
       throw new Error('User not found');
     }
 
-    const userBalance = userData.wallet?.usdt || 0;
-    if (userBalance < betAmount) {
-      throw new Error('Insufficient balance');
-    }
-
-    // 베팅 금액 차감
-    const debitResult = await rtdb.ref(`/users/${uid}/wallet/usdt`).transaction((currentBalance) => {
-      if ((currentBalance || 0) < betAmount) {
-        return; // 트랜잭션 중단
-      }
-      return (currentBalance || 0) - betAmount;
-    });
-
-    if (!debitResult.committed) {
-      throw new Error('Insufficient funds');
-    }
-
     const transactionId = generateTransactionId();
 
-    // 베팅 기록 (Ledger)
-    await recordTransaction(uid, 'debit', betAmount, 'goldenbell_bet', {
+    // 국가별 이용 제한, 책임 있는 게임 한도/쿨오프 확인 (차단 시 코드가 있는 failed-precondition)
+    await assertFeatureAvailable(uid, 'goldenbell', 'processGoldenBellBet');
+    await assertCanWager(uid, betAmount, 'processGoldenBellBet');
+
+    // 베팅 금액을 홀드로 이동 + 베팅 기록 (Ledger, goldenbell 차감 정책 - 잔액 부족 시 failed-precondition)
+    // 라운드 결과 계산 시 settle
+    const hold = await placeHold(uid, 'goldenbell', 'goldenbell_bet', {
+      amountUsd: betAmount,
+      gameType: 'goldenbell',
       gameId,
       round,
-      transactionId
+      meta: { transactionId }
     });
+    await rtdb.ref(`/games/goldenbell/${gameId}/participants/${uid}/roundHolds/${round}`).set(hold.holdId);
 
     // 골든벨 히스토리 저장
     await saveGoldenBellHistory(uid, {
@@ -438,17 +383,21 @@ export const processGoldenBellBet = onCall(async (request: CallableRequest) => {
     return {
       success: true,
       transactionId,
-      newBalance: debitResult.snapshot?.val() || 0
+      newBalance: await getWalletBalance(uid),
+      holdId: hold.holdId
     };
 
   } catch (error) {
     console.error('[processGoldenBellBet] Failed:', error);
+    if (error instanceof HttpsError) {
+      throw error; // 잔액 부족, 책임 있는 게임 한도 등 코드가 있는 에러는 그대로 전달
+    }
     throw new Error(`Failed to process bet: ${error instanceof Error ? error.message : 'Unknown error'}`);
   }
-});
+}));
 
 // 골든벨 참가자 등록 (USDT 차감 포함)
-export const registerGoldenBellParticipant = onCall(async (request: CallableRequest) => {
+export const registerGoldenBellParticipant = onCall(withRateLimit('registerGoldenBellParticipant', async (request: CallableRequest) => {
   if (!request.auth) {
     throw new Error('Authentication required');
   }
@@ -471,32 +420,10 @@ export const registerGoldenBellParticipant = onCall(async (request: CallableRequ
 
     // VIP 상태 확인
     const membership = userData?.profile?.membership;
-    const isVip = membership?.toLowerCase() === 'vip';
+    const isVip = isVipMembership(membership, await getMembershipConfig());
     console.log(`[registerGoldenBellParticipant] VIP check - membership: ${membership}, isVip: ${isVip}`);
 
-    // 직접 경로에서 usdt 잔액 확인 (우선)
-    let directBalance = 0;
-    try {
-      const directBalanceSnapshot = await rtdb.ref(`/users/${uid}/wallet/usdt`).once('value');
-      directBalance = directBalanceSnapshot.val() || 0;
-      console.log(`[registerGoldenBellParticipant] Direct path balance (/users/${uid}/wallet/usdt): ${directBalance}`);
-    } catch (directError) {
-      console.error(`[registerGoldenBellParticipant] Error reading direct path:`, directError);
-    }
-    
-    // userData에서도 usdt 확인
-    const userDataBalance = userData.wallet?.usdt || 0;
-    
-    // 최종 잔액: 직접 경로가 있으면 사용, 없으면 userData에서 가져옴
-    const finalBalance = directBalance > 0 ? directBalance : userDataBalance;
     const betAmount = 1; // 첫 라운드 배팅 금액 1 USDT
-    
-    console.log(`[registerGoldenBellParticipant] User balance check - direct: ${directBalance}, userData: ${userDataBalance}, final: ${finalBalance}, required: ${betAmount}`);
-    
-    if (finalBalance < betAmount) {
-      console.error(`[registerGoldenBellParticipant] Insufficient balance - Current: $${finalBalance}, Required: $${betAmount}`);
-      throw new Error(`Insufficient balance. Current: $${finalBalance}, Required: $${betAmount}`);
-    }
 
     // 참가자 경로 확인
     const participantPath = `/games/goldenbell/${gameId}/participants/${uid}`;
@@ -526,30 +453,22 @@ export const registerGoldenBellParticipant = onCall(async (request: CallableRequ
       }
     }
 
-    // 지갑에서 베팅 금액 차감 (트랜잭션 사용, usdt만 사용)
-    const expectedBalance = finalBalance;
-    const debitResult = await rtdb.ref(`/users/${uid}/wallet/usdt`).transaction((currentBalance) => {
-      const balance = currentBalance !== null && currentBalance !== undefined ? currentBalance : expectedBalance;
-      
-      console.log(`[registerGoldenBellParticipant] Transaction callback - currentBalance: ${currentBalance}, using balance: ${balance}, required: ${betAmount}`);
-      
-      if (balance < betAmount) {
-        console.log(`[registerGoldenBellParticipant] Transaction aborted - insufficient balance: ${balance} < ${betAmount}`);
-        return; // 트랜잭션 중단
-      }
-      
-      const newBalance = balance - betAmount;
-      console.log(`[registerGoldenBellParticipant] Transaction will commit - newBalance: ${newBalance}`);
-      return newBalance;
-    });
+    // 국가별 이용 제한, 책임 있는 게임 한도/쿨오프 확인 (차단 시 코드가 있는 failed-precondition)
+    await assertFeatureAvailable(uid, 'goldenbell', 'registerGoldenBellParticipant');
+    await assertCanWager(uid, betAmount, 'registerGoldenBellParticipant');
 
-    if (!debitResult.committed) {
-      const snapshotValue = debitResult.snapshot?.val();
-      console.error(`[registerGoldenBellParticipant] Transaction failed - committed: ${debitResult.committed}, snapshot: ${snapshotValue}`);
-      throw new Error(`Failed to debit wallet. Transaction was not committed. Current balance: ${snapshotValue}`);
-    }
+    // 베팅 금액을 홀드로 이동 + Ledger 기록 (goldenbell 차감 정책 - 잔액 부족 시 failed-precondition)
+    // 1라운드 결과 계산 시 settle
+    const transactionId = generateTransactionId();
+    const hold = await placeHold(uid, 'goldenbell', 'goldenbell_register', {
+      amountUsd: betAmount,
+      gameType: 'goldenbell',
+      gameId,
+      round: 1,
+      meta: { transactionId }
+    });
     
-    console.log(`[registerGoldenBellParticipant] Wallet debited successfully - new balance: ${debitResult.snapshot.val()}`);
+    console.log(`[registerGoldenBellParticipant] Bet held successfully - holdId: ${hold.holdId}, amounts: ${JSON.stringify(hold.amounts)}`);
 
     // 참가자 데이터 생성/업데이트
     const participantData = {
@@ -568,11 +487,18 @@ export const registerGoldenBellParticipant = onCall(async (request: CallableRequ
       isWinner: false,
       exitReason: null,
       exitedAt: 0,
-      isVip: isVip
+      isVip: isVip,
+      roundHolds: { 1: hold.holdId }
     };
 
     console.log(`[registerGoldenBellParticipant] Saving participant data to path: ${participantPath}`, participantData);
-    await participantRef.set(participantData);
+    try {
+      await participantRef.set(participantData);
+    } catch (saveError) {
+      // 참가 기록 실패 시 홀드 해제 (금액 반환)
+      await releaseHold(uid, hold.holdId, 'join_failed', { gameId, transactionId });
+      throw saveError;
+    }
     
     // 저장 확인
     const verifySnapshot = await participantRef.once('value');
@@ -581,14 +507,6 @@ export const registerGoldenBellParticipant = onCall(async (request: CallableRequ
     }
     console.log(`[registerGoldenBellParticipant] Participant data saved and verified:`, verifySnapshot.val());
 
-    // Ledger에 베팅 기록
-    const transactionId = generateTransactionId();
-    await recordTransaction(uid, 'debit', betAmount, 'goldenbell_register', {
-      gameId,
-      round: 1,
-      transactionId
-    });
-
     // 골든벨 히스토리 저장
     await saveGoldenBellHistory(uid, {
       type: 'register',
@@ -605,71 +523,22 @@ export const registerGoldenBellParticipant = onCall(async (request: CallableRequ
       success: true,
       gameId,
       uid,
-      newBalance: debitResult.snapshot.val(),
+      newBalance: await getWalletBalance(uid),
+      holdId: hold.holdId,
       transactionId
     };
 
   } catch (error) {
     console.error('[registerGoldenBellParticipant] Failed:', error);
+    if (error instanceof HttpsError) {
+      throw error; // 잔액 부족, 책임 있는 게임 한도 등 코드가 있는 에러는 그대로 전달
+    }
     throw new Error(`Failed to register participant: ${error instanceof Error ? error.message : 'Unknown error'}`);
   }
-});
+}));
 
-// 골든벨 수당 지급
-export const processGoldenBellReward = onCall(async (request: CallableRequest) => {
-  if (!request.auth) {
-    throw new Error('Authentication required');
-  }
-
-  const { uid } = request.auth;
-  const { gameId, round, rewardAmount }: { gameId: string; round: number; rewardAmount: number } = request.data;
-
-  if (!gameId || !round || !rewardAmount || rewardAmount <= 0) {
-    throw new Error('Invalid parameters');
-  }
-
-  try {
-    // 수당 지급
-    const creditResult = await rtdb.ref(`/users/${uid}/wallet/usdt`).transaction((currentBalance) => {
-      return (currentBalance || 0) + rewardAmount;
-    });
-
-    if (!creditResult.committed) {
-      throw new Error('Failed to credit reward');
-    }
-
-    const transactionId = generateTransactionId();
-
-    // 수당 기록 (Ledger)
-    await recordTransaction(uid, 'credit', rewardAmount, 'goldenbell_reward', {
-      gameId,
-      round,
-      transactionId
-    });
-
-    // 골든벨 히스토리 저장
-    await saveGoldenBellHistory(uid, {
-      type: 'reward',
-      gameId,
-      round,
-      rewardAmount,
-      timestamp: Date.now(),
-      transactionId
-    });
-
-    console.log(`[processGoldenBellReward] User ${uid} received ${rewardAmount} USDT reward for game ${gameId} round ${round}`);
-
-    return {
-      success: true,
-      transactionId,
-      newBalance: creditResult.snapshot?.val() || 0
-    };
-
-  } catch (error) {
-    console.error('[processGoldenBellReward] Failed:', error);
-    throw new Error(`Failed to process reward: ${error instanceof Error ? error.message : 'Unknown error'}`);
-  }
-});
+// 골든벨 수당은 goldenbell-game-new.ts의 submitGoldenBellDecision이 저장된 라운드 결과 기준으로만 지급한다
+// (클라이언트가 금액을 보내는 지급 callable은 두지 않음)
 
 // 골든벨 히스토리 저장 (내부 함수)
 async function saveGoldenBellHistory(uid: string, historyData: {
@@ -690,7 +559,7 @@ async function saveGoldenBellHistory(uid: string, historyData: {
 }
 
 // 골든벨 히스토리 조회
-export const getGoldenBellHistory = onCall(async (request: CallableRequest) => {
+export const getGoldenBellHistory = onCall(withRateLimit('getGoldenBellHistory', async (request: CallableRequest) => {
   if (!request.auth) {
     throw new Error('Authentication required');
   }
@@ -715,4 +584,4 @@ export const getGoldenBellHistory = onCall(async (request: CallableRequest) => {
     console.error('[getGoldenBellHistory] Failed:', error);
     throw new Error('Failed to get Golden Bell history');
   }
-});
\ No newline at end of file
+}));
\ No newline at end of file
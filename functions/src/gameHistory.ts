@@ -1,7 +1,10 @@
 import { onCall, HttpsError } from 'firebase-functions/v2/https';
 import { CallableRequest } from 'firebase-functions/v2/https';
-import { rtdb } from './firebase-config';
+import admin, { rtdb } from './firebase-config';
+import { requireRole } from './auth-guards';
 import { formatGameHistory } from './history-formatter';
+import { withRateLimit } from './rate-limit';
+import { withAudit } from './audit';
 
 // 기본 게임 히스토리 인터페이스
 interface BaseGameHistory {
@@ -98,15 +101,20 @@ interface CubeGameHistory extends BaseGameHistory {
   isAutoSelected: boolean;
 }
 
-// 히스토리 생성 함수
-export const createGameHistory = onCall({ invoker: 'public' }, async (request: CallableRequest) => {
-  try {
-    if (!request.auth) {
-      throw new HttpsError('unauthenticated', 'Authentication required');
-    }
+// 대상 사용자 UID 검증 (운영자가 다른 사용자의 히스토리를 기록/수정)
+function requireTargetUid(data: any): string {
+  const uid = typeof data?.uid === 'string' ? data.uid.trim() : '';
+  if (!uid) {
+    throw new HttpsError('invalid-argument', 'uid is required');
+  }
+  return uid;
+}
 
-    const uid = request.auth.uid;
-    const email = request.auth.token.email || '';
+// 히스토리 생성 함수 (operator 이상 - 게임 히스토리는 게임 서버 함수가 기록하고, 이 함수는 수동 보정용)
+export const createGameHistory = onCall({ invoker: 'public' }, withRateLimit('createGameHistory', withAudit('createGameHistory', async (request: CallableRequest) => {
+  try {
+    const operatorUid = requireRole(request, 'operator');
+    const uid = requireTargetUid(request.data);
 
     const { gameType, gameId, betAmount, gameData } = request.data;
     
@@ -115,6 +123,16 @@ export const createGameHistory = onCall({ invoker: 'public' }, async (request: C
       throw new HttpsError('invalid-argument', 'Missing required data');
     }
 
+    let email = '';
+    try {
+      email = (await admin.auth().getUser(uid)).email || '';
+    } catch (error: any) {
+      if (error?.code === 'auth/user-not-found') {
+        throw new HttpsError('not-found', 'User not found');
+      }
+      throw error;
+    }
+
     const timestamp = Date.now();
     
     // gameType이 'matching'인 경우, gameId나 gameData에서 타입 자동 추론
@@ -269,7 +287,7 @@ export const createGameHistory = onCall({ invoker: 'public' }, async (request: C
     // Firebase Realtime Database에 저장
     await rtdb.ref(`gameHistory/${uid}/${historyId}`).set(historyData);
 
-    console.log(`[createGameHistory] Created history: ${historyId} for user ${uid}, gameType: ${gameType}`);
+    console.log(`[createGameHistory] Operator ${operatorUid} created history: ${historyId} for user ${uid}, gameType: ${gameType}`);
 
     return {
       success: true,
@@ -291,12 +309,13 @@ export const createGameHistory = onCall({ invoker: 'public' }, async (request: C
     
     throw new HttpsError('internal', `Failed to create game history: ${errorMessage}`);
   }
-});
+}, { paths: (request) => [`/gameHistory/${request.data?.uid}`] })));
 
-// 히스토리 업데이트 함수 (결과 반영)
-export const updateGameHistoryResult = onCall({ invoker: 'public' }, async (request: CallableRequest) => {
+// 히스토리 업데이트 함수 (결과 반영, operator 이상)
+export const updateGameHistoryResult = onCall({ invoker: 'public' }, withRateLimit('updateGameHistoryResult', withAudit('updateGameHistoryResult', async (request: CallableRequest) => {
   try {
-    const uid = request.auth?.uid;
+    const operatorUid = requireRole(request, 'operator');
+    const uid = requireTargetUid(request.data);
     const { historyId, resultData } = request.data;
     
     if (!historyId || !resultData) {
@@ -349,6 +368,8 @@ export const updateGameHistoryResult = onCall({ invoker: 'public' }, async (requ
 
     await historyRef.update(updates);
 
+    console.log(`[updateGameHistoryResult] Operator ${operatorUid} updated history ${historyId} for user ${uid}`);
+
     return {
       success: true,
       message: 'Game result updated successfully'
@@ -356,12 +377,15 @@ export const updateGameHistoryResult = onCall({ invoker: 'public' }, async (requ
 
   } catch (error) {
     console.error('updateGameHistoryResult error:', error);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
     throw new HttpsError('internal', 'Failed to update game result');
   }
-});
+}, { paths: (request) => [`/gameHistory/${request.data?.uid}/${request.data?.historyId}`] })));
 
 // 사용자 게임 히스토리 조회
-export const getUserGameHistory = onCall(async (request: CallableRequest) => {
+export const getUserGameHistory = onCall(withRateLimit('getUserGameHistory', async (request: CallableRequest) => {
   try {
     if (!request.auth) {
       throw new HttpsError('unauthenticated', 'Authentication required');
@@ -415,10 +439,10 @@ export const getUserGameHistory = onCall(async (request: CallableRequest) => {
     console.error('getUserGameHistory error:', error);
     throw new HttpsError('internal', 'Failed to retrieve game history');
   }
-});
+}));
 
 // 완료되지 않은 게임 조회 (결과 확인용)
-export const getPendingGameResults = onCall(async (request: CallableRequest) => {
+export const getPendingGameResults = onCall(withRateLimit('getPendingGameResults', async (request: CallableRequest) => {
   try {
     if (!request.auth) {
       throw new HttpsError('unauthenticated', 'Authentication required');
@@ -453,10 +477,10 @@ export const getPendingGameResults = onCall(async (request: CallableRequest) =>
     console.error('getPendingGameResults error:', error);
     throw new HttpsError('internal', 'Failed to retrieve pending game results');
   }
-});
+}));
 
 // 특정 히스토리 상세 조회
-export const getGameHistoryDetail = onCall(async (request: CallableRequest) => {
+export const getGameHistoryDetail = onCall(withRateLimit('getGameHistoryDetail', async (request: CallableRequest) => {
   try {
     if (!request.auth) {
       throw new HttpsError('unauthenticated', 'Authentication required');
@@ -489,4 +513,4 @@ export const getGameHistoryDetail = onCall(async (request: CallableRequest) => {
     console.error('getGameHistoryDetail error:', error);
     throw new HttpsError('internal', 'Failed to retrieve game history detail');
   }
-});
+}));
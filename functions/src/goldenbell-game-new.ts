@@ -2,6 +2,16 @@ import { onCall, onRequest, HttpsError } from 'firebase-functions/v2/https';
 import { CallableRequest } from 'firebase-functions/v2/https';
 import { rtdb } from './firebase-config';
 import { formatGoldenBellHistory } from './history-formatter';
+import { placeHold, settleHold, WalletHold } from './wallet';
+import { withIdempotency } from './idempotency';
+import { assertCanWager } from './responsible-gaming';
+import { assertFeatureAvailable, getUserAvailability } from './country-availability';
+import { getMembershipConfig, isVipMembership } from './membership';
+import { requireRole } from './auth-guards';
+import { withRateLimit } from './rate-limit';
+import { withAudit } from './audit';
+import { creditGamePayout, screenGameBeforePayout } from './collusion';
+import { getOracleSnapshotAt, ORACLE_COINS } from './oracle';
 
 const GOLDEN_BELL_SLOT_MINUTES = [5, 15, 25, 35, 45, 55];
 const GOLDEN_BELL_JOIN_WINDOW_MS = 15_000; // 시작 전후 15초
@@ -10,6 +20,8 @@ const GOLDEN_BELL_DECISION_DURATION_MS = 15_000;
 const GOLDEN_BELL_WAITING_TIMEOUT_MS = 60_000; // 1분 이상 경과 시 대기실 강제
 const GOLDEN_BELL_ACTIVE_GAME_WINDOW_MS = 10 * 60 * 1000; // 시작 후 10분 동안은 동일 게임 유지
 const GOLDEN_BELL_BET_COST = 1; // 라운드당 차감 금액
+// 진행 중인 라운드의 선택 - /games/goldenbell은 공개 읽기이므로 라운드 결과 계산 전까지 본인만 읽을 수 있는 노드에 보관
+const GOLDEN_BELL_CHOICES_ROOT = '/goldenbellChoices';
 
 type GoldenBellPhase = 'waiting' | 'betting' | 'decision' | 'calculating' | 'finished';
 
@@ -331,20 +343,27 @@ interface GoldenBellGame {
   decisionEndAt?: number; // Decision 타이머 종료 시간
   nextRoundStartAt?: number; // 다음 라운드 시작 예정 시간 (서버 관리)
   resultCalculatedAt?: number;
+  oracleSource?: string; // 첫 라운드 스냅샷의 제공자 - 이후 라운드도 같은 제공자만 사용
   results?: Record<string, GoldenBellResult>; // 라운드별 결과 (round 번호를 키로 사용)
   createdAt: number;
   schedule: string; // "5,15,25,35,45,55 * * * *"
 }
 
+// /goldenbellChoices/{gameId}/{round}/{uid}
+interface GoldenBellRoundChoice {
+  choice: 'even' | 'odd';
+  selection: string; // Unity에서 보낸 원본 선택 (PLAYER/BANKER/TIE)
+  submittedAt: number;
+}
+
 interface GoldenBellParticipant {
   uid: string;
-  email: string;
   joinedRound: number;
   currentRound: number;
   isActive: boolean;
   totalBet: number;
   accumulatedReward?: number; // ✅ 누적 상금 (라운드 승리 시 증가)
-  choice?: 'even' | 'odd';
+  choice?: 'even' | 'odd'; // 마지막으로 결과가 계산된 라운드의 선택 (결과 계산 후 공개)
   choiceSubmittedAt?: number;
   isWinner?: boolean;
   decision?: 'continue' | 'exit';
@@ -352,6 +371,8 @@ interface GoldenBellParticipant {
   exitedAt?: number;
   exitReason?: 'eliminated' | 'chose_exit' | 'timeout';
   roundSelections?: Record<number, string>; // 라운드별 선택 (PLAYER, BANKER, TIE)
+  roundHolds?: Record<number, string>; // 라운드별 베팅 홀드 ID (라운드 결과 계산 시 확정)
+  roundChoiceTimes?: Record<number, number>; // 라운드별 선택 제출 시각 (공모 탐지용)
   finalRound?: number;
   eliminatedRound?: number;
   isVip?: boolean;
@@ -361,11 +382,14 @@ interface GoldenBellParticipant {
 interface GoldenBellResult {
   round: number;
   oracleSum: number;
+  oracleTimestamp?: number; // 결과 계산에 사용한 오라클 스냅샷 시각
+  oracleSource?: string; // 결과 계산에 사용한 오라클 제공자
   result: 'even' | 'odd';
   choices: Record<'even' | 'odd', string[]>; // 각 선택의 참가자 UID 목록
   winners: string[];
   eliminatedParticipants: string[];
   gameStatus: 'continue' | 'finished' | 'no_winners';
+  reward?: GoldenBellRoundRewardPayload & { recordedAt: number }; // 서버가 계산한 라운드 보상 (getGoldenBellRoundRewards)
 }
 
 interface GoldenBellRoundRewardPayload {
@@ -380,9 +404,9 @@ interface GoldenBellRoundRewardPayload {
   totalRoundPot: number;
 }
 
-function determineVipStatus(userData: any): boolean {
+async function determineVipStatus(userData: any): Promise<boolean> {
   const membership = userData?.profile?.membership;
-  const isVip = membership?.toLowerCase() === 'vip';
+  const isVip = isVipMembership(membership, await getMembershipConfig());
   console.log(`[determineVipStatus] User VIP check - membership: ${membership}, isVip: ${isVip}`);
   return isVip;
 }
@@ -400,41 +424,29 @@ function normalizeNumber(value: any): number {
   return NaN;
 }
 
-function normalizeRoundRewardPayload(
-  reward: any,
-  fallbackRound?: number
+/**
+ * 라운드 보상 요약 - calculateGoldenBellRound에서 실제 지급액과 같은 값으로 계산
+ * 패배자 배팅금(각 GOLDEN_BELL_BET_COST)을 승자가 균등 분배, VIP 보너스는 지급하지 않으므로 0
+ */
+function buildGoldenBellRoundReward(
+  round: number,
+  winners: string[],
+  eliminatedCount: number,
+  participants: Record<string, GoldenBellParticipant>
 ): GoldenBellRoundRewardPayload {
-  if (!reward || typeof reward !== 'object') {
-    throw new HttpsError('invalid-argument', 'reward payload is required');
-  }
-
-  const roundValue = normalizeNumber(reward.round ?? fallbackRound);
-  if (!Number.isFinite(roundValue) || roundValue <= 0) {
-    throw new HttpsError('invalid-argument', 'reward.round must be a positive number');
-  }
-
-  const fields: (keyof GoldenBellRoundRewardPayload)[] = [
-    'winnerCount',
-    'vipWinnerCount',
-    'opponentPot',
-    'baseRewardPerWinner',
-    'vipBonusPerWinner',
-    'vipBonusTotal',
-    'totalRewardPerWinner',
-    'totalRoundPot'
-  ];
-
-  const payload: any = { round: Math.floor(roundValue) };
-
-  for (const field of fields) {
-    const numericValue = normalizeNumber((reward as any)[field]);
-    if (!Number.isFinite(numericValue)) {
-      throw new HttpsError('invalid-argument', `reward.${field} must be a valid number`);
-    }
-    payload[field] = numericValue;
-  }
-
-  return payload as GoldenBellRoundRewardPayload;
+  const opponentPot = eliminatedCount * GOLDEN_BELL_BET_COST;
+  const rewardPerWinner = winners.length > 0 ? opponentPot / winners.length : 0;
+  return {
+    round,
+    winnerCount: winners.length,
+    vipWinnerCount: winners.filter((uid) => participants[uid]?.isVip).length,
+    opponentPot,
+    baseRewardPerWinner: rewardPerWinner,
+    vipBonusPerWinner: 0,
+    vipBonusTotal: 0,
+    totalRewardPerWinner: rewardPerWinner,
+    totalRoundPot: opponentPot
+  };
 }
 
 function toRewardLogArray(value: any): GoldenBellRoundRewardPayload[] {
@@ -487,7 +499,7 @@ function mergeRewardLogs(
 }
 
 // 골든벨 게임 참여
-export const joinGoldenBell = onCall(async (request: CallableRequest) => {
+export const joinGoldenBell = onCall(withRateLimit('joinGoldenBell', withIdempotency('joinGoldenBell', async (request: CallableRequest) => {
   const startTime = Date.now();
   let uid: string | undefined;
   
@@ -505,6 +517,9 @@ export const joinGoldenBell = onCall(async (request: CallableRequest) => {
     }
 
     console.log(`[joinGoldenBell] Starting - User: ${uid}, Time: ${new Date().toISOString()}`);
+
+    // 국가별 이용 제한 확인 (차단 시 COUNTRY_NOT_ALLOWED 코드의 failed-precondition)
+    await assertFeatureAvailable(uid, 'goldenbell', 'joinGoldenBell');
     console.log(`[joinGoldenBell] User ${uid} attempting to join game`);
     
     // 현재 활성 골든벨 게임 조회 (finished 상태도 포함)
@@ -562,7 +577,6 @@ export const joinGoldenBell = onCall(async (request: CallableRequest) => {
       // 대기방에 추가
       await rtdb.ref(`/games/goldenbell/${currentGame.gameId}/waitingRoom/${uid}`).set({
         uid,
-        email: userData.auth?.email || 'unknown',
         joinedAt: Date.now(),
         reason: 'mid_game_join',
         nextGameEligible: true,
@@ -596,7 +610,6 @@ export const joinGoldenBell = onCall(async (request: CallableRequest) => {
       // 대기방에 추가
       await rtdb.ref(`/games/goldenbell/${currentGame.gameId}/waitingRoom/${uid}`).set({
         uid,
-        email: userData.auth?.email || 'unknown',
         joinedAt: Date.now(),
         reason: 'game_finished',
         nextGameEligible: true,
@@ -693,6 +706,9 @@ export const joinGoldenBell = onCall(async (request: CallableRequest) => {
       throw new Error('Invalid game configuration: bet amount is invalid');
     }
 
+    // 책임 있는 게임 한도/쿨오프 확인 - 차감은 라운드 선택 시 다시 확인
+    await assertCanWager(uid, currentBetAmount, 'joinGoldenBell');
+
     // 잔액 확인만 수행 (차감은 Bet 선택 시 수행)
     const userDataBalance = extractWalletBalance(userData);
     const userBalance = directBalance > 0 ? directBalance : userDataBalance;
@@ -710,13 +726,12 @@ export const joinGoldenBell = onCall(async (request: CallableRequest) => {
 
     const participant: GoldenBellParticipant = {
       uid,
-      email: userData.auth?.email || 'unknown',
       joinedRound: gameRound,
       currentRound: gameRound,
       isActive: true,
       totalBet: 0, // Bet 선택 시 업데이트됨
       accumulatedReward: 0, // ✅ 누적 상금 초기화
-      isVip: determineVipStatus(userData)
+      isVip: await determineVipStatus(userData)
       // choiceSubmittedAt은 optional이므로 undefined로 설정하지 않음 (나중에 선택 제출 시 추가됨)
     };
 
@@ -759,16 +774,7 @@ export const joinGoldenBell = onCall(async (request: CallableRequest) => {
       }
     }
 
-    // Ledger에 베팅 기록 (실패해도 참가는 성공으로 처리)
-    try {
-      await recordGoldenBellLedger(uid, 'debit', currentBetAmount, 'goldenbell_entry', {
-        gameId: currentGame.gameId,
-        round: currentGame.round
-      });
-    } catch (ledgerError) {
-      console.warn(`Failed to record ledger for user ${uid}:`, ledgerError);
-      // Ledger 기록 실패는 참가 실패로 처리하지 않음
-    }
+    // 참가 시점에는 잔액이 움직이지 않으므로 Ledger 기록 없음 (차감과 기록은 Bet 선택 시 함께 수행)
 
     console.log(`User ${uid} joined Golden Bell game ${currentGame.gameId} round ${currentGame.round}`);
 
@@ -837,10 +843,10 @@ export const joinGoldenBell = onCall(async (request: CallableRequest) => {
     console.error(`[joinGoldenBell] Throwing internal error: ${errorMessage}`);
     throw new HttpsError('internal', `Failed to join Golden Bell: ${errorMessage}`);
   }
-});
+})));
 
 // 골든벨 게임 선택 제출
-export const submitGoldenBellChoice = onCall(async (request: CallableRequest) => {
+export const submitGoldenBellChoice = onCall(withRateLimit('submitGoldenBellChoice', async (request: CallableRequest) => {
   if (!request.auth) {
     throw new Error('Authentication required');
   }
@@ -852,7 +858,7 @@ export const submitGoldenBellChoice = onCall(async (request: CallableRequest) =>
     console.log(`[submitGoldenBellChoice] Request data type:`, typeof request.data);
     console.log(`[submitGoldenBellChoice] Request data keys:`, request.data ? Object.keys(request.data) : 'null');
     
-    let { choice } = request.data || {};
+    let { choice, gameId: requestedGameId } = request.data || {};
 
   // choice 값 로깅
   console.log(`[submitGoldenBellChoice] Choice value:`, choice);
@@ -896,7 +902,12 @@ export const submitGoldenBellChoice = onCall(async (request: CallableRequest) =>
       throw new Error('No active Golden Bell game for this user');
     }
 
-    if (currentGame.status !== 'betting') {
+    if (requestedGameId && requestedGameId !== currentGame.gameId) {
+      throw new HttpsError('failed-precondition', 'Requested game is not your active Golden Bell game');
+    }
+
+    // 상태 값과 타이밍을 함께 확인 (베팅 마감 후 상태 전환 전 제출 방지)
+    if (currentGame.status !== 'betting' || determineGoldenBellPhase(currentGame) !== 'betting') {
       throw new Error('Game is not in betting phase');
     }
 
@@ -905,86 +916,39 @@ export const submitGoldenBellChoice = onCall(async (request: CallableRequest) =>
       throw new Error('Not participating in current game');
     }
 
-    if (participant.choiceSubmittedAt) {
-      throw new Error('Choice already submitted for this round');
-    }
-
     // 베팅 시간 확인
     const now = Date.now();
     if (now > currentGame.bettingEndAt) {
       throw new Error('Betting time has expired');
     }
 
-    // 이미 선택을 제출했는지 확인
-    const isFirstChoice = !participant.choiceSubmittedAt;
-    const betCost = GOLDEN_BELL_BET_COST;
+    // 이번 라운드 베팅 시작 이후 제출한 선택이 있으면 선택 변경 (choiceSubmittedAt은 라운드마다 초기화되지 않음)
+    // 변경도 이 callable로만 가능하므로 choiceSubmittedAt/roundChoiceTimes는 항상 서버 시각
+    const { bettingStartAt } = getGoldenBellTiming(currentGame, now);
+    const isChange = Boolean(participant.choiceSubmittedAt && participant.choiceSubmittedAt >= bettingStartAt);
 
-    // 처음 선택을 제출할 때만 잔액 차감
-    if (isFirstChoice) {
-      console.log(`[submitGoldenBellChoice] First choice submission - debiting ${betCost} from wallet`);
-      
-      // 사용자 잔액 확인
-      console.log(`[submitGoldenBellChoice] Checking user data for ${uid}`);
-      const userSnapshot = await rtdb.ref(`/users/${uid}`).once('value');
-      const userData = userSnapshot.val();
-      if (!userData) {
-        throw new Error('User not found');
-      }
-
-      // 직접 경로에서 usdt 잔액 확인 (우선)
-      let directBalance = 0;
-      try {
-        const directBalanceSnapshot = await rtdb.ref(`/users/${uid}/wallet/usdt`).once('value');
-        directBalance = parseAmount(directBalanceSnapshot.val());
-        console.log(`[submitGoldenBellChoice] Direct path balance (/users/${uid}/wallet/usdt): ${directBalance} (raw: ${JSON.stringify(directBalanceSnapshot.val())})`);
-      } catch (directError) {
-        console.error(`[submitGoldenBellChoice] Error reading direct path:`, directError);
-      }
-      
-      // userData에서도 다양한 필드 확인
-      const userDataBalance = extractWalletBalance(userData);
-      
-      // 최종 잔액: 직접 경로가 우선, 없으면 userData에서
-      const finalBalance = directBalance > 0 ? directBalance : userDataBalance;
-      
-      console.log(`[submitGoldenBellChoice] User balance check - direct: ${directBalance}, userData: ${userDataBalance}, final: ${finalBalance}, required: ${betCost}`);
-      console.log(`[submitGoldenBellChoice] Wallet structure:`, JSON.stringify(userData.wallet, null, 2));
-      
-      if (finalBalance < betCost) {
-        console.error(`[submitGoldenBellChoice] Insufficient balance - Current: $${finalBalance}, Required: $${betCost}`);
-        throw new HttpsError('failed-precondition', `Insufficient balance. Current: $${finalBalance}, Required: $${betCost}`);
-      }
+    const betCost = GOLDEN_BELL_BET_COST;
+    // 참가 등록(registerGoldenBellParticipant) 시 1라운드 홀드가 이미 잡혀 있으면 다시 차감하지 않음
+    const hasRoundHold = Boolean(participant.roundHolds?.[currentGame.round]);
 
-      // 지갑에서 베팅 금액 차감 (트랜잭션 사용, usdt만 사용)
-      console.log(`[submitGoldenBellChoice] Attempting to debit ${betCost} from wallet`);
-      let transactionSuccess = false;
-      let newBalance = 0;
+    // 라운드 홀드가 없을 때만 잔액 차감
+    let roundHold: WalletHold | null = null;
+    if (!hasRoundHold) {
+      console.log(`[submitGoldenBellChoice] First choice this round - debiting ${betCost} from wallet`);
       
-      const debitResult = await rtdb.ref(`/users/${uid}/wallet/usdt`).transaction((currentBalance) => {
-        const balance = currentBalance !== null && currentBalance !== undefined ? currentBalance : finalBalance;
-        console.log(`[submitGoldenBellChoice] Transaction callback - currentBalance from DB: ${currentBalance}, using balance: ${balance}, expected: ${finalBalance}, required: ${betCost}`);
-        
-        if (balance < betCost) {
-          console.log(`[submitGoldenBellChoice] Transaction aborted - insufficient balance: ${balance} < ${betCost}`);
-          transactionSuccess = false;
-          return; // Abort transaction
-        }
-        
-        newBalance = balance - betCost;
-        console.log(`[submitGoldenBellChoice] Transaction will commit - newBalance: ${newBalance}`);
-        transactionSuccess = true;
-        return newBalance;
+      // 베팅 금액을 홀드로 이동 + Ledger 기록 (goldenbell 차감 정책 - 기본 IVY 우선, 잔액 부족 시 failed-precondition)
+      // 라운드 결과 계산 시 settle, 라운드가 진행되지 않으면 sweeper가 release
+      await assertCanWager(uid, betCost, 'submitGoldenBellChoice');
+
+      console.log(`[submitGoldenBellChoice] Attempting to hold ${betCost} from wallet`);
+      roundHold = await placeHold(uid, 'goldenbell', 'goldenbell_bet', {
+        amountUsd: betCost,
+        gameType: 'goldenbell',
+        gameId: currentGame.gameId,
+        round: currentGame.round
       });
 
-      console.log(`[submitGoldenBellChoice] Transaction result - committed: ${debitResult.committed}, snapshot: ${debitResult.snapshot?.val()}`);
-
-      if (!debitResult.committed || !transactionSuccess) {
-        const finalBalanceError = debitResult.snapshot?.val() || 0;
-        console.error(`[submitGoldenBellChoice] Failed to debit wallet - committed: ${debitResult.committed}, transactionSuccess: ${transactionSuccess}, balance: ${finalBalanceError}`);
-        throw new HttpsError('failed-precondition', `Insufficient balance. Current: $${finalBalanceError}, Required: $${betCost}`);
-      }
-
-      console.log(`[submitGoldenBellChoice] Wallet debited successfully - new balance: ${newBalance}`);
+      console.log(`[submitGoldenBellChoice] Bet held successfully - holdId: ${roundHold.holdId}, amounts: ${JSON.stringify(roundHold.amounts)}`);
 
       // 총 상금 업데이트
       await rtdb.ref(`/games/goldenbell/${currentGame.gameId}/totalPot`).transaction((currentPot) => {
@@ -993,32 +957,35 @@ export const submitGoldenBellChoice = onCall(async (request: CallableRequest) =>
       console.log(`[submitGoldenBellChoice] Total pot updated successfully`);
     }
 
-    // 선택 업데이트 (totalBet도 함께 업데이트)
-    const updateData: any = {
-      choice: normalizedChoice, // 변환된 choice 사용 (even/odd)
-      choiceSubmittedAt: now
-    };
-    
-    if (isFirstChoice) {
-      updateData.totalBet = (participant.totalBet || 0) + betCost;
-    }
-
-    await rtdb.ref(`/games/goldenbell/${currentGame.gameId}/participants/${uid}`).update(updateData);
-
-    // 라운드별 선택 저장 (PLAYER/BANKER/TIE 형식으로 저장)
+    // 라운드별 선택 (PLAYER/BANKER/TIE 형식)
     // Unity에서 보낸 원본 choice를 사용 (PLAYER/BANKER/TIE)
     const originalChoice = normalizedInput === 'PLAYER' || normalizedInput === 'P' || normalizedInput === '0' 
       ? 'PLAYER' 
       : normalizedInput === 'BANKER' || normalizedInput === 'B' || normalizedInput === '1'
       ? 'BANKER'
       : normalizedInput; // TIE는 그대로
+
+    // 선택은 비공개 노드에, 공개 참가자 노드에는 제출 시각만 기록 (totalBet도 함께 업데이트)
+    const participantPath = `/games/goldenbell/${currentGame.gameId}/participants/${uid}`;
+    const roundChoice: GoldenBellRoundChoice = {
+      choice: normalizedChoice, // 변환된 choice 사용 (even/odd)
+      selection: originalChoice,
+      submittedAt: now
+    };
+    const updateData: Record<string, any> = {
+      [`${GOLDEN_BELL_CHOICES_ROOT}/${currentGame.gameId}/${currentGame.round}/${uid}`]: roundChoice,
+      [`${participantPath}/choiceSubmittedAt`]: now,
+      [`${participantPath}/roundChoiceTimes/${currentGame.round}`]: now
+    };
     
-    const roundSelectionsRef = rtdb.ref(`/games/goldenbell/${currentGame.gameId}/participants/${uid}/roundSelections`);
-    await roundSelectionsRef.update({
-      [currentGame.round]: originalChoice
-    });
+    if (roundHold) {
+      updateData[`${participantPath}/totalBet`] = (participant.totalBet || 0) + betCost;
+      updateData[`${participantPath}/roundHolds/${currentGame.round}`] = roundHold.holdId;
+    }
+
+    await rtdb.ref().update(updateData);
 
-    console.log(`User ${uid} submitted choice "${choice}" (normalized to "${normalizedChoice}") for Golden Bell round ${currentGame.round}`);
+    console.log(`User ${uid} ${isChange ? 'changed' : 'submitted'} choice "${choice}" (normalized to "${normalizedChoice}") for Golden Bell round ${currentGame.round}`);
 
     return {
       success: true,
@@ -1029,12 +996,15 @@ export const submitGoldenBellChoice = onCall(async (request: CallableRequest) =>
 
   } catch (error) {
     console.error('Submit Golden Bell choice failed:', error);
+    if (error instanceof HttpsError) {
+      throw error; // 잔액 부족, 책임 있는 게임 한도 등 코드가 있는 에러는 그대로 전달
+    }
     throw new Error(`Failed to submit choice: ${error instanceof Error ? error.message : 'Unknown error'}`);
   }
-});
+}));
 
 // 대기방 상태 조회
-export const getWaitingRoomStatus = onCall(async (request: CallableRequest) => {
+export const getWaitingRoomStatus = onCall(withRateLimit('getWaitingRoomStatus', async (request: CallableRequest) => {
   if (!request.auth) {
     throw new Error('Authentication required');
   }
@@ -1108,10 +1078,10 @@ export const getWaitingRoomStatus = onCall(async (request: CallableRequest) => {
     console.error('Get waiting room status failed:', error);
     throw new Error('Failed to get waiting room status');
   }
-});
+}));
 
 // 골든벨 게임 상태 조회
-export const getGoldenBellStatus = onCall(async (request: CallableRequest) => {
+export const getGoldenBellStatus = onCall(withRateLimit('getGoldenBellStatus', async (request: CallableRequest) => {
   if (!request.auth) {
     throw new Error('Authentication required');
   }
@@ -1122,6 +1092,8 @@ export const getGoldenBellStatus = onCall(async (request: CallableRequest) => {
     const gamesData = await loadGoldenBellGames();
     const now = Date.now();
     const userGame = gamesData ? await getGoldenBellGameForUser(uid, true, gamesData) : null;
+    // 국가별 이용 가능 여부 (Unity에서 차단된 게임 숨김)
+    const availability = await getUserAvailability(uid, ['goldenbell']);
 
     let retainUserGame = false;
     let withinRecoveryWindow = false;
@@ -1153,7 +1125,8 @@ export const getGoldenBellStatus = onCall(async (request: CallableRequest) => {
         success: true,
         status: 'no_game',
         nextGameAt: getNextGoldenBellTime(),
-        message: 'No active game. Next game starts at the scheduled time.'
+        message: 'No active game. Next game starts at the scheduled time.',
+        availability
       };
     }
 
@@ -1206,6 +1179,7 @@ export const getGoldenBellStatus = onCall(async (request: CallableRequest) => {
       success: true,
       status: phase,
       gameId: currentGame.gameId,
+      availability,
       round: currentGame.round,
       maxRounds: currentGame.maxRounds,
       participantCount,
@@ -1234,10 +1208,10 @@ export const getGoldenBellStatus = onCall(async (request: CallableRequest) => {
     console.error('Get Golden Bell status failed:', error);
     throw new Error('Failed to get game status');
   }
-});
+}));
 
 // 라운드 결과 확인/계산 (클라이언트에서 15초 경과 후 호출)
-export const checkRoundResult = onCall(async (request: CallableRequest) => {
+export const checkRoundResult = onCall(withRateLimit('checkRoundResult', async (request: CallableRequest) => {
   if (!request.auth) {
     throw new Error('Authentication required');
   }
@@ -1317,10 +1291,10 @@ export const checkRoundResult = onCall(async (request: CallableRequest) => {
     console.error('Check round result failed:', error);
     throw new Error('Failed to check round result');
   }
-});
+}));
 
 // 승리 후 계속/멈춤 선택
-export const submitGoldenBellDecision = onCall(async (request: CallableRequest) => {
+export const submitGoldenBellDecision = onCall(withRateLimit('submitGoldenBellDecision', async (request: CallableRequest) => {
   if (!request.auth) {
     throw new Error('Authentication required');
   }
@@ -1346,6 +1320,13 @@ export const submitGoldenBellDecision = onCall(async (request: CallableRequest)
     }
 
     const now = Date.now();
+    if (determineGoldenBellPhase(currentGame, now) !== 'decision') {
+      throw new Error('Game is not in decision phase');
+    }
+
+    if (participant.decisionSubmittedAt && participant.decisionSubmittedAt >= getGoldenBellTiming(currentGame, now).decisionStartAt) {
+      throw new Error('Decision already submitted for this round');
+    }
     
     if (decision === 'exit') {
       // ✅ 게임에서 나가기 - 누적된 승리금 지급
@@ -1353,14 +1334,11 @@ export const submitGoldenBellDecision = onCall(async (request: CallableRequest)
       
       console.log(`[submitGoldenBellDecision] User ${uid} exiting with accumulated reward: $${accumulatedReward}`);
       
-      // 상금 지급 (누적 상금만)
+      // 상금 지급 (누적 상금만) - 공모 의심 계정이면 보류
       if (accumulatedReward > 0) {
-        await rtdb.ref(`/users/${uid}/wallet/usdt`).transaction((currentBalance) => {
-          return (currentBalance || 0) + accumulatedReward;
-        });
-
-        // Ledger에 상금 기록
-        await recordGoldenBellLedger(uid, 'credit', accumulatedReward, 'goldenbell_exit_reward', {
+        await screenGameBeforePayout('goldenbell', currentGame.gameId);
+        // 상금 지급 + Ledger에 상금 기록
+        await creditGamePayout(uid, accumulatedReward, 'goldenbell_exit_reward', {
           gameId: currentGame.gameId,
           round: currentGame.round,
           finalRound: true
@@ -1401,10 +1379,10 @@ export const submitGoldenBellDecision = onCall(async (request: CallableRequest)
     console.error('Submit Golden Bell decision failed:', error);
     throw new Error(`Failed to submit decision: ${error instanceof Error ? error.message : 'Unknown error'}`);
   }
-});
+}));
 
 // 팀 선택 함수 추가
-export const selectTeam = onCall(async (request: CallableRequest) => {
+export const selectTeam = onCall(withRateLimit('selectTeam', async (request: CallableRequest) => {
   if (!request.auth) {
     throw new Error('Authentication required');
   }
@@ -1438,13 +1416,9 @@ export const selectTeam = onCall(async (request: CallableRequest) => {
       throw new Error('Already assigned to a team');
     }
 
-    // 사용자 정보 가져오기
-    const waitingParticipant = currentGame.waitingRoom[uid] as any;
-    
     // 팀에 참가자 추가
     const participant: any = {
       uid,
-      email: waitingParticipant.email,
       team,
       joinedRound: currentGame.round,
       currentRound: currentGame.round,
@@ -1492,7 +1466,7 @@ export const selectTeam = onCall(async (request: CallableRequest) => {
     console.error('Select team failed:', error);
     throw new Error(`Failed to select team: ${error instanceof Error ? error.message : 'Unknown error'}`);
   }
-});
+}));
 
 // 내부 헬퍼 함수들
 
@@ -1536,8 +1510,7 @@ export const selectTeam = onCall(async (request: CallableRequest) => {
 
       const participant: any = {
         uid,
-        email: waitingParticipant.email,
-        team,
+          team,
         joinedRound: game.round,
         currentRound: game.round,
         isActive: true,
@@ -1678,19 +1651,24 @@ async function calculateGoldenBellRound(gameId: string): Promise<void> {
 
     if (!game) return;
 
-    // Oracle 데이터로 결과 계산
-    const oracleSnapshot = await rtdb.ref('/oracle/current').once('value');
-    const oracleData = oracleSnapshot.val();
-
-    if (!oracleData || !oracleData.gameNumbers) {
-      throw new Error('Oracle data not available');
+    // Oracle 데이터로 결과 계산 - 라운드 베팅 마감 시각의 공용 오라클 스냅샷
+    // (checkRoundResult가 마감 전에 계산을 시작한 경우에만 지금 시각 - 미래 시각의 스냅샷은 없음)
+    // 라운드마다 제공자가 바뀌면 숫자 기준이 달라지므로 첫 라운드의 제공자를 게임에 고정
+    const roundEndAt = Math.min(getGoldenBellTiming(game).bettingEndAt, Date.now());
+    const oracleData = await getOracleSnapshotAt(roundEndAt, { source: game.oracleSource });
+    if (!game.oracleSource) {
+      await rtdb.ref(`/games/goldenbell/${gameId}/oracleSource`).set(oracleData.source);
     }
 
     // 게임 번호 합계 계산
-    const sum = Object.values(oracleData.gameNumbers).reduce((total: number, num: any) => total + (typeof num === 'number' ? num : 0), 0) as number;
+    const sum = ORACLE_COINS.reduce((total, coin) => total + (oracleData.gameNumbers[coin] || 0), 0);
     const result: 'even' | 'odd' = sum % 2 === 0 ? 'even' : 'odd';
 
-    // 참가자들의 선택 분류
+    // 참가자들의 선택 분류 - 이번 라운드 비공개 선택 노드 기준
+    // (배포 전에 선택한 참가자는 이번 라운드에 공개 노드에 남긴 선택을 사용)
+    const roundChoicesSnapshot = await rtdb.ref(`${GOLDEN_BELL_CHOICES_ROOT}/${gameId}/${game.round}`).once('value');
+    const roundChoices = (roundChoicesSnapshot.val() || {}) as Record<string, GoldenBellRoundChoice>;
+    const { bettingStartAt } = getGoldenBellTiming(game);
     const choices: Record<'even' | 'odd', string[]> = { even: [], odd: [] };
     const activeParticipants = Object.entries(game.participants).filter(([uid, p]) => p.isActive);
 
@@ -1705,8 +1683,10 @@ async function calculateGoldenBellRound(gameId: string): Promise<void> {
     }
 
     for (const [uid, participant] of activeParticipants) {
-      if (participant.choice) {
-        choices[participant.choice].push(uid);
+      const legacyChoice = (participant.choiceSubmittedAt || 0) >= bettingStartAt ? participant.choice : undefined;
+      const participantChoice = roundChoices[uid]?.choice || legacyChoice;
+      if (participantChoice) {
+        choices[participantChoice].push(uid);
       } else {
         // 선택하지 않은 참가자는 자동으로 이번 라운드에서 멈춤 (배당 없음)
         await rtdb.ref(`/games/goldenbell/${gameId}/participants/${uid}`).update({
@@ -1717,6 +1697,19 @@ async function calculateGoldenBellRound(gameId: string): Promise<void> {
       }
     }
 
+    // 이번 라운드 베팅 홀드 확정 (실패한 홀드는 sweeper가 다시 처리)
+    for (const [uid, participant] of Object.entries(game.participants || {})) {
+      const holdId = participant.roundHolds?.[game.round];
+      if (!holdId) {
+        continue;
+      }
+      try {
+        await settleHold(uid, holdId, { gameId, round: game.round });
+      } catch (holdError) {
+        console.error(`[calculateGoldenBellRound] Failed to settle hold ${holdId} for user ${uid}:`, holdError);
+      }
+    }
+
     // 승자 결정
     let winners: string[] = [];
     let eliminatedParticipants: string[] = [];
@@ -1750,12 +1743,9 @@ async function calculateGoldenBellRound(gameId: string): Promise<void> {
 
     // 패배자 처리 - 대기방으로 이동
     for (const uid of eliminatedParticipants) {
-      const participant = game.participants[uid];
-      
       // 대기방으로 이동 (다음 게임 참여 가능)
       await rtdb.ref(`/games/goldenbell/${gameId}/waitingRoom/${uid}`).set({
         uid,
-        email: participant.email,
         eliminatedAt: Date.now(),
         eliminatedRound: game.round,
         nextGameEligible: true
@@ -1771,8 +1761,8 @@ async function calculateGoldenBellRound(gameId: string): Promise<void> {
     }
 
     // ✅ 승리 보상 계산: 패배자들의 배팅금을 승리자들이 균등 분배
-    const losersBetAmount = eliminatedParticipants.length * 1; // 각 패배자는 $1 배팅
-    const rewardPerWinner = winners.length > 0 ? losersBetAmount / winners.length : 0;
+    const roundReward = buildGoldenBellRoundReward(game.round, winners, eliminatedParticipants.length, game.participants);
+    const rewardPerWinner = roundReward.totalRewardPerWinner;
     
     console.log(`[calculateGoldenBellRound] Round ${game.round} - Winners: ${winners.length}, Losers: ${eliminatedParticipants.length}, Reward per winner: $${rewardPerWinner}`);
     
@@ -1798,15 +1788,31 @@ async function calculateGoldenBellRound(gameId: string): Promise<void> {
     const roundResult: GoldenBellResult = {
       round: game.round,
       oracleSum: sum,
+      oracleTimestamp: oracleData.timestamp,
+      oracleSource: oracleData.source,
       result,
       choices,
       winners,
       eliminatedParticipants,
-      gameStatus: winners.length === 0 ? 'finished' : 'continue'
+      gameStatus: winners.length === 0 ? 'finished' : 'continue',
+      reward: { ...roundReward, recordedAt: Date.now() }
     };
 
     await rtdb.ref(`/games/goldenbell/${gameId}/results/${game.round}`).set(roundResult);
 
+    // 베팅이 끝난 라운드의 선택 공개 후 비공개 노드 정리
+    const revealUpdates: Record<string, any> = {
+      [`${GOLDEN_BELL_CHOICES_ROOT}/${gameId}/${game.round}`]: null
+    };
+    for (const [uid, roundChoice] of Object.entries(roundChoices)) {
+      if (!game.participants[uid] || !roundChoice?.choice) {
+        continue;
+      }
+      revealUpdates[`/games/goldenbell/${gameId}/participants/${uid}/choice`] = roundChoice.choice;
+      revealUpdates[`/games/goldenbell/${gameId}/participants/${uid}/roundSelections/${game.round}`] = roundChoice.selection || null;
+    }
+    await rtdb.ref().update(revealUpdates);
+
     // 게임 종료 조건 확인
     // 승자가 없거나 10라운드 완료 시에만 게임 종료
     // 혼자 참가한 경우 10라운드까지 계속 진행
@@ -1829,7 +1835,10 @@ async function calculateGoldenBellRound(gameId: string): Promise<void> {
         await rtdb.ref().update(participantUpdates);
       }
 
-      // ✅ 게임 종료 - 최종 우승자들에게 누적 상금 지급
+      // ✅ 게임 종료 - 최종 우승자들에게 누적 상금 지급 (공모 의심 계정이면 보류)
+      if (winners.length > 0) {
+        await screenGameBeforePayout('goldenbell', gameId);
+      }
       if (winners.length === 1) {
         // 1명만 남은 경우 (9라운드 혼자 승리 또는 중간 단독 승리)
         const winnerUid = winners[0];
@@ -1838,11 +1847,7 @@ async function calculateGoldenBellRound(gameId: string): Promise<void> {
         console.log(`[calculateGoldenBellRound] Final winner ${winnerUid} receives accumulated reward: $${finalReward}`);
         
         if (finalReward > 0) {
-          await rtdb.ref(`/users/${winnerUid}/wallet/usdt`).transaction((currentBalance) => {
-            return (currentBalance || 0) + finalReward;
-          });
-
-          await recordGoldenBellLedger(winnerUid, 'credit', finalReward, 'goldenbell_final_winner', {
+          await creditGamePayout(winnerUid, finalReward, 'goldenbell_final_winner', {
             gameId,
             round: game.round,
             totalRounds: game.round,
@@ -1860,11 +1865,7 @@ async function calculateGoldenBellRound(gameId: string): Promise<void> {
           console.log(`[calculateGoldenBellRound] Round 10 winner ${winnerUid} receives accumulated reward: $${finalReward}`);
           
           if (finalReward > 0) {
-            await rtdb.ref(`/users/${winnerUid}/wallet/usdt`).transaction((currentBalance) => {
-              return (currentBalance || 0) + finalReward;
-            });
-
-            await recordGoldenBellLedger(winnerUid, 'credit', finalReward, 'goldenbell_completion_reward', {
+            await creditGamePayout(winnerUid, finalReward, 'goldenbell_completion_reward', {
               gameId,
               round: game.round,
               totalRounds: 10,
@@ -2062,27 +2063,6 @@ function getNextGoldenBellTime(): number {
   return nextGameTime;
 }
 
-async function recordGoldenBellLedger(
-  uid: string, 
-  type: 'credit' | 'debit', 
-  amount: number, 
-  operation: string, 
-  meta: any
-): Promise<void> {
-  const ledgerEntry = {
-    type,
-    amountUsd: amount,
-    meta: {
-      operation,
-      ...meta,
-      timestamp: Date.now()
-    },
-    createdAt: Date.now()
-  };
-
-  await rtdb.ref(`/ledger/${uid}`).push(ledgerEntry);
-}
-
 // 서버에서 라운드 시작 (1분마다 호출)
 export async function startNextRound(): Promise<void> {
   try {
@@ -2201,25 +2181,23 @@ async function updateGoldenBellGameHistory(gameId: string, game: any) {
   }
 }
 
-// 골든벨 참가자 보상 업데이트
-export const updateGoldenBellParticipantReward = onCall(async (request: CallableRequest) => {
+// 골든벨 참가자 보상 동기화
+// accumulatedReward/isWinner는 calculateGoldenBellRound가 서버에서 계산한 값만 사용한다.
+// 클라이언트가 보낸 값은 불일치 로그용으로만 쓰고, 라운드 보상 로그도 서버 결과의 reward를 복사한다.
+export const updateGoldenBellParticipantReward = onCall(withRateLimit('updateGoldenBellParticipantReward', async (request: CallableRequest) => {
   if (!request.auth) {
     throw new HttpsError('unauthenticated', 'Authentication required');
   }
 
   const { uid } = request.auth;
-  const { gameId, accumulatedReward, isWinner, round, reward } = request.data;
+  const { gameId, accumulatedReward, isWinner, round } = request.data || {};
 
   // 입력 검증
-  if (!gameId) {
+  if (!gameId || typeof gameId !== 'string') {
     throw new HttpsError('invalid-argument', 'gameId is required');
   }
 
-  if (accumulatedReward === undefined || accumulatedReward === null) {
-    throw new HttpsError('invalid-argument', 'accumulatedReward is required');
-  }
-
-  if (typeof accumulatedReward !== 'number' || accumulatedReward < 0) {
+  if (accumulatedReward !== undefined && accumulatedReward !== null && (typeof accumulatedReward !== 'number' || accumulatedReward < 0)) {
     throw new HttpsError('invalid-argument', 'accumulatedReward must be a non-negative number');
   }
 
@@ -2228,20 +2206,11 @@ export const updateGoldenBellParticipantReward = onCall(async (request: Callable
   }
 
   const normalizedRound = Number(round);
-  if (!Number.isFinite(normalizedRound) || normalizedRound <= 0) {
-    throw new HttpsError('invalid-argument', 'round must be a positive number');
-  }
-
-  let rewardPayload: GoldenBellRoundRewardPayload | null = null;
-  if (reward !== undefined && reward !== null) {
-    rewardPayload = normalizeRoundRewardPayload(reward, normalizedRound);
+  if (!Number.isInteger(normalizedRound) || normalizedRound <= 0) {
+    throw new HttpsError('invalid-argument', 'round must be a positive integer');
   }
 
   try {
-    console.log(
-      `[updateGoldenBellParticipantReward] Updating reward for user ${uid}, game ${gameId}, round ${normalizedRound}, reward: $${accumulatedReward}, isWinner: ${isWinner}`
-    );
-
     // 게임 존재 확인
     const gameRef = rtdb.ref(`/games/goldenbell/${gameId}`);
     const gameSnapshot = await gameRef.once('value');
@@ -2252,9 +2221,10 @@ export const updateGoldenBellParticipantReward = onCall(async (request: Callable
 
     const game = gameSnapshot.val();
 
-    // 게임 상태 확인 (종료된 게임은 업데이트 불가)
-    if (game.status === 'finished') {
-      throw new HttpsError('failed-precondition', 'Game already finished');
+    // 라운드 결과가 나온 뒤(decision/calculating)에만 동기화 가능 - 종료된 게임은 불가
+    const phase = determineGoldenBellPhase(game);
+    if (phase !== 'decision' && phase !== 'calculating') {
+      throw new HttpsError('failed-precondition', `Rewards cannot be updated in the ${phase} phase`);
     }
 
     // 참가자 확인
@@ -2267,37 +2237,45 @@ export const updateGoldenBellParticipantReward = onCall(async (request: Callable
 
     const participant = participantSnapshot.val();
 
-    // 누적 상금 업데이트
-    const updates: Record<string, any> = {
-      accumulatedReward: Number(accumulatedReward),
-      lastRewardUpdatedAt: Date.now()
-    };
+    // 서버가 저장한 라운드 결과 확인
+    const resultSnapshot = await gameRef.child(`results/${normalizedRound}`).once('value');
+    if (!resultSnapshot.exists()) {
+      throw new HttpsError('failed-precondition', 'Round result is not available yet');
+    }
+
+    const roundResult = resultSnapshot.val() as GoldenBellResult;
+    const winners: string[] = Array.isArray(roundResult.winners) ? roundResult.winners : Object.values(roundResult.winners || {});
+    const serverIsWinner = winners.includes(uid);
+    const serverAccumulatedReward = Number(participant.accumulatedReward) || 0;
 
-    // isWinner가 제공된 경우 업데이트
-    if (isWinner !== undefined && isWinner !== null) {
-      updates.isWinner = Boolean(isWinner);
+    if (
+      (typeof accumulatedReward === 'number' && Math.abs(accumulatedReward - serverAccumulatedReward) > 1e-9) ||
+      (isWinner !== undefined && isWinner !== null && Boolean(isWinner) !== serverIsWinner)
+    ) {
+      console.warn(
+        `[updateGoldenBellParticipantReward] Client values ignored for ${uid} in game ${gameId} round ${normalizedRound} - client: $${accumulatedReward}/${isWinner}, server: $${serverAccumulatedReward}/${serverIsWinner}`
+      );
     }
 
-    await participantRef.update(updates);
+    await participantRef.update({ lastRewardUpdatedAt: Date.now() });
 
+    // 라운드 보상은 calculateGoldenBellRound가 결과와 함께 저장한 값만 사용
+    const rewardPayload = roundResult.reward ? toRewardLogArray([roundResult.reward])[0] ?? null : null;
     if (rewardPayload) {
       await participantRef.child(`roundRewardLogs/${rewardPayload.round}`).set(rewardPayload);
-      await storeGoldenBellRoundReward(gameId, rewardPayload);
       await persistRoundRewardLogToHistory(uid, gameId, rewardPayload);
     }
 
     console.log(
-      `[updateGoldenBellParticipantReward] Successfully updated participant ${uid} - accumulatedReward: $${accumulatedReward}, isWinner: ${
-        isWinner !== undefined ? isWinner : participant.isWinner
-      }, rewardPayload: ${rewardPayload ? 'stored' : 'none'}`
+      `[updateGoldenBellParticipantReward] Synced participant ${uid} - accumulatedReward: $${serverAccumulatedReward}, isWinner: ${serverIsWinner}, rewardPayload: ${rewardPayload ? 'stored' : 'none'}`
     );
 
     return {
       success: true,
-      accumulatedReward: Number(accumulatedReward),
-      isWinner: isWinner !== undefined ? Boolean(isWinner) : participant.isWinner,
+      accumulatedReward: serverAccumulatedReward,
+      isWinner: serverIsWinner,
       round: normalizedRound,
-      message: 'Participant reward updated successfully'
+      message: 'Participant reward synced from round result'
     };
 
   } catch (error) {
@@ -2308,22 +2286,7 @@ export const updateGoldenBellParticipantReward = onCall(async (request: Callable
     const errorMessage = error instanceof Error ? error.message : 'Unknown error';
     throw new HttpsError('internal', `Failed to update participant reward: ${errorMessage}`);
   }
-});
-
-async function storeGoldenBellRoundReward(
-  gameId: string,
-  rewardPayload: GoldenBellRoundRewardPayload
-): Promise<void> {
-  try {
-    const rewardRef = rtdb.ref(`/games/goldenbell/${gameId}/results/${rewardPayload.round}`);
-    await rewardRef.child('reward').set({
-      ...rewardPayload,
-      recordedAt: Date.now()
-    });
-  } catch (error) {
-    console.error('[storeGoldenBellRoundReward] Failed to persist reward payload:', error);
-  }
-}
+}));
 
 async function persistRoundRewardLogToHistory(
   uid: string,
@@ -2367,7 +2330,7 @@ async function persistRoundRewardLogToHistory(
 }
 
 // 골든벨 라운드별 선택 업데이트
-export const updateGoldenBellRoundChoices = onCall(async (request: CallableRequest) => {
+export const updateGoldenBellRoundChoices = onCall(withRateLimit('updateGoldenBellRoundChoices', async (request: CallableRequest) => {
   if (!request.auth) {
     throw new HttpsError('unauthenticated', 'Authentication required');
   }
@@ -2413,11 +2376,18 @@ export const updateGoldenBellRoundChoices = onCall(async (request: CallableReque
 
     const game = gameSnapshot.val();
 
-    // 게임 상태 확인 (종료된 게임은 업데이트 불가)
-    if (game.status === 'finished') {
+    // 게임 상태/타이밍 확인 - 현재 라운드의 베팅 시간에만 업데이트 가능
+    if (game.status !== 'betting' || determineGoldenBellPhase(game) !== 'betting') {
       return {
         success: false,
-        error: 'Game already finished'
+        error: 'Game is not in betting phase'
+      };
+    }
+
+    if (round !== game.round) {
+      return {
+        success: false,
+        error: 'Round is not the current round'
       };
     }
 
@@ -2432,10 +2402,24 @@ export const updateGoldenBellRoundChoices = onCall(async (request: CallableReque
       };
     }
 
-    // 라운드별 선택 업데이트 (roundSelections 객체에 저장)
-    const roundSelectionsRef = participantRef.child('roundSelections');
-    await roundSelectionsRef.update({
-      [round]: normalizedChoice
+    if (participantSnapshot.child('isActive').val() !== true) {
+      return {
+        success: false,
+        error: 'Not participating in current game'
+      };
+    }
+
+    // 라운드별 선택 업데이트 - 결과 계산 전까지 비공개 선택 노드에 보관 (계산 후 roundSelections로 공개)
+    const roundChoiceRef = rtdb.ref(`${GOLDEN_BELL_CHOICES_ROOT}/${gameId}/${round}/${uid}`);
+    const roundChoiceSnapshot = await roundChoiceRef.once('value');
+    if (!roundChoiceSnapshot.exists()) {
+      return {
+        success: false,
+        error: 'Choice not submitted for this round'
+      };
+    }
+    await roundChoiceRef.update({
+      selection: normalizedChoice
     });
 
     console.log(`[updateGoldenBellRoundChoices] Updated round ${round} choice to ${normalizedChoice} for user ${uid} in game ${gameId}`);
@@ -2453,23 +2437,56 @@ export const updateGoldenBellRoundChoices = onCall(async (request: CallableReque
       error: `Failed to update round choice: ${errorMessage}`
     };
   }
-});
+}));
+
+/**
+ * 저장된 라운드 결과(results/*)에서 참가자의 최종 라운드와 승리 여부 계산
+ * 마지막으로 결과에 포함된 라운드에서 승자였고 탈락한 라운드가 없으면 승자
+ */
+function deriveGoldenBellOutcome(uid: string, game: GoldenBellGame): { finalRound: number; isWinner: boolean } {
+  let finalRound = 0;
+  let wonFinalRound = false;
+  let eliminated = false;
+
+  for (const [roundKey, result] of Object.entries(normalizeRoundResults(game.results))) {
+    const round = typeof result.round === 'number' ? result.round : parseInt(roundKey, 10);
+    const won = toSafeArray<string>(result.winners).includes(uid);
+    const lost = toSafeArray<string>(result.eliminatedParticipants).includes(uid);
+    if (!won && !lost) {
+      continue;
+    }
+    if (lost) {
+      eliminated = true;
+    }
+    if (round > finalRound) {
+      finalRound = round;
+      wonFinalRound = won;
+    }
+  }
+
+  return { finalRound, isWinner: wonFinalRound && !eliminated };
+}
 
 // 골든벨 게임 결과 저장
-export const saveGoldenBellResult = onCall(async (request: CallableRequest) => {
+// 승리 여부/최종 라운드/베팅 합계는 서버 결과에서만 정해지고, 클라이언트는 종료 사유만 남길 수 있다.
+// 게임이 끝났거나 서버가 이미 참가를 종료한 참가자만 호출 가능 (진행 중 퇴장은 submitGoldenBellDecision)
+export const saveGoldenBellResult = onCall(withRateLimit('saveGoldenBellResult', async (request: CallableRequest) => {
   if (!request.auth) {
     throw new HttpsError('unauthenticated', 'Authentication required');
   }
 
   const { uid } = request.auth;
-  const { gameId, finalRound, isWinner, totalBet, exitReason = 'game_ended', exitedAt } = request.data;
+  const { gameId, exitReason = 'game_ended' } = request.data || {};
 
-  if (!gameId) {
+  if (!gameId || typeof gameId !== 'string') {
     throw new HttpsError('invalid-argument', 'gameId is required');
   }
+  if (typeof exitReason !== 'string' || !exitReason || exitReason.length > 64) {
+    throw new HttpsError('invalid-argument', 'exitReason must be a string of at most 64 characters');
+  }
 
   try {
-    console.log(`[saveGoldenBellResult] Saving result for user ${uid}, game ${gameId}, winner: ${isWinner}`);
+    console.log(`[saveGoldenBellResult] Saving result for user ${uid}, game ${gameId}`);
     
     // 게임과 참가자 정보 확인
     const gameRef = rtdb.ref(`/games/goldenbell/${gameId}`);
@@ -2480,8 +2497,8 @@ export const saveGoldenBellResult = onCall(async (request: CallableRequest) => {
       participantRef.once('value')
     ]);
 
-    const game = gameSnapshot.val();
-    const participant = participantSnapshot.val();
+    const game = gameSnapshot.val() as GoldenBellGame | null;
+    const participant = participantSnapshot.val() as GoldenBellParticipant | null;
 
     if (!game) {
       throw new HttpsError('not-found', 'Game not found');
@@ -2491,35 +2508,42 @@ export const saveGoldenBellResult = onCall(async (request: CallableRequest) => {
       throw new HttpsError('not-found', 'Participant not found');
     }
 
-    // 참가자 결과 업데이트
+    if (participant.isActive && determineGoldenBellPhase(game) !== 'finished') {
+      throw new HttpsError('failed-precondition', 'Game is still in progress for this participant');
+    }
+
+    // 참가자 결과 업데이트 - 서버가 이미 남긴 종료 사유/시각은 덮어쓰지 않음
+    const { finalRound, isWinner } = deriveGoldenBellOutcome(uid, game);
     const updates = {
-      isWinner: isWinner,
-      finalRound: finalRound || game.round,
-      totalBet: totalBet || participant.totalBet || 0,
-      exitReason: exitReason,
-      exitedAt: exitedAt || Date.now(),
+      isWinner,
+      finalRound: finalRound || participant.finalRound || game.round,
+      exitReason: participant.exitReason || exitReason,
+      exitedAt: participant.exitedAt || Date.now(),
       isActive: false // 게임 종료
     };
 
     await participantRef.update(updates);
     
-    console.log(`[saveGoldenBellResult] Successfully saved result for user ${uid} in game ${gameId}`);
+    console.log(`[saveGoldenBellResult] Successfully saved result for user ${uid} in game ${gameId} (winner: ${isWinner}, round ${updates.finalRound})`);
     
     return { 
       success: true, 
       message: 'Game result saved successfully',
-      data: updates
+      data: { ...updates, totalBet: participant.totalBet || 0 }
     };
 
   } catch (error) {
     console.error(`[saveGoldenBellResult] Error for user ${uid}:`, error);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
     const errorMessage = error instanceof Error ? error.message : 'Unknown error';
     throw new HttpsError('internal', `Failed to save game result: ${errorMessage}`);
   }
-});
+}));
 
 // 골든벨 게임 이력 조회 (마이페이지용)
-export const getGoldenBellHistory = onCall(async (request: CallableRequest) => {
+export const getGoldenBellHistory = onCall(withRateLimit('getGoldenBellHistory', async (request: CallableRequest) => {
   if (!request.auth) {
     throw new Error('Authentication required');
   }
@@ -2633,7 +2657,7 @@ export const getGoldenBellHistory = onCall(async (request: CallableRequest) => {
     console.error('[getGoldenBellHistory] Get Golden Bell history failed:', error);
     throw new Error('Failed to get game history');
   }
-});
+}));
 
 // 골든벨 게임 라운드별 보상 정보 조회
 export const getGoldenBellRoundRewards = onRequest({ cors: true }, async (req, res) => {
@@ -2685,7 +2709,7 @@ export const getGoldenBellRoundRewards = onRequest({ cors: true }, async (req, r
     
     for (const [roundStr, result] of Object.entries(results)) {
       const round = parseInt(roundStr);
-      const rewardData = (result as any).reward; // storeGoldenBellRoundReward에서 저장한 데이터
+      const rewardData = (result as any).reward; // calculateGoldenBellRound에서 저장한 데이터
       
       if (rewardData && round > 0) {
         const totalPot = rewardData.opponentPot || 0; // 기본 상금
@@ -2844,7 +2868,9 @@ export async function createDailyGoldenBellGames(dateParam?: string) {
   };
 }
 
-export const createDailyGoldenBellGamesCallable = onCall({ invoker: 'public' }, async (request: CallableRequest<{ date?: string }>) => {
+export const createDailyGoldenBellGamesCallable = onCall({ invoker: 'public' }, withRateLimit('createDailyGoldenBellGamesCallable', withAudit('createDailyGoldenBellGamesCallable', async (request: CallableRequest<{ date?: string }>) => {
+  requireRole(request, 'operator');
+
   try {
     const { date } = request.data || {};
     const result = await createDailyGoldenBellGames(date);
@@ -2857,7 +2883,7 @@ export const createDailyGoldenBellGamesCallable = onCall({ invoker: 'public' },
     console.error('[createDailyGoldenBellGamesCallable] Error:', error);
     throw new HttpsError('internal', 'Failed to create daily Golden Bell games');
   }
-});
+}, { paths: ['/games/goldenbell'] })));
 
 export async function ensureTodayGoldenBellSchedule(): Promise<void> {
   const { label: dateLabel } = normalizeUtcDate();
@@ -2939,9 +2965,11 @@ export async function createGoldenBellGame() {
 }
 
 // 클라이언트에서 호출 가능한 Callable Function
-export const createGoldenBellGameCallable = onCall({ invoker: 'public' }, async (request: CallableRequest) => {
+export const createGoldenBellGameCallable = onCall({ invoker: 'public' }, withRateLimit('createGoldenBellGameCallable', withAudit('createGoldenBellGameCallable', async (request: CallableRequest) => {
+  const operatorUid = requireRole(request, 'operator');
+
   try {
-    console.log('[createGoldenBellGameCallable] Client requested game creation');
+    console.log(`[createGoldenBellGameCallable] Operator ${operatorUid} requested game creation`);
     const gameId = await createGoldenBellGame();
     
     return {
@@ -2953,10 +2981,10 @@ export const createGoldenBellGameCallable = onCall({ invoker: 'public' }, async
     console.error('[createGoldenBellGameCallable] Error:', error);
     throw new HttpsError('internal', 'Failed to create game');
   }
-});
+}, { paths: ['/games/goldenbell'] })));
 
 // Unity에서 호출하는 게임 목록 가져오기 함수
-export const fetchGoldenBellUpcomingGames = onCall({ invoker: 'public' }, async (request: CallableRequest) => {
+export const fetchGoldenBellUpcomingGames = onCall({ invoker: 'public' }, withRateLimit('fetchGoldenBellUpcomingGames', async (request: CallableRequest) => {
 
   const { limit = 20, includeFinished = false } = request.data || {};
   
@@ -3055,12 +3083,15 @@ export const fetchGoldenBellUpcomingGames = onCall({ invoker: 'public' }, async
     console.error('[fetchGoldenBellUpcomingGames] Error:', error);
     throw new HttpsError('internal', 'Failed to fetch games');
   }
-});
+}));
 
 // Unity에서 호출하는 참가자 정보 가져오기 함수
-export const fetchGoldenBellParticipants = onCall({ invoker: 'public' }, async (request: CallableRequest) => {
+export const fetchGoldenBellParticipants = onCall({ invoker: 'public' }, withRateLimit('fetchGoldenBellParticipants', async (request: CallableRequest) => {
+  // 참가자 이메일(/users/{uid}/auth)을 붙여서 반환하므로 운영 인력만 조회 (일반 사용자는 RTDB 구독 사용)
+  // /games는 공개 읽기이므로 참가자/대기방/팀 노드에는 이메일을 기록하지 않는다
+  requireRole(request, 'support');
 
-  const { gameId } = request.data;
+  const { gameId } = request.data || {};
   
   if (!gameId) {
     throw new HttpsError('invalid-argument', 'gameId is required');
@@ -3141,6 +3172,14 @@ export const fetchGoldenBellParticipants = onCall({ invoker: 'public' }, async (
       }
     }
 
+    const emails = await Promise.all(participants.map(async (participant) => {
+      const emailSnapshot = await rtdb.ref(`/users/${participant.uid}/auth/email`).once('value');
+      return emailSnapshot.val() || 'unknown';
+    }));
+    participants.forEach((participant: any, index) => {
+      participant.email = emails[index];
+    });
+
     console.log(`[fetchGoldenBellParticipants] Found ${participants.length} participants for game ${gameId}`);
 
     return {
@@ -3152,4 +3191,4 @@ export const fetchGoldenBellParticipants = onCall({ invoker: 'public' }, async (
     console.error('[fetchGoldenBellParticipants] Error:', error);
     throw new HttpsError('internal', 'Failed to fetch participants');
   }
-});
+}));
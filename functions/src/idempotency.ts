@@ -0,0 +1,334 @@
+/**
+ * Idempotency Key 처리
+ *
+ * 클라이언트(Unity 브리지)가 재시도할 때 같은 작업이 두 번 실행되지 않도록 한다.
+ * - 첫 요청의 결과를 /idempotency/{functionName}:{uid}:{key}에 보관 기간 동안 저장
+ *   (한 단계 아래에 expiresAt을 두어 정리 작업이 expiresAt 인덱스로 나눠 조회할 수 있게 함)
+ * - 같은 키로 다시 들어온 요청은 핸들러를 실행하지 않고 저장된 결과를 그대로 반환
+ * - 처리 중 상태로 멈춘 기록은 다시 실행하지 않고 needs_reconciliation으로 표시 (핸들러가 이미 잔액을 바꿨을 수 있음)
+ * - 핸들러가 markIdempotencyCommitted로 자금 이동을 알린 뒤 실패하면 키를 해제하지 않고 needs_reconciliation으로 표시
+ *   관리자가 원장을 확인한 뒤 resolveIdempotencyRecord로 해제하거나 완료로 기록한다.
+ * - idempotencyKey가 없는 요청은 기존과 동일하게 처리
+ */
+
+import { createHash } from 'crypto';
+import { onCall, CallableRequest, HttpsError } from 'firebase-functions/v2/https';
+import { rtdb } from './firebase-config';
+import { requireAdmin } from './auth-guards';
+import { withRateLimit } from './rate-limit';
+import { withAudit } from './audit';
+
+const IDEMPOTENCY_ROOT = '/idempotency';
+const CLEANUP_PAGE_SIZE = 500; // 정리 작업이 한 번에 읽는 기록 수
+const MAX_LIST_LIMIT = 200;
+const IDEMPOTENCY_RETENTION_MS = 24 * 60 * 60 * 1000; // 결과 보관 기간 (24시간)
+const IDEMPOTENCY_IN_PROGRESS_TIMEOUT_MS = 2 * 60 * 1000; // 처리 중 상태가 이보다 오래되면 중단된 요청으로 간주 (확인 필요로 표시)
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+interface IdempotencyRecord {
+  uid: string;
+  functionName: string;
+  idempotencyKey: string;
+  status: 'pending' | 'completed' | 'needs_reconciliation';
+  requestHash: string;
+  startedAt: number;
+  expiresAt: number;
+  completedAt?: number;
+  flaggedAt?: number;
+  failureReason?: string; // 자금 이동 후 핸들러가 실패한 경우의 에러 메시지
+  resolvedBy?: string;
+  resolutionNote?: string;
+  resultJson?: string;
+}
+
+// functionName과 idempotencyKey에는 ':'가 없으므로 첫/마지막 ':'로 나눌 수 있음
+function getRecordId(functionName: string, uid: string, idempotencyKey: string): string {
+  return `${functionName}:${uid}:${idempotencyKey}`;
+}
+
+function parseIdempotencyKey(value: any): string | null {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  if (typeof value !== 'string' || !IDEMPOTENCY_KEY_PATTERN.test(value)) {
+    throw new HttpsError(
+      'invalid-argument',
+      'idempotencyKey must be 8-128 characters of letters, digits, "-" or "_".'
+    );
+  }
+
+  return value;
+}
+
+// 자금을 움직인(홀드/차감) 뒤의 요청 - 이후 핸들러가 실패해도 키를 해제하지 않음
+const committedRequests = new WeakSet<CallableRequest>();
+
+/**
+ * 핸들러에서 홀드/차감이 커밋된 직후 호출
+ * 이후 단계가 실패하면 같은 키의 재시도가 자금을 다시 움직이지 않도록 기록을 needs_reconciliation으로 남긴다.
+ */
+export function markIdempotencyCommitted(request: CallableRequest): void {
+  committedRequests.add(request);
+}
+
+function hashRequestData(data: any): string {
+  const { idempotencyKey, ...payload } = data || {};
+  return createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+}
+
+/**
+ * onCall 핸들러를 idempotencyKey 처리로 감싼다.
+ * - 핸들러가 성공하면 결과를 저장하고, 실패하면 키를 해제해서 같은 키로 다시 시도할 수 있게 한다.
+ * - 같은 키가 다른 요청 데이터로 재사용되면 failed-precondition 에러
+ * - 같은 키의 요청이 아직 처리 중이면 aborted 에러
+ * - 처리 중 상태로 멈춘 키(서버 중단 등)는 needs_reconciliation으로 표시하고 failed-precondition 에러 -
+ *   관리자가 원장을 확인하기 전까지 같은 키로 다시 실행하지 않음
+ * @param functionName 키 네임스페이스로 쓰이는 함수 이름
+ * @param handler 실제 처리 함수
+ */
+export function withIdempotency<T>(
+  functionName: string,
+  handler: (request: CallableRequest) => Promise<T>
+): (request: CallableRequest) => Promise<T> {
+  return async (request: CallableRequest) => {
+    const uid = request.auth?.uid;
+    const idempotencyKey = parseIdempotencyKey(request.data?.idempotencyKey);
+
+    // 인증 실패는 핸들러에서 처리, 키가 없으면 기존 동작 그대로
+    if (!uid || !idempotencyKey) {
+      return handler(request);
+    }
+
+    const recordRef = rtdb.ref(`${IDEMPOTENCY_ROOT}/${getRecordId(functionName, uid, idempotencyKey)}`);
+    const requestHash = hashRequestData(request.data);
+    const now = Date.now();
+
+    let flagged = false;
+    const claimResult = await recordRef.transaction((current: IdempotencyRecord | null) => {
+      flagged = false;
+      if (current) {
+        if (current.status === 'needs_reconciliation') {
+          return; // Abort - 확인 전까지 재실행 금지
+        }
+        if (current.status === 'pending' && current.startedAt + IDEMPOTENCY_IN_PROGRESS_TIMEOUT_MS <= now) {
+          flagged = true;
+          return { ...current, status: 'needs_reconciliation', flaggedAt: now };
+        }
+        if (current.expiresAt > now) {
+          return; // Abort - 기존 기록 사용
+        }
+      }
+
+      return {
+        uid,
+        functionName,
+        idempotencyKey,
+        status: 'pending',
+        requestHash,
+        startedAt: now,
+        expiresAt: now + IDEMPOTENCY_RETENTION_MS
+      };
+    });
+
+    if (!claimResult.committed || flagged) {
+      const existing = claimResult.snapshot.val() as IdempotencyRecord;
+
+      if (existing.requestHash !== requestHash) {
+        console.warn(`[${functionName}] Idempotency key ${idempotencyKey} reused with different data by user ${uid}`);
+        throw new HttpsError('failed-precondition', 'idempotencyKey was already used for a different request.');
+      }
+
+      if (existing.status === 'needs_reconciliation') {
+        if (flagged) {
+          console.error(`[${functionName}] Idempotency key ${idempotencyKey} stalled since ${existing.startedAt} for user ${uid} - marked for reconciliation`);
+        }
+        throw new HttpsError('failed-precondition', 'A previous request with this idempotencyKey did not finish and is being reviewed.', {
+          code: 'IDEMPOTENCY_NEEDS_RECONCILIATION'
+        });
+      }
+
+      if (existing.status === 'pending') {
+        console.warn(`[${functionName}] Idempotency key ${idempotencyKey} is still in progress for user ${uid}`);
+        throw new HttpsError('aborted', 'A request with this idempotencyKey is already in progress.');
+      }
+
+      console.log(`[${functionName}] Replaying stored result for idempotency key ${idempotencyKey} (user ${uid})`);
+      return JSON.parse(existing.resultJson || 'null') as T;
+    }
+
+    let result: T;
+    try {
+      result = await handler(request);
+    } catch (error) {
+      if (committedRequests.has(request)) {
+        // 자금 이동 후 실패 - 재시도가 다시 홀드/차감하지 않도록 관리자 확인 대상으로 표시
+        console.error(`[${functionName}] Idempotency key ${idempotencyKey} failed after moving funds for user ${uid} - marked for reconciliation`);
+        try {
+          await recordRef.update({
+            status: 'needs_reconciliation',
+            flaggedAt: Date.now(),
+            failureReason: error instanceof Error ? error.message : String(error)
+          });
+        } catch (flagError) {
+          console.error(`[${functionName}] Failed to flag idempotency key ${idempotencyKey}:`, flagError);
+        }
+        throw error;
+      }
+
+      // 자금을 움직이기 전에 실패한 요청은 결과를 저장하지 않음 - 같은 키로 재시도 가능
+      try {
+        await recordRef.remove();
+      } catch (releaseError) {
+        console.error(`[${functionName}] Failed to release idempotency key ${idempotencyKey}:`, releaseError);
+      }
+      throw error;
+    }
+
+    const completedAt = Date.now();
+    try {
+      // RTDB는 빈 객체/배열과 undefined를 보존하지 않으므로 결과는 JSON 문자열로 저장
+      await recordRef.update({
+        status: 'completed',
+        completedAt,
+        expiresAt: completedAt + IDEMPOTENCY_RETENTION_MS,
+        resultJson: JSON.stringify(result === undefined ? null : result)
+      });
+    } catch (storeError) {
+      console.error(`[${functionName}] Failed to store result for idempotency key ${idempotencyKey}:`, storeError);
+    }
+
+    return result;
+  };
+}
+
+/**
+ * 보관 기간이 지난 idempotency 기록 삭제 (스케줄러에서 호출)
+ * expiresAt 인덱스로 만료된 기록을 CLEANUP_PAGE_SIZE개씩 읽으며, 마지막으로 읽은 (expiresAt, 키) 다음부터 이어서 조회한다.
+ * needs_reconciliation 기록은 관리자가 확인할 수 있도록 남겨 둔다.
+ * @returns 삭제한 기록 수
+ */
+export async function cleanupExpiredIdempotencyKeys(): Promise<number> {
+  const now = Date.now();
+  let removed = 0;
+  let cursor: { expiresAt: number | null; key: string } | null = null;
+
+  while (true) {
+    let query = rtdb.ref(IDEMPOTENCY_ROOT).orderByChild('expiresAt');
+    query = cursor ? query.startAfter(cursor.expiresAt, cursor.key) : query;
+    const snapshot = await query.endAt(now).limitToFirst(CLEANUP_PAGE_SIZE).once('value');
+
+    const records: [string, IdempotencyRecord | null][] = [];
+    snapshot.forEach((child) => {
+      records.push([child.key as string, child.val()]);
+      return false;
+    });
+
+    const updates: Record<string, null> = {};
+    for (const [recordId, record] of records) {
+      if (record?.status !== 'needs_reconciliation') {
+        updates[`${IDEMPOTENCY_ROOT}/${recordId}`] = null;
+      }
+    }
+
+    const pageRemoved = Object.keys(updates).length;
+    if (pageRemoved > 0) {
+      await rtdb.ref().update(updates);
+      removed += pageRemoved;
+    }
+    if (records.length < CLEANUP_PAGE_SIZE) {
+      break;
+    }
+    const [lastId, lastRecord] = records[records.length - 1];
+    cursor = { expiresAt: typeof lastRecord?.expiresAt === 'number' ? lastRecord.expiresAt : null, key: lastId };
+  }
+
+  console.log(`[cleanupExpiredIdempotencyKeys] Removed ${removed} expired idempotency records`);
+  return removed;
+}
+
+function toClientRecord(recordId: string, record: IdempotencyRecord) {
+  const { resultJson, ...rest } = record;
+  return { recordId, ...rest, hasResult: typeof resultJson === 'string' };
+}
+
+// 확인이 필요한 idempotency 기록 목록 (관리자 전용)
+export const listIdempotencyReconciliations = onCall(withRateLimit('listIdempotencyReconciliations', async (request: CallableRequest) => {
+  requireAdmin(request);
+  const { limit = 50 } = request.data || {};
+  const pageSize = Math.min(Math.max(Number(limit) || 50, 1), MAX_LIST_LIMIT);
+
+  const snapshot = await rtdb.ref(IDEMPOTENCY_ROOT)
+    .orderByChild('status')
+    .equalTo('needs_reconciliation')
+    .limitToFirst(pageSize)
+    .once('value');
+
+  const records: ReturnType<typeof toClientRecord>[] = [];
+  snapshot.forEach((child) => {
+    records.push(toClientRecord(child.key as string, child.val()));
+    return false;
+  });
+  records.sort((a, b) => (a.flaggedAt ?? a.startedAt) - (b.flaggedAt ?? b.startedAt));
+
+  return { success: true, records };
+}));
+
+/**
+ * needs_reconciliation 기록 해결 (관리자 전용)
+ * 관리자가 Ledger에서 중단된 요청의 실제 반영 여부를 확인한 뒤 outcome을 지정한다.
+ * - outcome: 'release' → 반영되지 않았음. 기록을 지워 같은 키로 다시 실행할 수 있게 함
+ * - outcome: 'completed' → 반영됐음. 완료로 기록해서 같은 키의 재시도에 다시 실행하지 않고 result(없으면 { success: true, reconciled: true })를 반환
+ */
+export const resolveIdempotencyRecord = onCall(withRateLimit('resolveIdempotencyRecord', withAudit('resolveIdempotencyRecord', async (request: CallableRequest) => {
+  const adminUid = requireAdmin(request);
+  const { recordId, outcome, note, result } = request.data || {};
+
+  if (typeof recordId !== 'string' || !recordId || /[.#$\[\]\/]/.test(recordId)) {
+    throw new HttpsError('invalid-argument', 'recordId is required');
+  }
+  if (outcome !== 'release' && outcome !== 'completed') {
+    throw new HttpsError('invalid-argument', 'outcome must be release or completed');
+  }
+  if (typeof note !== 'string' || !note.trim()) {
+    throw new HttpsError('invalid-argument', 'note is required');
+  }
+
+  const recordRef = rtdb.ref(`${IDEMPOTENCY_ROOT}/${recordId}`);
+  const now = Date.now();
+  let found = false;
+  let resolved = false;
+
+  const transactionResult = await recordRef.transaction((current: IdempotencyRecord | null) => {
+    found = current !== null;
+    resolved = false;
+    if (!current) {
+      return current; // 로컬 캐시가 비어있으면 서버 값으로 재시도됨
+    }
+    if (current.status !== 'needs_reconciliation') {
+      return; // Abort
+    }
+    resolved = true;
+    if (outcome === 'release') {
+      return null;
+    }
+    return {
+      ...current,
+      status: 'completed',
+      completedAt: now,
+      expiresAt: now + IDEMPOTENCY_RETENTION_MS,
+      resolvedBy: adminUid,
+      resolutionNote: note.trim(),
+      resultJson: JSON.stringify(result === undefined ? { success: true, reconciled: true } : result)
+    };
+  });
+
+  if (!transactionResult.committed || !resolved) {
+    throw found
+      ? new HttpsError('failed-precondition', 'Idempotency record is not awaiting reconciliation')
+      : new HttpsError('not-found', `Idempotency record ${recordId} not found`);
+  }
+
+  console.log(`[resolveIdempotencyRecord] Admin ${adminUid} resolved ${recordId} as ${outcome}: ${note.trim()}`);
+  return { success: true, recordId, outcome };
+}, { paths: (request) => [`${IDEMPOTENCY_ROOT}/${request.data?.recordId}`] })));
@@ -3,7 +3,29 @@ import { onSchedule } from 'firebase-functions/v2/scheduler';
 import { CallableRequest } from 'firebase-functions/v2/https';
 import { HttpsError } from 'firebase-functions/v2/https';
 import admin, { rtdb } from './firebase-config';
-import { memberCheck } from './pointhub-client';
+import { memberCheck, redactForLog, toPointHubHttpsError } from './pointhub-client';
+import { toPointHubEmail } from './pointhub-auth';
+import { syncPointHubProfile } from './membership';
+import { provisionUser } from './user-provisioning';
+import { tryBindReferrer } from './referrals';
+import { assertCanWager } from './responsible-gaming';
+import { requireRole } from './auth-guards';
+import * as testHarness from './test-harness';
+import * as matchingGame from './matching-game-new';
+import * as cubeGame from './cube-game-new';
+import {
+  debitWallet,
+  convertWalletCurrency,
+  getCurrencyRules,
+  getWalletBalances as getWalletBalancesForUser,
+  isWalletCurrency,
+  WALLET_CURRENCIES
+} from './wallet';
+import { withIdempotency } from './idempotency';
+import { withRateLimit } from './rate-limit';
+import { withAudit } from './audit';
+import { recordAccountSignals, COLLUSION_SIGNAL_SECRET } from './collusion';
+import { getLatestOracleSnapshot, ORACLE_COINS } from './oracle';
 
 // 새로운 게임 관리 함수들 import
 export { 
@@ -11,7 +33,6 @@ export {
   getCurrentGameStatus, 
   getUserGameHistory,
   processGoldenBellBet,
-  processGoldenBellReward,
   registerGoldenBellParticipant
 } from './game-manager';
 
@@ -52,9 +73,7 @@ export {
   getMatchingGameHistory,
   getCompletedMatchingGames,
   createOrderGame,
-  createRandomGame,
-  testMatchingGameSettlement,
-  testMatchingGameWithWinningNumbers
+  createRandomGame
 } from './matching-game-new';
 
 // 큐브 게임 함수들
@@ -67,76 +86,117 @@ export {
   getCubeGameHistory,
   finalizeCubeGameHistory,
   processCubeGameSettlements,
-  testCubeGameSettlement,
-  testFillCubeGame,
-  testCubeGameWithOracle,
-  testCubeGameWithFixedMove,
-  testResetCubeGame,
   cubeGameSettlementWorker
 } from './cube-game-new';
 
 // Admin tools
 export { setAllUsersVip } from './admin-tools';
 
-// Firebase is initialized in firebase-config.ts
+// 관리자 잔액 조정 함수들
+export {
+  requestBalanceAdjustment,
+  approveBalanceAdjustment,
+  rejectBalanceAdjustment,
+  listBalanceAdjustments
+} from './balance-adjustments';
 
-// Types
-interface UserProfile {
-  nickname?: string;
-  country?: string;
-  createdAt: number;
-}
+// PointHub 계정 인증 정책 (custom token 로그인 전용)
+export {
+  blockPointHubPasswordSignIn,
+  blockPointHubEmailSignUp,
+  rotatePointHubPasswords
+} from './pointhub-auth';
 
-interface UserWallet {
-  usdt: number;
-  ivy: number;
-  pending: number;
-}
+// 지갑 명세서 조회
+export { getWalletStatements } from './wallet-statements';
 
-interface LedgerEntry {
-  type: 'credit' | 'debit';
-  amountUsd: number;
-  meta: Record<string, any>;
-  createdAt: number;
-}
+// PointHub 입출금 함수들
+export {
+  depositFromPointHub,
+  withdrawToPointHub,
+  getPointHubTransfers,
+  resolvePointHubTransfer
+} from './pointhub-transfers';
+
+// Ledger 조회 (필터, 페이지, CSV 내보내기)
+export { getLedger } from './ledger-query';
+
+// 사용자 프로비저닝 (Auth 트리거, 프로필 초기화 콜러블)
+export {
+  provisionUserOnAuthCreate,
+  createUserProfile,
+  enhancedInitUserProfile
+} from './user-provisioning';
+
+// 프로필 수정 (닉네임, 국가, 아바타 - 클라이언트 직접 쓰기 불가)
+export { updateProfile, checkNicknameAvailability, backfillNicknameIndex } from './user-profile';
+
+// 책임 있는 게임 (베팅/손실 한도, 쿨오프, 자기 배제)
+export {
+  getResponsibleGamingStatus,
+  setGamingLimit,
+  startGamingExclusion
+} from './responsible-gaming';
+
+// 추천인 (추천 코드, 추천인 연결, 추천 목록/수당, 관리자 추천 트리)
+export {
+  getMyReferralCode,
+  bindReferralCode,
+  getMyReferrals,
+  getReferralEarnings,
+  getReferralTree
+} from './referrals';
+
+// 운영자 역할 관리 (admin/operator/support custom claims 부여/회수, 변경 기록)
+export {
+  grantStaffRole,
+  revokeStaffRole,
+  listStaffRoles
+} from './staff-roles';
+
+// 감사 로그 조회 (권한/파괴적 작업 실행 기록)
+export { queryAuditLog } from './audit';
+
+// 중단된 idempotency 요청 확인 및 해결 (needs_reconciliation)
+export { listIdempotencyReconciliations, resolveIdempotencyRecord } from './idempotency';
+
+// 다중 계정/공모 탐지 (의심 사례 조회, 검토 및 보류 상금 처리)
+export { listCollusionCases, reviewCollusionCase } from './collusion';
+
+// Firebase is initialized in firebase-config.ts
 
+// Types
 /* interface GameInstance {
   status: 'open' | 'closed';
   startAt: number;
   closedAt: number;
 } */
 
-interface CryptoPrice {
-  [symbol: string]: string;
-}
-
 // ============================================
 // PointHub 로그인 (인증 불필요 - 로그인 전이므로)
 // ============================================
-export const pointHubLogin = onCall(async (request: CallableRequest<{id: string, password: string}>) => {
-  const { id, password } = request.data;
+export const pointHubLogin = onCall({ secrets: [COLLUSION_SIGNAL_SECRET] }, withRateLimit('pointHubLogin', async (request: CallableRequest<{id: string, password: string, referralCode?: string, deviceId?: string}>) => {
+  const { id, password, referralCode } = request.data;
 
   if (!id || !password) {
     throw new HttpsError('invalid-argument', 'ID와 비밀번호를 입력해주세요.');
   }
 
   console.log('=== pointHubLogin 시작 ===');
-  console.log('ID:', id);
+  console.log('ID:', redactForLog({ id }));
 
   try {
     // 1. PointHub API로 계정 확인
     const phResult = await memberCheck(id, password);
-    console.log('PointHub 응답:', JSON.stringify(phResult));
 
-    // PointHub 인증 실패
+    // PointHub 인증 실패 - 결과 코드에 맞는 에러 (인증 실패, PointHub 장애 등)
     if (!phResult.success) {
-      const errorMsg = `[${phResult.code}] ${phResult.message || 'PointHub 인증에 실패했습니다.'}`;
-      console.log('PointHub 인증 실패:', errorMsg);
-      throw new HttpsError('unauthenticated', errorMsg);
+      console.log(`PointHub 인증 실패: [${phResult.code}] ${phResult.message}`);
+      throw toPointHubHttpsError(phResult, 'unauthenticated');
     }
 
     // 2. Firebase Auth 계정 확인/생성
-    const email = `${id}@pointhub.local`; // PointHub ID를 이메일 형식으로 변환
+    const email = toPointHubEmail(id); // PointHub ID를 이메일 형식으로 변환
     let firebaseUser;
 
     try {
@@ -147,58 +207,30 @@ export const pointHubLogin = onCall(async (request: CallableRequest<{id: string,
       // 사용자가 없으면 생성
       if ((error as {code?: string}).code === 'auth/user-not-found') {
         console.log('새 Firebase 사용자 생성 중...');
+        // 비밀번호 없이 생성 - PointHub 비밀번호를 Firebase Auth에 복사하지 않고 custom token으로만 로그인
         firebaseUser = await admin.auth().createUser({
           email: email,
-          password: password,
           displayName: phResult.data?.nickname || id
         });
         console.log('새 Firebase 사용자 생성됨:', firebaseUser.uid);
-
-        // 사용자 프로필 초기화
-        const userProfile: UserProfile = {
-          createdAt: Date.now()
-        };
-        const userWallet: UserWallet = {
-          usdt: 100,
-          ivy: 0,
-          pending: 0
-        };
-
-        await rtdb.ref(`/users/${firebaseUser.uid}`).set({
-          auth: {
-            uid: firebaseUser.uid,
-            email: email,
-            emailVerified: false
-          },
-          profile: userProfile,
-          wallet: userWallet,
-          pointHub: {
-            id: id,
-            mbid: phResult.data?.mbid,
-            mbid2: phResult.data?.mbid2,
-            nickname: phResult.data?.nickname,
-            level: phResult.data?.level
-          }
-        });
-
-        // 회원가입 보너스 Ledger 기록
-        const ledgerEntry: LedgerEntry = {
-          type: 'credit',
-          amountUsd: 100,
-          meta: {
-            operation: 'signup_bonus',
-            description: 'Welcome bonus for new user (PointHub)',
-            timestamp: Date.now()
-          },
-          createdAt: Date.now()
-        };
-        await rtdb.ref(`/ledger/${firebaseUser.uid}`).push(ledgerEntry);
       } else {
         throw error;
       }
     }
 
-    // 3. Custom Token 생성
+    // 3. 사용자 데이터 프로비저닝 (없을 때만 생성, 가입 보너스는 한 번만 - Auth 트리거와 중복돼도 안전)
+    await provisionUser(firebaseUser.uid, { email, emailVerified: false, source: 'pointhub_login' });
+
+    // 다중 계정 탐지용 IP/기기 해시 기록 (실패해도 로그인은 진행)
+    await recordAccountSignals(firebaseUser.uid, request, 'pointhub_login');
+
+    // 첫 로그인 시 추천 코드로 추천인 연결 (실패해도 로그인은 진행)
+    const referral = referralCode ? await tryBindReferrer(firebaseUser.uid, referralCode, 'pointhub_login') : null;
+
+    // 4. PointHub 프로필(닉네임, level) 동기화 및 멤버십 등급 재계산 (매 로그인)
+    const membership = await syncPointHubProfile(firebaseUser.uid, id, phResult.data);
+
+    // 5. Custom Token 생성
     const customToken = await admin.auth().createCustomToken(firebaseUser.uid, {
       pointHubId: id,
       mbid: phResult.data?.mbid,
@@ -220,8 +252,10 @@ export const pointHubLogin = onCall(async (request: CallableRequest<{id: string,
           mbid2: phResult.data?.mbid2,
           nickname: phResult.data?.nickname,
           level: phResult.data?.level
-        }
-      }
+        },
+        membership
+      },
+      referral
     };
   } catch (error) {
     console.error('pointHubLogin 에러:', error);
@@ -230,98 +264,13 @@ export const pointHubLogin = onCall(async (request: CallableRequest<{id: string,
     }
     throw new HttpsError('internal', '로그인 처리 중 오류가 발생했습니다.');
   }
-});
-
-// User initialization on account creation
-export const createUserProfile = onCall(async (request: CallableRequest<{uid: string, email?: string}>) => {
-  // Allow testing without authentication
-  const uid = request.data.uid || (request.auth ? request.auth.uid : 'test-user');
-  const email = request.data.email || (request.auth ? request.auth.token.email : 'test@example.com');
-  
-  const userProfile: UserProfile = {
-    createdAt: Date.now()
-  };
-  
-  // 회원가입 시 기본 100달러 지급
-  const userWallet: UserWallet = {
-    usdt: 100,  // 기본 100달러 지급
-    ivy: 0,
-    pending: 0
-  };
-
-  // 사용자 프로필 및 지갑 초기화
-  await rtdb.ref(`/users/${uid}`).set({
-    auth: {
-      uid,
-      email,
-      emailVerified: (request.auth && request.auth.token.email_verified) || false
-    },
-    profile: userProfile,
-    wallet: userWallet
-  });
-
-  // 회원가입 보너스 Ledger 기록
-  const ledgerEntry: LedgerEntry = {
-    type: 'credit',
-    amountUsd: 100,
-    meta: {
-      operation: 'signup_bonus',
-      description: 'Welcome bonus for new user',
-      timestamp: Date.now()
-    },
-    createdAt: Date.now()
-  };
-
-  await rtdb.ref(`/ledger/${uid}`).push(ledgerEntry);
-
-  console.log(`User ${uid} (${email}) initialized with $100 welcome bonus`);
-  
-  return { success: true, uid, email };
-});
-
-// Server-side credit function
-export const credit = onCall(async (request: CallableRequest) => {
-  if (!request.auth) {
-    throw new Error('Authentication required');
-  }
+}));
 
-  const { uid } = request.auth;
-  const { amount, type, meta = {} } = request.data;
-
-  if (!amount || amount <= 0) {
-    throw new Error('Invalid amount');
-  }
-
-  try {
-    // Update wallet balance atomically
-    await rtdb.ref(`/users/${uid}/wallet/usdt`).transaction((currentBalance) => {
-      return (currentBalance || 0) + amount;
-    });
-
-    // Record transaction in ledger
-    const ledgerEntry: LedgerEntry = {
-      type: 'credit',
-      amountUsd: amount,
-      meta: { ...meta, operation: type },
-      createdAt: Date.now()
-    };
-
-    await rtdb.ref(`/ledger/${uid}`).push(ledgerEntry);
-
-    console.log(`Credited ${amount} USDT to user ${uid}`);
-    return { success: true, amount, balance: await getCurrentBalance(uid) };
-  } catch (error) {
-    console.error('Credit operation failed:', error);
-    throw new Error('Credit operation failed');
-  }
-});
+// 잔액 증가는 관리자 조정 API(balance-adjustments.ts)로만 가능 - 사용자용 credit 함수 없음
 
 // Server-side debit function
-// ⚠️ 중요: 이 함수는 무조건 USDT만 사용합니다. 다른 통화는 지원하지 않습니다.
-export const debit = onCall(async (request: CallableRequest) => {
-  // USDT 전용 상수 정의 (절대 변경 불가)
-  const CURRENCY = 'usdt'; // 소문자로 고정, 대소문자 구분 없음
-  
+// currency 파라미터로 통화 선택 (usdt, ivy - 기본값 usdt)
+export const debit = onCall(withRateLimit('debit', withIdempotency('debit', async (request: CallableRequest) => {
   if (!request.auth) {
     throw new HttpsError('unauthenticated', 'Authentication required');
   }
@@ -329,19 +278,21 @@ export const debit = onCall(async (request: CallableRequest) => {
   const { uid } = request.auth;
   
   // 요청 데이터 로깅 (디버깅용)
-  console.log(`[debit] Request data:`, JSON.stringify(request.data));
+  console.log(`[debit] Request data:`, redactForLog(request.data));
   console.log(`[debit] Request data type:`, typeof request.data);
   
   const { amount, type, meta = {} } = request.data || {};
   
-  // currency 파라미터가 있어도 완전히 무시 (USDT만 사용)
-  if (request.data?.currency) {
-    console.warn(`[debit] Currency parameter '${request.data.currency}' ignored. This function only uses USDT.`);
+  // 통화 검증 (대소문자 구분 없음)
+  const currency = String(request.data?.currency || 'usdt').toLowerCase();
+  if (!isWalletCurrency(currency)) {
+    console.error(`[debit] Unsupported currency: ${request.data?.currency}`);
+    throw new HttpsError('invalid-argument', `Unsupported currency: ${request.data?.currency}. Expected one of: ${WALLET_CURRENCIES.join(', ')}`);
   }
   
   // amount 파라미터 검증 (더 엄격하게)
   if (amount === undefined || amount === null) {
-    console.error(`[debit] Amount is missing. Request data:`, request.data);
+    console.error(`[debit] Amount is missing. Request data:`, redactForLog(request.data));
     throw new HttpsError('invalid-argument', 'Amount parameter is required.');
   }
   
@@ -359,93 +310,25 @@ export const debit = onCall(async (request: CallableRequest) => {
   }
 
   try {
-    console.log(`[debit] Processing debit for user ${uid}, amount: ${amountNumber} USDT, type: ${type || 'unknown'}`);
-    
-    // ⚠️ 중요: 무조건 USDT 기준으로만 처리 (하드코딩, 절대 변경 불가)
-    // - request.data에 currency 파라미터가 있어도 완전히 무시
-    // - 다른 통화 타입이나 wallet 경로 사용 절대 금지
-    // - 모든 debit 작업은 반드시 /users/{uid}/wallet/usdt 경로만 사용
-    // 이전 문제점:
-    // 1. 트랜잭션 결과(committed 속성)를 확인하지 않아서 실제 실패 여부를 알 수 없었음
-    // 2. transactionSuccess 변수가 트랜잭션 콜백 외부에서 설정되어 제대로 동작하지 않았음
-    // 3. 일반 Error를 throw해서 클라이언트에 명확한 에러 정보가 전달되지 않았음
-    // 4. 트랜잭션 전에 잔액을 확인하는 것이 race condition을 유발함
-    
-    // USDT wallet 경로 (절대 변경 불가, 함수 시작 부분의 CURRENCY 상수 사용)
-    const walletPath = `/users/${uid}/wallet/${CURRENCY}`;
-    
-    console.log(`[debit] Using wallet path: ${walletPath} (USDT only, hardcoded)`);
-    
-    // matching-game-new.ts와 동일한 패턴: 트랜잭션 전 잔액 확인
-    // 주의: 이 잔액은 fallback용이며, 실제 차감은 트랜잭션 내부에서 수행
-    const preTransactionSnapshot = await rtdb.ref(walletPath).once('value');
-    const expectedBalance = preTransactionSnapshot.val() || 0;
-    console.log(`[debit] Pre-transaction balance: ${expectedBalance} USDT (for fallback only, transaction uses DB value)`);
-    
-    // ⚠️ 중요: 트랜잭션 내부에서만 잔액 확인 및 차감
-    // matching-game-new.ts와 동일한 패턴:
-    // 1. 트랜잭션 내부에서 balance를 읽음 (원자적, 최신 값)
-    // 2. balance가 null/undefined이면 expectedBalance를 fallback으로 사용
-    // 3. 트랜잭션은 충돌 시 자동 재시도되므로 항상 최신 값을 읽음
-    
-    console.log(`[debit] Starting transaction on path: ${walletPath}`);
-    
-    const transactionResult = await rtdb.ref(walletPath).transaction((currentBalance) => {
-      // matching-game-new.ts 패턴: balance가 null/undefined이면 expectedBalance 사용
-      const balance = currentBalance !== null && currentBalance !== undefined ? currentBalance : expectedBalance;
-      const current = Number(balance) || 0;
-      
-      console.log(`[debit] Transaction callback - currentBalance from DB: ${JSON.stringify(currentBalance)}, using balance: ${current}, expected: ${expectedBalance}, required: ${amountNumber}`);
-      
-      // 잔액 부족 체크 (트랜잭션 내부에서 확인)
-      if (current < amountNumber) {
-        console.error(`[debit] Transaction aborting - insufficient balance: ${current} < ${amountNumber}`);
-        return; // Abort transaction - insufficient balance (undefined 반환)
-      }
-      
-      // 잔액 차감
-      const newBalance = current - amountNumber;
-      console.log(`[debit] Transaction committing - newBalance: ${newBalance} USDT`);
-      return newBalance;
-    });
-
-    if (!transactionResult.committed) {
-      // 트랜잭션이 abort된 경우, snapshot에서 최종 잔액 확인
-      const finalBalance = transactionResult.snapshot?.val() || 0;
-      console.error(`[debit] Transaction aborted. Final balance in DB: ${finalBalance}, Required: ${amountNumber}`);
-      
-      // 더 명확한 에러 메시지
-      throw new HttpsError(
-        'failed-precondition',
-        `Insufficient balance. Current balance: ${finalBalance} USDT, Required: ${amountNumber} USDT`
-      );
-    }
+    console.log(`[debit] Processing debit for user ${uid}, amount: ${amountNumber} ${currency.toUpperCase()}, type: ${type || 'unknown'}`);
 
-    const newBalance = transactionResult.snapshot.val() || 0;
-    console.log(`[debit] Transaction committed. New balance: ${newBalance}`);
-
-    // Record transaction in ledger
-    try {
-      const ledgerEntry: LedgerEntry = {
-        type: 'debit',
-        amountUsd: -amountNumber,
-        meta: { ...meta, operation: type || 'debit' },
-        createdAt: Date.now()
-      };
-
-      await rtdb.ref(`/ledger/${uid}`).push(ledgerEntry);
-      console.log(`[debit] Ledger entry recorded for user ${uid}`);
-    } catch (ledgerError) {
-      console.error(`[debit] Failed to record ledger entry for user ${uid}:`, ledgerError);
-      // Ledger 기록 실패는 치명적이지 않으므로 계속 진행
-    }
+    // 게임 차감이므로 책임 있는 게임 한도/쿨오프 확인 (USD 환산, 초과 시 RG_* 코드의 failed-precondition)
+    const currencyRules = await getCurrencyRules();
+    await assertCanWager(uid, amountNumber * currencyRules[currency].usdRate, 'debit');
+    
+    // - 잔액 확인, 차감, Ledger 기록(통화 태그 포함)은 wallet 모듈의 단일 트랜잭션에서 수행
+    // - 잔액 부족 시 failed-precondition HttpsError가 그대로 전달됨
+    // - countsAsWager: 책임 있는 게임 사용량 집계에 포함
+    const result = await debitWallet(uid, amountNumber, type || 'debit', { ...meta, countsAsWager: true }, { currency });
 
-    console.log(`[debit] Successfully debited ${amountNumber} USDT from user ${uid}. New balance: ${newBalance}`);
+    console.log(`[debit] Successfully debited ${amountNumber} ${currency.toUpperCase()} from user ${uid}. New balance: ${result.balanceAfter}`);
     
     return {
       success: true,
       amount: amountNumber,
-      balance: newBalance
+      currency,
+      balance: result.balanceAfter,
+      ledgerId: result.ledgerId
     };
     
   } catch (error) {
@@ -458,13 +341,43 @@ export const debit = onCall(async (request: CallableRequest) => {
     const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
     throw new HttpsError('internal', `Debit operation failed: ${errorMessage}`);
   }
-});
+})));
 
-// Helper function to get current balance
-async function getCurrentBalance(uid: string): Promise<number> {
-  const snapshot = await rtdb.ref(`/users/${uid}/wallet/usdt`).once('value');
-  return snapshot.val() || 0;
-}
+// 통화별 잔액 조회 (available 잔액과 홀드로 잠긴 locked 잔액 구분) + 통화 규칙
+export const getWalletBalances = onCall(withRateLimit('getWalletBalances', async (request: CallableRequest) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Authentication required');
+  }
+
+  const { uid } = request.auth;
+  const [balances, currencyRules] = await Promise.all([
+    getWalletBalancesForUser(uid),
+    getCurrencyRules()
+  ]);
+
+  return { success: true, balances, currencyRules };
+}));
+
+// 통화 전환 (통화 규칙에서 허용한 조합만 가능)
+export const convertCurrency = onCall(withRateLimit('convertCurrency', withIdempotency('convertCurrency', async (request: CallableRequest) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Authentication required');
+  }
+
+  const { uid } = request.auth;
+  const { fromCurrency, toCurrency, amount } = request.data || {};
+  const amountNumber = typeof amount === 'number' ? amount : parseFloat(String(amount));
+
+  if (!isWalletCurrency(fromCurrency) || !isWalletCurrency(toCurrency)) {
+    throw new HttpsError('invalid-argument', `fromCurrency and toCurrency must be one of: ${WALLET_CURRENCIES.join(', ')}`);
+  }
+  if (!Number.isFinite(amountNumber) || amountNumber <= 0) {
+    throw new HttpsError('invalid-argument', `Amount must be greater than 0. Got: ${amount}`);
+  }
+
+  const result = await convertWalletCurrency(uid, fromCurrency, toCurrency, amountNumber);
+  return { success: true, ...result };
+})));
 
 // Golden Bell Daily Scheduler - generate entire day at 00:00 UTC
 export const goldenBellDailyScheduler = onSchedule(
@@ -589,320 +502,180 @@ export const cubeGameSettlementScheduler = onSchedule(
   }
 );
 
-// Cryptocurrency price oracle - runs every 30 seconds
-export const oracleSnapshot = onSchedule(
+// Wallet Reconciliation Scheduler - daily at 18:00 UTC (03:00 KST)
+// /ledger/{uid}를 재생하여 지갑 잔액과 다른 사용자를 /reconciliation/flags에 기록
+export const walletReconciliationScheduler = onSchedule(
   { 
-    schedule: "every 1 minutes", 
-    timeZone: "Asia/Seoul",
+    schedule: "0 18 * * *",
+    timeZone: "UTC",
     region: "asia-northeast3"
   },
   async () => {
     try {
-      // API 호출은 Binance.US의 USD 페어 사용 (실제 USD 가격)
-      const cryptoPairsUSD = ["BTCUSD", "ETHUSD", "XRPUSD", "BNBUSD", "SOLUSD", "DOGEUSD", "TRXUSD"];
-      // 저장은 USDT 필드명 유지 (기존 구조 호환성)
-      const cryptoPairsUSDT = ["BTCUSDT", "ETHUSDT", "XRPUSDT", "BNBUSDT", "SOLUSDT", "DOGEUSDT", "TRXUSDT"];
-
-      const priceData: CryptoPrice = {};
-      const gameNumbers: Record<string, number> = {};
-
-      // Fetch prices from Binance.US API (실제 USD 가격)
-      for (let i = 0; i < cryptoPairsUSD.length; i++) {
-        const symbolUSD = cryptoPairsUSD[i];
-        const symbolUSDT = cryptoPairsUSDT[i]; // 저장용 키
-
-        try {
-          const response = await fetch(
-            `https://api.binance.us/api/v3/ticker/price?symbol=${symbolUSD}`
-          );
-          const data = await response.json();
-          const price = parseFloat(data.price);
-
-          // USDT 키로 저장 (기존 구조 유지)
-          priceData[symbolUSDT] = data.price;
-
-          // Extract second decimal digit for matching game
-          const priceStr = price.toFixed(2);
-          const secondDecimal = parseInt(priceStr.split('.')[1][1]);
-          gameNumbers[symbolUSD.replace('USD', '')] = secondDecimal;
-        } catch (error) {
-          console.error(`Failed to fetch price for ${symbolUSD}:`, error);
-          // Continue with other symbols even if one fails
-        }
-      }
-
-      if (Object.keys(priceData).length > 0) {
-        const timestamp = Date.now();
-        await rtdb.ref(`/oracle/binance/${timestamp}`).set({
-          prices: priceData,
-          gameNumbers: gameNumbers,
-          timestamp: timestamp
-        });
-        
-        // Update current prices reference for easy access
-        await rtdb.ref('/oracle/current').set({
-          prices: priceData,
-          gameNumbers: gameNumbers,
-          timestamp: timestamp
-        });
-        
-        console.log(`Oracle snapshot saved:`, { priceData, gameNumbers });
-
-        // Clean up old snapshots (keep last 24 hours)
-        await cleanupOldSnapshots();
-      }
+      const { reconcileWallets } = await import('./wallet');
+      const summary = await reconcileWallets();
+      console.log('Wallet reconciliation completed:', summary);
     } catch (error) {
-      console.error('Oracle snapshot failed:', error);
+      console.error('Wallet reconciliation failed:', error);
     }
   }
 );
 
-// [TEST ONLY] Manual Oracle Update - 에뮬레이터 테스트용
-// 프로덕션에서는 사용 불가 (FUNCTIONS_EMULATOR 환경변수 체크)
-export const testUpdateOracle = onCall(async (request: CallableRequest) => {
-  // 에뮬레이터 환경 체크
-  const isEmulator = process.env.FUNCTIONS_EMULATOR === 'true';
-
-  if (!isEmulator) {
-    throw new HttpsError(
-      'failed-precondition',
-      'This function is only available in emulator mode'
-    );
-  }
-
-  try {
-    // Binance.US API에서 실제 가격 가져오기
-    const cryptoPairsUSD = ["BTCUSD", "ETHUSD", "XRPUSD", "BNBUSD", "SOLUSD", "DOGEUSD", "TRXUSD"];
-    const cryptoPairsUSDT = ["BTCUSDT", "ETHUSDT", "XRPUSDT", "BNBUSDT", "SOLUSDT", "DOGEUSDT", "TRXUSDT"];
-
-    const priceData: CryptoPrice = {};
-    const gameNumbers: Record<string, number> = {};
-
-    for (let i = 0; i < cryptoPairsUSD.length; i++) {
-      const symbolUSD = cryptoPairsUSD[i];
-      const symbolUSDT = cryptoPairsUSDT[i];
-
-      try {
-        const response = await fetch(
-          `https://api.binance.us/api/v3/ticker/price?symbol=${symbolUSD}`
-        );
-        const data = await response.json();
-        const price = parseFloat(data.price);
-
-        priceData[symbolUSDT] = data.price;
-
-        const priceStr = price.toFixed(2);
-        const secondDecimal = parseInt(priceStr.split('.')[1][1]);
-        gameNumbers[symbolUSD.replace('USD', '')] = secondDecimal;
-      } catch (error) {
-        console.error(`Failed to fetch price for ${symbolUSD}:`, error);
-      }
-    }
-
-    if (Object.keys(priceData).length > 0) {
-      const timestamp = Date.now();
-
-      await rtdb.ref('/oracle/current').set({
-        prices: priceData,
-        gameNumbers: gameNumbers,
-        timestamp: timestamp
-      });
-
-      console.log('[TEST] Oracle data updated:', { priceData, gameNumbers });
-
-      return {
-        success: true,
-        message: 'Oracle data updated successfully (TEST MODE)',
-        data: {
-          prices: priceData,
-          gameNumbers: gameNumbers,
-          timestamp: timestamp
-        }
-      };
+// Wallet Hold Sweeper - every 10 minutes
+// 결과가 나온 게임의 누락된 홀드는 확정, 취소/미정산 게임의 홀드는 해제
+export const walletHoldSweeper = onSchedule(
+  {
+    schedule: "every 10 minutes",
+    timeZone: "UTC",
+    region: "asia-northeast3"
+  },
+  async () => {
+    try {
+      const { sweepWalletHolds } = await import('./wallet');
+      await sweepWalletHolds();
+    } catch (error) {
+      console.error('Wallet hold sweep failed:', error);
     }
-
-    throw new Error('Failed to fetch any price data');
-  } catch (error: any) {
-    console.error('[TEST] Oracle update failed:', error);
-    throw new HttpsError('internal', error?.message || 'Oracle update failed');
   }
-});
-
-// [TEST ONLY] Create Matching Games - 에뮬레이터 테스트용
-export const testCreateMatchingGame = onCall(async (request: CallableRequest) => {
-  const isEmulator = process.env.FUNCTIONS_EMULATOR === 'true';
+);
 
-  if (!isEmulator) {
-    throw new HttpsError(
-      'failed-precondition',
-      'This function is only available in emulator mode'
-    );
+// Wallet Statement Scheduler - daily at 15:10 UTC (00:10 KST)
+// 지난 KST 하루의 일간 명세서와 월말이면 월간 명세서를 /statements/{uid}에 기록
+export const walletStatementScheduler = onSchedule(
+  {
+    schedule: "10 15 * * *",
+    timeZone: "UTC",
+    region: "asia-northeast3"
+  },
+  async () => {
+    try {
+      const { generateWalletStatements } = await import('./wallet-statements');
+      await generateWalletStatements();
+    } catch (error) {
+      console.error('Wallet statement generation failed:', error);
+    }
   }
+);
 
-  try {
-    const { createOrderGame, createRandomGame } = await import('./matching-game-new');
-
-    // ORDER 게임 생성
-    await createOrderGame();
-    console.log('[TEST] ORDER matching game created');
-
-    // RANDOM 게임 생성
-    await createRandomGame();
-    console.log('[TEST] RANDOM matching game created');
-
-    return {
-      success: true,
-      message: 'Matching games created successfully (TEST MODE)'
-    };
-  } catch (error: any) {
-    console.error('[TEST] Matching game creation failed:', error);
-    throw new HttpsError('internal', error?.message || 'Matching game creation failed');
+// PointHub Transfer Recovery Scheduler - every 5 minutes
+// 중단된 PointHub 입출금의 지갑 입금/홀드 정산/보상 재시도, 결과를 알 수 없는 이체는 검토 대상으로 표시
+export const pointHubTransferRecoveryScheduler = onSchedule(
+  {
+    schedule: "every 5 minutes",
+    timeZone: "UTC",
+    region: "asia-northeast3"
+  },
+  async () => {
+    try {
+      const { recoverPointHubTransfers } = await import('./pointhub-transfers');
+      await recoverPointHubTransfers();
+    } catch (error) {
+      console.error('PointHub transfer recovery failed:', error);
+    }
   }
-});
-
-// [TEST ONLY] Initialize All Test Data - 모든 테스트 데이터 한번에 초기화
-export const testInitializeAll = onCall(async (request: CallableRequest) => {
-  const isEmulator = process.env.FUNCTIONS_EMULATOR === 'true';
+);
 
-  if (!isEmulator) {
-    throw new HttpsError(
-      'failed-precondition',
-      'This function is only available in emulator mode'
-    );
+// Balance Adjustment Recovery Scheduler - every 5 minutes
+// 지갑 반영 후 상태 기록이 중단되어 processing에 남은 잔액 조정을 Ledger 기준으로 마무리
+export const balanceAdjustmentRecoveryScheduler = onSchedule(
+  {
+    schedule: "every 5 minutes",
+    timeZone: "UTC",
+    region: "asia-northeast3"
+  },
+  async () => {
+    try {
+      const { recoverBalanceAdjustments } = await import('./balance-adjustments');
+      await recoverBalanceAdjustments();
+    } catch (error) {
+      console.error('Balance adjustment recovery failed:', error);
+    }
   }
+);
 
-  const results: string[] = [];
-
-  try {
-    // 1. Oracle 데이터 초기화
-    const cryptoPairsUSD = ["BTCUSD", "ETHUSD", "XRPUSD", "BNBUSD", "SOLUSD", "DOGEUSD", "TRXUSD"];
-    const cryptoPairsUSDT = ["BTCUSDT", "ETHUSDT", "XRPUSDT", "BNBUSDT", "SOLUSDT", "DOGEUSDT", "TRXUSDT"];
-    const priceData: CryptoPrice = {};
-    const gameNumbers: Record<string, number> = {};
-
-    for (let i = 0; i < cryptoPairsUSD.length; i++) {
-      try {
-        const response = await fetch(
-          `https://api.binance.us/api/v3/ticker/price?symbol=${cryptoPairsUSD[i]}`
-        );
-        const data = await response.json();
-        const price = parseFloat(data.price);
-        priceData[cryptoPairsUSDT[i]] = data.price;
-        gameNumbers[cryptoPairsUSD[i].replace('USD', '')] = parseInt(price.toFixed(2).split('.')[1][1]);
-      } catch (e) {
-        console.error(`Failed to fetch ${cryptoPairsUSD[i]}`);
-      }
+// Idempotency Cleanup Scheduler - every hour
+// 보관 기간(24시간)이 지난 /idempotency 기록 삭제
+export const idempotencyCleanupScheduler = onSchedule(
+  {
+    schedule: "every 60 minutes",
+    timeZone: "UTC",
+    region: "asia-northeast3"
+  },
+  async () => {
+    try {
+      const { cleanupExpiredIdempotencyKeys } = await import('./idempotency');
+      await cleanupExpiredIdempotencyKeys();
+    } catch (error) {
+      console.error('Idempotency cleanup failed:', error);
     }
+  }
+);
 
-    if (Object.keys(priceData).length > 0) {
-      await rtdb.ref('/oracle/current').set({
-        prices: priceData,
-        gameNumbers: gameNumbers,
-        timestamp: Date.now()
-      });
-      results.push('✅ Oracle data initialized');
+// 호출 빈도 제한 버킷 정리 - 가득 찬(만료된) 버킷 삭제
+export const rateLimitCleanupScheduler = onSchedule(
+  {
+    schedule: "every 60 minutes",
+    timeZone: "UTC",
+    region: "asia-northeast3"
+  },
+  async () => {
+    try {
+      const { cleanupExpiredRateLimitBuckets } = await import('./rate-limit');
+      await cleanupExpiredRateLimitBuckets();
+    } catch (error) {
+      console.error('Rate limit cleanup failed:', error);
     }
+  }
+);
 
-    // 2. 매칭 게임 생성
-    const { createOrderGame, createRandomGame } = await import('./matching-game-new');
-    await createOrderGame();
-    results.push('✅ ORDER matching game created');
-
-    await createRandomGame();
-    results.push('✅ RANDOM matching game created');
-
-    // 3. 골든벨 게임 생성
+// 다중 계정/공모 탐지 - 최근 종료된 골든벨/큐브 게임 평가, releasing에 멈춘 보류 상금 마무리
+export const collusionDetectionScheduler = onSchedule(
+  {
+    schedule: "every 10 minutes",
+    timeZone: "UTC",
+    region: "asia-northeast3"
+  },
+  async () => {
+    const { runCollusionDetection, recoverReleasingPayouts } = await import('./collusion');
     try {
-      const { createDailyGoldenBellGames } = await import('./goldenbell-game-new');
-      await createDailyGoldenBellGames();
-      results.push('✅ Golden Bell games created');
-    } catch (e) {
-      results.push('⚠️ Golden Bell games skipped (may already exist)');
+      await runCollusionDetection();
+    } catch (error) {
+      console.error('Collusion detection failed:', error);
     }
-
-    // 4. 큐브 게임 생성
     try {
-      const { createNewCubeGame } = await import('./cube-game-new');
-      await createNewCubeGame();
-      results.push('✅ Cube game created');
-    } catch (e) {
-      results.push('⚠️ Cube game skipped (may already exist)');
+      await recoverReleasingPayouts();
+    } catch (error) {
+      console.error('Held payout recovery failed:', error);
     }
-
-    console.log('[TEST] All test data initialized:', results);
-
-    return {
-      success: true,
-      message: 'All test data initialized (TEST MODE)',
-      results: results
-    };
-  } catch (error: any) {
-    console.error('[TEST] Initialization failed:', error);
-    throw new HttpsError('internal', error?.message || 'Initialization failed');
   }
-});
+);
 
-// Helper function to clean up old oracle snapshots
-async function cleanupOldSnapshots() {
-  try {
-    const oneDayAgo = Date.now() - (24 * 60 * 60 * 1000);
-    const oracleRef = rtdb.ref('/oracle/binance');
-    
-    // Get all snapshots older than 24 hours
-    const oldSnapshotsSnapshot = await oracleRef
-      .orderByKey()
-      .endAt(oneDayAgo.toString())
-      .once('value');
-    
-    if (oldSnapshotsSnapshot.exists()) {
-      const updates: Record<string, null> = {};
-      oldSnapshotsSnapshot.forEach((child) => {
-        updates[child.key!] = null;
-      });
-      
-      await oracleRef.update(updates);
-      console.log(`Cleaned up ${Object.keys(updates).length} old snapshots`);
+// Cryptocurrency price oracle - runs every minute
+// 가격 조회/숫자 계산/저장은 oracle.ts (모든 게임이 같은 스냅샷 사용)
+export const oracleSnapshot = onSchedule(
+  { 
+    schedule: "every 1 minutes", 
+    timeZone: "Asia/Seoul",
+    region: "asia-northeast3"
+  },
+  async () => {
+    try {
+      const { refreshOracleSnapshot, cleanupOldOracleSnapshots } = await import('./oracle');
+      const snapshot = await refreshOracleSnapshot();
+      console.log(`Oracle snapshot saved (${snapshot.source}):`, snapshot.gameNumbers);
+
+      // Clean up old snapshots (keep last 24 hours)
+      await cleanupOldOracleSnapshots();
+    } catch (error) {
+      console.error('Oracle snapshot failed:', error);
     }
-  } catch (error) {
-    console.error('Snapshot cleanup failed:', error);
   }
-}
+);
 
 // Get Server Time - for client-side time synchronization
-// Rate limiting: Store last call time per user
-const lastServerTimeCalls: Map<string, number> = new Map();
-const MIN_CALL_INTERVAL_MS = 1000; // 최소 1초 간격
-
-export const getServerTime = onCall(async (request: CallableRequest) => {
+// 호출 빈도는 withRateLimit('getServerTime')으로 제한 (초과 시 resource-exhausted + retryAfterMs)
+export const getServerTime = onCall(withRateLimit('getServerTime', async (request: CallableRequest) => {
   try {
-    // Rate limiting: 같은 사용자가 너무 자주 호출하지 않도록 제한
-    const uid = request.auth?.uid || request.rawRequest.ip || 'anonymous';
-    const now = Date.now();
-    const lastCall = lastServerTimeCalls.get(uid);
-    
-    if (lastCall && (now - lastCall) < MIN_CALL_INTERVAL_MS) {
-      // 최근 호출이 너무 빨랐으면 마지막 호출 시간 + 간격 반환 (에러 방지)
-      const serverTime = lastCall + MIN_CALL_INTERVAL_MS;
-      console.log(`[getServerTime] Rate limited for ${uid}, returning cached time`);
-      return {
-        success: true,
-        serverTime: serverTime,
-        timestamp: serverTime,
-        cached: true
-      };
-    }
-    
-    // 정상 호출
-    lastServerTimeCalls.set(uid, now);
-    
-    // Map 크기 제한 (메모리 누수 방지)
-    if (lastServerTimeCalls.size > 10000) {
-      const oldestKey = lastServerTimeCalls.keys().next().value;
-      if (oldestKey) {
-        lastServerTimeCalls.delete(oldestKey);
-      }
-    }
-    
     const serverTime = Date.now();
     
     return {
@@ -917,52 +690,35 @@ export const getServerTime = onCall(async (request: CallableRequest) => {
       error: error?.message || 'Failed to get server time'
     };
   }
-});
+}));
 
 // Get Oracle Price Data - for client-side matching game
-export const getOraclePriceData = onCall(async (request: CallableRequest) => {
+export const getOraclePriceData = onCall(withRateLimit('getOraclePriceData', async (request: CallableRequest) => {
   // 인증 확인
   if (!request.auth) {
     throw new HttpsError('unauthenticated', 'Authentication required');
   }
 
   try {
-    // Oracle 데이터 가져오기 (기존 /oracle/current 사용)
-    const oracleSnapshot = await rtdb.ref('/oracle/current').once('value');
-    const oracleData = oracleSnapshot.val();
+    // 스케줄러가 저장한 최신 스냅샷 (게임과 같은 oracle.ts 스냅샷)
+    const oracleData = await getLatestOracleSnapshot();
 
-    if (!oracleData || !oracleData.prices || !oracleData.gameNumbers) {
+    if (!oracleData || !oracleData.prices) {
       throw new HttpsError('unavailable', 'Oracle service unavailable');
     }
 
-    // gameNumbers 형식 변환 (문서 요구사항에 맞춤)
-    // 기존: { BTC: 2, ETH: 6, ... }
-    // 요구: { BTC: 2, ETH: 6, ... } (동일하지만 명시적으로 변환)
-    const gameNumbers: Record<string, number> = {
-      BTC: oracleData.gameNumbers.BTC || 0,
-      ETH: oracleData.gameNumbers.ETH || 0,
-      XRP: oracleData.gameNumbers.XRP || 0,
-      BNB: oracleData.gameNumbers.BNB || 0,
-      SOL: oracleData.gameNumbers.SOL || 0,
-      DOGE: oracleData.gameNumbers.DOGE || 0,
-      TRX: oracleData.gameNumbers.TRX || 0
-    };
-
-    // prices 형식 확인 및 반환
-    const prices: CryptoPrice = {
-      BTCUSDT: oracleData.prices.BTCUSDT || '0',
-      ETHUSDT: oracleData.prices.ETHUSDT || '0',
-      XRPUSDT: oracleData.prices.XRPUSDT || '0',
-      BNBUSDT: oracleData.prices.BNBUSDT || '0',
-      SOLUSDT: oracleData.prices.SOLUSDT || '0',
-      DOGEUSDT: oracleData.prices.DOGEUSDT || '0',
-      TRXUSDT: oracleData.prices.TRXUSDT || '0'
-    };
+    const gameNumbers: Record<string, number> = {};
+    const prices: Record<string, string> = {};
+    for (const coin of ORACLE_COINS) {
+      gameNumbers[coin] = oracleData.gameNumbers[coin] || 0;
+      prices[`${coin}USDT`] = oracleData.prices[`${coin}USDT`] || '0';
+    }
 
     return {
       success: true,
       data: {
         timestamp: oracleData.timestamp || Date.now(),
+        source: oracleData.source,
         prices: prices,
         gameNumbers: gameNumbers
       }
@@ -978,13 +734,17 @@ export const getOraclePriceData = onCall(async (request: CallableRequest) => {
     // 기타 에러는 internal 에러로 변환
     throw new HttpsError('internal', 'Failed to fetch Oracle data');
   }
-});
+}));
+
+// Initialize complete game system (admin 전용 - 없는 /config/oracle, /config/games만 채움)
+export const initializeSystem = onCall(withRateLimit('initializeSystem', withAudit('initializeSystem', async (request: CallableRequest) => {
+  const adminUid = requireRole(request, 'admin');
+  console.log(`[initializeSystem] Requested by admin ${adminUid}`);
 
-// Initialize complete game system
-export const initializeSystem = onCall(async (request: CallableRequest) => {
   try {
-    // Set system configuration
-    await rtdb.ref('/config').set({
+    // 기본 설정 - /config/oracle, /config/games가 없을 때만 채움
+    // (/config 전체를 set하면 membership, countryAvailability, rateLimits, collusion 등 다른 설정이 지워짐)
+    const defaults: Record<string, unknown> = {
       oracle: {
         coins: ["BTCUSDT", "ETHUSDT", "XRPUSDT", "BNBUSDT", "SOLUSDT", "DOGEUSDT", "TRXUSDT"]
       },
@@ -1008,310 +768,48 @@ export const initializeSystem = onCall(async (request: CallableRequest) => {
           vipOnly: true
         }
       }
-    });
+    };
+
+    const seeded: string[] = [];
+    for (const [key, value] of Object.entries(defaults)) {
+      const result = await rtdb.ref(`/config/${key}`).transaction((current) => {
+        if (current !== null) {
+          return; // Abort - 이미 설정된 값은 유지
+        }
+        return value;
+      });
+      if (result.committed) {
+        seeded.push(key);
+      }
+    }
 
     // Skip game initialization for now
     // const { initializeCubeGame } = await import('./cube-game-new');
     // await initializeCubeGame({} as any, {} as any);
 
-    console.log('All game systems initialized successfully');
-    return { success: true, message: 'Complete system initialized successfully' };
+    console.log(`[initializeSystem] Seeded config: ${seeded.join(', ') || '(none - already configured)'}`);
+    return { success: true, message: 'Complete system initialized successfully', seeded };
   } catch (error) {
     console.error('System initialization failed:', error);
     throw new Error('System initialization failed');
   }
-});
-
-// User Account Functions with Rewards
-export const enhancedInitUserProfile = onCall(async (request: CallableRequest) => {
-  if (!request.auth) {
-    throw new Error('Authentication required');
-  }
-
-  const { referrerId, signupAmount } = request.data;
-  
-  try {
-    const uid = request.auth.uid;
-    
-    // Initialize user profile
-    await rtdb.ref(`/users/${uid}`).set({
-      profile: { 
-        createdAt: Date.now(),
-        referrer: referrerId || null
-      },
-      wallet: { usdt: 0, ivy: 0, pending: 0 },
-      vip: { 
-        status: 'inactive',
-        autoReinvestPool: 0
-      }
-    });
+}, { paths: ['/config/oracle', '/config/games'] })));
 
-    // Process signup rewards if amount provided
-    if (signupAmount && signupAmount > 0) {
-      const { distributeSignupRewards } = await import('./reward-system');
-      await distributeSignupRewards(uid, signupAmount);
-    }
-
-    console.log(`Enhanced user profile initialized for ${uid}`);
-    return { success: true, message: 'User profile initialized with rewards' };
-  } catch (error) {
-    console.error('Enhanced user initialization failed:', error);
-    throw new Error('User initialization failed');
-  }
-});
-
-// 테스트 함수: 모든 데이터 리셋 (gameHistory, Matching 게임, Cube 게임, 유저 데이터)
-export const testResetAllData = onCall(async (request: CallableRequest) => {
-  if (!request.auth) {
-    throw new Error('Authentication required');
-  }
-
-  try {
-    console.log('[testResetAllData] Starting full data reset...');
-    
-    const resetResults = {
-      gameHistory: { deleted: 0, error: null as string | null },
-      matchingGames: { deleted: 0, error: null as string | null },
-      cubeGames: { deleted: 0, error: null as string | null },
-      users: { deleted: 0, error: null as string | null },
-      ledger: { deleted: 0, error: null as string | null }
-    };
-
-    // 1. gameHistory 리셋
-    try {
-      console.log('[testResetAllData] Resetting gameHistory...');
-      const gameHistorySnapshot = await rtdb.ref('/gameHistory').once('value');
-      if (gameHistorySnapshot.exists()) {
-        const gameHistoryData = gameHistorySnapshot.val();
-        const updates: Record<string, null> = {};
-        
-        // 모든 유저의 gameHistory 삭제
-        Object.keys(gameHistoryData).forEach((uid) => {
-          updates[`/gameHistory/${uid}`] = null;
-        });
-        
-        if (Object.keys(updates).length > 0) {
-          await rtdb.ref().update(updates);
-          resetResults.gameHistory.deleted = Object.keys(updates).length;
-        }
-      }
-      console.log(`[testResetAllData] gameHistory reset complete: ${resetResults.gameHistory.deleted} users`);
-    } catch (error) {
-      console.error('[testResetAllData] Error resetting gameHistory:', error);
-      resetResults.gameHistory.error = error instanceof Error ? error.message : 'Unknown error';
-    }
-
-    // 2. Matching 게임 리셋
-    try {
-      console.log('[testResetAllData] Resetting matching games...');
-      const matchingGamesSnapshot = await rtdb.ref('/games/matching').once('value');
-      if (matchingGamesSnapshot.exists()) {
-        const matchingGamesData = matchingGamesSnapshot.val();
-        const updates: Record<string, null> = {};
-        
-        // 모든 Matching 게임 삭제
-        Object.keys(matchingGamesData).forEach((gameId) => {
-          updates[`/games/matching/${gameId}`] = null;
-        });
-        
-        if (Object.keys(updates).length > 0) {
-          await rtdb.ref().update(updates);
-          resetResults.matchingGames.deleted = Object.keys(updates).length;
-        }
-      }
-      console.log(`[testResetAllData] Matching games reset complete: ${resetResults.matchingGames.deleted} games`);
-    } catch (error) {
-      console.error('[testResetAllData] Error resetting matching games:', error);
-      resetResults.matchingGames.error = error instanceof Error ? error.message : 'Unknown error';
-    }
-
-    // 3. Cube 게임 리셋
-    try {
-      console.log('[testResetAllData] Resetting cube games...');
-      const cubeGamesSnapshot = await rtdb.ref('/games/cube').once('value');
-      if (cubeGamesSnapshot.exists()) {
-        const cubeGamesData = cubeGamesSnapshot.val();
-        const updates: Record<string, null> = {};
-        
-        // 모든 Cube 게임 삭제
-        Object.keys(cubeGamesData).forEach((gameId) => {
-          updates[`/games/cube/${gameId}`] = null;
-        });
-        
-        if (Object.keys(updates).length > 0) {
-          await rtdb.ref().update(updates);
-          resetResults.cubeGames.deleted = Object.keys(updates).length;
-        }
-      }
-      console.log(`[testResetAllData] Cube games reset complete: ${resetResults.cubeGames.deleted} games`);
-    } catch (error) {
-      console.error('[testResetAllData] Error resetting cube games:', error);
-      resetResults.cubeGames.error = error instanceof Error ? error.message : 'Unknown error';
-    }
-
-    // 4. 유저 데이터 리셋
-    try {
-      console.log('[testResetAllData] Resetting user data...');
-      const usersSnapshot = await rtdb.ref('/users').once('value');
-      if (usersSnapshot.exists()) {
-        const usersData = usersSnapshot.val();
-        const updates: Record<string, null> = {};
-        
-        // 모든 유저 데이터 삭제
-        Object.keys(usersData).forEach((uid) => {
-          updates[`/users/${uid}`] = null;
-        });
-        
-        if (Object.keys(updates).length > 0) {
-          await rtdb.ref().update(updates);
-          resetResults.users.deleted = Object.keys(updates).length;
-        }
-      }
-      console.log(`[testResetAllData] User data reset complete: ${resetResults.users.deleted} users`);
-    } catch (error) {
-      console.error('[testResetAllData] Error resetting user data:', error);
-      resetResults.users.error = error instanceof Error ? error.message : 'Unknown error';
-    }
-
-    // 5. Ledger 리셋
-    try {
-      console.log('[testResetAllData] Resetting ledger...');
-      const ledgerSnapshot = await rtdb.ref('/ledger').once('value');
-      if (ledgerSnapshot.exists()) {
-        const ledgerData = ledgerSnapshot.val();
-        const updates: Record<string, null> = {};
-        
-        // 모든 유저의 ledger 삭제
-        Object.keys(ledgerData).forEach((uid) => {
-          updates[`/ledger/${uid}`] = null;
-        });
-        
-        if (Object.keys(updates).length > 0) {
-          await rtdb.ref().update(updates);
-          resetResults.ledger.deleted = Object.keys(updates).length;
-        }
-      }
-      console.log(`[testResetAllData] Ledger reset complete: ${resetResults.ledger.deleted} users`);
-    } catch (error) {
-      console.error('[testResetAllData] Error resetting ledger:', error);
-      resetResults.ledger.error = error instanceof Error ? error.message : 'Unknown error';
-    }
-
-    // 실시간 게임 상태도 리셋
-    try {
-      console.log('[testResetAllData] Resetting realtime game status...');
-      const cubeRealtimeSnapshot = await rtdb.ref('/games/cube_realtime').once('value');
-      if (cubeRealtimeSnapshot.exists()) {
-        const updates: Record<string, null> = {};
-        Object.keys(cubeRealtimeSnapshot.val()).forEach((gameId) => {
-          updates[`/games/cube_realtime/${gameId}`] = null;
-        });
-        if (Object.keys(updates).length > 0) {
-          await rtdb.ref().update(updates);
-        }
-      }
-      
-      const matchingSummarySnapshot = await rtdb.ref('/games/matching_summary').once('value');
-      if (matchingSummarySnapshot.exists()) {
-        const updates: Record<string, null> = {};
-        Object.keys(matchingSummarySnapshot.val()).forEach((gameId) => {
-          updates[`/games/matching_summary/${gameId}`] = null;
-        });
-        if (Object.keys(updates).length > 0) {
-          await rtdb.ref().update(updates);
-        }
-      }
-      console.log('[testResetAllData] Realtime game status reset complete');
-    } catch (error) {
-      console.error('[testResetAllData] Error resetting realtime status:', error);
-    }
-
-    const totalDeleted = 
-      resetResults.gameHistory.deleted +
-      resetResults.matchingGames.deleted +
-      resetResults.cubeGames.deleted +
-      resetResults.users.deleted +
-      resetResults.ledger.deleted;
-
-    const hasErrors = Object.values(resetResults).some(result => result.error !== null);
-
-    console.log(`[testResetAllData] Full data reset complete. Total deleted: ${totalDeleted}`);
-
-    // 게임 생성 결과
-    const gameCreationResults = {
-      orderGames: { created: 0, error: null as string | null },
-      randomGames: { created: 0, error: null as string | null },
-      cubeGame: { created: false, error: null as string | null }
-    };
-
-    // 데이터 삭제 후 게임 생성
-    try {
-      console.log('[testResetAllData] Creating games after reset...');
-      
-      // Matching 게임 생성 함수 import
-      const { createOrderGame, createRandomGame } = await import('./matching-game-new');
-      const { createNewCubeGame } = await import('./cube-game-new');
-
-      // 1. Order 게임 생성 (스케줄러처럼 다음 게임 1개만 생성)
-      try {
-        console.log('[testResetAllData] Creating next Order game...');
-        await createOrderGame();
-        gameCreationResults.orderGames.created++;
-        console.log('[testResetAllData] Order game created successfully');
-      } catch (error) {
-        console.error('[testResetAllData] Error creating Order game:', error);
-        gameCreationResults.orderGames.error = error instanceof Error ? error.message : 'Unknown error';
-      }
-
-      // 2. Random 게임 생성 (스케줄러처럼 다음 게임 1개만 생성)
-      try {
-        console.log('[testResetAllData] Creating next Random game...');
-        await createRandomGame();
-        gameCreationResults.randomGames.created++;
-        console.log('[testResetAllData] Random game created successfully');
-      } catch (error) {
-        console.error('[testResetAllData] Error creating Random game:', error);
-        gameCreationResults.randomGames.error = error instanceof Error ? error.message : 'Unknown error';
-      }
-
-      // 3. Cube 게임 생성
-      try {
-        console.log('[testResetAllData] Creating Cube game...');
-        await createNewCubeGame();
-        gameCreationResults.cubeGame.created = true;
-        console.log('[testResetAllData] Cube game created successfully');
-      } catch (error) {
-        console.error('[testResetAllData] Error creating Cube game:', error);
-        gameCreationResults.cubeGame.error = error instanceof Error ? error.message : 'Unknown error';
-      }
-
-    } catch (error) {
-      console.error('[testResetAllData] Error during game creation:', error);
-    }
-
-    const gameCreationHasErrors = 
-      gameCreationResults.orderGames.error !== null ||
-      gameCreationResults.randomGames.error !== null ||
-      gameCreationResults.cubeGame.error !== null;
-
-    const totalGamesCreated = 
-      gameCreationResults.orderGames.created +
-      gameCreationResults.randomGames.created +
-      (gameCreationResults.cubeGame.created ? 1 : 0);
-
-    return {
-      success: !hasErrors && !gameCreationHasErrors,
-      message: hasErrors || gameCreationHasErrors
-        ? 'Data reset completed with some errors. Check details below.'
-        : `All data reset successfully. Total ${totalDeleted} items deleted. ${totalGamesCreated} games created.`,
-      results: resetResults,
-      totalDeleted,
-      gamesCreated: gameCreationResults,
-      totalGamesCreated
-    };
-
-  } catch (error) {
-    console.error('[testResetAllData] Full data reset failed:', error);
-    throw new Error(`Failed to reset all data: ${error instanceof Error ? error.message : 'Unknown error'}`);
-  }
-});
+// ============================================
+// 테스트 하네스 - 에뮬레이터/스테이징 빌드에서만 등록 (프로덕션 배포에는 포함되지 않음)
+// ============================================
+if (testHarness.isTestHarnessEnabled()) {
+  Object.assign(exports, {
+    testUpdateOracle: testHarness.testUpdateOracle,
+    testCreateMatchingGame: testHarness.testCreateMatchingGame,
+    testInitializeAll: testHarness.testInitializeAll,
+    testResetAllData: testHarness.testResetAllData,
+    testMatchingGameSettlement: matchingGame.testMatchingGameSettlement,
+    testMatchingGameWithWinningNumbers: matchingGame.testMatchingGameWithWinningNumbers,
+    testCubeGameSettlement: cubeGame.testCubeGameSettlement,
+    testFillCubeGame: cubeGame.testFillCubeGame,
+    testCubeGameWithOracle: cubeGame.testCubeGameWithOracle,
+    testCubeGameWithFixedMove: cubeGame.testCubeGameWithFixedMove,
+    testResetCubeGame: cubeGame.testResetCubeGame
+  });
+}
@@ -0,0 +1,507 @@
+/**
+ * Ledger 조회 (Ledger Query)
+ *
+ * 사용자 본인의 /ledger/{uid} 기록을 필터링해서 조회한다.
+ * - type(credit/debit), meta.operation, currency, 기간(KST 또는 UTC) 필터
+ * - 최신 항목부터 cursor 기반 페이지 조회 (createdAt 인덱스로 페이지 크기만큼만 읽음)
+ * - 필터 결과 전체 기준의 통화별 누적 합계(running total) 제공 - 전체 합계는 첫 페이지에서만 계산하고
+ *   다음 페이지의 누적 합계는 cursor에 담긴 값에서 이어서 계산
+ * - format: 'csv'이면 지정한 명세 기간의 전체 항목을 CSV로 반환
+ */
+
+import { onCall, HttpsError, CallableRequest } from 'firebase-functions/v2/https';
+import { rtdb } from './firebase-config';
+import { isWalletCurrency, WalletCurrency, WALLET_CURRENCIES } from './wallet';
+import {
+  ReportTimeZone,
+  isReportTimeZone,
+  formatInTimeZone,
+  parseInTimeZone,
+  getDayRange,
+  getMonthRange
+} from './time-utils';
+import { withRateLimit } from './rate-limit';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_EXPORT_ENTRIES = 10000;
+const MAX_OPERATION_FILTERS = 20;
+// 필터(type/operation/currency)에 맞는 항목이 드문 경우 한 페이지를 채우기 위해 읽는 최대 항목 수
+const MAX_PAGE_SCAN_ENTRIES = 2000;
+
+interface RunningTotal {
+  credit: number;
+  debit: number;
+  net: number;
+}
+
+type CurrencyTotals = Record<WalletCurrency, RunningTotal & { count: number }>;
+
+interface LedgerQueryFilters {
+  type: 'credit' | 'debit' | null;
+  operations: string[] | null;
+  currency: WalletCurrency | null;
+  from: number | null;  // 이상
+  to: number | null;    // 미만
+  timeZone: ReportTimeZone;
+}
+
+export interface NormalizedLedgerEntry {
+  ledgerId: string;
+  type: 'credit' | 'debit';
+  currency: WalletCurrency;
+  amount: number;
+  amountUsd: number;
+  balanceBefore: number | null;
+  balanceAfter: number | null;
+  operation: string | null;
+  meta: Record<string, any>;
+  createdAt: number;
+}
+
+interface LedgerItem extends NormalizedLedgerEntry {
+  createdAtLocal: string;
+  runningTotal: RunningTotal;
+}
+
+/**
+ * 페이지 cursor - 마지막으로 반환한(가장 오래된) 항목의 위치와 그 항목까지의 통화별 누적 합계
+ * base64url JSON으로 주고받는다.
+ */
+interface LedgerCursor {
+  createdAt: number;
+  ledgerId: string;
+  running: Record<WalletCurrency, RunningTotal>;
+}
+
+function roundTotal(value: number): number {
+  return Math.round(value * 1e8) / 1e8;
+}
+
+function emptyTotals(): CurrencyTotals {
+  const totals = {} as CurrencyTotals;
+  for (const currency of WALLET_CURRENCIES) {
+    totals[currency] = { credit: 0, debit: 0, net: 0, count: 0 };
+  }
+  return totals;
+}
+
+/**
+ * 날짜 경계 값 해석
+ * - 숫자: UTC 타임스탬프(밀리초)
+ * - 'YYYY-MM-DD': 해당 날짜의 시작 (to로 쓰이면 그 날짜의 끝까지 포함)
+ * - 'YYYY-MM-DD HH:mm[:ss]': 지정한 시간대 기준 시각
+ */
+function parseBoundary(value: any, fieldName: string, timeZone: ReportTimeZone, isEnd: boolean): number | null {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return value;
+  }
+  if (typeof value === 'string') {
+    const dayRange = getDayRange(value.trim(), timeZone);
+    if (dayRange) {
+      return isEnd ? dayRange.end : dayRange.start;
+    }
+    const timestamp = parseInTimeZone(value, timeZone);
+    if (timestamp !== null) {
+      return timestamp;
+    }
+  }
+  throw new HttpsError('invalid-argument', `${fieldName} must be a timestamp or a date string (YYYY-MM-DD[ HH:mm[:ss]])`);
+}
+
+function parseFilters(data: any): LedgerQueryFilters {
+  const { type, operation, currency, from, to, period, timeZone = 'KST' } = data || {};
+
+  if (!isReportTimeZone(timeZone)) {
+    throw new HttpsError('invalid-argument', 'timeZone must be KST or UTC');
+  }
+  if (type !== undefined && type !== null && type !== 'credit' && type !== 'debit') {
+    throw new HttpsError('invalid-argument', 'type must be credit or debit');
+  }
+  if (currency !== undefined && currency !== null && !isWalletCurrency(currency)) {
+    throw new HttpsError('invalid-argument', `currency must be one of ${WALLET_CURRENCIES.join(', ')}`);
+  }
+
+  let operations: string[] | null = null;
+  if (operation !== undefined && operation !== null) {
+    const list = Array.isArray(operation) ? operation : [operation];
+    if (list.length === 0 || list.length > MAX_OPERATION_FILTERS
+      || list.some((item) => typeof item !== 'string' || !item.trim())) {
+      throw new HttpsError('invalid-argument', `operation must be a non-empty string or an array of up to ${MAX_OPERATION_FILTERS} strings`);
+    }
+    operations = list.map((item: string) => item.trim());
+  }
+
+  let rangeStart: number | null;
+  let rangeEnd: number | null;
+  if (period !== undefined && period !== null) {
+    // 명세 기간 - 'YYYY-MM' (월) 또는 'YYYY-MM-DD' (일)
+    const range = typeof period === 'string'
+      ? getMonthRange(period, timeZone) || getDayRange(period, timeZone)
+      : null;
+    if (!range) {
+      throw new HttpsError('invalid-argument', 'period must be YYYY-MM or YYYY-MM-DD');
+    }
+    if ((from !== undefined && from !== null) || (to !== undefined && to !== null)) {
+      throw new HttpsError('invalid-argument', 'Use either period or from/to, not both');
+    }
+    rangeStart = range.start;
+    rangeEnd = range.end;
+  } else {
+    rangeStart = parseBoundary(from, 'from', timeZone, false);
+    rangeEnd = parseBoundary(to, 'to', timeZone, true);
+  }
+
+  if (rangeStart !== null && rangeEnd !== null && rangeStart >= rangeEnd) {
+    throw new HttpsError('invalid-argument', 'from must be earlier than to');
+  }
+
+  return {
+    type: type || null,
+    operations,
+    currency: currency || null,
+    from: rangeStart,
+    to: rangeEnd,
+    timeZone
+  };
+}
+
+/**
+ * 'matching_*'처럼 끝에 *가 붙은 필터는 접두사로 비교
+ */
+function matchesOperation(operation: string | null, filters: string[]): boolean {
+  if (!operation) {
+    return false;
+  }
+  return filters.some((filter) => filter.endsWith('*')
+    ? operation.startsWith(filter.slice(0, -1))
+    : operation === filter);
+}
+
+/**
+ * Ledger 항목 정규화 - 이전 형식 항목(currency/amount 없음, debit의 amountUsd 음수)도 같은 형태로
+ */
+function normalizeLedgerEntry(ledgerId: string, entry: any): NormalizedLedgerEntry {
+  const value = entry || {};
+  const meta = value.meta && typeof value.meta === 'object' ? value.meta : {};
+  return {
+    ledgerId,
+    type: value.type === 'debit' ? 'debit' : 'credit',
+    currency: isWalletCurrency(value.currency) ? value.currency : 'usdt',
+    // 이전 debit 함수는 amountUsd를 음수로 기록했으므로 금액은 절대값, 부호는 type으로 판단
+    amount: Math.abs(Number(value.amount ?? value.amountUsd) || 0),
+    amountUsd: Math.abs(Number(value.amountUsd ?? value.amount) || 0),
+    balanceBefore: typeof value.balanceBefore === 'number' ? value.balanceBefore : null,
+    balanceAfter: typeof value.balanceAfter === 'number' ? value.balanceAfter : null,
+    operation: typeof meta.operation === 'string' ? meta.operation : null,
+    meta,
+    createdAt: Number(value.createdAt) || 0
+  };
+}
+
+/**
+ * 기간 내 Ledger 항목을 기록 순서(ledgerId 오름차순)로 읽는다.
+ * @param from 시작 타임스탬프 (이상, null이면 처음부터)
+ * @param to 끝 타임스탬프 (미만, null이면 끝까지)
+ */
+export async function readLedgerEntries(uid: string, from: number | null, to: number | null): Promise<NormalizedLedgerEntry[]> {
+  const ledgerRef = rtdb.ref(`/ledger/${uid}`);
+  let query = from !== null || to !== null
+    ? ledgerRef.orderByChild('createdAt')
+    : ledgerRef.orderByKey();
+  if (from !== null) {
+    query = query.startAt(from);
+  }
+  if (to !== null) {
+    query = query.endBefore(to);
+  }
+
+  const snapshot = await query.once('value');
+  const entries: NormalizedLedgerEntry[] = [];
+  snapshot.forEach((child) => {
+    entries.push(normalizeLedgerEntry(child.key as string, child.val()));
+    return false;
+  });
+
+  // createdAt 정렬로 읽은 경우에도 기록 순서 기준
+  entries.sort((a, b) => (a.ledgerId < b.ledgerId ? -1 : a.ledgerId > b.ledgerId ? 1 : 0));
+  return entries;
+}
+
+/**
+ * 기간 안에서 before 위치보다 오래된 항목을 최신순으로 최대 limit개 읽는다 (createdAt, ledgerId 순서).
+ * @param before 이 위치(createdAt, ledgerId)보다 앞선 항목만 - null이면 기간 끝(to)부터
+ */
+async function readLedgerPageBefore(
+  uid: string,
+  from: number | null,
+  to: number | null,
+  before: { createdAt: number; ledgerId: string } | null,
+  limit: number
+): Promise<NormalizedLedgerEntry[]> {
+  let query = rtdb.ref(`/ledger/${uid}`).orderByChild('createdAt');
+  if (from !== null) {
+    query = query.startAt(from);
+  }
+  if (before) {
+    query = query.endBefore(before.createdAt, before.ledgerId);
+  } else if (to !== null) {
+    query = query.endBefore(to);
+  }
+
+  const snapshot = await query.limitToLast(limit).once('value');
+  const entries: NormalizedLedgerEntry[] = [];
+  snapshot.forEach((child) => {
+    entries.push(normalizeLedgerEntry(child.key as string, child.val()));
+    return false;
+  });
+  return entries.reverse();
+}
+
+function matchesFilters(entry: NormalizedLedgerEntry, filters: LedgerQueryFilters): boolean {
+  if (filters.type && entry.type !== filters.type) return false;
+  if (filters.currency && entry.currency !== filters.currency) return false;
+  if (filters.operations && !matchesOperation(entry.operation, filters.operations)) return false;
+  return true;
+}
+
+function encodeCursor(cursor: LedgerCursor): string {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(value: string): LedgerCursor {
+  try {
+    const cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    if (
+      cursor && typeof cursor === 'object' &&
+      Number.isFinite(cursor.createdAt) &&
+      typeof cursor.ledgerId === 'string' && cursor.ledgerId &&
+      cursor.running && typeof cursor.running === 'object'
+    ) {
+      const running = {} as Record<WalletCurrency, RunningTotal>;
+      for (const currency of WALLET_CURRENCIES) {
+        const total = cursor.running[currency] || {};
+        const credit = Number(total.credit) || 0;
+        const debit = Number(total.debit) || 0;
+        running[currency] = { credit, debit, net: roundTotal(credit - debit) };
+      }
+      return { createdAt: cursor.createdAt, ledgerId: cursor.ledgerId, running };
+    }
+  } catch (error) {
+    // 아래에서 invalid-argument
+  }
+  throw new HttpsError('invalid-argument', 'cursor must be the nextCursor of a previous response');
+}
+
+/**
+ * 기간 조건으로 Ledger를 읽고 나머지 필터를 적용한다.
+ * 반환 순서는 ledgerId(기록 순서) 오름차순이며 각 항목에 누적 합계가 포함된다.
+ * totals는 필터 결과 전체의 통화별 합계
+ */
+async function loadFilteredEntries(uid: string, filters: LedgerQueryFilters): Promise<{ items: LedgerItem[]; totals: CurrencyTotals }> {
+  const entries = await readLedgerEntries(uid, filters.from, filters.to);
+  const running = emptyTotals();
+  const items: LedgerItem[] = [];
+
+  for (const entry of entries) {
+    if (!matchesFilters(entry, filters)) continue;
+
+    const total = running[entry.currency];
+    if (entry.type === 'credit') {
+      total.credit = roundTotal(total.credit + entry.amount);
+    } else {
+      total.debit = roundTotal(total.debit + entry.amount);
+    }
+    total.net = roundTotal(total.credit - total.debit);
+    total.count++;
+
+    items.push({
+      ...entry,
+      createdAtLocal: formatInTimeZone(entry.createdAt, filters.timeZone),
+      runningTotal: { credit: total.credit, debit: total.debit, net: total.net }
+    });
+  }
+
+  return { items, totals: running };
+}
+
+function escapeCsv(value: any): string {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildLedgerCsv(items: LedgerItem[], timeZone: ReportTimeZone): string {
+  const header = [
+    'ledgerId',
+    `createdAt (${timeZone})`,
+    'type',
+    'operation',
+    'currency',
+    'amount',
+    'amountUsd',
+    'balanceBefore',
+    'balanceAfter',
+    'runningCredit',
+    'runningDebit',
+    'runningNet',
+    'gameId',
+    'description'
+  ];
+
+  const rows = items.map((item) => [
+    item.ledgerId,
+    item.createdAtLocal,
+    item.type,
+    item.operation,
+    item.currency,
+    item.amount,
+    item.amountUsd,
+    item.balanceBefore,
+    item.balanceAfter,
+    item.runningTotal.credit,
+    item.runningTotal.debit,
+    item.runningTotal.net,
+    item.meta.gameId,
+    item.meta.description || item.meta.reason
+  ].map(escapeCsv).join(','));
+
+  return [header.join(','), ...rows].join('\r\n');
+}
+
+/**
+ * Ledger 조회
+ * data: { type?, operation?, currency?, from?, to?, period?, timeZone?: 'KST' | 'UTC',
+ *         limit?, cursor?, format?: 'json' | 'csv' }
+ * - json: 최신 항목부터 limit개, 다음 페이지는 응답의 nextCursor를 cursor로 전달
+ *   (totals는 첫 페이지에만 포함, 다음 페이지는 기간 안에서 cursor 이전 항목만 읽음)
+ * - csv: period 또는 from/to로 지정한 명세 기간 전체를 기록 순서대로 반환
+ */
+export const getLedger = onCall(withRateLimit('getLedger', async (request: CallableRequest) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Authentication required');
+  }
+
+  const { uid } = request.auth;
+  const { limit = DEFAULT_PAGE_SIZE, cursor, format = 'json' } = request.data || {};
+
+  if (format !== 'json' && format !== 'csv') {
+    throw new HttpsError('invalid-argument', 'format must be json or csv');
+  }
+  if (cursor !== undefined && cursor !== null && (typeof cursor !== 'string' || !cursor)) {
+    throw new HttpsError('invalid-argument', 'cursor must be the nextCursor of a previous response');
+  }
+
+  const filters = parseFilters(request.data);
+  const range = {
+    from: filters.from,
+    to: filters.to,
+    fromLocal: filters.from !== null ? formatInTimeZone(filters.from, filters.timeZone) : null,
+    toLocal: filters.to !== null ? formatInTimeZone(filters.to, filters.timeZone) : null,
+    timeZone: filters.timeZone
+  };
+
+  if (format === 'csv') {
+    if (filters.from === null || filters.to === null) {
+      throw new HttpsError('invalid-argument', 'CSV export requires a statement period (period or from/to)');
+    }
+
+    const { items, totals } = await loadFilteredEntries(uid, filters);
+    if (items.length > MAX_EXPORT_ENTRIES) {
+      throw new HttpsError('out-of-range', `Statement period has more than ${MAX_EXPORT_ENTRIES} entries. Use a shorter period.`);
+    }
+
+    const label = typeof request.data?.period === 'string'
+      ? request.data.period
+      : `${range.fromLocal!.substring(0, 10)}_${range.toLocal!.substring(0, 10)}`;
+    console.log(`[getLedger] Exported ${items.length} ledger entries as CSV for user ${uid} (${label} ${filters.timeZone})`);
+
+    return {
+      success: true,
+      format: 'csv',
+      filename: `ledger_${label}_${filters.timeZone}.csv`,
+      csv: buildLedgerCsv(items, filters.timeZone),
+      entryCount: items.length,
+      totals,
+      range
+    };
+  }
+
+  const pageSize = Math.min(Math.max(Number(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  // 첫 페이지: 필터 결과 전체 합계 = 가장 최신 항목의 누적 합계
+  // 다음 페이지: cursor에 담긴 마지막 항목의 누적 합계에서 이어서 계산
+  let position: { createdAt: number; ledgerId: string } | null = null;
+  let running: Record<WalletCurrency, RunningTotal>;
+  let totals: CurrencyTotals | null = null;
+  if (cursor) {
+    const decoded = decodeCursor(cursor);
+    position = { createdAt: decoded.createdAt, ledgerId: decoded.ledgerId };
+    running = decoded.running;
+  } else {
+    totals = (await loadFilteredEntries(uid, filters)).totals;
+    running = {} as Record<WalletCurrency, RunningTotal>;
+    for (const currency of WALLET_CURRENCIES) {
+      const { credit, debit, net } = totals[currency];
+      running[currency] = { credit, debit, net };
+    }
+  }
+
+  // 최신순으로 pageSize + 1개가 모일 때까지 인덱스 조회 (필터에 안 맞는 항목은 건너뜀)
+  const matched: NormalizedLedgerEntry[] = [];
+  let scanned = 0;
+  let exhausted = false;
+  while (matched.length <= pageSize && scanned < MAX_PAGE_SCAN_ENTRIES) {
+    const batchSize = Math.min(pageSize + 1, MAX_PAGE_SCAN_ENTRIES - scanned);
+    const batch = await readLedgerPageBefore(uid, filters.from, filters.to, position, batchSize);
+    scanned += batch.length;
+    for (const entry of batch) {
+      if (matchesFilters(entry, filters)) {
+        matched.push(entry);
+      }
+    }
+    if (batch.length < batchSize) {
+      exhausted = true;
+      break;
+    }
+    const oldest = batch[batch.length - 1];
+    position = { createdAt: oldest.createdAt, ledgerId: oldest.ledgerId };
+  }
+
+  const pageEntries = matched.slice(0, pageSize);
+  const entries: LedgerItem[] = [];
+  for (const entry of pageEntries) {
+    const total = running[entry.currency];
+    entries.push({
+      ...entry,
+      createdAtLocal: formatInTimeZone(entry.createdAt, filters.timeZone),
+      runningTotal: { ...total }
+    });
+    // 한 항목 이전 시점의 누적 합계
+    const credit = entry.type === 'credit' ? roundTotal(total.credit - entry.amount) : total.credit;
+    const debit = entry.type === 'debit' ? roundTotal(total.debit - entry.amount) : total.debit;
+    running[entry.currency] = { credit, debit, net: roundTotal(credit - debit) };
+  }
+
+  // 필터에 맞는 항목이 더 있거나, 스캔 한도에 걸려 아직 끝까지 읽지 못한 경우
+  const hasMore = matched.length > pageSize || (!exhausted && matched.length === pageEntries.length);
+  const last = entries.length > 0 ? entries[entries.length - 1] : null;
+  const resumeAt = matched.length > pageSize && last
+    ? { createdAt: last.createdAt, ledgerId: last.ledgerId }
+    : position;
+
+  return {
+    success: true,
+    format: 'json',
+    entries,
+    nextCursor: hasMore && resumeAt ? encodeCursor({ ...resumeAt, running }) : null,
+    hasMore,
+    totals,
+    range
+  };
+}));
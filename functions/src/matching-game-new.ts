@@ -1,72 +1,16 @@
-import { onCall } from 'firebase-functions/v2/https';
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
 import { CallableRequest } from 'firebase-functions/v2/https';
 import { rtdb } from './firebase-config';
+import { testOnlyCall } from './test-harness';
 import { formatRank } from './history-formatter';
+import { creditWallet, placeHolds, settleHold } from './wallet';
+import { withIdempotency, markIdempotencyCommitted } from './idempotency';
+import { assertCanWager } from './responsible-gaming';
+import { assertFeatureAvailable, getUserAvailability } from './country-availability';
+import { withRateLimit } from './rate-limit';
+import { captureGameOracleSnapshot, ORACLE_COINS, OracleSnapshot } from './oracle';
 
 const MATCHING_SETTLEMENT_DELAY_MS = 5 * 60 * 1000;
-const MATCHING_ORACLE_PAIRS = [
-  'BTCUSDT',
-  'ETHUSDT',
-  'XRPUSDT',
-  'BNBUSDT',
-  'SOLUSDT',
-  'DOGEUSDT',
-  'TRXUSDT'
-];
-
-// Binance API에서 실시간 가격 데이터 가져오기
-async function fetchBinanceOracleData(): Promise<{ gameNumbers: Record<string, number>; prices: Record<string, string>; timestamp: number; source: 'binance' | 'fallback'; }> {
-  try {
-    const priceData: Record<string, string> = {};
-    const gameNumbers: Record<string, number> = {};
-
-    for (const symbol of MATCHING_ORACLE_PAIRS) {
-      const response = await fetch(`https://api.binance.com/api/v3/ticker/price?symbol=${symbol}`);
-      if (!response.ok) {
-        throw new Error(`Binance responded with ${response.status}`);
-      }
-      const data = await response.json();
-      const price = parseFloat(data.price);
-      priceData[symbol] = data.price;
-
-      const priceStr = price.toFixed(2);
-      const decimals = priceStr.split('.')[1] || '00';
-      const secondDecimal = parseInt(decimals[1] ?? decimals[0] ?? '0', 10);
-      gameNumbers[symbol.replace('USDT', '')] = Number.isNaN(secondDecimal) ? 0 : secondDecimal;
-    }
-
-    return {
-      gameNumbers,
-      prices: priceData,
-      timestamp: Date.now(),
-      source: 'binance'
-    };
-  } catch (error) {
-    console.error('[fetchBinanceOracleData] Primary fetch failed. Falling back to deterministic oracle data.', error);
-    return generateFallbackOracleData();
-  }
-}
-
-function generateFallbackOracleData(): { gameNumbers: Record<string, number>; prices: Record<string, string>; timestamp: number; source: 'fallback'; } {
-  const timestamp = Date.now();
-  const gameNumbers: Record<string, number> = {};
-  const prices: Record<string, string> = {};
-
-  MATCHING_ORACLE_PAIRS.forEach((symbol, index) => {
-    const coin = symbol.replace('USDT', '');
-    const seed = Math.abs(Math.sin(timestamp + index) * 1000);
-    const derived = Math.floor(seed) % 10;
-    gameNumbers[coin] = derived;
-    prices[symbol] = (seed + index).toFixed(2);
-  });
-
-  return {
-    gameNumbers,
-    prices,
-    timestamp,
-    source: 'fallback'
-  };
-}
 
 // Types
 interface MatchingGame {
@@ -95,6 +39,7 @@ interface MatchingParticipant {
   selectionType: 'auto' | 'manual' | 'semi-auto';
   betAmount: number; // 2달러 고정
   bettedAt: number;
+  holdId?: string; // 베팅 홀드 ID (ORDER 게임)
   result?: {
     matches: number;
     rank: number;
@@ -127,15 +72,8 @@ interface MatchingGameSummary {
   calculatedAt: number;
 }
 
-interface OracleSnapshot {
-  gameNumbers: Record<string, number>;
-  prices: Record<string, string>;
-  timestamp: number;
-  capturedAt: number;
-}
-
 // 매칭 게임 참여
-export const joinMatchingGame = onCall(async (request: CallableRequest) => {
+export const joinMatchingGame = onCall(withRateLimit('joinMatchingGame', withIdempotency('joinMatchingGame', async (request: CallableRequest) => {
   if (!request.auth) {
     throw new Error('Authentication required');
   }
@@ -217,6 +155,9 @@ export const joinMatchingGame = onCall(async (request: CallableRequest) => {
       throw new Error('No matching games available for betting');
     }
 
+    // 국가별 이용 제한 확인 (차단 시 COUNTRY_NOT_ALLOWED 코드의 failed-precondition)
+    await assertFeatureAvailable(uid, resolvedGameType === 'random' ? 'matching_random' : 'matching_order', 'joinMatchingGame');
+
     const targetGames = bettableGames.filter(game => game.gameType === resolvedGameType);
 
     if (targetGames.length === 0) {
@@ -233,68 +174,45 @@ export const joinMatchingGame = onCall(async (request: CallableRequest) => {
     }
 
     const betAmount = 1; // 2달러 고정
+    const betId = `bet_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
     
     // Random 게임은 실제 잔고를 차감하지 않음
     const isRandomGame = resolvedGameType === 'random';
     
-    if (!isRandomGame) {
-      // ORDER 게임인 경우에만 잔액 확인 및 차감
-      // 직접 경로에서 usdt 잔액 확인 (우선)
-      let directBalance = 0;
-      try {
-        const directBalanceSnapshot = await rtdb.ref(`/users/${uid}/wallet/usdt`).once('value');
-        directBalance = directBalanceSnapshot.val() || 0;
-        console.log(`[joinMatchingGame] Direct path balance (/users/${uid}/wallet/usdt): ${directBalance} (type: ${typeof directBalance})`);
-      } catch (directError) {
-        console.error(`[joinMatchingGame] Error reading direct path:`, directError);
-      }
-      
-      // userData에서도 usdt 확인
-      const userDataBalance = userData.wallet?.usdt || 0;
-      console.log(`[joinMatchingGame] UserData wallet.usdt: ${userDataBalance} (type: ${typeof userDataBalance})`);
-      
-      // 최종 잔액: 직접 경로가 있으면 사용, 없으면 userData에서 가져옴
-      const finalBalance = directBalance > 0 ? directBalance : userDataBalance;
-      
-      console.log(`[joinMatchingGame] User balance check - direct: ${directBalance}, userData: ${userDataBalance}, final: ${finalBalance}, required: ${betAmount}`);
-      console.log(`[joinMatchingGame] Wallet structure:`, JSON.stringify(userData.wallet, null, 2));
-      
-      if (finalBalance < betAmount * 2) {
-        console.error(`[joinMatchingGame] Insufficient balance - Current: $${finalBalance}, Required: $${betAmount}`);
-        throw new Error(`Insufficient balance. Current: $${finalBalance}, Required: $${betAmount}`);
-      }
+    // 게임별 홀드 ID (ORDER 게임만)
+    const holdIdsByGame: Record<string, string> = {};
 
-      // 지갑에서 베팅 금액 차감 (트랜잭션 사용, usdt만 사용)
-      const expectedBalance = finalBalance;
-      const debitResult = await rtdb.ref(`/users/${uid}/wallet/usdt`).transaction((currentBalance) => {
-        // currentBalance가 null/undefined이면 expectedBalance 사용
-        const balance = currentBalance !== null && currentBalance !== undefined ? currentBalance : expectedBalance;
-        
-        console.log(`[joinMatchingGame] Transaction callback - currentBalance from DB: ${currentBalance}, using balance: ${balance}, expected: ${expectedBalance}, required: ${betAmount}`);
-        
-        if (balance < betAmount * 2) {
-          console.log(`[joinMatchingGame] Transaction aborted - insufficient balance: ${balance} < ${betAmount}`);
-          return; // 트랜잭션 중단
+    // 책임 있는 게임 한도/쿨오프 확인 - Random 게임은 차감이 없으므로 쿨오프/자기 배제만 확인
+    const totalHoldAmount = isRandomGame ? 0 : betAmount * 2 + betAmount * (targetGames.length - 1);
+    await assertCanWager(uid, totalHoldAmount, 'joinMatchingGame');
+    
+    if (!isRandomGame) {
+      // ORDER 게임인 경우에만 차감
+      // 베팅 금액을 게임별 홀드로 이동 + Ledger 기록 (matching 차감 정책 - 기본 IVY 우선, 잔액 부족 시 failed-precondition)
+      // 첫 게임은 betAmount * 2, 동일 타입 게임이 여러 개면 추가 게임마다 betAmount
+      const holds = await placeHolds(uid, 'matching', 'matching_bet', targetGames.map((game, index) => ({
+        amountUsd: index === 0 ? betAmount * 2 : betAmount,
+        gameType: 'matching' as const,
+        gameId: game.gameId,
+        meta: {
+          matchingGameType: resolvedGameType,
+          numbers: selectedNumbers,
+          selectionType,
+          betId
         }
-        
-        const newBalance = balance - betAmount * 2;
-        console.log(`[joinMatchingGame] Transaction will commit - newBalance: ${newBalance}`);
-        return newBalance;
+      })));
+      holds.forEach((hold) => {
+        holdIdsByGame[hold.gameId] = hold.holdId;
       });
-
-      if (!debitResult.committed) {
-        const snapshotValue = debitResult.snapshot?.val();
-        console.error(`[joinMatchingGame] Transaction failed - committed: ${debitResult.committed}, snapshot: ${snapshotValue}`);
-        throw new Error(`Failed to debit wallet. Transaction was not committed. Current balance: ${snapshotValue}`);
-      }
+      // 홀드가 커밋됨 - 이후 참가 기록이 실패해도 같은 키로 다시 홀드하지 않음
+      markIdempotencyCommitted(request);
       
-      console.log(`[joinMatchingGame] Wallet debited successfully - new balance: ${debitResult.snapshot.val()}`);
+      console.log(`[joinMatchingGame] Bet held successfully - holds: ${JSON.stringify(holdIdsByGame)}`);
     } else {
       console.log(`[joinMatchingGame] Random game detected - skipping wallet debit for ${uid}`);
     }
 
     // 베팅 정보 생성
-    const betId = `bet_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
     const participant: MatchingParticipant = {
       uid,
       email: userData.auth?.email || 'unknown',
@@ -316,7 +234,9 @@ export const joinMatchingGame = onCall(async (request: CallableRequest) => {
       updatePromises.push(
         rtdb.ref(`/games/matching/${game.gameId}/participants/${uid}`).transaction((currentBets) => {
           const bets = currentBets || [];
-          bets.push(participant);
+          bets.push(holdIdsByGame[game.gameId]
+            ? { ...participant, holdId: holdIdsByGame[game.gameId] }
+            : participant);
           return bets;
         })
       );
@@ -333,33 +253,6 @@ export const joinMatchingGame = onCall(async (request: CallableRequest) => {
 
     await Promise.all(updatePromises);
 
-    // Random 게임이 아닌 경우에만 추가 차감 및 Ledger 기록
-    if (!isRandomGame) {
-      // 실제 차감된 금액으로 조정 (동일 타입 게임이 여러 개인 경우)
-      if (targetGames.length > 1) {
-        const additionalAmount = (targetGames.length - 1) * betAmount;
-        await rtdb.ref(`/users/${uid}/wallet/usdt`).transaction((currentBalance) => {
-          if ((currentBalance || 0) < additionalAmount) {
-            return; // 트랜잭션 중단
-          }
-          return currentBalance - additionalAmount;
-        });
-      }
-
-      // Ledger에 베팅 기록
-      for (const game of targetGames) {
-        await recordMatchingLedger(uid, 'debit', betAmount, 'matching_bet', {
-          gameId: game.gameId,
-          gameType: game.gameType,
-          numbers: selectedNumbers,
-          selectionType,
-          betId
-        });
-      }
-    } else {
-      console.log(`[joinMatchingGame] Random game - skipping additional debit and ledger recording`);
-    }
-
     console.log(`User ${uid} placed bet on ${targetGames.length} ${resolvedGameType} matching game(s) with numbers: [${selectedNumbers.join(', ')}] (${selectionType})`);
 
     return {
@@ -379,12 +272,15 @@ export const joinMatchingGame = onCall(async (request: CallableRequest) => {
 
   } catch (error) {
     console.error('Join matching game failed:', error);
+    if (error instanceof HttpsError) {
+      throw error; // 잔액 부족, 책임 있는 게임 한도 등 코드가 있는 에러는 그대로 전달
+    }
     throw new Error(`Failed to join matching game: ${error instanceof Error ? error.message : 'Unknown error'}`);
   }
-});
+})));
 
 // 매칭 게임 상태 조회
-export const getMatchingGameStatus = onCall(async (request: CallableRequest) => {
+export const getMatchingGameStatus = onCall(withRateLimit('getMatchingGameStatus', async (request: CallableRequest) => {
   if (!request.auth) {
     throw new Error('Authentication required');
   }
@@ -394,6 +290,8 @@ export const getMatchingGameStatus = onCall(async (request: CallableRequest) =>
   try {
     const currentGames = await getCurrentMatchingGames();
     const userBets = await getUserMatchingBets(uid);
+    // 국가별 이용 가능 여부 (Unity에서 차단된 게임 숨김)
+    const availability = await getUserAvailability(uid, ['matching_order', 'matching_random']);
 
     // Unity가 기대하는 개별 게임 객체 찾기
     const orderGame = currentGames.find(g => g.gameType === 'order');
@@ -418,17 +316,18 @@ export const getMatchingGameStatus = onCall(async (request: CallableRequest) =>
       activeGames: currentGames.map(game => formatGame(game)),
       userBets: userBets,
       nextOrderGame: getNextOrderGameTime(),
-      nextRandomGame: getNextRandomGameTime()
+      nextRandomGame: getNextRandomGameTime(),
+      availability
     };
 
   } catch (error) {
     console.error('Get matching game status failed:', error);
     throw new Error('Failed to get game status');
   }
-});
+}));
 
 // 매칭 게임 기록 조회
-export const getMatchingGameHistory = onCall(async (request: CallableRequest) => {
+export const getMatchingGameHistory = onCall(withRateLimit('getMatchingGameHistory', async (request: CallableRequest) => {
   if (!request.auth) {
     throw new Error('Authentication required');
   }
@@ -593,7 +492,7 @@ export const getMatchingGameHistory = onCall(async (request: CallableRequest) =>
     console.error('[getMatchingGameHistory] Get matching game history failed:', error);
     throw new Error('Failed to get game history');
   }
-});
+}));
 
 function normalizeMatchingGameType(value: any): 'order' | 'random' | undefined {
   if (typeof value !== 'string') {
@@ -681,22 +580,22 @@ export async function calculateMatchingGameResults(gameId: string, overrideWinni
         gameNumbers: {},
         prices: {},
         timestamp: Date.now(),
+        source: 'override',
         capturedAt: Date.now()
       };
     } else {
       // 일반 동작: Oracle에서 가져오기
       // PRD: "정산시간 후 나온 7개의 숫자가 최종 당첨되는 번호"
-      // 게임 종료 시점에 Binance API를 직접 호출하여 정확한 데이터 사용
+      // 게임 종료 시점의 공용 오라클 스냅샷 사용 (같은 시각에 끝난 게임은 같은 숫자)
       console.log(`[calculateMatchingGameResults] Preparing oracle data for game ${gameId} at ${new Date(game.endAt).toISOString()}`);
 
-      oracleSnapshot = game.oracleSnapshot || await captureMatchingOracleSnapshot(gameId);
+      oracleSnapshot = game.oracleSnapshot || await captureMatchingOracleSnapshot(gameId, game.endAt);
 
       if (!oracleSnapshot || !oracleSnapshot.gameNumbers) {
         throw new Error('Failed to capture Oracle data for matching game');
       }
 
-      const coinOrder = ['BTC', 'ETH', 'XRP', 'BNB', 'SOL', 'DOGE', 'TRX'];
-      winningNumbers = coinOrder.map(coin => oracleSnapshot.gameNumbers[coin] || 0);
+      winningNumbers = ORACLE_COINS.map(coin => oracleSnapshot.gameNumbers[coin] || 0);
       
       console.log(`[calculateMatchingGameResults] Game ${gameId} endAt: ${new Date(game.endAt).toISOString()}, oracle captured at: ${new Date(oracleSnapshot.timestamp).toISOString()}, winningNumbers: [${winningNumbers.join(', ')}]`);
     }
@@ -804,6 +703,18 @@ export async function calculateMatchingGameResults(gameId: string, overrideWinni
       settlementAt: null
     });
 
+    // 결과가 나온 게임의 베팅 홀드 확정 (실패한 홀드는 sweeper가 다시 처리)
+    for (const bet of allParticipants) {
+      if (!bet.holdId) {
+        continue;
+      }
+      try {
+        await settleHold(bet.uid, bet.holdId, { gameId, betId: bet.betId });
+      } catch (holdError) {
+        console.error(`[calculateMatchingGameResults] Failed to settle hold ${bet.holdId} for user ${bet.uid}:`, holdError);
+      }
+    }
+
     // 🔄 게임 히스토리 업데이트
     await updateMatchingGameHistory(gameId, game, winningNumbers, participantsWithBets);
 
@@ -837,41 +748,14 @@ async function creditWinner(
   gameId: string, 
   betId: string
 ): Promise<void> {
-  // 지갑에 보상 추가
-  await rtdb.ref(`/users/${uid}/wallet/usdt`).transaction((currentBalance) => {
-    return (currentBalance || 0) + amount;
-  });
-
-  // Ledger에 보상 기록
-  await recordMatchingLedger(uid, 'credit', amount, 'matching_win', {
+  // 지갑에 보상 추가 + Ledger에 보상 기록
+  await creditWallet(uid, amount, 'matching_win', {
     gameId,
     gameType,
-    betId,
-    timestamp: Date.now()
+    betId
   });
 }
 
-async function recordMatchingLedger(
-  uid: string, 
-  type: 'credit' | 'debit', 
-  amount: number, 
-  operation: string, 
-  meta: any
-): Promise<void> {
-  const ledgerEntry = {
-    type,
-    amountUsd: amount,
-    meta: {
-      operation,
-      ...meta,
-      timestamp: Date.now()
-    },
-    createdAt: Date.now()
-  };
-
-  await rtdb.ref(`/ledger/${uid}`).push(ledgerEntry);
-}
-
 function getNextOrderGameTime(): number {
   const now = new Date();
   const nextMidnight = new Date(now);
@@ -1124,30 +1008,11 @@ function normalizeGameResults(results: any, participants?: Record<string, any>):
   }));
 }
 
-async function captureMatchingOracleSnapshot(gameId: string): Promise<OracleSnapshot> {
-  const snapshotRef = rtdb.ref(`/games/matching/${gameId}/oracleSnapshot`);
-  const existing = await snapshotRef.once('value');
-
-  if (existing.exists()) {
-    return existing.val() as OracleSnapshot;
-  }
-
-  console.log(`[captureMatchingOracleSnapshot] Fetching Binance oracle data for matching game ${gameId}`);
-  const oracleData = await fetchBinanceOracleData();
-
-  if (!oracleData || !oracleData.gameNumbers) {
-    throw new Error('Failed to fetch oracle data for matching game');
-  }
-
-  const snapshot: OracleSnapshot = {
-    gameNumbers: oracleData.gameNumbers,
-    prices: oracleData.prices,
-    timestamp: oracleData.timestamp,
-    capturedAt: Date.now()
-  };
-
-  await snapshotRef.set(snapshot);
-  return snapshot;
+// 게임 종료 시점의 오라클 스냅샷을 게임에 고정 (oracle.ts의 공용 스냅샷 사용)
+// endAt: 게임 종료 시각 - 같은 시각에 끝난 게임은 같은 스냅샷(같은 숫자)을 사용
+async function captureMatchingOracleSnapshot(gameId: string, endAt: number): Promise<OracleSnapshot> {
+  console.log(`[captureMatchingOracleSnapshot] Capturing oracle snapshot for matching game ${gameId} at ${new Date(endAt).toISOString()}`);
+  return captureGameOracleSnapshot(`/games/matching/${gameId}/oracleSnapshot`, endAt);
 }
 
 // 스케줄러들
@@ -1237,7 +1102,7 @@ function getRankByMatches(matches: number, gameType: 'order' | 'random'): number
 }
 
 // 테스트 함수: Matching 게임을 종료된 것처럼 처리하여 결과 계산
-export const testMatchingGameSettlement = onCall(async (request: CallableRequest) => {
+export const testMatchingGameSettlement = testOnlyCall('testMatchingGameSettlement', async (request: CallableRequest) => {
   if (!request.auth) {
     throw new Error('Authentication required');
   }
@@ -1268,7 +1133,7 @@ export const testMatchingGameSettlement = onCall(async (request: CallableRequest
       settlementAt // 실제 운영과 동일하게 5분 지연 후 정산
     });
 
-    await captureMatchingOracleSnapshot(gameId);
+    await captureMatchingOracleSnapshot(gameId, now);
 
     console.log(`[testMatchingGameSettlement] Game ${gameId} marked as closed. Results will calculate at ${new Date(settlementAt).toISOString()}`);
 
@@ -1283,10 +1148,10 @@ export const testMatchingGameSettlement = onCall(async (request: CallableRequest
     console.error('[testMatchingGameSettlement] Error:', error);
     throw new Error(`Failed to test matching game settlement: ${error instanceof Error ? error.message : 'Unknown error'}`);
   }
-});
+}, { destructive: true, paths: ['/games/matching'] });
 
 // 테스트 함수: Matching 게임에서 최종 결과(winningNumbers)를 지정하고 정산
-export const testMatchingGameWithWinningNumbers = onCall(async (request: CallableRequest) => {
+export const testMatchingGameWithWinningNumbers = testOnlyCall('testMatchingGameWithWinningNumbers', async (request: CallableRequest) => {
   if (!request.auth) {
     throw new Error('Authentication required');
   }
@@ -1351,7 +1216,7 @@ export const testMatchingGameWithWinningNumbers = onCall(async (request: Callabl
     console.error('[testMatchingGameWithWinningNumbers] Test failed:', error);
     throw new Error(`Failed to test matching game with winning numbers: ${error instanceof Error ? error.message : 'Unknown error'}`);
   }
-});
+}, { destructive: true, paths: ['/games/matching'] });
 
 // 게임 종료 시점을 체크하고 결과를 계산하는 함수 (Cloud Scheduler에서 호출)
 export async function processMatchingGameSettlements(): Promise<void> {
@@ -1375,7 +1240,7 @@ export async function processMatchingGameSettlements(): Promise<void> {
           settlementAt
         });
         
-        await captureMatchingOracleSnapshot(gameId);
+        await captureMatchingOracleSnapshot(gameId, game.endAt);
 
         console.log(`Matching game ${gameId} will calculate results at ${new Date(settlementAt).toISOString()}`);
         continue;
@@ -1399,7 +1264,7 @@ export async function processMatchingGameSettlements(): Promise<void> {
 }
 
 // 완료된 매칭 게임 결과 조회 (승리번호, 승리자 정보)
-export const getCompletedMatchingGames = onCall(async (request: CallableRequest) => {
+export const getCompletedMatchingGames = onCall(withRateLimit('getCompletedMatchingGames', async (request: CallableRequest) => {
   try {
     const { limit = 10, gameType } = request.data; // gameType: 'order', 'random', 또는 null (모두 조회)
     
@@ -1474,4 +1339,4 @@ export const getCompletedMatchingGames = onCall(async (request: CallableRequest)
     console.error('[getCompletedMatchingGames] Get completed matching games failed:', error);
     throw new Error('Failed to get completed games');
   }
-});
+}));
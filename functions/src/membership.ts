@@ -0,0 +1,258 @@
+/**
+ * 멤버십 등급 (Membership Tiers)
+ *
+ * PointHub level을 규칙 테이블(/config/membership)로 멤버십 등급에 매핑한다.
+ * - pointHubLogin이 로그인할 때마다 PointHub 프로필을 동기화하고 등급을 다시 계산
+ * - 등급은 /users/{uid}/profile/membership에 저장, 변경 내역은 /membershipHistory/{uid}에 기록
+ * - VIP 여부는 등급 설정의 isVip으로 판단 (determineVipStatus, 클라이언트 resolveVipStatus)
+ * - 관리자가 지정한 등급은 /users/{uid}/profile/membershipOverride에 기록되고, 만료(expiresAt) 전까지는
+ *   로그인 시 재계산으로 덮어쓰지 않음 (expiresAt이 null이면 해제할 때까지 유지)
+ *
+ * /config/membership 예시:
+ * {
+ *   "defaultTier": "normal",
+ *   "tiers": { "vip": { "isVip": true, "rank": 10 }, "normal": { "isVip": false, "rank": 0 } },
+ *   "rules": [
+ *     { "tier": "vip", "levels": ["VIP", "VVIP"], "priority": 10 },
+ *     { "tier": "vip", "minLevel": 5, "priority": 5 }
+ *   ]
+ * }
+ */
+
+import { rtdb } from './firebase-config';
+
+export interface MembershipTier {
+  isVip: boolean;
+  rank: number;
+  label?: string;
+}
+
+export interface MembershipRule {
+  tier: string;
+  levels?: Array<string | number>; // PointHub level 값 일치 (대소문자 무시)
+  minLevel?: number;               // 숫자 level 범위 (이상)
+  maxLevel?: number;               // 숫자 level 범위 (이하)
+  priority?: number;               // 높은 규칙부터 적용
+}
+
+export interface MembershipConfig {
+  defaultTier: string;
+  tiers: Record<string, MembershipTier>;
+  rules: MembershipRule[];
+}
+
+export interface MembershipOverride {
+  tier: string;
+  setBy: string;
+  setAt: number;
+  expiresAt: number | null;
+  source: string;
+}
+
+export interface PointHubProfileData {
+  mbid?: string;
+  mbid2?: string | number;
+  nickname?: string;
+  level?: string | number;
+}
+
+const MEMBERSHIP_CONFIG_PATH = '/config/membership';
+const MEMBERSHIP_HISTORY_PATH = '/membershipHistory';
+
+const DEFAULT_MEMBERSHIP_CONFIG: MembershipConfig = {
+  defaultTier: 'normal',
+  tiers: {
+    vip: { isVip: true, rank: 10 },
+    normal: { isVip: false, rank: 0 }
+  },
+  rules: [
+    { tier: 'vip', levels: ['VIP'], priority: 10 }
+  ]
+};
+
+function normalizeTier(value: any): string | null {
+  return typeof value === 'string' && value.trim() ? value.trim().toLowerCase() : null;
+}
+
+/**
+ * 멤버십 설정 조회 (/config/membership 값으로 기본값을 덮어씀)
+ * rules는 배열 또는 push 키 객체 모두 허용
+ */
+export async function getMembershipConfig(): Promise<MembershipConfig> {
+  const snapshot = await rtdb.ref(MEMBERSHIP_CONFIG_PATH).once('value');
+  const override = snapshot.val() || {};
+
+  const tiers: Record<string, MembershipTier> = { ...DEFAULT_MEMBERSHIP_CONFIG.tiers };
+  for (const [name, tier] of Object.entries(override.tiers || {}) as [string, any][]) {
+    const key = normalizeTier(name);
+    if (key && tier && typeof tier === 'object') {
+      tiers[key] = {
+        isVip: tier.isVip === true,
+        rank: Number(tier.rank) || 0,
+        ...(typeof tier.label === 'string' ? { label: tier.label } : {})
+      };
+    }
+  }
+
+  const rawRules = override.rules ? Object.values(override.rules) as any[] : null;
+  const rules: MembershipRule[] = rawRules
+    ? rawRules.filter((rule) => rule && normalizeTier(rule.tier)).map((rule) => ({
+      tier: normalizeTier(rule.tier) as string,
+      ...(Array.isArray(rule.levels) ? { levels: rule.levels } : {}),
+      ...(typeof rule.minLevel === 'number' ? { minLevel: rule.minLevel } : {}),
+      ...(typeof rule.maxLevel === 'number' ? { maxLevel: rule.maxLevel } : {}),
+      priority: Number(rule.priority) || 0
+    }))
+    : DEFAULT_MEMBERSHIP_CONFIG.rules;
+
+  return {
+    defaultTier: normalizeTier(override.defaultTier) || DEFAULT_MEMBERSHIP_CONFIG.defaultTier,
+    tiers,
+    rules
+  };
+}
+
+/**
+ * PointHub level에 맞는 등급 (일치하는 규칙이 없으면 defaultTier)
+ */
+export function resolveMembershipTier(level: string | number | undefined | null, config: MembershipConfig): string {
+  if (level === undefined || level === null || level === '') {
+    return config.defaultTier;
+  }
+
+  const levelText = String(level).trim().toUpperCase();
+  const levelNumber = Number(level);
+  const sortedRules = [...config.rules].sort((a, b) => (b.priority || 0) - (a.priority || 0));
+
+  for (const rule of sortedRules) {
+    if (rule.levels && rule.levels.some((value) => String(value).trim().toUpperCase() === levelText)) {
+      return rule.tier;
+    }
+
+    const hasRange = rule.minLevel !== undefined || rule.maxLevel !== undefined;
+    if (hasRange && Number.isFinite(levelNumber)
+      && (rule.minLevel === undefined || levelNumber >= rule.minLevel)
+      && (rule.maxLevel === undefined || levelNumber <= rule.maxLevel)) {
+      return rule.tier;
+    }
+  }
+
+  return config.defaultTier;
+}
+
+/**
+ * 등급이 VIP인지 확인
+ */
+export function isVipMembership(membership: any, config: MembershipConfig): boolean {
+  const tier = normalizeTier(membership);
+  return tier !== null && config.tiers[tier]?.isVip === true;
+}
+
+/**
+ * 유효한 관리자 지정 등급 (없거나 만료됐으면 null)
+ */
+export function getActiveMembershipOverride(value: any, now: number = Date.now()): MembershipOverride | null {
+  const tier = normalizeTier(value?.tier);
+  if (!tier) {
+    return null;
+  }
+  const expiresAt = typeof value.expiresAt === 'number' ? value.expiresAt : null;
+  if (expiresAt !== null && expiresAt <= now) {
+    return null;
+  }
+  return { ...value, tier, expiresAt } as MembershipOverride;
+}
+
+/**
+ * 사용자 등급 변경 (같은 등급이면 등급은 그대로)
+ * 변경 시 /membershipHistory/{uid}에 이전/새 등급과 변경 출처를 기록
+ * options.override: 관리자 지정 - 등급이 같아도 membershipOverride를 기록해 로그인 재계산에서 유지
+ * @returns 등급이 바뀌었으면 true
+ */
+export async function setMembershipTier(
+  uid: string,
+  tier: string,
+  source: string,
+  details: Record<string, any> = {},
+  options: { override?: { setBy: string; expiresAt: number | null } } = {}
+): Promise<boolean> {
+  const nextTier = normalizeTier(tier);
+  if (!nextTier) {
+    throw new Error(`Invalid membership tier: ${tier}`);
+  }
+
+  const now = Date.now();
+  const currentSnapshot = await rtdb.ref(`/users/${uid}/profile/membership`).once('value');
+  const currentTier = normalizeTier(currentSnapshot.val());
+  const updates: Record<string, any> = {};
+
+  if (options.override) {
+    const override: MembershipOverride = {
+      tier: nextTier,
+      setBy: options.override.setBy,
+      setAt: now,
+      expiresAt: options.override.expiresAt,
+      source
+    };
+    updates[`/users/${uid}/profile/membershipOverride`] = override;
+  }
+
+  if (currentTier !== nextTier) {
+    const historyKey = rtdb.ref(`${MEMBERSHIP_HISTORY_PATH}/${uid}`).push().key as string;
+    updates[`/users/${uid}/profile/membership`] = nextTier;
+    updates[`/users/${uid}/profile/membershipUpdatedAt`] = now;
+    updates[`${MEMBERSHIP_HISTORY_PATH}/${uid}/${historyKey}`] = {
+      from: currentTier,
+      to: nextTier,
+      source,
+      ...details,
+      ...(options.override ? { overrideExpiresAt: options.override.expiresAt } : {}),
+      changedAt: now
+    };
+  }
+
+  if (Object.keys(updates).length > 0) {
+    await rtdb.ref().update(updates);
+  }
+  if (currentTier === nextTier) {
+    return false;
+  }
+
+  console.log(`[membership] User ${uid} tier changed: ${currentTier ?? 'none'} → ${nextTier} (${source})`);
+  return true;
+}
+
+/**
+ * 로그인 시 PointHub 프로필 동기화 후 level 기준으로 등급 재계산
+ * 유효한 관리자 지정 등급이 있으면 재계산하지 않고, 만료된 지정은 지운 뒤 재계산
+ * @returns 동기화 후 등급
+ */
+export async function syncPointHubProfile(uid: string, pointHubId: string, data: PointHubProfileData = {}): Promise<string> {
+  const now = Date.now();
+  await rtdb.ref(`/users/${uid}/pointHub`).update({
+    id: pointHubId,
+    mbid: data.mbid ?? null,
+    mbid2: data.mbid2 ?? null,
+    nickname: data.nickname ?? null,
+    level: data.level ?? null,
+    syncedAt: now
+  });
+
+  const overrideSnapshot = await rtdb.ref(`/users/${uid}/profile/membershipOverride`).once('value');
+  if (overrideSnapshot.exists()) {
+    const override = getActiveMembershipOverride(overrideSnapshot.val(), now);
+    if (override) {
+      // 지정 등급 유지 (등급이 지정 등급과 다르면 맞춤)
+      await setMembershipTier(uid, override.tier, 'admin_override', { setBy: override.setBy });
+      console.log(`[membership] User ${uid} keeps admin-set tier ${override.tier} (set by ${override.setBy}, expires ${override.expiresAt ?? 'never'})`);
+      return override.tier;
+    }
+    await overrideSnapshot.ref.remove();
+  }
+
+  const config = await getMembershipConfig();
+  const tier = resolveMembershipTier(data.level, config);
+  await setMembershipTier(uid, tier, 'pointhub_login', { level: data.level ?? null });
+
+  return tier;
+}
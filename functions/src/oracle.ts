@@ -0,0 +1,261 @@
+/**
+ * 가격 오라클 (Oracle)
+ *
+ * 모든 게임(매칭, 큐브, 골든벨)과 getOraclePriceData가 같은 오라클 스냅샷을 사용한다.
+ * - 제공자(OracleProvider) 목록을 순서대로 시도하고, 한 제공자에서 모든 코인 가격을 받아야 성공
+ *   (코인마다 다른 제공자의 가격이 섞이지 않음, 가짜 가격으로 대체하지 않음)
+ * - 게임 숫자는 deriveGameNumber 하나로 계산: 가격을 소수 둘째 자리로 반올림한 값의 둘째 자리 숫자
+ * - 스냅샷은 oracleSnapshot 스케줄러가 1분마다 /oracle/binance/{timestamp}(기록)와 /oracle/current에 저장
+ * - 게임은 getOracleSnapshotAt(게임 종료 시각)으로 그 시각의 저장된 스냅샷을 사용하므로 같은 시각에는 항상 같은 숫자
+ *   (정산이 늦게 실행돼도 정산 실행 시각이 아니라 게임이 정한 시각 기준)
+ * - 그 시각의 스냅샷이 없으면 (스케줄러 누락) 새로 조회한 가격을 그 시각 키로 한 번만 저장하고, 이후 같은 시각 요청은 저장된 값을 사용
+ * - 제공자마다 가격(거래소, 호가 통화)이 달라 같은 시각에도 숫자가 다를 수 있으므로 스냅샷에 source를 기록하고,
+ *   여러 스냅샷을 쓰는 게임(골든벨 라운드)은 첫 스냅샷의 제공자를 고정해서 source 옵션으로 요청한다
+ *
+ * 스냅샷 형식: { prices: { BTCUSDT: '67321.45', ... }, gameNumbers: { BTC: 5, ... }, timestamp, source, fetchedAt?, capturedAt? }
+ * (prices 키는 기존 구조와 호환되도록 USDT 접미사 유지, 값은 제공자가 준 가격 문자열)
+ */
+
+import { rtdb } from './firebase-config';
+
+export const ORACLE_COINS = ['BTC', 'ETH', 'XRP', 'BNB', 'SOL', 'DOGE', 'TRX'] as const;
+export type OracleCoin = typeof ORACLE_COINS[number];
+
+export interface OracleSnapshot {
+  prices: Record<string, string>;
+  gameNumbers: Record<string, number>;
+  timestamp: number; // 스냅샷 시각 (기록 키)
+  source: string; // 가격 제공자 이름
+  fetchedAt?: number; // 실제 가격 조회 시각 - 누락된 시각을 나중에 채운 스냅샷에만 있음
+  capturedAt?: number; // 게임에 고정한 시각 (게임별 스냅샷에만 있음)
+}
+
+/**
+ * 가격 제공자 - 코인 하나의 현재 가격을 10진수 문자열로 반환
+ */
+export interface OracleProvider {
+  name: string;
+  fetchPrice(coin: OracleCoin): Promise<string>;
+}
+
+const ORACLE_CURRENT_PATH = '/oracle/current';
+const ORACLE_HISTORY_PATH = '/oracle/binance';
+const ORACLE_HISTORY_RETENTION_MS = 24 * 60 * 60 * 1000;
+// 스케줄러 주기(1분) + 여유 - 이보다 오래된 스냅샷은 해당 시각의 가격으로 쓰지 않음
+const MAX_SNAPSHOT_AGE_MS = 90 * 1000;
+const FETCH_TIMEOUT_MS = 5000;
+// 서버 간 시계 차이 허용 범위 - 이보다 미래 시각의 스냅샷은 요청할 수 없음
+const MAX_CLOCK_SKEW_MS = 5 * 1000;
+
+async function fetchTickerPrice(url: string): Promise<string> {
+  const response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`${url} responded with ${response.status}`);
+  }
+  const data = await response.json();
+  if (typeof data?.price !== 'string' || toCents(data.price) === null) {
+    throw new Error(`${url} returned an invalid price: ${JSON.stringify(data)}`);
+  }
+  return data.price;
+}
+
+// Binance.US USD 페어 (실제 USD 가격) - 기본 제공자
+const binanceUsProvider: OracleProvider = {
+  name: 'binance_us',
+  fetchPrice: (coin) => fetchTickerPrice(`https://api.binance.us/api/v3/ticker/price?symbol=${coin}USD`)
+};
+
+// Binance USDT 페어 - Binance.US 장애 시 사용
+const binanceProvider: OracleProvider = {
+  name: 'binance',
+  fetchPrice: (coin) => fetchTickerPrice(`https://api.binance.com/api/v3/ticker/price?symbol=${coin}USDT`)
+};
+
+const ORACLE_PROVIDERS: OracleProvider[] = [binanceUsProvider, binanceProvider];
+
+/**
+ * 가격 문자열을 센트 단위 정수로 (소수 셋째 자리에서 반올림)
+ * 부동소수점 toFixed 오차 없이 문자열 그대로 계산한다.
+ */
+function toCents(price: string | number): number | null {
+  const text = String(price).trim();
+  const match = /^(\d+)(?:\.(\d*))?$/.exec(text);
+  if (!match) {
+    return null;
+  }
+  const fraction = (match[2] || '').padEnd(3, '0');
+  let cents = Number(match[1]) * 100 + Number(fraction.slice(0, 2));
+  if (Number(fraction[2]) >= 5) {
+    cents += 1;
+  }
+  return cents;
+}
+
+/**
+ * 게임 숫자 (0~9) - 가격을 소수 둘째 자리로 반올림했을 때 둘째 자리 숫자
+ * 예: '67321.456' → 67321.46 → 6
+ */
+export function deriveGameNumber(price: string | number): number {
+  const cents = toCents(price);
+  return cents === null ? 0 : cents % 10;
+}
+
+/**
+ * 제공자 가격으로 스냅샷 생성
+ */
+export function buildOracleSnapshot(prices: Record<OracleCoin, string>, source: string, timestamp: number): OracleSnapshot {
+  const snapshot: OracleSnapshot = { prices: {}, gameNumbers: {}, timestamp, source };
+  for (const coin of ORACLE_COINS) {
+    snapshot.prices[`${coin}USDT`] = prices[coin];
+    snapshot.gameNumbers[coin] = deriveGameNumber(prices[coin]);
+  }
+  return snapshot;
+}
+
+/**
+ * 제공자 순서대로 모든 코인 가격 조회 - 모든 제공자가 실패하면 에러
+ */
+export async function fetchOracleSnapshot(providers: OracleProvider[] = ORACLE_PROVIDERS): Promise<OracleSnapshot> {
+  for (const provider of providers) {
+    try {
+      const timestamp = Date.now();
+      const values = await Promise.all(ORACLE_COINS.map((coin) => provider.fetchPrice(coin)));
+      const prices = Object.fromEntries(ORACLE_COINS.map((coin, index) => [coin, values[index]])) as Record<OracleCoin, string>;
+      return buildOracleSnapshot(prices, provider.name, timestamp);
+    } catch (error) {
+      console.error(`[oracle] Provider ${provider.name} failed:`, error);
+    }
+  }
+  throw new Error('All oracle providers failed');
+}
+
+/**
+ * 새 스냅샷을 조회해서 기록과 현재 값으로 저장 (oracleSnapshot 스케줄러, 테스트 하네스)
+ */
+export async function refreshOracleSnapshot(): Promise<OracleSnapshot> {
+  const snapshot = await fetchOracleSnapshot();
+  await rtdb.ref().update({
+    [`${ORACLE_HISTORY_PATH}/${snapshot.timestamp}`]: snapshot,
+    [ORACLE_CURRENT_PATH]: snapshot
+  });
+  return snapshot;
+}
+
+/**
+ * 가장 최근 스냅샷 (표시용 - 오래된 값일 수 있음)
+ */
+export async function getLatestOracleSnapshot(): Promise<OracleSnapshot | null> {
+  const snapshot = await rtdb.ref(ORACLE_CURRENT_PATH).once('value');
+  const value = snapshot.val();
+  return value && value.gameNumbers ? value as OracleSnapshot : null;
+}
+
+export interface OracleSnapshotOptions {
+  source?: string; // 이 제공자의 스냅샷만 사용 (한 게임 안에서 제공자를 섞지 않음)
+}
+
+/**
+ * 특정 시각의 스냅샷 - 그 시각 이전 MAX_SNAPSHOT_AGE_MS 안에 저장된 가장 최근 스냅샷
+ * 없으면 (스케줄러 누락) 새로 조회한 가격을 그 시각 키(/oracle/binance/{at})로 한 번만 저장한다.
+ * 같은 시각에 대한 요청은 동시에 들어와도 먼저 저장된 하나의 스냅샷을 받는다.
+ * options.source가 있으면 그 제공자의 스냅샷만 사용한다. 저장된 스냅샷이 다른 제공자 것이면
+ * 그 제공자에서만 새로 조회하고, 공용 기록은 바꾸지 않은 채 반환한다 (호출자가 게임에 고정).
+ * @param at 게임 숫자를 정하는 시각 (게임 종료/라운드 마감 시각) - 미래 시각은 불가
+ */
+export async function getOracleSnapshotAt(at: number, options: OracleSnapshotOptions = {}): Promise<OracleSnapshot> {
+  if (!Number.isFinite(at) || at <= 0) {
+    throw new Error(`Invalid oracle moment: ${at}`);
+  }
+  if (at > Date.now() + MAX_CLOCK_SKEW_MS) {
+    throw new Error(`Oracle snapshot requested for a future moment: ${new Date(at).toISOString()}`);
+  }
+
+  const historySnapshot = await rtdb.ref(ORACLE_HISTORY_PATH)
+    .orderByKey()
+    .endAt(String(at))
+    .limitToLast(1)
+    .once('value');
+
+  let latest: OracleSnapshot | null = null;
+  historySnapshot.forEach((child) => {
+    latest = child.val();
+  });
+
+  const found = latest as OracleSnapshot | null;
+  const usable = found && found.gameNumbers && at - found.timestamp <= MAX_SNAPSHOT_AGE_MS ? found : null;
+  if (usable && (!options.source || usable.source === options.source)) {
+    return usable;
+  }
+
+  let providers = ORACLE_PROVIDERS;
+  if (options.source) {
+    providers = ORACLE_PROVIDERS.filter((provider) => provider.name === options.source);
+    if (providers.length === 0) {
+      throw new Error(`Unknown oracle provider: ${options.source}`);
+    }
+  }
+
+  if (usable) {
+    console.warn(`[oracle] Snapshot for ${new Date(at).toISOString()} came from ${usable.source} but ${options.source} is required - fetching from ${options.source}`);
+    const fetched = await fetchOracleSnapshot(providers);
+    return { ...fetched, timestamp: at, fetchedAt: fetched.timestamp };
+  }
+
+  console.warn(`[oracle] No snapshot within ${MAX_SNAPSHOT_AGE_MS}ms before ${new Date(at).toISOString()} - storing a late snapshot for that moment`);
+  const fetched = await fetchOracleSnapshot(providers);
+  const pinned: OracleSnapshot = { ...fetched, timestamp: at, fetchedAt: fetched.timestamp };
+  const result = await rtdb.ref(`${ORACLE_HISTORY_PATH}/${at}`).transaction((current) => {
+    if (current !== null) {
+      return; // Abort - 같은 시각에 대해 다른 호출이 먼저 저장함
+    }
+    return pinned;
+  });
+  const stored = result.snapshot.val() as OracleSnapshot;
+  // 다른 제공자의 스냅샷이 먼저 저장됨 - 요청한 제공자의 값을 반환
+  return options.source && stored.source !== options.source ? pinned : stored;
+}
+
+/**
+ * 게임별 스냅샷 고정 - 이미 있으면 그대로, 없으면 해당 시각의 스냅샷을 한 번만 저장
+ * @param snapshotPath 게임 스냅샷 경로 (예: /games/cube/{gameId}/oracleSnapshot)
+ * @param at 게임 숫자를 정하는 시각 (게임 종료 시각)
+ */
+export async function captureGameOracleSnapshot(snapshotPath: string, at: number): Promise<OracleSnapshot> {
+  const snapshotRef = rtdb.ref(snapshotPath);
+  const existing = await snapshotRef.once('value');
+  if (existing.exists()) {
+    return existing.val() as OracleSnapshot;
+  }
+
+  const snapshot: OracleSnapshot = { ...(await getOracleSnapshotAt(at)), capturedAt: Date.now() };
+  const result = await snapshotRef.transaction((current) => {
+    if (current !== null) {
+      return; // Abort - 동시에 다른 호출이 먼저 고정함
+    }
+    return snapshot;
+  });
+  return result.snapshot.val() as OracleSnapshot;
+}
+
+/**
+ * 24시간 지난 스냅샷 기록 삭제
+ */
+export async function cleanupOldOracleSnapshots(): Promise<number> {
+  const cutoff = Date.now() - ORACLE_HISTORY_RETENTION_MS;
+  const oldSnapshots = await rtdb.ref(ORACLE_HISTORY_PATH)
+    .orderByKey()
+    .endAt(String(cutoff))
+    .once('value');
+
+  const updates: Record<string, null> = {};
+  oldSnapshots.forEach((child) => {
+    updates[child.key as string] = null;
+  });
+
+  const removed = Object.keys(updates).length;
+  if (removed > 0) {
+    await rtdb.ref(ORACLE_HISTORY_PATH).update(updates);
+    console.log(`[cleanupOldOracleSnapshots] Removed ${removed} old oracle snapshots`);
+  }
+  return removed;
+}
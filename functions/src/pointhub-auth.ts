@@ -0,0 +1,119 @@
+/**
+ * PointHub 계정 인증 정책
+ *
+ * PointHub 회원은 pointHubLogin이 발급한 custom token으로만 로그인한다.
+ * - Firebase Auth 계정({id}@pointhub.local)은 비밀번호 없이 생성 (PointHub 비밀번호를 복사하지 않음)
+ * - 이전에 PointHub 비밀번호로 생성된 계정은 rotatePointHubPasswords로 임의 비밀번호로 교체
+ * - @pointhub.local 계정의 이메일/비밀번호 로그인과 클라이언트 가입은 blocking function으로 차단
+ *   (blocking function은 Identity Platform이 활성화된 프로젝트에서 동작)
+ */
+
+import { randomBytes } from 'crypto';
+import { onCall, HttpsError, CallableRequest } from 'firebase-functions/v2/https';
+import { beforeUserCreated, beforeUserSignedIn, AuthBlockingEvent } from 'firebase-functions/v2/identity';
+import admin from './firebase-config';
+import { requireAdmin } from './auth-guards';
+import { withRateLimit } from './rate-limit';
+import { withAudit } from './audit';
+
+export const POINTHUB_EMAIL_DOMAIN = 'pointhub.local';
+
+const DEFAULT_ROTATION_BATCH_SIZE = 200;
+const MAX_ROTATION_BATCH_SIZE = 1000;
+
+/**
+ * PointHub ID를 Firebase Auth 이메일 형식으로 변환
+ */
+export function toPointHubEmail(pointHubId: string): string {
+  return `${pointHubId}@${POINTHUB_EMAIL_DOMAIN}`;
+}
+
+export function isPointHubEmail(email: string | undefined | null): boolean {
+  return typeof email === 'string' && email.toLowerCase().endsWith(`@${POINTHUB_EMAIL_DOMAIN}`);
+}
+
+/**
+ * 아무도 알 수 없는 임의 비밀번호 (저장/반환하지 않음)
+ */
+function generateUnusablePassword(): string {
+  return randomBytes(48).toString('base64url');
+}
+
+function isPasswordProviderEvent(event: AuthBlockingEvent): boolean {
+  return event.additionalUserInfo?.providerId === 'password'
+    || event.credential?.providerId === 'password'
+    || event.eventType.endsWith(':password');
+}
+
+// @pointhub.local 계정의 이메일/비밀번호 로그인 차단 (custom token 로그인은 통과)
+export const blockPointHubPasswordSignIn = beforeUserSignedIn((event) => {
+  if (isPointHubEmail(event.data?.email) && isPasswordProviderEvent(event)) {
+    console.warn(`[blockPointHubPasswordSignIn] Blocked password sign-in for PointHub account ${event.data?.uid}`);
+    throw new HttpsError('permission-denied', 'PointHub accounts must sign in through PointHub login.');
+  }
+});
+
+// 클라이언트에서 @pointhub.local 이메일로 가입해 PointHub 계정을 선점하지 못하도록 차단
+// (Admin SDK의 createUser는 blocking function을 거치지 않음)
+export const blockPointHubEmailSignUp = beforeUserCreated((event) => {
+  if (isPointHubEmail(event.data?.email)) {
+    console.warn(`[blockPointHubEmailSignUp] Blocked client sign-up with PointHub email domain`);
+    throw new HttpsError('permission-denied', 'This email domain is reserved for PointHub accounts.');
+  }
+});
+
+/**
+ * 기존 @pointhub.local 계정의 비밀번호를 임의 값으로 교체 (관리자 전용 마이그레이션)
+ * 한 번에 listUsers 한 페이지씩 처리하고 nextPageToken을 반환한다 - 토큰이 null이 될 때까지 반복 호출
+ * 비밀번호가 바뀐 계정의 기존 세션은 만료되므로 사용자는 PointHub 로그인을 다시 해야 한다.
+ * data: { pageToken?, batchSize?, dryRun? }
+ */
+export const rotatePointHubPasswords = onCall(withRateLimit('rotatePointHubPasswords', withAudit('rotatePointHubPasswords', async (request: CallableRequest) => {
+  const adminUid = requireAdmin(request);
+  const { pageToken, batchSize = DEFAULT_ROTATION_BATCH_SIZE, dryRun = false } = request.data || {};
+
+  if (pageToken !== undefined && pageToken !== null && typeof pageToken !== 'string') {
+    throw new HttpsError('invalid-argument', 'pageToken must be a string');
+  }
+  const pageSize = Math.min(Math.max(Number(batchSize) || DEFAULT_ROTATION_BATCH_SIZE, 1), MAX_ROTATION_BATCH_SIZE);
+
+  const page = await admin.auth().listUsers(pageSize, pageToken || undefined);
+  let scanned = 0;
+  let rotated = 0;
+  let skipped = 0;
+  const failures: Array<{ uid: string; error: string }> = [];
+
+  for (const user of page.users) {
+    scanned++;
+    // 비밀번호가 없는 계정(새 방식으로 생성)은 건너뜀
+    if (!isPointHubEmail(user.email) || !user.providerData.some((provider) => provider.providerId === 'password')) {
+      skipped++;
+      continue;
+    }
+
+    if (dryRun) {
+      rotated++;
+      continue;
+    }
+
+    try {
+      await admin.auth().updateUser(user.uid, { password: generateUnusablePassword() });
+      rotated++;
+    } catch (error) {
+      failures.push({ uid: user.uid, error: error instanceof Error ? error.message : 'Unknown error' });
+      console.error(`[rotatePointHubPasswords] Failed to rotate password for ${user.uid}:`, error);
+    }
+  }
+
+  console.log(`[rotatePointHubPasswords] Admin ${adminUid} ${dryRun ? '(dry run) ' : ''}scanned ${scanned}, rotated ${rotated}, skipped ${skipped}, failed ${failures.length}`);
+
+  return {
+    success: failures.length === 0,
+    dryRun: !!dryRun,
+    scanned,
+    rotated,
+    skipped,
+    failures,
+    nextPageToken: page.pageToken || null
+  };
+})));
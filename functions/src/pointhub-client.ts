@@ -7,6 +7,12 @@
  */
 
 import * as crypto from 'crypto';
+import { HttpsError, FunctionsErrorCode } from 'firebase-functions/v2/https';
+
+function readNumberEnv(name: string, fallback: number): number {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
 
 // 환경 변수에서 설정 로드
 const config = {
@@ -14,7 +20,13 @@ const config = {
   apiKey: process.env.POINTHUB_API_KEY || '',
   secretKey: process.env.POINTHUB_SECRET_KEY || '',
   comCode: process.env.POINTHUB_COM_CODE || '',
-  memberPrefix: process.env.POINTHUB_MEMBER_PREFIX || 'EN'
+  memberPrefix: process.env.POINTHUB_MEMBER_PREFIX || 'EN',
+  timeoutMs: readNumberEnv('POINTHUB_TIMEOUT_MS', 8000),
+  maxRetries: readNumberEnv('POINTHUB_MAX_RETRIES', 2),
+  retryBaseDelayMs: readNumberEnv('POINTHUB_RETRY_BASE_DELAY_MS', 300),
+  retryMaxDelayMs: readNumberEnv('POINTHUB_RETRY_MAX_DELAY_MS', 3000),
+  circuitFailureThreshold: readNumberEnv('POINTHUB_CIRCUIT_FAILURE_THRESHOLD', 5),
+  circuitCooldownMs: readNumberEnv('POINTHUB_CIRCUIT_COOLDOWN_MS', 30000)
 };
 
 // ============================================
@@ -39,6 +51,8 @@ export interface PointHubResponse<T = unknown> {
 export interface MemberCheckData {
   mbid: string;
   mbid2: string | number;
+  nickname?: string;
+  level?: string | number;
 }
 
 export interface BalanceData {
@@ -85,6 +99,180 @@ function generateSignature(apiKey: string, timestamp: number, secretKey: string)
   return crypto.createHmac('sha256', secretKey).update(message).digest('hex');
 }
 
+// ============================================
+// 결과 코드
+// ============================================
+
+/**
+ * PointHub에 도달하지 못했거나 응답을 해석하지 못한 경우 사용하는 내부 결과 코드
+ * (PointHub가 직접 반환하는 코드는 "0000" 또는 "8001" 같은 4자리 코드)
+ */
+export const POINTHUB_LOCAL_CODES = {
+  TIMEOUT: '9990',          // 제한 시간 내 응답 없음 - 처리 여부 알 수 없음
+  NETWORK_ERROR: '9991',    // 연결 실패/끊김 - 처리 여부 알 수 없음
+  HTTP_ERROR: '9992',       // HTTP 오류 상태 - 처리 여부 알 수 없음
+  INVALID_RESPONSE: '9993', // 응답 형식 오류 - 처리 여부 알 수 없음
+  CIRCUIT_OPEN: '9994'      // 서킷 브레이커 열림 - 요청을 보내지 않음
+} as const;
+
+export type PointHubLocalCode = typeof POINTHUB_LOCAL_CODES[keyof typeof POINTHUB_LOCAL_CODES];
+
+interface PointHubCodeMapping {
+  httpsCode: FunctionsErrorCode;
+  message: string;
+  outcomeUnknown: boolean; // PointHub에서 실제로 처리됐는지 알 수 없음 (입출금 재확인 필요)
+}
+
+/**
+ * PointHub result 코드 → HttpsError 코드
+ * PointHub 코드는 연동 명세로 확인된 것만 둔다 (0000 성공, 8001 로그인 실패).
+ * 목록에 없는 PointHub 코드는 toPointHubHttpsError의 fallbackCode를 사용하고,
+ * 입출금에서는 처리 여부를 알 수 없는 결과로 본다 (isPointHubOutcomeUnknown).
+ */
+const POINTHUB_CODE_MAP: Record<string, PointHubCodeMapping> = {
+  [POINTHUB_LOCAL_CODES.TIMEOUT]: { httpsCode: 'deadline-exceeded', message: 'PointHub did not respond in time', outcomeUnknown: true },
+  [POINTHUB_LOCAL_CODES.NETWORK_ERROR]: { httpsCode: 'unavailable', message: 'Could not reach PointHub', outcomeUnknown: true },
+  [POINTHUB_LOCAL_CODES.HTTP_ERROR]: { httpsCode: 'unavailable', message: 'PointHub returned an HTTP error', outcomeUnknown: true },
+  [POINTHUB_LOCAL_CODES.INVALID_RESPONSE]: { httpsCode: 'internal', message: 'PointHub returned an invalid response', outcomeUnknown: true },
+  [POINTHUB_LOCAL_CODES.CIRCUIT_OPEN]: { httpsCode: 'unavailable', message: 'PointHub is temporarily unavailable. Please try again later.', outcomeUnknown: false },
+  // PointHub가 거부한 요청 - 처리되지 않았으므로 결과가 확실함
+  '8001': { httpsCode: 'unauthenticated', message: 'PointHub ID or password is incorrect', outcomeUnknown: false }
+};
+
+/**
+ * PointHub가 요청을 처리했는지 알 수 없는 실패인지 확인
+ * (입출금에서 이 경우 자금을 되돌리지 않고 검토 대상으로 남겨야 함)
+ * 매핑에 없는 코드는 의미를 확인할 수 없으므로 처리 여부를 알 수 없는 것으로 본다.
+ */
+export function isPointHubOutcomeUnknown(response: PointHubResponse): boolean {
+  return !response.success && (POINTHUB_CODE_MAP[response.code]?.outcomeUnknown ?? true);
+}
+
+/**
+ * 실패한 PointHub 응답을 HttpsError로 변환
+ * @param response 실패한 PointHub 응답
+ * @param fallbackCode 매핑에 없는 PointHub 코드에 사용할 HttpsError 코드
+ */
+export function toPointHubHttpsError(
+  response: PointHubResponse,
+  fallbackCode: FunctionsErrorCode = 'failed-precondition'
+): HttpsError {
+  const mapping = POINTHUB_CODE_MAP[response.code];
+  const isLocal = (Object.values(POINTHUB_LOCAL_CODES) as string[]).includes(response.code);
+  // PointHub가 보낸 메시지는 사용자에게 의미가 있으므로 우선 사용, 내부 코드는 고정 메시지 사용
+  const message = !isLocal && response.message ? response.message : (mapping?.message || 'PointHub request failed');
+
+  return new HttpsError(mapping?.httpsCode || fallbackCode, `[${response.code}] ${message}`, {
+    pointHubCode: response.code
+  });
+}
+
+// ============================================
+// 로그 마스킹
+// ============================================
+
+const REDACTED_KEYS = new Set(['password', 'signature', 'apikey', 'secretkey', 'token', 'customtoken']);
+const PARTIAL_KEYS = new Set(['id', 'mbid', 'mbid2', 'email', 'phone', 'nickname', 'name']);
+
+function maskValue(value: unknown): string {
+  const text = String(value ?? '');
+  if (text.length <= 2) {
+    return '*'.repeat(text.length);
+  }
+  return `${text.substring(0, 2)}${'*'.repeat(Math.min(text.length - 2, 6))}`;
+}
+
+/**
+ * 로그에 남길 값에서 비밀값은 제거하고 회원 식별 정보는 앞 두 글자만 남긴다
+ */
+export function redactForLog(value: unknown, depth = 0): unknown {
+  if (depth > 5 || value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redactForLog(item, depth + 1));
+  }
+
+  const redacted: Record<string, unknown> = {};
+  for (const [key, item] of Object.entries(value as Record<string, unknown>)) {
+    const normalized = key.toLowerCase();
+    if (REDACTED_KEYS.has(normalized)) {
+      redacted[key] = '***';
+    } else if (PARTIAL_KEYS.has(normalized)) {
+      redacted[key] = maskValue(item);
+    } else {
+      redacted[key] = redactForLog(item, depth + 1);
+    }
+  }
+  return redacted;
+}
+
+// ============================================
+// 서킷 브레이커
+// ============================================
+
+type CircuitState = 'closed' | 'open' | 'half_open';
+
+// 함수 인스턴스 단위 상태 - PointHub 장애 중에는 인스턴스마다 빠르게 실패
+const circuit = {
+  state: 'closed' as CircuitState,
+  consecutiveFailures: 0,
+  openedAt: 0,
+  trialInFlight: false
+};
+
+/**
+ * 요청을 보내도 되는지 확인
+ * open 상태에서 대기 시간이 지나면 half_open으로 바꾸고 시험 요청 하나만 허용
+ */
+function acquireCircuit(): boolean {
+  if (circuit.state === 'closed') {
+    return true;
+  }
+  if (circuit.state === 'open' && Date.now() - circuit.openedAt >= config.circuitCooldownMs) {
+    circuit.state = 'half_open';
+    circuit.trialInFlight = false;
+  }
+  if (circuit.state === 'half_open' && !circuit.trialInFlight) {
+    circuit.trialInFlight = true;
+    return true;
+  }
+  return false;
+}
+
+function recordCircuitSuccess(): void {
+  if (circuit.state !== 'closed') {
+    console.log('[PointHub] Circuit closed - PointHub is responding again');
+  }
+  circuit.state = 'closed';
+  circuit.consecutiveFailures = 0;
+  circuit.trialInFlight = false;
+}
+
+function recordCircuitFailure(): void {
+  circuit.consecutiveFailures++;
+  circuit.trialInFlight = false;
+
+  if (circuit.state === 'half_open' || circuit.consecutiveFailures >= config.circuitFailureThreshold) {
+    if (circuit.state !== 'open') {
+      console.warn(`[PointHub] Circuit opened after ${circuit.consecutiveFailures} consecutive failures (cooldown ${config.circuitCooldownMs}ms)`);
+    }
+    circuit.state = 'open';
+    circuit.openedAt = Date.now();
+  }
+}
+
+/**
+ * 서킷 브레이커 상태 (상태 조회/디버깅용)
+ */
+export function getCircuitStatus() {
+  return {
+    state: circuit.state,
+    consecutiveFailures: circuit.consecutiveFailures,
+    openedAt: circuit.openedAt || null
+  };
+}
+
 // ============================================
 // HTTP 요청 헬퍼
 // ============================================
@@ -97,24 +285,28 @@ interface RequestParams {
   [key: string]: unknown;
 }
 
+interface CallOptions {
+  // 여러 번 호출해도 결과가 같은 조회/인증 API만 재시도 (입출금은 재시도하면 중복 처리 위험)
+  idempotent?: boolean;
+}
+
+type AttemptResult<T> =
+  | { kind: 'response'; response: PointHubResponse<T> }
+  | { kind: 'transport_error'; code: PointHubLocalCode; message: string; retryable: boolean };
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
 /**
- * PointHub API 호출
+ * 지수 백오프 + full jitter
  */
-async function callPointHubApi<T>(
-  endpoint: string,
-  params: RequestParams = {}
-): Promise<PointHubResponse<T>> {
-  const timestamp = Math.floor(Date.now() / 1000);
-  const signature = generateSignature(config.apiKey, timestamp, config.secretKey);
-
-  const requestBody = {
-    apiKey: config.apiKey,
-    timestamp,
-    signature,
-    ...params
-  };
+function getRetryDelay(attempt: number): number {
+  const exponential = Math.min(config.retryMaxDelayMs, config.retryBaseDelayMs * Math.pow(2, attempt));
+  return Math.floor(Math.random() * exponential);
+}
 
-  const url = `${config.baseUrl}${endpoint}`;
+async function attemptPointHubRequest<T>(url: string, requestBody: Record<string, unknown>): Promise<AttemptResult<T>> {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), config.timeoutMs);
 
   try {
     const response = await fetch(url, {
@@ -122,19 +314,29 @@ async function callPointHubApi<T>(
       headers: {
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify(requestBody)
+      body: JSON.stringify(requestBody),
+      signal: controller.signal
     });
 
     if (!response.ok) {
       return {
-        success: false,
-        code: '9999',
-        message: `HTTP Error: ${response.status} ${response.statusText}`
+        kind: 'transport_error',
+        code: POINTHUB_LOCAL_CODES.HTTP_ERROR,
+        message: `HTTP Error: ${response.status} ${response.statusText}`,
+        // 4xx는 같은 요청을 다시 보내도 결과가 같음
+        retryable: response.status >= 500 || response.status === 429
       };
     }
 
-    // 실제 PointHub API 응답 파싱
-    const apiResponse = await response.json() as PointHubApiResponse<T>;
+    let apiResponse: PointHubApiResponse<T>;
+    try {
+      apiResponse = await response.json() as PointHubApiResponse<T>;
+    } catch {
+      return { kind: 'transport_error', code: POINTHUB_LOCAL_CODES.INVALID_RESPONSE, message: 'Response is not valid JSON', retryable: false };
+    }
+    if (!apiResponse || typeof apiResponse.result !== 'string') {
+      return { kind: 'transport_error', code: POINTHUB_LOCAL_CODES.INVALID_RESPONSE, message: 'Response has no result code', retryable: false };
+    }
 
     // 성공 여부: result가 "0000"이면 성공
     const isSuccess = apiResponse.result === '0000';
@@ -150,19 +352,93 @@ async function callPointHubApi<T>(
     }
 
     return {
-      success: isSuccess,
-      code: apiResponse.result,
-      message: apiResponse.resultMsg,
-      data: extractedData
+      kind: 'response',
+      response: {
+        success: isSuccess,
+        code: apiResponse.result,
+        message: apiResponse.resultMsg,
+        data: extractedData
+      }
     };
   } catch (error) {
-    console.error(`PointHub API Error [${endpoint}]:`, error);
+    if (controller.signal.aborted) {
+      return { kind: 'transport_error', code: POINTHUB_LOCAL_CODES.TIMEOUT, message: `Timed out after ${config.timeoutMs}ms`, retryable: true };
+    }
     return {
-      success: false,
-      code: '9999',
-      message: error instanceof Error ? error.message : 'Unknown error'
+      kind: 'transport_error',
+      code: POINTHUB_LOCAL_CODES.NETWORK_ERROR,
+      message: error instanceof Error ? error.message : 'Unknown error',
+      retryable: true
     };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * PointHub API 호출
+ * - 요청마다 config.timeoutMs 제한
+ * - options.idempotent인 API만 전송 실패 시 지수 백오프로 재시도
+ * - 전송 실패가 이어지면 서킷 브레이커가 열려 대기 시간 동안 요청 없이 바로 실패
+ * - PointHub가 응답한 결과 코드(업무 오류 포함)는 정상 응답으로 보고 재시도하지 않음
+ */
+async function callPointHubApi<T>(
+  endpoint: string,
+  params: RequestParams = {},
+  options: CallOptions = {}
+): Promise<PointHubResponse<T>> {
+  const url = `${config.baseUrl}${endpoint}`;
+  const maxAttempts = options.idempotent ? config.maxRetries + 1 : 1;
+  let lastError: Extract<AttemptResult<T>, { kind: 'transport_error' }> | null = null;
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    if (!acquireCircuit()) {
+      console.warn(`[PointHub] Circuit open - skipped ${endpoint}`);
+      return {
+        success: false,
+        code: POINTHUB_LOCAL_CODES.CIRCUIT_OPEN,
+        message: POINTHUB_CODE_MAP[POINTHUB_LOCAL_CODES.CIRCUIT_OPEN].message
+      };
+    }
+
+    // 재시도마다 새 타임스탬프로 서명
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = generateSignature(config.apiKey, timestamp, config.secretKey);
+    const startedAt = Date.now();
+    const result = await attemptPointHubRequest<T>(url, {
+      apiKey: config.apiKey,
+      timestamp,
+      signature,
+      ...params
+    });
+    const elapsedMs = Date.now() - startedAt;
+
+    if (result.kind === 'response') {
+      recordCircuitSuccess();
+      console.log(`[PointHub] ${endpoint} → ${result.response.code} (${elapsedMs}ms)`, redactForLog(params));
+      return result.response;
+    }
+
+    // 4xx/응답 형식 오류는 PointHub가 살아있다는 뜻이므로 서킷 실패로 세지 않음
+    if (result.retryable) {
+      recordCircuitFailure();
+    } else {
+      recordCircuitSuccess();
+    }
+    lastError = result;
+    console.error(`[PointHub] ${endpoint} attempt ${attempt + 1}/${maxAttempts} failed: [${result.code}] ${result.message} (${elapsedMs}ms)`, redactForLog(params));
+
+    if (!result.retryable || attempt + 1 >= maxAttempts) {
+      break;
+    }
+    await sleep(getRetryDelay(attempt));
   }
+
+  return {
+    success: false,
+    code: lastError?.code || POINTHUB_LOCAL_CODES.NETWORK_ERROR,
+    message: lastError?.message || 'Unknown error'
+  };
 }
 
 // ============================================
@@ -183,19 +459,11 @@ export async function memberCheck(
   password: string,
   comCode?: string
 ): Promise<PointHubResponse<MemberCheckData>> {
-  console.log('=== PointHub memberCheck API 호출 ===');
-  console.log('Request:', { id, password: '***', comCode: comCode || config.comCode });
-
-  const result = await callPointHubApi<MemberCheckData>('/PH/MEMBER/Check', {
+  return callPointHubApi<MemberCheckData>('/PH/MEMBER/Check', {
     id,
     password,
     comCode: comCode || config.comCode
-  });
-
-  console.log('Response:', JSON.stringify(result, null, 2));
-  console.log('=== PointHub memberCheck API 완료 ===');
-
-  return result;
+  }, { idempotent: true });
 }
 
 // ============================================
@@ -210,7 +478,7 @@ export async function usdpSelect(
   mbid: string,
   mbid2: number
 ): Promise<PointHubResponse<BalanceData>> {
-  return callPointHubApi<BalanceData>('/PH/USDP/select', { mbid, mbid2 });
+  return callPointHubApi<BalanceData>('/PH/USDP/select', { mbid, mbid2 }, { idempotent: true });
 }
 
 /**
@@ -251,7 +519,7 @@ export async function usdmSelect(
   mbid: string,
   mbid2: number
 ): Promise<PointHubResponse<BalanceData>> {
-  return callPointHubApi<BalanceData>('/PH/USDM/select', { mbid, mbid2 });
+  return callPointHubApi<BalanceData>('/PH/USDM/select', { mbid, mbid2 }, { idempotent: true });
 }
 
 /**
@@ -292,7 +560,7 @@ export async function gpointSelect(
   mbid: string,
   mbid2: number
 ): Promise<PointHubResponse<BalanceData>> {
-  return callPointHubApi<BalanceData>('/PH/GPOINT/select', { mbid, mbid2 });
+  return callPointHubApi<BalanceData>('/PH/GPOINT/select', { mbid, mbid2 }, { idempotent: true });
 }
 
 /**
@@ -333,7 +601,7 @@ export async function gporderSelect(
   mbid: string,
   mbid2: number
 ): Promise<PointHubResponse<BalanceData>> {
-  return callPointHubApi<BalanceData>('/PH/GPORDER/select', { mbid, mbid2 });
+  return callPointHubApi<BalanceData>('/PH/GPORDER/select', { mbid, mbid2 }, { idempotent: true });
 }
 
 /**
@@ -375,7 +643,10 @@ export function getConfig() {
     apiKey: config.apiKey ? `${config.apiKey.substring(0, 8)}...` : 'NOT SET',
     secretKey: config.secretKey ? '***SET***' : 'NOT SET',
     comCode: config.comCode,
-    memberPrefix: config.memberPrefix
+    memberPrefix: config.memberPrefix,
+    timeoutMs: config.timeoutMs,
+    maxRetries: config.maxRetries,
+    circuit: getCircuitStatus()
   };
 }
 
@@ -0,0 +1,621 @@
+/**
+ * PointHub 입출금 (PointHub Transfers)
+ *
+ * 사용자의 PointHub 잔액과 게임 지갑 사이에서 자금을 이동한다.
+ * 모든 이동은 /pointHubTransfers/{transferId}에 상태 머신으로 기록된다.
+ *
+ * - deposit (PointHub → 지갑)
+ *   requested → external_confirmed (PointHub 출금 완료) → credited (지갑 입금 완료)
+ * - withdrawal (지갑 → PointHub)
+ *   requested (지갑 금액 홀드) → external_confirmed (PointHub 입금 완료) → credited (홀드 정산)
+ * - 실패: failed → compensated
+ *   PointHub가 요청을 거부하면 failed, 이미 움직인 자금(출금 홀드)을 되돌리면 compensated
+ *
+ * PointHub 응답을 받지 못한 경우(타임아웃/네트워크/HTTP 오류)는 처리 여부를 알 수 없으므로
+ * requested 상태로 두고 needsReview를 표시한다. 관리자가 PointHub에서 확인 후 resolvePointHubTransfer로 결정한다.
+ * 이 경우 요청은 pendingReview: true로 응답하며, 같은 idempotencyKey로 재시도하면 같은 이체가 반환된다.
+ */
+
+import { onCall, HttpsError, CallableRequest } from 'firebase-functions/v2/https';
+import { rtdb } from './firebase-config';
+import { requireAdmin } from './auth-guards';
+import { withIdempotency } from './idempotency';
+import { assertFeatureAvailable } from './country-availability';
+import {
+  clearCreditMarker,
+  creditWalletOnce,
+  getCurrencyRules,
+  placeHold,
+  releaseHold,
+  settleHold,
+  WalletCurrency
+} from './wallet';
+import {
+  PointHubResponse,
+  TransferData,
+  WithdrawData,
+  isPointHubOutcomeUnknown,
+  toPointHubHttpsError,
+  usdpTransfer,
+  usdpWithdraw,
+  usdmTransfer,
+  usdmWithdraw,
+  gpointTransfer,
+  gpointWithdraw,
+  gporderTransfer,
+  gporderWithdraw
+} from './pointhub-client';
+import { withRateLimit } from './rate-limit';
+import { withAudit } from './audit';
+
+type PointHubAccount = 'usdp' | 'usdm' | 'gpoint' | 'gporder';
+type TransferDirection = 'deposit' | 'withdrawal';
+type TransferStatus = 'requested' | 'external_confirmed' | 'credited' | 'failed' | 'compensated';
+
+interface AccountRule {
+  walletCurrency: WalletCurrency;
+  depositEnabled: boolean;
+  withdrawEnabled: boolean;
+  minAmount: number;
+  maxAmount: number;
+}
+
+interface TransferHistoryEntry {
+  status: TransferStatus;
+  at: number;
+  note?: string;
+}
+
+interface PointHubTransfer {
+  transferId: string;
+  uid: string;
+  direction: TransferDirection;
+  account: PointHubAccount;
+  walletCurrency: WalletCurrency;
+  amount: number;
+  status: TransferStatus;
+  mbid: string;
+  mbid2: number;
+  createdAt: number;
+  updatedAt: number;
+  history: Record<string, TransferHistoryEntry>;
+  holdId?: string;
+  externalTransactionId?: string;
+  externalBalance?: number;
+  ledgerId?: string;
+  failureCode?: string;
+  failureReason?: string;
+  compensation?: 'hold_released' | 'not_required';
+  needsReview?: boolean;
+  reviewNote?: string;
+}
+
+interface AccountClient {
+  // PointHub 계정으로 입금 (지갑 → PointHub)
+  transfer: (mbid: string, mbid2: number, amount: number, memo?: string) => Promise<PointHubResponse<TransferData>>;
+  // PointHub 계정에서 출금 (PointHub → 지갑)
+  withdraw: (mbid: string, mbid2: number, amount: number, memo?: string) => Promise<PointHubResponse<WithdrawData>>;
+}
+
+const TRANSFERS_PATH = '/pointHubTransfers';
+const TRANSFER_CONFIG_PATH = '/config/pointHubTransfers/accounts';
+const POINTHUB_ACCOUNTS: PointHubAccount[] = ['usdp', 'usdm', 'gpoint', 'gporder'];
+// requested 상태가 이보다 오래되면 처리 중단으로 보고 검토 대상으로 표시
+const STALE_REQUEST_MS = 10 * 60 * 1000;
+// 진행 중인 호출과 겹치지 않도록 복구 작업은 이 시간 이상 지난 기록만 처리
+const RECOVERY_GRACE_MS = 2 * 60 * 1000;
+
+const ACCOUNT_CLIENTS: Record<PointHubAccount, AccountClient> = {
+  usdp: { transfer: usdpTransfer, withdraw: usdpWithdraw },
+  usdm: { transfer: usdmTransfer, withdraw: usdmWithdraw },
+  gpoint: { transfer: gpointTransfer, withdraw: gpointWithdraw },
+  gporder: { transfer: gporderTransfer, withdraw: gporderWithdraw }
+};
+
+// 기본값: 현금성 포인트(USDP) ↔ USDT, 게임 포인트(GPOINT) ↔ IVY
+// /config/pointHubTransfers/accounts/{account}로 재정의 가능
+const DEFAULT_ACCOUNT_RULES: Record<PointHubAccount, AccountRule> = {
+  usdp: { walletCurrency: 'usdt', depositEnabled: true, withdrawEnabled: true, minAmount: 1, maxAmount: 10000 },
+  usdm: { walletCurrency: 'usdt', depositEnabled: false, withdrawEnabled: false, minAmount: 1, maxAmount: 10000 },
+  gpoint: { walletCurrency: 'ivy', depositEnabled: true, withdrawEnabled: true, minAmount: 1, maxAmount: 10000 },
+  gporder: { walletCurrency: 'ivy', depositEnabled: false, withdrawEnabled: false, minAmount: 1, maxAmount: 10000 }
+};
+
+const ALLOWED_TRANSITIONS: Record<TransferStatus, TransferStatus[]> = {
+  requested: ['external_confirmed', 'failed'],
+  external_confirmed: ['credited'],
+  failed: ['compensated'],
+  credited: [],
+  compensated: []
+};
+
+async function getAccountRule(account: PointHubAccount): Promise<AccountRule> {
+  const snapshot = await rtdb.ref(`${TRANSFER_CONFIG_PATH}/${account}`).once('value');
+  const override = snapshot.val() || {};
+  const rule = { ...DEFAULT_ACCOUNT_RULES[account] };
+
+  if (override.walletCurrency === 'usdt' || override.walletCurrency === 'ivy') {
+    rule.walletCurrency = override.walletCurrency;
+  }
+  if (typeof override.depositEnabled === 'boolean') {
+    rule.depositEnabled = override.depositEnabled;
+  }
+  if (typeof override.withdrawEnabled === 'boolean') {
+    rule.withdrawEnabled = override.withdrawEnabled;
+  }
+  if (typeof override.minAmount === 'number' && override.minAmount > 0) {
+    rule.minAmount = override.minAmount;
+  }
+  if (typeof override.maxAmount === 'number' && override.maxAmount > 0) {
+    rule.maxAmount = override.maxAmount;
+  }
+  return rule;
+}
+
+function parseTransferRequest(data: any): { account: PointHubAccount; amount: number } {
+  const { account = 'usdp', amount } = data || {};
+
+  if (!POINTHUB_ACCOUNTS.includes(account)) {
+    throw new HttpsError('invalid-argument', `account must be one of ${POINTHUB_ACCOUNTS.join(', ')}`);
+  }
+
+  const amountNumber = typeof amount === 'number' ? amount : parseFloat(String(amount));
+  if (!Number.isFinite(amountNumber) || amountNumber <= 0) {
+    throw new HttpsError('invalid-argument', `Amount must be greater than 0. Got: ${amount}`);
+  }
+
+  return { account, amount: amountNumber };
+}
+
+async function getLinkedPointHubMember(uid: string): Promise<{ mbid: string; mbid2: number }> {
+  const snapshot = await rtdb.ref(`/users/${uid}/pointHub`).once('value');
+  const pointHub = snapshot.val();
+  const mbid2 = Number(pointHub?.mbid2);
+
+  if (!pointHub?.mbid || !Number.isFinite(mbid2)) {
+    throw new HttpsError('failed-precondition', 'PointHub account is not linked to this user');
+  }
+  return { mbid: String(pointHub.mbid), mbid2 };
+}
+
+/**
+ * 상태 전이 (트랜잭션)
+ * 허용되지 않은 전이면 기록을 바꾸지 않고 null 반환 - 동시에 실행된 복구 작업과 겹쳐도 한 번만 진행
+ */
+async function transitionTransfer(
+  transferId: string,
+  to: TransferStatus,
+  fields: Partial<PointHubTransfer> = {},
+  note?: string
+): Promise<PointHubTransfer | null> {
+  const transferRef = rtdb.ref(`${TRANSFERS_PATH}/${transferId}`);
+  const historyKey = transferRef.child('history').push().key as string;
+
+  const result = await transferRef.transaction((current: PointHubTransfer | null) => {
+    if (!current) {
+      return current;
+    }
+    if (!ALLOWED_TRANSITIONS[current.status].includes(to)) {
+      return; // Abort
+    }
+
+    const now = Date.now();
+    return {
+      ...current,
+      ...fields,
+      status: to,
+      updatedAt: now,
+      history: {
+        ...(current.history || {}),
+        [historyKey]: { status: to, at: now, ...(note ? { note } : {}) }
+      }
+    };
+  });
+
+  if (!result.committed || !result.snapshot.exists()) {
+    return null;
+  }
+  const transfer = result.snapshot.val() as PointHubTransfer;
+  return transfer.status === to ? transfer : null;
+}
+
+async function createTransferRecord(
+  uid: string,
+  direction: TransferDirection,
+  account: PointHubAccount,
+  rule: AccountRule,
+  amount: number,
+  member: { mbid: string; mbid2: number }
+): Promise<PointHubTransfer> {
+  const transferRef = rtdb.ref(TRANSFERS_PATH).push();
+  const historyKey = transferRef.child('history').push().key as string;
+  const now = Date.now();
+  const transfer: PointHubTransfer = {
+    transferId: transferRef.key as string,
+    uid,
+    direction,
+    account,
+    walletCurrency: rule.walletCurrency,
+    amount,
+    status: 'requested',
+    mbid: member.mbid,
+    mbid2: member.mbid2,
+    createdAt: now,
+    updatedAt: now,
+    history: {
+      [historyKey]: { status: 'requested', at: now }
+    }
+  };
+
+  await transferRef.set(transfer);
+  return transfer;
+}
+
+/**
+ * PointHub 응답을 받지 못해 처리 여부를 알 수 없는 이체 - 자금은 그대로 두고 관리자 검토 대상으로 표시
+ */
+async function markNeedsReview(transfer: PointHubTransfer, reason: string): Promise<void> {
+  await rtdb.ref(`${TRANSFERS_PATH}/${transfer.transferId}`).update({
+    needsReview: true,
+    failureReason: reason,
+    updatedAt: Date.now()
+  });
+  console.error(`[pointHubTransfers] Transfer ${transfer.transferId} (${transfer.direction}) needs review: ${reason}`);
+}
+
+/**
+ * 이미 이 이체로 지갑에 입금된 Ledger 항목이 있는지 확인 (아직 outbox에 있는 항목 포함)
+ * 입금 표시(creditMarkers)가 생기기 전에 입금된 이체의 중복 입금 방지용
+ */
+async function findTransferLedgerId(uid: string, transferId: string): Promise<string | null> {
+  const snapshot = await rtdb.ref(`/ledger/${uid}`)
+    .orderByChild('meta/transferId')
+    .equalTo(transferId)
+    .limitToFirst(1)
+    .once('value');
+
+  let ledgerId: string | null = null;
+  snapshot.forEach((child) => {
+    ledgerId = child.key;
+    return true;
+  });
+  if (ledgerId) {
+    return ledgerId;
+  }
+
+  const outboxSnapshot = await rtdb.ref(`/users/${uid}/wallet/ledgerOutbox`).once('value');
+  outboxSnapshot.forEach((child) => {
+    if (child.child('meta/transferId').val() === transferId) {
+      ledgerId = child.key;
+      return true;
+    }
+    return false;
+  });
+  return ledgerId;
+}
+
+/**
+ * 출금 홀드 ID - 홀드 생성 직후 기록이 중단된 경우 지갑의 활성 홀드에서 찾는다
+ */
+async function resolveTransferHoldId(transfer: PointHubTransfer): Promise<string | null> {
+  if (transfer.holdId) {
+    return transfer.holdId;
+  }
+  const snapshot = await rtdb.ref(`/users/${transfer.uid}/wallet/holds`)
+    .orderByChild('gameId')
+    .equalTo(transfer.transferId)
+    .once('value');
+
+  let holdId: string | null = null;
+  snapshot.forEach((child) => {
+    holdId = child.key;
+    return true;
+  });
+  return holdId;
+}
+
+/**
+ * external_confirmed 이후 단계 - deposit은 지갑 입금, withdrawal은 홀드 정산
+ * deposit 입금은 지갑 트랜잭션 안에서 transferId 입금 표시를 확인하고 남기므로 복구와 겹쳐도 한 번만 반영된다.
+ */
+async function completeTransfer(transfer: PointHubTransfer): Promise<PointHubTransfer> {
+  if (transfer.direction === 'deposit') {
+    let ledgerId = await findTransferLedgerId(transfer.uid, transfer.transferId);
+    if (!ledgerId) {
+      const credit = await creditWalletOnce(transfer.uid, transfer.transferId, transfer.amount, 'pointhub_deposit', {
+        transferId: transfer.transferId,
+        account: transfer.account,
+        externalTransactionId: transfer.externalTransactionId || null,
+        description: `PointHub ${transfer.account.toUpperCase()} deposit`
+      }, { currency: transfer.walletCurrency });
+      ledgerId = credit.ledgerId;
+    }
+
+    const credited = await transitionTransfer(transfer.transferId, 'credited', { ledgerId });
+    if (credited) {
+      // credited 이후에는 다시 입금을 시도하지 않으므로 표시는 더 필요 없음 (남아도 잔액에는 영향 없음)
+      await clearCreditMarker(transfer.uid, transfer.transferId).catch((error) => {
+        console.error(`[pointHubTransfers] Failed to clear credit marker for transfer ${transfer.transferId}:`, error);
+      });
+    }
+    return credited || transfer;
+  }
+
+  const holdId = await resolveTransferHoldId(transfer);
+  if (holdId) {
+    await settleHold(transfer.uid, holdId, { transferId: transfer.transferId });
+  }
+  const credited = await transitionTransfer(transfer.transferId, 'credited');
+  return credited || transfer;
+}
+
+/**
+ * failed 이후 단계 - withdrawal은 홀드를 해제해서 지갑으로 반환, deposit은 움직인 자금이 없음
+ */
+async function compensateTransfer(transfer: PointHubTransfer): Promise<PointHubTransfer> {
+  let compensation: PointHubTransfer['compensation'] = 'not_required';
+
+  const holdId = transfer.direction === 'withdrawal' ? await resolveTransferHoldId(transfer) : null;
+  if (holdId) {
+    await releaseHold(transfer.uid, holdId, 'pointhub_transfer_failed', { transferId: transfer.transferId });
+    compensation = 'hold_released';
+  }
+
+  const compensated = await transitionTransfer(transfer.transferId, 'compensated', { compensation });
+  return compensated || transfer;
+}
+
+/**
+ * PointHub 응답 처리
+ * - 성공: external_confirmed → 이후 단계 진행
+ * - PointHub가 거부했거나 요청을 보내지 않음(서킷 열림): failed → compensated 후 에러
+ * - 처리 여부를 알 수 없음(타임아웃/네트워크/HTTP 오류): needsReview 표시 후 검토 대기 이체를 반환
+ *   에러로 응답하면 idempotency 키가 해제되어 재시도가 새 이체를 만들므로, 결과로 저장해서 재시도에 같은 이체를 돌려준다.
+ */
+async function handleExternalResult(
+  transfer: PointHubTransfer,
+  response: PointHubResponse<TransferData | WithdrawData>
+): Promise<PointHubTransfer> {
+  if (response.success) {
+    const confirmed = await transitionTransfer(transfer.transferId, 'external_confirmed', {
+      ...(response.data?.transactionId ? { externalTransactionId: String(response.data.transactionId) } : {}),
+      ...(typeof response.data?.newBalance === 'number' ? { externalBalance: response.data.newBalance } : {})
+    });
+    if (!confirmed) {
+      // PointHub는 이미 처리함 - 재시도가 새 이체를 만들지 않도록 에러 대신 현재 기록을 반환
+      console.error(`[pointHubTransfers] Transfer ${transfer.transferId} confirmed by PointHub but was modified concurrently`);
+      const current = await rtdb.ref(`${TRANSFERS_PATH}/${transfer.transferId}`).once('value');
+      return (current.val() as PointHubTransfer | null) || transfer;
+    }
+
+    try {
+      return await completeTransfer(confirmed);
+    } catch (error) {
+      // PointHub 처리는 완료됨 - 나머지 단계는 복구 작업이 재시도하므로 요청 자체는 성공으로 응답
+      console.error(`[pointHubTransfers] Transfer ${transfer.transferId} confirmed by PointHub but completion failed (will retry):`, error);
+      return confirmed;
+    }
+  }
+
+  if (isPointHubOutcomeUnknown(response)) {
+    const failureReason = `[${response.code}] ${response.message}`;
+    await markNeedsReview(transfer, failureReason);
+    return { ...transfer, needsReview: true, failureReason, updatedAt: Date.now() };
+  }
+
+  const failed = await transitionTransfer(transfer.transferId, 'failed', {
+    failureCode: response.code,
+    failureReason: response.message
+  }, 'Rejected by PointHub');
+  if (failed) {
+    await compensateTransfer(failed);
+  }
+  throw toPointHubHttpsError(response);
+}
+
+function toClientTransfer(transfer: PointHubTransfer) {
+  const { mbid, mbid2, history, ...rest } = transfer;
+  return rest;
+}
+
+// PointHub → 게임 지갑
+export const depositFromPointHub = onCall(withRateLimit('depositFromPointHub', withIdempotency('depositFromPointHub', async (request: CallableRequest) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Authentication required');
+  }
+
+  const { uid } = request.auth;
+  const { account, amount } = parseTransferRequest(request.data);
+  await assertFeatureAvailable(uid, 'deposit', 'depositFromPointHub');
+  const rule = await getAccountRule(account);
+
+  if (!rule.depositEnabled) {
+    throw new HttpsError('failed-precondition', `Deposits from ${account.toUpperCase()} are disabled`);
+  }
+  if (amount < rule.minAmount || amount > rule.maxAmount) {
+    throw new HttpsError('invalid-argument', `Amount must be between ${rule.minAmount} and ${rule.maxAmount}`);
+  }
+
+  const member = await getLinkedPointHubMember(uid);
+  const transfer = await createTransferRecord(uid, 'deposit', account, rule, amount, member);
+  console.log(`[depositFromPointHub] Transfer ${transfer.transferId}: ${amount} ${account.toUpperCase()} → ${rule.walletCurrency.toUpperCase()} for user ${uid}`);
+
+  const response = await ACCOUNT_CLIENTS[account].withdraw(member.mbid, member.mbid2, amount, `IVY deposit ${transfer.transferId}`);
+  const result = await handleExternalResult(transfer, response);
+
+  return { success: true, pendingReview: result.needsReview === true, transfer: toClientTransfer(result) };
+})));
+
+// 게임 지갑 → PointHub
+export const withdrawToPointHub = onCall(withRateLimit('withdrawToPointHub', withIdempotency('withdrawToPointHub', async (request: CallableRequest) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Authentication required');
+  }
+
+  const { uid } = request.auth;
+  const { account, amount } = parseTransferRequest(request.data);
+  await assertFeatureAvailable(uid, 'withdraw', 'withdrawToPointHub');
+  const rule = await getAccountRule(account);
+
+  if (!rule.withdrawEnabled) {
+    throw new HttpsError('failed-precondition', `Withdrawals to ${account.toUpperCase()} are disabled`);
+  }
+  if (amount < rule.minAmount || amount > rule.maxAmount) {
+    throw new HttpsError('invalid-argument', `Amount must be between ${rule.minAmount} and ${rule.maxAmount}`);
+  }
+
+  const member = await getLinkedPointHubMember(uid);
+  const transfer = await createTransferRecord(uid, 'withdrawal', account, rule, amount, member);
+
+  // 1. 지갑 금액 홀드 (PointHub 결과가 나올 때까지 pending에 보관)
+  const currencyRules = await getCurrencyRules();
+  let holdId: string;
+  try {
+    const hold = await placeHold(uid, `pointhub_${rule.walletCurrency}`, 'pointhub_withdrawal', {
+      amountUsd: amount * currencyRules[rule.walletCurrency].usdRate,
+      gameType: 'pointhub',
+      gameId: transfer.transferId,
+      meta: { transferId: transfer.transferId, account }
+    });
+    holdId = hold.holdId;
+  } catch (error) {
+    const failed = await transitionTransfer(transfer.transferId, 'failed', {
+      failureReason: error instanceof Error ? error.message : 'Failed to hold wallet funds'
+    }, 'Wallet hold failed');
+    if (failed) {
+      await compensateTransfer(failed);
+    }
+    throw error instanceof HttpsError ? error : new HttpsError('internal', 'Failed to hold wallet funds');
+  }
+
+  await rtdb.ref(`${TRANSFERS_PATH}/${transfer.transferId}/holdId`).set(holdId);
+  const heldTransfer: PointHubTransfer = { ...transfer, holdId };
+  console.log(`[withdrawToPointHub] Transfer ${transfer.transferId}: ${amount} ${rule.walletCurrency.toUpperCase()} → ${account.toUpperCase()} for user ${uid} (hold ${holdId})`);
+
+  // 2. PointHub 입금
+  const response = await ACCOUNT_CLIENTS[account].transfer(member.mbid, member.mbid2, amount, `IVY withdrawal ${transfer.transferId}`);
+  const result = await handleExternalResult(heldTransfer, response);
+
+  return { success: true, pendingReview: result.needsReview === true, transfer: toClientTransfer(result) };
+})));
+
+// 내 PointHub 입출금 내역
+export const getPointHubTransfers = onCall(withRateLimit('getPointHubTransfers', async (request: CallableRequest) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Authentication required');
+  }
+
+  const { uid } = request.auth;
+  const { limit = 20 } = request.data || {};
+  const pageSize = Math.min(Math.max(Number(limit) || 20, 1), 100);
+
+  const snapshot = await rtdb.ref(TRANSFERS_PATH).orderByChild('uid').equalTo(uid).limitToLast(pageSize).once('value');
+  const transfers: ReturnType<typeof toClientTransfer>[] = [];
+  snapshot.forEach((child) => {
+    transfers.push(toClientTransfer(child.val()));
+    return false;
+  });
+  transfers.sort((a, b) => b.createdAt - a.createdAt);
+
+  return { success: true, transfers };
+}));
+
+/**
+ * 검토 대상 이체 결정 (관리자 전용)
+ * 관리자가 PointHub에서 실제 처리 여부를 확인한 뒤 outcome을 지정한다.
+ * - outcome: 'confirmed' → external_confirmed 후 나머지 단계 진행
+ * - outcome: 'failed' → failed 후 보상
+ */
+export const resolvePointHubTransfer = onCall(withRateLimit('resolvePointHubTransfer', withAudit('resolvePointHubTransfer', async (request: CallableRequest) => {
+  const adminUid = requireAdmin(request);
+  const { transferId, outcome, externalTransactionId, note } = request.data || {};
+
+  if (typeof transferId !== 'string' || !transferId) {
+    throw new HttpsError('invalid-argument', 'transferId is required');
+  }
+  if (outcome !== 'confirmed' && outcome !== 'failed') {
+    throw new HttpsError('invalid-argument', 'outcome must be confirmed or failed');
+  }
+  if (typeof note !== 'string' || !note.trim()) {
+    throw new HttpsError('invalid-argument', 'note is required');
+  }
+
+  const snapshot = await rtdb.ref(`${TRANSFERS_PATH}/${transferId}`).once('value');
+  const transfer = snapshot.val() as PointHubTransfer | null;
+  if (!transfer) {
+    throw new HttpsError('not-found', `Transfer ${transferId} not found`);
+  }
+  if (transfer.status !== 'requested' || !transfer.needsReview) {
+    throw new HttpsError('failed-precondition', `Transfer is not awaiting review (status: ${transfer.status})`);
+  }
+
+  const reviewFields = { needsReview: false, reviewNote: `${adminUid}: ${note.trim()}` };
+  let result: PointHubTransfer | null;
+
+  if (outcome === 'confirmed') {
+    result = await transitionTransfer(transferId, 'external_confirmed', {
+      ...reviewFields,
+      ...(typeof externalTransactionId === 'string' && externalTransactionId ? { externalTransactionId } : {})
+    }, 'Confirmed by admin review');
+    if (result) {
+      result = await completeTransfer(result);
+    }
+  } else {
+    result = await transitionTransfer(transferId, 'failed', reviewFields, 'Marked failed by admin review');
+    if (result) {
+      result = await compensateTransfer(result);
+    }
+  }
+
+  if (!result) {
+    throw new HttpsError('aborted', `Transfer ${transferId} was modified concurrently`);
+  }
+
+  console.log(`[resolvePointHubTransfer] Admin ${adminUid} resolved transfer ${transferId} as ${outcome} (status: ${result.status})`);
+  return { success: true, transfer: result };
+}, { paths: (request) => [`${TRANSFERS_PATH}/${request.data?.transferId}`, '/users/*/wallet', '/ledger'] })));
+
+/**
+ * 중단된 이체 복구 (스케줄러에서 호출)
+ * - external_confirmed: 지갑 입금/홀드 정산 재시도
+ * - failed: 보상 재시도
+ * - 오래된 requested: 처리 여부를 알 수 없으므로 검토 대상으로 표시
+ */
+export async function recoverPointHubTransfers(): Promise<{ completed: number; compensated: number; flagged: number; failures: number }> {
+  const now = Date.now();
+  const summary = { completed: 0, compensated: 0, flagged: 0, failures: 0 };
+
+  for (const status of ['external_confirmed', 'failed', 'requested'] as TransferStatus[]) {
+    const snapshot = await rtdb.ref(TRANSFERS_PATH).orderByChild('status').equalTo(status).once('value');
+    const transfers: PointHubTransfer[] = [];
+    snapshot.forEach((child) => {
+      transfers.push(child.val());
+      return false;
+    });
+
+    for (const transfer of transfers) {
+      if (transfer.updatedAt + RECOVERY_GRACE_MS > now) {
+        continue;
+      }
+
+      try {
+        if (status === 'external_confirmed') {
+          const result = await completeTransfer(transfer);
+          if (result.status === 'credited') summary.completed++;
+        } else if (status === 'failed') {
+          const result = await compensateTransfer(transfer);
+          if (result.status === 'compensated') summary.compensated++;
+        } else if (!transfer.needsReview && transfer.createdAt + STALE_REQUEST_MS <= now) {
+          await markNeedsReview(transfer, 'Transfer was interrupted before the PointHub result was recorded');
+          summary.flagged++;
+        }
+      } catch (error) {
+        summary.failures++;
+        console.error(`[recoverPointHubTransfers] Failed to recover transfer ${transfer.transferId}:`, error);
+      }
+    }
+  }
+
+  console.log(`[recoverPointHubTransfers] completed: ${summary.completed}, compensated: ${summary.compensated}, flagged: ${summary.flagged}, failures: ${summary.failures}`);
+  return summary;
+}
@@ -0,0 +1,270 @@
+/**
+ * 콜러블 호출 빈도 제한 (Rate Limit)
+ *
+ * 함수별 토큰 버킷을 /rateLimits/{functionName}:{key}에 저장해 인스턴스 간에 공유하고 콜드 스타트에도 유지한다.
+ * (한 단계 아래에 expiresAt을 두어 정리 작업이 expiresAt 인덱스로 나눠 조회할 수 있게 함)
+ * - key: 로그인 사용자는 uid, 비로그인 호출은 IP (ip_로 시작)
+ * - 버킷은 burst개까지 쌓이고 rate/per 속도로 다시 채워진다 (호출 1회 = 토큰 1개)
+ * - 토큰이 없으면 resource-exhausted HttpsError, details: { code: 'RATE_LIMITED', retryAfterMs, retryAfterSeconds }
+ * - 한도는 /config/rateLimits/{functionName}(또는 default)로 변경 가능: { rate, per: 'second' | 'minute' | 'hour', burst?, enabled? }
+ * - RTDB 오류 시에는 호출을 막지 않는다 (게임 진행 우선)
+ *
+ * 사용: onCall(withRateLimit('joinCubeGame', async (request) => { ... }))
+ */
+
+import { CallableRequest, HttpsError } from 'firebase-functions/v2/https';
+import { rtdb } from './firebase-config';
+
+type RatePeriod = 'second' | 'minute' | 'hour';
+
+export interface RateLimitPolicy {
+  rate: number; // per 기간마다 채워지는 토큰 수
+  per: RatePeriod;
+  burst: number; // 버킷 최대 크기 (연속 호출 허용량)
+  enabled: boolean;
+}
+
+interface RateLimitBucket {
+  tokens: number;
+  updatedAt: number;
+  expiresAt: number; // 이 시각 이후에는 버킷이 가득 찬 상태와 같음 (정리 대상)
+}
+
+const RATE_LIMIT_ROOT = '/rateLimits';
+const RATE_LIMIT_CONFIG_PATH = '/config/rateLimits';
+const CONFIG_CACHE_TTL_MS = 60 * 1000;
+const CLEANUP_PAGE_SIZE = 500; // 정리 작업이 한 번에 읽고 지우는 버킷 수
+
+const PERIOD_MS: Record<RatePeriod, number> = {
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000
+};
+
+const DEFAULT_POLICY: RateLimitPolicy = { rate: 60, per: 'minute', burst: 30, enabled: true };
+
+// 함수 성격별 기본 한도 (설정이 없을 때)
+const POLICY_GROUPS: { policy: RateLimitPolicy; functions: string[] }[] = [
+  {
+    // 시간 동기화 - 초당 1회
+    policy: { rate: 1, per: 'second', burst: 3, enabled: true },
+    functions: ['getServerTime']
+  },
+  {
+    // 게임 참가/베팅
+    policy: { rate: 2, per: 'second', burst: 5, enabled: true },
+    functions: [
+      'joinCubeGame',
+      'joinMatchingGame',
+      'joinGoldenBell',
+      'registerGoldenBellParticipant',
+      'processGoldenBellBet',
+      'submitGoldenBellChoice',
+      'submitGoldenBellDecision',
+      'playGame',
+      'debit'
+    ]
+  },
+  {
+    // 게임 상태 폴링
+    policy: { rate: 2, per: 'second', burst: 10, enabled: true },
+    functions: [
+      'getCurrentGameStatus',
+      'getCubeGameStatus',
+      'getCubeGamePositions',
+      'getCurrentCubeGame',
+      'getMatchingGameStatus',
+      'getGoldenBellStatus',
+      'getWaitingRoomStatus',
+      'checkRoundResult',
+      'getOraclePriceData',
+      'getWalletBalances'
+    ]
+  },
+  {
+    // 히스토리/내역 조회
+    policy: { rate: 20, per: 'minute', burst: 10, enabled: true },
+    functions: [
+      'getUserGameHistory',
+      'getGameHistoryDetail',
+      'getPendingGameResults',
+      'getCubeGameHistory',
+      'getMatchingGameHistory',
+      'getCompletedMatchingGames',
+      'getGoldenBellHistory',
+      'getLedger',
+      'getWalletStatements',
+      'getPointHubTransfers',
+      'getMyReferrals',
+      'getReferralEarnings'
+    ]
+  },
+  {
+    // 로그인, 입출금, 환전
+    policy: { rate: 10, per: 'minute', burst: 5, enabled: true },
+    functions: ['pointHubLogin', 'depositFromPointHub', 'withdrawToPointHub', 'convertCurrency']
+  }
+];
+
+let configCache: { loadedAt: number; config: Record<string, any> } | null = null;
+
+function getDefaultPolicy(functionName: string): RateLimitPolicy {
+  const group = POLICY_GROUPS.find((entry) => entry.functions.includes(functionName));
+  return group ? group.policy : DEFAULT_POLICY;
+}
+
+function applyOverride(base: RateLimitPolicy, override: any): RateLimitPolicy {
+  if (!override || typeof override !== 'object') {
+    return base;
+  }
+  const rate = Number(override.rate);
+  const burst = Number(override.burst);
+  const per = override.per in PERIOD_MS ? (override.per as RatePeriod) : base.per;
+  const policy: RateLimitPolicy = {
+    rate: Number.isFinite(rate) && rate > 0 ? rate : base.rate,
+    per,
+    burst: base.burst,
+    enabled: override.enabled !== false
+  };
+  // burst 미지정 시 기본값 유지, 단 rate보다 작으면 최소 rate만큼 허용
+  policy.burst = Number.isFinite(burst) && burst >= 1 ? burst : Math.max(base.burst, Math.ceil(policy.rate));
+  return policy;
+}
+
+async function loadConfig(): Promise<Record<string, any>> {
+  const now = Date.now();
+  if (configCache && now - configCache.loadedAt < CONFIG_CACHE_TTL_MS) {
+    return configCache.config;
+  }
+  const snapshot = await rtdb.ref(RATE_LIMIT_CONFIG_PATH).once('value');
+  configCache = { loadedAt: now, config: snapshot.val() || {} };
+  return configCache.config;
+}
+
+/**
+ * 함수의 현재 한도 (기본값 → default 설정 → 함수별 설정 순으로 적용)
+ */
+export async function getRateLimitPolicy(functionName: string): Promise<RateLimitPolicy> {
+  const config = await loadConfig();
+  const withDefault = applyOverride(getDefaultPolicy(functionName), config.default);
+  return applyOverride(withDefault, config[functionName]);
+}
+
+function getRateLimitKey(request: CallableRequest): string {
+  if (request.auth?.uid) {
+    return request.auth.uid;
+  }
+  const ip = request.rawRequest?.ip || 'unknown';
+  return `ip_${ip.replace(/[.#$\[\]\/:]/g, '_')}`;
+}
+
+function refill(bucket: RateLimitBucket | null, policy: RateLimitPolicy, now: number): number {
+  if (!bucket || typeof bucket.tokens !== 'number' || typeof bucket.updatedAt !== 'number') {
+    return policy.burst;
+  }
+  const elapsed = Math.max(0, now - bucket.updatedAt);
+  const refilled = bucket.tokens + (elapsed * policy.rate) / PERIOD_MS[policy.per];
+  return Math.min(policy.burst, refilled);
+}
+
+/**
+ * 토큰 1개 사용 - 한도를 넘으면 resource-exhausted
+ */
+export async function consumeRateLimit(functionName: string, request: CallableRequest): Promise<void> {
+  let policy: RateLimitPolicy;
+  let committed: boolean;
+  let snapshotValue: RateLimitBucket | null;
+  const key = getRateLimitKey(request);
+  const now = Date.now();
+
+  try {
+    policy = await getRateLimitPolicy(functionName);
+    if (!policy.enabled) {
+      return;
+    }
+
+    const msPerToken = PERIOD_MS[policy.per] / policy.rate;
+    const result = await rtdb.ref(`${RATE_LIMIT_ROOT}/${functionName}:${key}`).transaction((current: RateLimitBucket | null) => {
+      const tokens = refill(current, policy, now);
+      if (tokens < 1) {
+        return; // Abort - 한도 초과
+      }
+      const remaining = tokens - 1;
+      return {
+        tokens: remaining,
+        updatedAt: now,
+        expiresAt: now + Math.ceil((policy.burst - remaining) * msPerToken)
+      };
+    }, undefined, false);
+    committed = result.committed;
+    snapshotValue = result.snapshot.val();
+  } catch (error) {
+    console.error(`[rateLimit] ${functionName} check failed for ${key} - allowing call:`, error);
+    return;
+  }
+
+  if (committed) {
+    return;
+  }
+
+  const tokens = refill(snapshotValue, policy, now);
+  const retryAfterMs = Math.max(1, Math.ceil(((1 - tokens) * PERIOD_MS[policy.per]) / policy.rate));
+  console.warn(`[rateLimit] ${functionName} limited for ${key} (${policy.rate}/${policy.per}, burst ${policy.burst}) - retry after ${retryAfterMs}ms`);
+  throw new HttpsError('resource-exhausted', 'Too many requests. Please try again later.', {
+    code: 'RATE_LIMITED',
+    functionName,
+    retryAfterMs,
+    retryAfterSeconds: Math.ceil(retryAfterMs / 1000)
+  });
+}
+
+/**
+ * onCall 핸들러를 호출 빈도 제한으로 감싼다.
+ * @param functionName 버킷 네임스페이스 및 한도 설정 키로 쓰이는 함수 이름
+ * @param handler 실제 처리 함수
+ */
+export function withRateLimit<T, D = any>(
+  functionName: string,
+  handler: (request: CallableRequest<D>) => Promise<T>
+): (request: CallableRequest<D>) => Promise<T> {
+  return async (request: CallableRequest<D>) => {
+    await consumeRateLimit(functionName, request);
+    return handler(request);
+  };
+}
+
+/**
+ * 가득 찬 상태가 된(만료된) 버킷 삭제 - 스케줄러에서 호출
+ * expiresAt 인덱스로 만료된 버킷만 CLEANUP_PAGE_SIZE개씩 읽어서 지운다 (전체 트리를 읽지 않음)
+ * @returns 삭제한 버킷 수
+ */
+export async function cleanupExpiredRateLimitBuckets(): Promise<number> {
+  const now = Date.now();
+  let removed = 0;
+
+  while (true) {
+    const snapshot = await rtdb.ref(RATE_LIMIT_ROOT)
+      .orderByChild('expiresAt')
+      .endAt(now)
+      .limitToFirst(CLEANUP_PAGE_SIZE)
+      .once('value');
+
+    const updates: Record<string, null> = {};
+    snapshot.forEach((child) => {
+      updates[`${RATE_LIMIT_ROOT}/${child.key}`] = null;
+      return false;
+    });
+
+    const pageRemoved = Object.keys(updates).length;
+    if (pageRemoved > 0) {
+      await rtdb.ref().update(updates);
+      removed += pageRemoved;
+    }
+    if (pageRemoved < CLEANUP_PAGE_SIZE) {
+      break;
+    }
+  }
+
+  console.log(`[cleanupExpiredRateLimitBuckets] Removed ${removed} expired rate limit buckets`);
+  return removed;
+}
@@ -0,0 +1,403 @@
+/**
+ * 추천인 (Referrals)
+ *
+ * - 사용자별 추천 코드: /referralCodes/{code} = uid, /users/{uid}/profile/referralCode
+ * - 추천인 연결: /users/{uid}/profile/referrer (reward-system의 processReferralBonus가 사용)
+ *   가입 또는 첫 로그인 후 REFERRAL_BIND_WINDOW_MS 이내에 한 번만 연결 가능
+ *   본인 추천과 순환(A → B → A) 연결은 거부
+ * - 직접 추천 목록: /referrals/{referrerUid}/members/{uid}
+ * - 추천 수당 기록: /referrals/{referrerUid}/earnings (processReferralBonus가 기록)
+ */
+
+import { randomInt } from 'crypto';
+import { onCall, HttpsError, CallableRequest } from 'firebase-functions/v2/https';
+import { rtdb } from './firebase-config';
+import { requireAdmin } from './auth-guards';
+import { withRateLimit } from './rate-limit';
+
+const REFERRAL_CODES_PATH = '/referralCodes';
+const REFERRALS_PATH = '/referrals';
+
+const REFERRAL_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // 혼동되는 문자(0/O, 1/I) 제외
+const REFERRAL_CODE_LENGTH = 8;
+const MAX_CODE_ATTEMPTS = 5;
+const REFERRAL_BIND_WINDOW_MS = 24 * 60 * 60 * 1000;
+const MAX_UPLINE_DEPTH = 1000;
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const RECENT_EARNINGS_LIMIT = 20;
+const DEFAULT_TREE_DEPTH = 3;
+const MAX_TREE_DEPTH = 10;
+const MAX_TREE_NODES = 1000;
+
+export type ReferralBindSource = 'signup' | 'pointhub_login' | 'callable';
+
+export interface ReferralBindResult {
+  bound: boolean;
+  referrerUid?: string;
+  reason?: string;
+}
+
+interface ReferralTreeNode {
+  uid: string;
+  nickname: string | null;
+  boundAt: number | null;
+  directCount: number;
+  children: ReferralTreeNode[];
+}
+
+function generateReferralCode(): string {
+  let code = '';
+  for (let i = 0; i < REFERRAL_CODE_LENGTH; i++) {
+    code += REFERRAL_CODE_ALPHABET[randomInt(REFERRAL_CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+export function normalizeReferralCode(value: any): string | null {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const code = value.trim().toUpperCase();
+  return /^[A-Z0-9]{4,16}$/.test(code) ? code : null;
+}
+
+/**
+ * 사용자 추천 코드 조회 (없으면 발급)
+ * 코드 선점과 프로필 기록을 각각 트랜잭션으로 처리 - 동시 호출 시 한쪽 코드는 반납
+ */
+export async function ensureReferralCode(uid: string): Promise<string> {
+  const profileCodeRef = rtdb.ref(`/users/${uid}/profile/referralCode`);
+  const existing = (await profileCodeRef.once('value')).val();
+  if (typeof existing === 'string' && existing) {
+    return existing;
+  }
+
+  for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS; attempt++) {
+    const code = generateReferralCode();
+    const codeRef = rtdb.ref(`${REFERRAL_CODES_PATH}/${code}`);
+    const claim = await codeRef.transaction((current) => {
+      if (current !== null) {
+        return; // Abort - 다른 사용자의 코드
+      }
+      return uid;
+    });
+    if (!claim.committed) {
+      continue;
+    }
+
+    const assign = await profileCodeRef.transaction((current) => {
+      if (current) {
+        return; // Abort - 동시에 다른 코드가 발급됨
+      }
+      return code;
+    });
+    if (!assign.committed) {
+      await codeRef.remove();
+      return assign.snapshot.val();
+    }
+
+    console.log(`[ensureReferralCode] Issued referral code ${code} to user ${uid}`);
+    return code;
+  }
+
+  throw new HttpsError('unavailable', 'Could not issue a referral code. Please try again.');
+}
+
+async function resolveReferralCode(code: string): Promise<string | null> {
+  const snapshot = await rtdb.ref(`${REFERRAL_CODES_PATH}/${code}`).once('value');
+  const uid = snapshot.val();
+  return typeof uid === 'string' && uid ? uid : null;
+}
+
+async function getReferrerUid(uid: string): Promise<string | null> {
+  const snapshot = await rtdb.ref(`/users/${uid}/profile/referrer`).once('value');
+  const referrer = snapshot.val();
+  return typeof referrer === 'string' && referrer ? referrer : null;
+}
+
+/**
+ * startUid부터 위쪽 추천 체인에 targetUid가 있는지 확인
+ * (startUid 자신 포함, 기존 데이터에 순환이 있어도 멈추도록 방문 기록)
+ */
+async function uplineContains(startUid: string, targetUid: string): Promise<boolean> {
+  const visited = new Set<string>();
+  let current: string | null = startUid;
+
+  while (current && visited.size < MAX_UPLINE_DEPTH) {
+    if (current === targetUid) {
+      return true;
+    }
+    if (visited.has(current)) {
+      console.warn(`[referrals] Existing referral cycle detected at ${current}`);
+      return false;
+    }
+    visited.add(current);
+    current = await getReferrerUid(current);
+  }
+
+  return false;
+}
+
+/**
+ * 추천인 연결 (사용자당 한 번)
+ * - 본인 추천, 존재하지 않는 추천인, 순환 연결, 연결 기간 만료, 이미 연결된 경우 HttpsError
+ * - 연결 후 체인을 다시 확인해서 동시 연결로 생긴 순환이면 되돌림
+ */
+export async function bindReferrer(uid: string, code: string, source: ReferralBindSource): Promise<string> {
+  const normalized = normalizeReferralCode(code);
+  if (!normalized) {
+    throw new HttpsError('invalid-argument', 'Invalid referral code');
+  }
+
+  const referrerUid = await resolveReferralCode(normalized);
+  if (!referrerUid) {
+    throw new HttpsError('not-found', 'Referral code not found');
+  }
+  if (referrerUid === uid) {
+    throw new HttpsError('invalid-argument', 'You cannot refer yourself');
+  }
+
+  const [profileSnapshot, referrerWalletSnapshot] = await Promise.all([
+    rtdb.ref(`/users/${uid}/profile`).once('value'),
+    rtdb.ref(`/users/${referrerUid}/wallet`).once('value')
+  ]);
+  const profile = profileSnapshot.val() || {};
+
+  if (profile.referrer) {
+    throw new HttpsError('already-exists', 'A referrer is already set for this account');
+  }
+  if (!referrerWalletSnapshot.exists()) {
+    throw new HttpsError('not-found', 'Referrer account not found');
+  }
+  if (typeof profile.createdAt !== 'number' || Date.now() - profile.createdAt > REFERRAL_BIND_WINDOW_MS) {
+    throw new HttpsError('failed-precondition', 'Referrer can only be set at signup or first login');
+  }
+  if (await uplineContains(referrerUid, uid)) {
+    throw new HttpsError('failed-precondition', 'This referral would create a referral cycle');
+  }
+
+  const referrerRef = rtdb.ref(`/users/${uid}/profile/referrer`);
+  const bind = await referrerRef.transaction((current) => {
+    if (current) {
+      return; // Abort - 이미 연결됨
+    }
+    return referrerUid;
+  });
+  if (!bind.committed) {
+    throw new HttpsError('already-exists', 'A referrer is already set for this account');
+  }
+
+  // 동시에 반대 방향으로 연결된 경우 순환이 생길 수 있으므로 다시 확인
+  if (await uplineContains(referrerUid, uid)) {
+    await referrerRef.transaction((current) => (current === referrerUid ? null : undefined));
+    console.warn(`[bindReferrer] Rolled back cyclic referral ${uid} → ${referrerUid}`);
+    throw new HttpsError('failed-precondition', 'This referral would create a referral cycle');
+  }
+
+  const boundAt = Date.now();
+  await rtdb.ref().update({
+    [`/users/${uid}/profile/referrerBoundAt`]: boundAt,
+    [`${REFERRALS_PATH}/${referrerUid}/members/${uid}`]: { boundAt, code: normalized, source }
+  });
+
+  console.log(`[bindReferrer] User ${uid} bound to referrer ${referrerUid} via ${source}`);
+  return referrerUid;
+}
+
+/**
+ * 가입/로그인 흐름용 추천인 연결 - 실패해도 가입/로그인은 계속 진행
+ */
+export async function tryBindReferrer(uid: string, code: any, source: ReferralBindSource): Promise<ReferralBindResult> {
+  try {
+    const referrerUid = await bindReferrer(uid, code, source);
+    return { bound: true, referrerUid };
+  } catch (error) {
+    const reason = error instanceof HttpsError ? error.message : 'Referral binding failed';
+    if (!(error instanceof HttpsError)) {
+      console.error(`[tryBindReferrer] Failed to bind referrer for ${uid}:`, error);
+    }
+    return { bound: false, reason };
+  }
+}
+
+async function getNicknames(uids: string[]): Promise<Record<string, string | null>> {
+  const snapshots = await Promise.all(uids.map((uid) => rtdb.ref(`/users/${uid}/profile/nickname`).once('value')));
+  const nicknames: Record<string, string | null> = {};
+  uids.forEach((uid, index) => {
+    nicknames[uid] = snapshots[index].val() || null;
+  });
+  return nicknames;
+}
+
+// 내 추천 코드 조회 (없으면 발급)
+export const getMyReferralCode = onCall(withRateLimit('getMyReferralCode', async (request: CallableRequest) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Authentication required');
+  }
+
+  const code = await ensureReferralCode(request.auth.uid);
+  return { success: true, code };
+}));
+
+/**
+ * 추천 코드로 추천인 연결
+ * data: { code }
+ */
+export const bindReferralCode = onCall(withRateLimit('bindReferralCode', async (request: CallableRequest) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Authentication required');
+  }
+
+  const referrerUid = await bindReferrer(request.auth.uid, request.data?.code, 'callable');
+  const nicknames = await getNicknames([referrerUid]);
+  return { success: true, referrer: { nickname: nicknames[referrerUid] } };
+}));
+
+/**
+ * 내 직접 추천 회원 목록
+ * data: { limit?, cursor? } - cursor는 이전 응답의 nextCursor
+ */
+export const getMyReferrals = onCall(withRateLimit('getMyReferrals', async (request: CallableRequest) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Authentication required');
+  }
+
+  const { uid } = request.auth;
+  const { limit = DEFAULT_PAGE_SIZE, cursor } = request.data || {};
+  if (cursor !== undefined && cursor !== null && (typeof cursor !== 'string' || !cursor)) {
+    throw new HttpsError('invalid-argument', 'cursor must be a string');
+  }
+  const pageSize = Math.min(Math.max(Number(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  let query = rtdb.ref(`${REFERRALS_PATH}/${uid}/members`).orderByKey();
+  if (cursor) {
+    query = query.startAfter(cursor);
+  }
+  const snapshot = await query.limitToFirst(pageSize + 1).once('value');
+
+  const members: Array<{ uid: string; boundAt: number | null }> = [];
+  snapshot.forEach((child) => {
+    members.push({ uid: child.key as string, boundAt: child.val()?.boundAt ?? null });
+    return false;
+  });
+
+  const hasMore = members.length > pageSize;
+  const page = members.slice(0, pageSize);
+  const nicknames = await getNicknames(page.map((member) => member.uid));
+
+  return {
+    success: true,
+    referrals: page.map((member) => ({ ...member, nickname: nicknames[member.uid] })),
+    nextCursor: hasMore ? page[page.length - 1].uid : null
+  };
+}));
+
+// 추천 수당 합계 및 최근 내역
+export const getReferralEarnings = onCall(withRateLimit('getReferralEarnings', async (request: CallableRequest) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Authentication required');
+  }
+
+  const { uid } = request.auth;
+  const [earningsSnapshot, membersSnapshot] = await Promise.all([
+    rtdb.ref(`${REFERRALS_PATH}/${uid}/earnings`).once('value'),
+    rtdb.ref(`${REFERRALS_PATH}/${uid}/members`).once('value')
+  ]);
+
+  let totalEarnings = 0;
+  const earnings: Array<{ id: string; amount: number; type: string | null; createdAt: number | null }> = [];
+  earningsSnapshot.forEach((child) => {
+    const entry = child.val() || {};
+    const amount = Number(entry.amount) || 0;
+    totalEarnings += amount;
+    earnings.push({ id: child.key as string, amount, type: entry.type || null, createdAt: entry.createdAt || null });
+    return false;
+  });
+
+  return {
+    success: true,
+    totalEarnings: Math.round(totalEarnings * 1e6) / 1e6,
+    earningsCount: earnings.length,
+    referralCount: membersSnapshot.numChildren(),
+    recentEarnings: earnings.slice(-RECENT_EARNINGS_LIMIT).reverse()
+  };
+}));
+
+/**
+ * 추천 트리 조회 (관리자 전용)
+ * data: { uid, depth? } - uid 아래로 depth 단계까지 (노드 최대 MAX_TREE_NODES개)
+ * upline은 uid의 위쪽 추천 체인 (가까운 순)
+ */
+export const getReferralTree = onCall(withRateLimit('getReferralTree', async (request: CallableRequest) => {
+  const adminUid = requireAdmin(request);
+  const { uid, depth = DEFAULT_TREE_DEPTH } = request.data || {};
+
+  if (typeof uid !== 'string' || !uid) {
+    throw new HttpsError('invalid-argument', 'uid is required');
+  }
+  const maxDepth = Math.min(Math.max(Math.floor(Number(depth)) || DEFAULT_TREE_DEPTH, 1), MAX_TREE_DEPTH);
+
+  const root: ReferralTreeNode = { uid, nickname: null, boundAt: null, directCount: 0, children: [] };
+  const visited = new Set<string>([uid]);
+  let level: ReferralTreeNode[] = [root];
+  let nodeCount = 1;
+  let truncated = false;
+
+  // 단계별 BFS - 각 단계의 members를 한 번에 조회
+  for (let currentDepth = 0; currentDepth < maxDepth && level.length > 0 && !truncated; currentDepth++) {
+    const snapshots = await Promise.all(level.map((node) => rtdb.ref(`${REFERRALS_PATH}/${node.uid}/members`).once('value')));
+    const nextLevel: ReferralTreeNode[] = [];
+
+    level.forEach((node, index) => {
+      node.directCount = snapshots[index].numChildren();
+      snapshots[index].forEach((child) => {
+        const childUid = child.key as string;
+        if (visited.has(childUid)) {
+          return false;
+        }
+        if (nodeCount >= MAX_TREE_NODES) {
+          truncated = true;
+          return true;
+        }
+        visited.add(childUid);
+        nodeCount++;
+        const childNode: ReferralTreeNode = {
+          uid: childUid,
+          nickname: null,
+          boundAt: child.val()?.boundAt ?? null,
+          directCount: 0,
+          children: []
+        };
+        node.children.push(childNode);
+        nextLevel.push(childNode);
+        return false;
+      });
+    });
+
+    level = nextLevel;
+  }
+
+  const allNodes: ReferralTreeNode[] = [];
+  const collect = (node: ReferralTreeNode) => {
+    allNodes.push(node);
+    node.children.forEach(collect);
+  };
+  collect(root);
+  const nicknames = await getNicknames(allNodes.map((node) => node.uid));
+  allNodes.forEach((node) => {
+    node.nickname = nicknames[node.uid];
+  });
+
+  const upline: string[] = [];
+  let current = await getReferrerUid(uid);
+  while (current && !upline.includes(current) && upline.length < MAX_TREE_DEPTH) {
+    upline.push(current);
+    current = await getReferrerUid(current);
+  }
+
+  console.log(`[getReferralTree] Admin ${adminUid} viewed referral tree of ${uid} (depth ${maxDepth}, ${nodeCount} nodes)`);
+
+  return { success: true, depth: maxDepth, nodeCount, truncated, upline, tree: root };
+}));
@@ -0,0 +1,410 @@
+/**
+ * 책임 있는 게임 (Responsible Gaming)
+ *
+ * 사용자가 직접 설정하는 베팅/손실 한도와 쿨오프/자기 배제 기간.
+ * - 한도: bet(베팅액) / loss(순손실) × daily / weekly / monthly, USD 기준, KST 기간 (주는 월요일 시작)
+ * - 한도를 낮추거나 새로 설정하면 즉시 적용, 높이거나 해제하면 LIMIT_INCREASE_DELAY_MS 후 적용
+ * - 쿨오프/자기 배제는 기간 중 해제하거나 줄일 수 없음 (연장만 가능)
+ * - 사용량: 베팅 - 베팅 환불(hold_release) = 베팅액, 베팅액 - 당첨 = 순손실
+ *   한도가 있는 사용자는 지갑(wallet.wagerGuard)에 한도와 누적 사용량을 두고, 지갑 트랜잭션이 베팅 차감과
+ *   함께 한도를 확인/갱신한다 (wallet.ts). Ledger는 처음 한도를 설정할 때 사용량을 채우는 데만 읽는다.
+ * - 저장 위치: /responsibleGaming/{uid}, 변경 내역 /responsibleGamingHistory/{uid}
+ *
+ * 게임 진입점(joinCubeGame, joinMatchingGame, joinGoldenBell, 골든벨 라운드 베팅, debit)은
+ * 차감 전에 assertCanWager를 호출한다 (쿨오프/자기 배제 확인, 지갑 한도 동기화, 빠른 사전 확인).
+ * 차단되면 failed-precondition HttpsError의 details.code로
+ * RG_SELF_EXCLUDED, RG_COOL_OFF, RG_BET_LIMIT_EXCEEDED, RG_LOSS_LIMIT_EXCEEDED 중 하나를 전달한다.
+ */
+
+import { onCall, HttpsError, CallableRequest } from 'firebase-functions/v2/https';
+import { rtdb } from './firebase-config';
+import { readLedgerEntries, NormalizedLedgerEntry } from './ledger-query';
+import {
+  findWagerLimitViolation,
+  getWagerEffect,
+  readWagerGuard,
+  syncWagerLimits,
+  wagerLimitError,
+  WagerLimitPeriod,
+  WagerLimitType,
+  WagerLimits
+} from './wallet';
+import { getKstPeriodRanges } from './time-utils';
+import { withRateLimit } from './rate-limit';
+
+export type GamingLimitType = WagerLimitType;
+export type GamingLimitPeriod = WagerLimitPeriod;
+type ExclusionType = 'cool_off' | 'self_exclusion';
+
+export type ResponsibleGamingErrorCode =
+  | 'RG_SELF_EXCLUDED'
+  | 'RG_COOL_OFF'
+  | 'RG_BET_LIMIT_EXCEEDED'
+  | 'RG_LOSS_LIMIT_EXCEEDED';
+
+type LimitTable = WagerLimits;
+
+interface PendingLimit {
+  amount: number | null;
+  requestedAt: number;
+  effectiveAt: number;
+}
+
+interface Exclusion {
+  type: ExclusionType;
+  startedAt: number;
+  until: number;
+}
+
+interface ResponsibleGamingSettings {
+  limits: LimitTable;
+  pending: Partial<Record<string, PendingLimit>>; // 키: `${type}_${period}`
+  exclusion: Exclusion | null;
+}
+
+interface PeriodUsage {
+  start: number;
+  end: number;
+  wagered: number;
+  won: number;
+  netLoss: number;
+}
+
+const SETTINGS_PATH = '/responsibleGaming';
+const HISTORY_PATH = '/responsibleGamingHistory';
+
+const LIMIT_TYPES: GamingLimitType[] = ['bet', 'loss'];
+const LIMIT_PERIODS: GamingLimitPeriod[] = ['daily', 'weekly', 'monthly'];
+const LIMIT_INCREASE_DELAY_MS = 24 * 60 * 60 * 1000;
+const MAX_LIMIT_USD = 1000000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const COOL_OFF_DURATIONS: Record<string, number> = {
+  '24h': DAY_MS,
+  '7d': 7 * DAY_MS,
+  '30d': 30 * DAY_MS
+};
+const SELF_EXCLUSION_DURATIONS: Record<string, number> = {
+  '6m': 183 * DAY_MS,
+  '1y': 365 * DAY_MS,
+  '5y': 5 * 365 * DAY_MS
+};
+
+function emptyLimits(): LimitTable {
+  return {
+    bet: { daily: null, weekly: null, monthly: null },
+    loss: { daily: null, weekly: null, monthly: null }
+  };
+}
+
+function roundUsd(value: number): number {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+function toLimitAmount(value: any): number | null {
+  const amount = Number(value);
+  return value !== null && value !== undefined && Number.isFinite(amount) && amount >= 0 ? amount : null;
+}
+
+function isLimitType(value: any): value is GamingLimitType {
+  return LIMIT_TYPES.includes(value);
+}
+
+function isLimitPeriod(value: any): value is GamingLimitPeriod {
+  return LIMIT_PERIODS.includes(value);
+}
+
+/**
+ * 설정 조회 - 적용 시각이 지난 대기 중 한도는 여기서 반영하고 저장
+ */
+async function loadSettings(uid: string, now: number = Date.now()): Promise<ResponsibleGamingSettings> {
+  const snapshot = await rtdb.ref(`${SETTINGS_PATH}/${uid}`).once('value');
+  const stored = snapshot.val() || {};
+
+  const limits = emptyLimits();
+  for (const type of LIMIT_TYPES) {
+    for (const period of LIMIT_PERIODS) {
+      limits[type][period] = toLimitAmount(stored.limits?.[type]?.[period]);
+    }
+  }
+
+  const pending: ResponsibleGamingSettings['pending'] = {};
+  const updates: Record<string, any> = {};
+  for (const [key, value] of Object.entries(stored.pending || {}) as [string, any][]) {
+    const [type, period] = key.split('_');
+    if (!isLimitType(type) || !isLimitPeriod(period) || !value) {
+      continue;
+    }
+    const pendingLimit: PendingLimit = {
+      amount: toLimitAmount(value.amount),
+      requestedAt: Number(value.requestedAt) || 0,
+      effectiveAt: Number(value.effectiveAt) || 0
+    };
+    if (pendingLimit.effectiveAt <= now) {
+      limits[type][period] = pendingLimit.amount;
+      updates[`limits/${type}/${period}`] = pendingLimit.amount;
+      updates[`pending/${key}`] = null;
+    } else {
+      pending[key] = pendingLimit;
+    }
+  }
+
+  if (Object.keys(updates).length > 0) {
+    await rtdb.ref(`${SETTINGS_PATH}/${uid}`).update({ ...updates, updatedAt: now });
+    await syncWalletLimits(uid, limits);
+  }
+
+  const exclusion = stored.exclusion && Number(stored.exclusion.until) > now
+    ? {
+      type: stored.exclusion.type === 'self_exclusion' ? 'self_exclusion' as const : 'cool_off' as const,
+      startedAt: Number(stored.exclusion.startedAt) || 0,
+      until: Number(stored.exclusion.until)
+    }
+    : null;
+
+  return { limits, pending, exclusion };
+}
+
+/**
+ * Ledger 항목 중 베팅/환불/당첨만 USD로 집계 (분류는 wallet.ts getWagerEffect와 동일)
+ */
+function summarizeUsage(entries: NormalizedLedgerEntry[], range: { start: number; end: number }): PeriodUsage {
+  let wagered = 0;
+  let won = 0;
+
+  for (const entry of entries) {
+    if (entry.createdAt < range.start || entry.createdAt >= range.end) {
+      continue;
+    }
+    const effect = getWagerEffect(entry);
+    wagered += effect.wagered;
+    won += effect.won;
+  }
+
+  wagered = Math.max(0, roundUsd(wagered));
+  won = roundUsd(won);
+  return { start: range.start, end: range.end, wagered, won, netLoss: roundUsd(wagered - won) };
+}
+
+/**
+ * Ledger에서 현재 기간 사용량 계산 - 지갑에 누적 사용량이 없을 때만 사용
+ */
+async function getLedgerUsage(uid: string, now: number): Promise<Record<GamingLimitPeriod, PeriodUsage>> {
+  const ranges = getKstPeriodRanges(now);
+  const earliest = Math.min(ranges.weekly.start, ranges.monthly.start);
+  const entries = await readLedgerEntries(uid, earliest, null);
+
+  return {
+    daily: summarizeUsage(entries, ranges.daily),
+    weekly: summarizeUsage(entries, ranges.weekly),
+    monthly: summarizeUsage(entries, ranges.monthly)
+  };
+}
+
+async function readStoredWagerGuard(uid: string): Promise<any> {
+  const snapshot = await rtdb.ref(`/users/${uid}/wallet/wagerGuard`).once('value');
+  return snapshot.val();
+}
+
+/**
+ * 현재 기간 사용량 - 지갑의 누적 사용량, 없으면 Ledger에서 계산
+ */
+async function getUsage(uid: string, now: number): Promise<Record<GamingLimitPeriod, PeriodUsage>> {
+  const stored = await readStoredWagerGuard(uid);
+  if (!stored?.usage) {
+    return getLedgerUsage(uid, now);
+  }
+
+  const guard = readWagerGuard(stored, now);
+  const usage = {} as Record<GamingLimitPeriod, PeriodUsage>;
+  for (const period of LIMIT_PERIODS) {
+    const bucket = guard.usage[period];
+    const wagered = Math.max(0, roundUsd(bucket.wagered));
+    usage[period] = { start: bucket.start, end: bucket.end, wagered, won: roundUsd(bucket.won), netLoss: roundUsd(wagered - bucket.won) };
+  }
+  return usage;
+}
+
+function sameLimits(a: LimitTable, b: LimitTable): boolean {
+  return LIMIT_TYPES.every((type) => LIMIT_PERIODS.every((period) => a[type][period] === b[type][period]));
+}
+
+/**
+ * 적용 중인 한도를 지갑(wallet.wagerGuard)에 반영 - 처음이면 Ledger로 현재 기간 사용량을 채움
+ */
+async function syncWalletLimits(uid: string, limits: LimitTable): Promise<void> {
+  await syncWagerLimits(uid, limits, () => getLedgerUsage(uid, Date.now()));
+}
+
+function responsibleGamingError(code: ResponsibleGamingErrorCode, message: string, details: Record<string, any> = {}): HttpsError {
+  return new HttpsError('failed-precondition', message, { code, ...details });
+}
+
+/**
+ * 베팅 가능 여부 확인 (차감/홀드 전에 호출)
+ * 한도가 없는 사용자는 Ledger를 읽지 않는다.
+ * @param amountUsd 이번에 걸 금액 (0이면 쿨오프/자기 배제만 확인)
+ * @param context 로그용 호출 위치 (예: joinCubeGame)
+ */
+export async function assertCanWager(uid: string, amountUsd: number, context: string): Promise<void> {
+  const now = Date.now();
+  const settings = await loadSettings(uid, now);
+
+  if (settings.exclusion) {
+    const { type, until } = settings.exclusion;
+    console.warn(`[responsibleGaming] ${context} blocked for ${uid}: ${type} until ${new Date(until).toISOString()}`);
+    throw type === 'self_exclusion'
+      ? responsibleGamingError('RG_SELF_EXCLUDED', 'You are self-excluded from playing.', { until })
+      : responsibleGamingError('RG_COOL_OFF', 'You are in a cool-off period.', { until });
+  }
+
+  const hasLimits = LIMIT_TYPES.some((type) => LIMIT_PERIODS.some((period) => settings.limits[type][period] !== null));
+  if (!hasLimits || amountUsd <= 0) {
+    return;
+  }
+
+  // 지갑 한도가 설정과 다르면(이전에 설정한 한도, 대기 후 적용된 한도) 먼저 동기화
+  let stored = await readStoredWagerGuard(uid);
+  const current = stored?.usage ? readWagerGuard(stored, now) : null;
+  if (!current || !sameLimits(current.limits, settings.limits)) {
+    await syncWalletLimits(uid, settings.limits);
+    stored = await readStoredWagerGuard(uid);
+  }
+
+  // 사전 확인 - 실제 한도 적용은 베팅 차감 트랜잭션에서 (동시 베팅 포함)
+  const violation = findWagerLimitViolation(readWagerGuard(stored, now), amountUsd);
+  if (violation) {
+    console.warn(`[responsibleGaming] ${context} blocked for ${uid}: ${violation.period} ${violation.code} ${violation.limit} (used ${violation.used}, requested ${amountUsd})`);
+    throw wagerLimitError(violation);
+  }
+}
+
+async function recordHistory(uid: string, entry: Record<string, any>): Promise<void> {
+  await rtdb.ref(`${HISTORY_PATH}/${uid}`).push({ ...entry, createdAt: Date.now() });
+}
+
+// 내 한도, 대기 중 변경, 쿨오프/자기 배제 상태와 기간별 사용량
+export const getResponsibleGamingStatus = onCall(withRateLimit('getResponsibleGamingStatus', async (request: CallableRequest) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Authentication required');
+  }
+
+  const { uid } = request.auth;
+  const now = Date.now();
+  const [settings, usage] = await Promise.all([loadSettings(uid, now), getUsage(uid, now)]);
+
+  return {
+    success: true,
+    limits: settings.limits,
+    pending: settings.pending,
+    exclusion: settings.exclusion,
+    usage,
+    limitIncreaseDelayMs: LIMIT_INCREASE_DELAY_MS
+  };
+}));
+
+/**
+ * 베팅/손실 한도 설정
+ * data: { type: 'bet' | 'loss', period: 'daily' | 'weekly' | 'monthly', amount: number | null }
+ * - amount가 현재 한도보다 낮으면 즉시 적용 (대기 중 인상은 취소)
+ * - 높이거나 null(해제)이면 LIMIT_INCREASE_DELAY_MS 후 적용
+ */
+export const setGamingLimit = onCall(withRateLimit('setGamingLimit', async (request: CallableRequest) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Authentication required');
+  }
+
+  const { uid } = request.auth;
+  const { type, period, amount } = request.data || {};
+  if (!isLimitType(type)) {
+    throw new HttpsError('invalid-argument', `type must be one of: ${LIMIT_TYPES.join(', ')}`);
+  }
+  if (!isLimitPeriod(period)) {
+    throw new HttpsError('invalid-argument', `period must be one of: ${LIMIT_PERIODS.join(', ')}`);
+  }
+  const nextAmount = amount === null ? null : toLimitAmount(amount);
+  if (amount !== null && (nextAmount === null || nextAmount > MAX_LIMIT_USD)) {
+    throw new HttpsError('invalid-argument', `amount must be null or a number between 0 and ${MAX_LIMIT_USD}`);
+  }
+
+  const now = Date.now();
+  const settings = await loadSettings(uid, now);
+  const current = settings.limits[type][period];
+  const key = `${type}_${period}`;
+  const isDecrease = nextAmount !== null && (current === null || nextAmount < current);
+
+  if (isDecrease) {
+    await rtdb.ref(`${SETTINGS_PATH}/${uid}`).update({
+      [`limits/${type}/${period}`]: roundUsd(nextAmount as number),
+      [`pending/${key}`]: null,
+      updatedAt: now
+    });
+    settings.limits[type][period] = roundUsd(nextAmount as number);
+    await syncWalletLimits(uid, settings.limits);
+    await recordHistory(uid, { action: 'limit_decreased', type, period, from: current, to: nextAmount });
+    console.log(`[setGamingLimit] User ${uid} ${period} ${type} limit: ${current ?? 'none'} → ${nextAmount} (immediate)`);
+    return { success: true, applied: true, limit: nextAmount, effectiveAt: now };
+  }
+
+  if (nextAmount === current) {
+    // 같은 값이면 대기 중 변경만 취소
+    await rtdb.ref(`${SETTINGS_PATH}/${uid}/pending/${key}`).remove();
+    return { success: true, applied: true, limit: current, effectiveAt: now };
+  }
+
+  const effectiveAt = now + LIMIT_INCREASE_DELAY_MS;
+  await rtdb.ref(`${SETTINGS_PATH}/${uid}`).update({
+    [`pending/${key}`]: { amount: nextAmount === null ? null : roundUsd(nextAmount), requestedAt: now, effectiveAt },
+    updatedAt: now
+  });
+  await recordHistory(uid, { action: 'limit_increase_requested', type, period, from: current, to: nextAmount, effectiveAt });
+  console.log(`[setGamingLimit] User ${uid} ${period} ${type} limit: ${current} → ${nextAmount ?? 'none'} (effective ${new Date(effectiveAt).toISOString()})`);
+
+  return { success: true, applied: false, limit: current, pendingLimit: nextAmount, effectiveAt };
+}));
+
+/**
+ * 쿨오프 / 자기 배제 시작
+ * data: { type: 'cool_off', duration: '24h' | '7d' | '30d' } 또는 { type: 'self_exclusion', duration: '6m' | '1y' | '5y' }
+ * 기존 기간보다 짧게 바꿀 수 없고, 자기 배제 중에는 쿨오프로 바꿀 수 없다.
+ */
+export const startGamingExclusion = onCall(withRateLimit('startGamingExclusion', async (request: CallableRequest) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Authentication required');
+  }
+
+  const { uid } = request.auth;
+  const { type, duration } = request.data || {};
+  const durations = type === 'cool_off' ? COOL_OFF_DURATIONS : type === 'self_exclusion' ? SELF_EXCLUSION_DURATIONS : null;
+  if (!durations) {
+    throw new HttpsError('invalid-argument', 'type must be cool_off or self_exclusion');
+  }
+  if (typeof duration !== 'string' || !durations[duration]) {
+    throw new HttpsError('invalid-argument', `duration must be one of: ${Object.keys(durations).join(', ')}`);
+  }
+
+  const now = Date.now();
+  const until = now + durations[duration];
+  let previous: Exclusion | null = null;
+
+  const result = await rtdb.ref(`${SETTINGS_PATH}/${uid}/exclusion`).transaction((current: Exclusion | null) => {
+    previous = current && Number(current.until) > now ? current : null;
+    if (previous && (previous.until >= until || (previous.type === 'self_exclusion' && type === 'cool_off'))) {
+      return; // Abort - 기존 기간을 줄이거나 약하게 바꿀 수 없음
+    }
+    return { type, startedAt: previous ? previous.startedAt : now, until };
+  });
+
+  if (!result.committed) {
+    const active = previous as Exclusion | null;
+    throw new HttpsError('failed-precondition', 'An active exclusion cannot be shortened or downgraded', {
+      type: active?.type ?? null,
+      until: active?.until ?? null
+    });
+  }
+
+  await recordHistory(uid, { action: 'exclusion_started', type, duration, until });
+  console.log(`[startGamingExclusion] User ${uid} started ${type} (${duration}) until ${new Date(until).toISOString()}`);
+
+  return { success: true, type, until };
+}));
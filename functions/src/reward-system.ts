@@ -1,5 +1,6 @@
 // PointHub Reward and Commission System
 import * as admin from 'firebase-admin';
+import { creditWallet, spendWithPolicy } from './wallet';
 
 const rtdb = admin.database();
 
@@ -45,7 +46,7 @@ export async function distributeSignupRewards(uid: string, amount: number) {
     await addToMarketingPool(distribution.marketingBonus);
     
     // IVY 지급
-    await creditUserIvy(uid, distribution.ivyReward);
+    await creditUserIvy(uid, distribution.ivyReward, 'signup_ivy_reward');
     
     // 게임 누적금 배분
     await distributeGameAccumulation(distribution.gameAccumulation);
@@ -71,10 +72,10 @@ export async function processVipRewards(uid: string, totalReward: number) {
     await addToAutoReinvestPool(uid, distribution.autoReinvest);
     
     // IVY 지갑에 추가 (우선 차감용)
-    await creditUserIvy(uid, distribution.ivyPayUsage);
+    await creditUserIvy(uid, distribution.ivyPayUsage, 'vip_ivy_reward');
     
     // 출금 가능한 금액을 USDT로 지급
-    await creditUserUsdt(uid, distribution.withdrawable);
+    await creditUserUsdt(uid, distribution.withdrawable, 'vip_reward');
     
     console.log(`VIP rewards processed for user ${uid}:`, distribution);
     return distribution;
@@ -96,7 +97,7 @@ export async function distributeWinningRewards(winnerUid: string, totalWinning:
     const actualWinning = totalWinning * 0.80; // 80% 실제 당첨금
 
     // 당첨자에게 실제 당첨금 지급
-    await creditUserUsdt(winnerUid, actualWinning);
+    await creditUserUsdt(winnerUid, actualWinning, 'winning_reward');
     
     // 추천수당 처리
     await processReferralBonus(winnerUid, distribution.referralBonus);
@@ -128,7 +129,7 @@ async function processReferralBonus(uid: string, amount: number) {
     const referrerId = userSnapshot.val();
     
     if (referrerId) {
-      await creditUserUsdt(referrerId, amount);
+      await creditUserUsdt(referrerId, amount, 'referral_bonus');
       
       // 추천 수당 기록
       await rtdb.ref(`/referrals/${referrerId}/earnings`).push({
@@ -216,19 +217,10 @@ async function processAutoReinvestment(uid: string) {
   }
 }
 
-async function creditUserUsdt(uid: string, amount: number) {
+async function creditUserUsdt(uid: string, amount: number, operation: string) {
   try {
-    await rtdb.ref(`/users/${uid}/wallet/usdt`).transaction((current) => {
-      return (current || 0) + amount;
-    });
-    
-    // 거래 기록
-    await rtdb.ref(`/ledger/${uid}`).push({
-      type: 'credit',
-      amountUsd: amount,
-      meta: { source: 'reward_system' },
-      createdAt: Date.now()
-    });
+    // 잔액 변경과 거래 기록을 함께 처리
+    await creditWallet(uid, amount, operation, { source: 'reward_system' });
     
     console.log(`${amount} USDT credited to user ${uid}`);
   } catch (error) {
@@ -236,20 +228,10 @@ async function creditUserUsdt(uid: string, amount: number) {
   }
 }
 
-async function creditUserIvy(uid: string, amount: number) {
+async function creditUserIvy(uid: string, amount: number, operation: string) {
   try {
-    await rtdb.ref(`/users/${uid}/wallet/ivy`).transaction((current) => {
-      return (current || 0) + amount;
-    });
-    
-    // 거래 기록
-    await rtdb.ref(`/ledger/${uid}`).push({
-      type: 'credit',
-      currency: 'ivy',
-      amountUsd: amount,
-      meta: { source: 'reward_system' },
-      createdAt: Date.now()
-    });
+    // 잔액 변경과 거래 기록을 함께 처리
+    await creditWallet(uid, amount, operation, { source: 'reward_system' }, { currency: 'ivy' });
     
     console.log(`${amount} IVY credited to user ${uid}`);
   } catch (error) {
@@ -297,54 +279,13 @@ async function distributeGameAccumulation(amount: number) {
   }
 }
 
-// IVY 우선 차감 로직
+// IVY 우선 차감 로직 (wallet 모듈의 게임별 차감 정책과 같은 방식으로 한 트랜잭션에서 차감)
 export async function debitWithIvyPriority(uid: string, amount: number): Promise<boolean> {
   try {
-    const walletSnapshot = await rtdb.ref(`/users/${uid}/wallet`).once('value');
-    const wallet = walletSnapshot.val() || { ivy: 0, usdt: 0 };
-    
-    let ivyUsed = 0;
-    let usdtUsed = 0;
-    
-    // IVY 먼저 사용
-    if (wallet.ivy >= amount) {
-      ivyUsed = amount;
-    } else {
-      ivyUsed = wallet.ivy;
-      usdtUsed = amount - ivyUsed;
-      
-      // USDT 잔액 확인
-      if (wallet.usdt < usdtUsed) {
-        console.log(`Insufficient balance for user ${uid}. Required: ${amount}, Available: ${wallet.ivy + wallet.usdt}`);
-        return false;
-      }
-    }
-    
-    // 차감 실행
-    if (ivyUsed > 0) {
-      await rtdb.ref(`/users/${uid}/wallet/ivy`).transaction((current) => {
-        return (current || 0) - ivyUsed;
-      });
-    }
-    
-    if (usdtUsed > 0) {
-      await rtdb.ref(`/users/${uid}/wallet/usdt`).transaction((current) => {
-        return (current || 0) - usdtUsed;
-      });
-    }
-    
-    // 거래 기록
-    await rtdb.ref(`/ledger/${uid}`).push({
-      type: 'debit',
-      amountUsd: amount,
-      meta: { 
-        ivyUsed,
-        usdtUsed,
-        source: 'game_debit'
-      },
-      createdAt: Date.now()
-    });
-    
+    const result = await spendWithPolicy(uid, amount, 'ivy_priority', 'game_debit', { source: 'game_debit' });
+    const ivyUsed = result.legs.find((leg) => leg.currency === 'ivy')?.amount || 0;
+    const usdtUsed = result.legs.find((leg) => leg.currency === 'usdt')?.amount || 0;
+
     console.log(`Debit successful for ${uid}: IVY(${ivyUsed}) + USDT(${usdtUsed}) = ${amount}`);
     return true;
   } catch (error) {
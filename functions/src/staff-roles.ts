@@ -0,0 +1,195 @@
+/**
+ * 운영자 역할 관리 (Staff Roles)
+ *
+ * 역할은 Firebase Auth custom claims({ admin: true, operator: true, support: true })에 저장하고
+ * 권한 함수는 auth-guards의 requireRole로 필요한 최소 역할을 선언한다.
+ * - 역할 부여/회수는 admin만 가능하며 모든 변경을 /staffRoleChanges/{changeId}에 기록
+ * - 현재 역할 목록은 /staffRoles/{uid}에 미러링 (조회용, claims가 기준)
+ * - 마지막 admin의 admin 역할은 회수 불가 (관리자 잠김 방지)
+ * - 첫 admin은 functions/bootstrap-admin.js로 부여 (같은 경로에 source: 'bootstrap'으로 기록)
+ *
+ * 변경된 역할은 사용자의 ID 토큰이 갱신된 뒤 적용된다. 회수 시에는 refresh token을 폐기해 즉시 재로그인하게 한다.
+ */
+
+import { onCall, HttpsError, CallableRequest } from 'firebase-functions/v2/https';
+import admin, { rtdb } from './firebase-config';
+import { requireAdmin, getStaffRoles, isStaffRole, StaffRole, STAFF_ROLES } from './auth-guards';
+import { withRateLimit } from './rate-limit';
+import { withAudit } from './audit';
+
+type RoleChangeAction = 'grant' | 'revoke';
+
+interface StaffRoleChange {
+  changeId: string;
+  targetUid: string;
+  targetEmail: string | null;
+  role: StaffRole;
+  action: RoleChangeAction;
+  reason: string;
+  previousRoles: StaffRole[];
+  roles: StaffRole[];
+  actorUid: string;
+  source: 'callable' | 'bootstrap';
+  createdAt: number;
+}
+
+const STAFF_ROLES_PATH = '/staffRoles';
+const STAFF_ROLE_CHANGES_PATH = '/staffRoleChanges';
+const MAX_REASON_LENGTH = 500;
+
+function validateReason(value: any): string {
+  const reason = typeof value === 'string' ? value.trim() : '';
+  if (!reason) {
+    throw new HttpsError('invalid-argument', 'reason is required');
+  }
+  if (reason.length > MAX_REASON_LENGTH) {
+    throw new HttpsError('invalid-argument', `reason must be at most ${MAX_REASON_LENGTH} characters`);
+  }
+  return reason;
+}
+
+function validateRoleRequest(data: any): { targetUid: string; role: StaffRole; reason: string } {
+  const targetUid = typeof data?.uid === 'string' ? data.uid.trim() : '';
+  if (!targetUid) {
+    throw new HttpsError('invalid-argument', 'uid is required');
+  }
+  if (!isStaffRole(data?.role)) {
+    throw new HttpsError('invalid-argument', `role must be one of: ${STAFF_ROLES.join(', ')}`);
+  }
+  return { targetUid, role: data.role, reason: validateReason(data?.reason) };
+}
+
+async function countAdmins(): Promise<number> {
+  const snapshot = await rtdb.ref(STAFF_ROLES_PATH).orderByChild('roles/admin').equalTo(true).once('value');
+  return snapshot.numChildren();
+}
+
+/**
+ * 역할 부여/회수 - custom claims 변경 후 미러와 변경 기록 저장
+ * 다른 custom claims는 그대로 유지한다.
+ */
+async function changeStaffRole(
+  targetUid: string,
+  role: StaffRole,
+  action: RoleChangeAction,
+  actorUid: string,
+  reason: string
+): Promise<StaffRoleChange> {
+  let user: admin.auth.UserRecord;
+  try {
+    user = await admin.auth().getUser(targetUid);
+  } catch (error: any) {
+    if (error?.code === 'auth/user-not-found') {
+      throw new HttpsError('not-found', 'User not found');
+    }
+    throw error;
+  }
+
+  const claims = { ...(user.customClaims || {}) };
+  const previousRoles = getStaffRoles(claims);
+  const hasRole = previousRoles.includes(role);
+
+  if (action === 'grant' && hasRole) {
+    throw new HttpsError('already-exists', `User already has the ${role} role`);
+  }
+  if (action === 'revoke' && !hasRole) {
+    throw new HttpsError('failed-precondition', `User does not have the ${role} role`);
+  }
+  if (action === 'revoke' && role === 'admin' && (await countAdmins()) <= 1) {
+    throw new HttpsError('failed-precondition', 'Cannot revoke the last admin');
+  }
+
+  if (action === 'grant') {
+    claims[role] = true;
+  } else {
+    delete claims[role];
+  }
+  await admin.auth().setCustomUserClaims(targetUid, claims);
+
+  if (action === 'revoke') {
+    // 기존 ID 토큰에 남은 역할이 만료 전까지 쓰이지 않도록 재로그인 강제
+    await admin.auth().revokeRefreshTokens(targetUid);
+  }
+
+  const roles = getStaffRoles(claims);
+  const now = Date.now();
+  const changeRef = rtdb.ref(STAFF_ROLE_CHANGES_PATH).push();
+  const change: StaffRoleChange = {
+    changeId: changeRef.key as string,
+    targetUid,
+    targetEmail: user.email || null,
+    role,
+    action,
+    reason,
+    previousRoles,
+    roles,
+    actorUid,
+    source: 'callable',
+    createdAt: now
+  };
+
+  const rolesMap = Object.fromEntries(roles.map((r) => [r, true]));
+  await rtdb.ref().update({
+    [`${STAFF_ROLE_CHANGES_PATH}/${change.changeId}`]: change,
+    [`${STAFF_ROLES_PATH}/${targetUid}`]: roles.length > 0
+      ? { roles: rolesMap, email: user.email || null, updatedAt: now, updatedBy: actorUid }
+      : null
+  });
+
+  console.log(`[staffRoles] ${actorUid} ${action === 'grant' ? 'granted' : 'revoked'} ${role} ${action === 'grant' ? 'to' : 'from'} ${targetUid} (${reason})`);
+  return change;
+}
+
+/**
+ * 역할 부여 (admin 전용)
+ * data: { uid, role: 'admin' | 'operator' | 'support', reason }
+ */
+export const grantStaffRole = onCall(withRateLimit('grantStaffRole', withAudit('grantStaffRole', async (request: CallableRequest) => {
+  const actorUid = requireAdmin(request);
+  const { targetUid, role, reason } = validateRoleRequest(request.data);
+
+  const change = await changeStaffRole(targetUid, role, 'grant', actorUid, reason);
+  return { success: true, change };
+}, { paths: (request) => [`${STAFF_ROLES_PATH}/${request.data?.uid}`, STAFF_ROLE_CHANGES_PATH] })));
+
+/**
+ * 역할 회수 (admin 전용)
+ * data: { uid, role, reason }
+ */
+export const revokeStaffRole = onCall(withRateLimit('revokeStaffRole', withAudit('revokeStaffRole', async (request: CallableRequest) => {
+  const actorUid = requireAdmin(request);
+  const { targetUid, role, reason } = validateRoleRequest(request.data);
+
+  const change = await changeStaffRole(targetUid, role, 'revoke', actorUid, reason);
+  return { success: true, change };
+}, { paths: (request) => [`${STAFF_ROLES_PATH}/${request.data?.uid}`, STAFF_ROLE_CHANGES_PATH] })));
+
+/**
+ * 운영자 목록과 최근 역할 변경 기록 (admin 전용)
+ * data: { limit? } - 변경 기록 개수 (기본 50, 최대 200)
+ */
+export const listStaffRoles = onCall(withRateLimit('listStaffRoles', async (request: CallableRequest) => {
+  requireAdmin(request);
+
+  const limit = Math.min(Math.max(Number(request.data?.limit) || 50, 1), 200);
+  const [staffSnapshot, changesSnapshot] = await Promise.all([
+    rtdb.ref(STAFF_ROLES_PATH).once('value'),
+    rtdb.ref(STAFF_ROLE_CHANGES_PATH).orderByChild('createdAt').limitToLast(limit).once('value')
+  ]);
+
+  const staff = Object.entries(staffSnapshot.val() || {}).map(([uid, entry]: [string, any]) => ({
+    uid,
+    email: entry.email || null,
+    roles: getStaffRoles(entry.roles),
+    updatedAt: entry.updatedAt || 0,
+    updatedBy: entry.updatedBy || null
+  }));
+
+  const changes: StaffRoleChange[] = [];
+  changesSnapshot.forEach((child) => {
+    changes.push(child.val());
+  });
+  changes.reverse();
+
+  return { success: true, staff, changes };
+}));
@@ -0,0 +1,430 @@
+/**
+ * 테스트 하네스 (Test Harness)
+ *
+ * 에뮬레이터/스테이징에서만 쓰는 테스트용 콜러블과 그 가드.
+ * - index.ts는 isTestHarnessEnabled()일 때만 테스트 함수를 export 한다 (프로덕션 배포에는 함수 자체가 없음)
+ * - 등록되더라도 testOnlyCall 가드가 프로덕션에서는 항상 거부 (이중 방어)
+ * - 환경: FUNCTIONS_EMULATOR=true(에뮬레이터) 또는 APP_ENV=staging(functions/.env.<projectId>에 설정)
+ * - APP_ENV는 STAGING_PROJECT_IDS에 있는 프로젝트에서만 허용 - 다른 프로젝트에 설정되어 있으면 index.ts 로드가 실패한다
+ *   (배포 시 함수 분석 단계에서 배포 중단)
+ * - 스테이징에서는 operator 이상만 호출 가능, destructive 작업은 admin만 가능
+ * - 데이터를 삭제하거나 덮어쓰는 작업(destructive)은 실행할 때마다 /audit에 기록 (audit.ts)
+ *
+ * 게임 모듈의 테스트 함수(testFillCubeGame, testMatchingGameSettlement 등)도 testOnlyCall로 정의한다.
+ */
+
+import { onCall, HttpsError, CallableRequest } from 'firebase-functions/v2/https';
+import { rtdb } from './firebase-config';
+import { withAudit } from './audit';
+import { requireRole } from './auth-guards';
+import { refreshOracleSnapshot } from './oracle';
+
+export type TestEnvironment = 'emulator' | 'staging';
+
+interface TestOnlyOptions {
+  destructive?: boolean; // 데이터를 삭제/덮어쓰는 작업 - 실행마다 감사 기록
+  paths?: string[]; // 영향 받는 RTDB 경로 (감사 기록용)
+}
+
+// 테스트 하네스를 등록할 수 있는 스테이징 프로젝트 - 새 스테이징 프로젝트는 여기에 추가해야 APP_ENV=staging이 허용됨
+const STAGING_PROJECT_IDS: string[] = [];
+
+const RESET_ALL_PATHS = ['/gameHistory', '/games/matching', '/games/cube', '/users', '/ledger', '/games/cube_realtime', '/games/matching_summary'];
+
+/**
+ * 현재 실행 환경 - 테스트 하네스를 쓸 수 없는 환경(프로덕션)이면 null
+ * STAGING_PROJECT_IDS에 없는 프로젝트에 APP_ENV가 설정되어 있으면 에러 (테스트 함수가 프로덕션에 배포되지 않도록)
+ */
+export function getTestEnvironment(): TestEnvironment | null {
+  if (process.env.FUNCTIONS_EMULATOR === 'true') {
+    return 'emulator';
+  }
+
+  const appEnv = process.env.APP_ENV;
+  const projectId = process.env.GCLOUD_PROJECT || process.env.GCP_PROJECT || '';
+  if (appEnv && !STAGING_PROJECT_IDS.includes(projectId)) {
+    throw new Error(`APP_ENV=${appEnv} is only allowed for staging projects (${STAGING_PROJECT_IDS.join(', ') || 'none configured'}), not ${projectId || 'an unknown project'} - remove it from functions/.env and functions/.env.${projectId}`);
+  }
+
+  if (appEnv === 'staging') {
+    return 'staging';
+  }
+  return null;
+}
+
+export function isTestHarnessEnabled(): boolean {
+  return getTestEnvironment() !== null;
+}
+
+/**
+ * 테스트 전용 콜러블 - 프로덕션에서는 항상 거부
+ * @param name 함수 이름 (로그/감사 기록용)
+ */
+export function testOnlyCall<T>(
+  name: string,
+  handler: (request: CallableRequest) => Promise<T>,
+  options: TestOnlyOptions = {}
+) {
+  return onCall(async (request: CallableRequest) => {
+    const environment = getTestEnvironment();
+    if (!environment) {
+      console.error(`[testHarness] ${name} refused outside emulator/staging (uid: ${request.auth?.uid ?? 'anonymous'})`);
+      throw new HttpsError('failed-precondition', `${name} is only available in emulator or staging environments`);
+    }
+    if (environment === 'staging') {
+      requireRole(request, options.destructive ? 'admin' : 'operator');
+    }
+
+    if (!options.destructive) {
+      return handler(request);
+    }
+
+    console.warn(`[testHarness] ${name} started by ${request.auth?.uid ?? 'anonymous'} in ${environment}`);
+    return withAudit(name, handler, { paths: options.paths })(request);
+  });
+}
+
+// [TEST ONLY] Manual Oracle Update - 스케줄러를 기다리지 않고 오라클 스냅샷을 바로 갱신
+export const testUpdateOracle = testOnlyCall('testUpdateOracle', async () => {
+  try {
+    const snapshot = await refreshOracleSnapshot();
+    console.log('[TEST] Oracle data updated:', snapshot);
+
+    return {
+      success: true,
+      message: 'Oracle data updated successfully (TEST MODE)',
+      data: snapshot
+    };
+  } catch (error: any) {
+    console.error('[TEST] Oracle update failed:', error);
+    throw new HttpsError('internal', error?.message || 'Oracle update failed');
+  }
+}, { destructive: true, paths: ['/oracle/current', '/oracle/binance'] });
+
+// [TEST ONLY] Create Matching Games - 에뮬레이터 테스트용
+export const testCreateMatchingGame = testOnlyCall('testCreateMatchingGame', async () => {
+  try {
+    const { createOrderGame, createRandomGame } = await import('./matching-game-new');
+
+    // ORDER 게임 생성
+    await createOrderGame();
+    console.log('[TEST] ORDER matching game created');
+
+    // RANDOM 게임 생성
+    await createRandomGame();
+    console.log('[TEST] RANDOM matching game created');
+
+    return {
+      success: true,
+      message: 'Matching games created successfully (TEST MODE)'
+    };
+  } catch (error: any) {
+    console.error('[TEST] Matching game creation failed:', error);
+    throw new HttpsError('internal', error?.message || 'Matching game creation failed');
+  }
+});
+
+// [TEST ONLY] Initialize All Test Data - 모든 테스트 데이터 한번에 초기화
+export const testInitializeAll = testOnlyCall('testInitializeAll', async () => {
+  const results: string[] = [];
+
+  try {
+    // 1. Oracle 데이터 초기화
+    try {
+      await refreshOracleSnapshot();
+      results.push('✅ Oracle data initialized');
+    } catch (e) {
+      console.error('[TEST] Oracle initialization failed:', e);
+      results.push('⚠️ Oracle data skipped (all providers failed)');
+    }
+
+    // 2. 매칭 게임 생성
+    const { createOrderGame, createRandomGame } = await import('./matching-game-new');
+    await createOrderGame();
+    results.push('✅ ORDER matching game created');
+
+    await createRandomGame();
+    results.push('✅ RANDOM matching game created');
+
+    // 3. 골든벨 게임 생성
+    try {
+      const { createDailyGoldenBellGames } = await import('./goldenbell-game-new');
+      await createDailyGoldenBellGames();
+      results.push('✅ Golden Bell games created');
+    } catch (e) {
+      results.push('⚠️ Golden Bell games skipped (may already exist)');
+    }
+
+    // 4. 큐브 게임 생성
+    try {
+      const { createNewCubeGame } = await import('./cube-game-new');
+      await createNewCubeGame();
+      results.push('✅ Cube game created');
+    } catch (e) {
+      results.push('⚠️ Cube game skipped (may already exist)');
+    }
+
+    console.log('[TEST] All test data initialized:', results);
+
+    return {
+      success: true,
+      message: 'All test data initialized (TEST MODE)',
+      results: results
+    };
+  } catch (error: any) {
+    console.error('[TEST] Initialization failed:', error);
+    throw new HttpsError('internal', error?.message || 'Initialization failed');
+  }
+}, { destructive: true, paths: ['/oracle/current', '/oracle/binance', '/games/matching', '/games/goldenbell', '/games/cube'] });
+
+// 테스트 함수: 모든 데이터 리셋 (gameHistory, Matching 게임, Cube 게임, 유저 데이터)
+export const testResetAllData = testOnlyCall('testResetAllData', async () => {
+  try {
+    console.log('[testResetAllData] Starting full data reset...');
+    
+    const resetResults = {
+      gameHistory: { deleted: 0, error: null as string | null },
+      matchingGames: { deleted: 0, error: null as string | null },
+      cubeGames: { deleted: 0, error: null as string | null },
+      users: { deleted: 0, error: null as string | null },
+      ledger: { deleted: 0, error: null as string | null }
+    };
+
+    // 1. gameHistory 리셋
+    try {
+      console.log('[testResetAllData] Resetting gameHistory...');
+      const gameHistorySnapshot = await rtdb.ref('/gameHistory').once('value');
+      if (gameHistorySnapshot.exists()) {
+        const gameHistoryData = gameHistorySnapshot.val();
+        const updates: Record<string, null> = {};
+        
+        // 모든 유저의 gameHistory 삭제
+        Object.keys(gameHistoryData).forEach((uid) => {
+          updates[`/gameHistory/${uid}`] = null;
+        });
+        
+        if (Object.keys(updates).length > 0) {
+          await rtdb.ref().update(updates);
+          resetResults.gameHistory.deleted = Object.keys(updates).length;
+        }
+      }
+      console.log(`[testResetAllData] gameHistory reset complete: ${resetResults.gameHistory.deleted} users`);
+    } catch (error) {
+      console.error('[testResetAllData] Error resetting gameHistory:', error);
+      resetResults.gameHistory.error = error instanceof Error ? error.message : 'Unknown error';
+    }
+
+    // 2. Matching 게임 리셋
+    try {
+      console.log('[testResetAllData] Resetting matching games...');
+      const matchingGamesSnapshot = await rtdb.ref('/games/matching').once('value');
+      if (matchingGamesSnapshot.exists()) {
+        const matchingGamesData = matchingGamesSnapshot.val();
+        const updates: Record<string, null> = {};
+        
+        // 모든 Matching 게임 삭제
+        Object.keys(matchingGamesData).forEach((gameId) => {
+          updates[`/games/matching/${gameId}`] = null;
+        });
+        
+        if (Object.keys(updates).length > 0) {
+          await rtdb.ref().update(updates);
+          resetResults.matchingGames.deleted = Object.keys(updates).length;
+        }
+      }
+      console.log(`[testResetAllData] Matching games reset complete: ${resetResults.matchingGames.deleted} games`);
+    } catch (error) {
+      console.error('[testResetAllData] Error resetting matching games:', error);
+      resetResults.matchingGames.error = error instanceof Error ? error.message : 'Unknown error';
+    }
+
+    // 3. Cube 게임 리셋
+    try {
+      console.log('[testResetAllData] Resetting cube games...');
+      const cubeGamesSnapshot = await rtdb.ref('/games/cube').once('value');
+      if (cubeGamesSnapshot.exists()) {
+        const cubeGamesData = cubeGamesSnapshot.val();
+        const updates: Record<string, null> = {};
+        
+        // 모든 Cube 게임 삭제
+        Object.keys(cubeGamesData).forEach((gameId) => {
+          updates[`/games/cube/${gameId}`] = null;
+        });
+        
+        if (Object.keys(updates).length > 0) {
+          await rtdb.ref().update(updates);
+          resetResults.cubeGames.deleted = Object.keys(updates).length;
+        }
+      }
+      console.log(`[testResetAllData] Cube games reset complete: ${resetResults.cubeGames.deleted} games`);
+    } catch (error) {
+      console.error('[testResetAllData] Error resetting cube games:', error);
+      resetResults.cubeGames.error = error instanceof Error ? error.message : 'Unknown error';
+    }
+
+    // 4. 유저 데이터 리셋
+    try {
+      console.log('[testResetAllData] Resetting user data...');
+      const usersSnapshot = await rtdb.ref('/users').once('value');
+      if (usersSnapshot.exists()) {
+        const usersData = usersSnapshot.val();
+        const updates: Record<string, null> = {};
+        
+        // 모든 유저 데이터 삭제
+        Object.keys(usersData).forEach((uid) => {
+          updates[`/users/${uid}`] = null;
+        });
+        
+        if (Object.keys(updates).length > 0) {
+          await rtdb.ref().update(updates);
+          resetResults.users.deleted = Object.keys(updates).length;
+        }
+      }
+      console.log(`[testResetAllData] User data reset complete: ${resetResults.users.deleted} users`);
+    } catch (error) {
+      console.error('[testResetAllData] Error resetting user data:', error);
+      resetResults.users.error = error instanceof Error ? error.message : 'Unknown error';
+    }
+
+    // 5. Ledger 리셋
+    try {
+      console.log('[testResetAllData] Resetting ledger...');
+      const ledgerSnapshot = await rtdb.ref('/ledger').once('value');
+      if (ledgerSnapshot.exists()) {
+        const ledgerData = ledgerSnapshot.val();
+        const updates: Record<string, null> = {};
+        
+        // 모든 유저의 ledger 삭제
+        Object.keys(ledgerData).forEach((uid) => {
+          updates[`/ledger/${uid}`] = null;
+        });
+        
+        if (Object.keys(updates).length > 0) {
+          await rtdb.ref().update(updates);
+          resetResults.ledger.deleted = Object.keys(updates).length;
+        }
+      }
+      console.log(`[testResetAllData] Ledger reset complete: ${resetResults.ledger.deleted} users`);
+    } catch (error) {
+      console.error('[testResetAllData] Error resetting ledger:', error);
+      resetResults.ledger.error = error instanceof Error ? error.message : 'Unknown error';
+    }
+
+    // 실시간 게임 상태도 리셋
+    try {
+      console.log('[testResetAllData] Resetting realtime game status...');
+      const cubeRealtimeSnapshot = await rtdb.ref('/games/cube_realtime').once('value');
+      if (cubeRealtimeSnapshot.exists()) {
+        const updates: Record<string, null> = {};
+        Object.keys(cubeRealtimeSnapshot.val()).forEach((gameId) => {
+          updates[`/games/cube_realtime/${gameId}`] = null;
+        });
+        if (Object.keys(updates).length > 0) {
+          await rtdb.ref().update(updates);
+        }
+      }
+      
+      const matchingSummarySnapshot = await rtdb.ref('/games/matching_summary').once('value');
+      if (matchingSummarySnapshot.exists()) {
+        const updates: Record<string, null> = {};
+        Object.keys(matchingSummarySnapshot.val()).forEach((gameId) => {
+          updates[`/games/matching_summary/${gameId}`] = null;
+        });
+        if (Object.keys(updates).length > 0) {
+          await rtdb.ref().update(updates);
+        }
+      }
+      console.log('[testResetAllData] Realtime game status reset complete');
+    } catch (error) {
+      console.error('[testResetAllData] Error resetting realtime status:', error);
+    }
+
+    const totalDeleted = 
+      resetResults.gameHistory.deleted +
+      resetResults.matchingGames.deleted +
+      resetResults.cubeGames.deleted +
+      resetResults.users.deleted +
+      resetResults.ledger.deleted;
+
+    const hasErrors = Object.values(resetResults).some(result => result.error !== null);
+
+    console.log(`[testResetAllData] Full data reset complete. Total deleted: ${totalDeleted}`);
+
+    // 게임 생성 결과
+    const gameCreationResults = {
+      orderGames: { created: 0, error: null as string | null },
+      randomGames: { created: 0, error: null as string | null },
+      cubeGame: { created: false, error: null as string | null }
+    };
+
+    // 데이터 삭제 후 게임 생성
+    try {
+      console.log('[testResetAllData] Creating games after reset...');
+      
+      // Matching 게임 생성 함수 import
+      const { createOrderGame, createRandomGame } = await import('./matching-game-new');
+      const { createNewCubeGame } = await import('./cube-game-new');
+
+      // 1. Order 게임 생성 (스케줄러처럼 다음 게임 1개만 생성)
+      try {
+        console.log('[testResetAllData] Creating next Order game...');
+        await createOrderGame();
+        gameCreationResults.orderGames.created++;
+        console.log('[testResetAllData] Order game created successfully');
+      } catch (error) {
+        console.error('[testResetAllData] Error creating Order game:', error);
+        gameCreationResults.orderGames.error = error instanceof Error ? error.message : 'Unknown error';
+      }
+
+      // 2. Random 게임 생성 (스케줄러처럼 다음 게임 1개만 생성)
+      try {
+        console.log('[testResetAllData] Creating next Random game...');
+        await createRandomGame();
+        gameCreationResults.randomGames.created++;
+        console.log('[testResetAllData] Random game created successfully');
+      } catch (error) {
+        console.error('[testResetAllData] Error creating Random game:', error);
+        gameCreationResults.randomGames.error = error instanceof Error ? error.message : 'Unknown error';
+      }
+
+      // 3. Cube 게임 생성
+      try {
+        console.log('[testResetAllData] Creating Cube game...');
+        await createNewCubeGame();
+        gameCreationResults.cubeGame.created = true;
+        console.log('[testResetAllData] Cube game created successfully');
+      } catch (error) {
+        console.error('[testResetAllData] Error creating Cube game:', error);
+        gameCreationResults.cubeGame.error = error instanceof Error ? error.message : 'Unknown error';
+      }
+
+    } catch (error) {
+      console.error('[testResetAllData] Error during game creation:', error);
+    }
+
+    const gameCreationHasErrors = 
+      gameCreationResults.orderGames.error !== null ||
+      gameCreationResults.randomGames.error !== null ||
+      gameCreationResults.cubeGame.error !== null;
+
+    const totalGamesCreated = 
+      gameCreationResults.orderGames.created +
+      gameCreationResults.randomGames.created +
+      (gameCreationResults.cubeGame.created ? 1 : 0);
+
+    return {
+      success: !hasErrors && !gameCreationHasErrors,
+      message: hasErrors || gameCreationHasErrors
+        ? 'Data reset completed with some errors. Check details below.'
+        : `All data reset successfully. Total ${totalDeleted} items deleted. ${totalGamesCreated} games created.`,
+      results: resetResults,
+      totalDeleted,
+      gamesCreated: gameCreationResults,
+      totalGamesCreated
+    };
+
+  } catch (error) {
+    console.error('[testResetAllData] Full data reset failed:', error);
+    throw new Error(`Failed to reset all data: ${error instanceof Error ? error.message : 'Unknown error'}`);
+  }
+}, { destructive: true, paths: RESET_ALL_PATHS });
@@ -52,3 +52,118 @@ export function todayKST(): string {
   return `${year}-${month}-${day}`;
 }
 
+
+/**
+ * 조회/리포트에서 사용하는 기준 시간대
+ */
+export type ReportTimeZone = 'KST' | 'UTC';
+
+const TIME_ZONE_OFFSET_MS: Record<ReportTimeZone, number> = {
+  KST: 9 * 60 * 60 * 1000,
+  UTC: 0
+};
+
+export function isReportTimeZone(value: any): value is ReportTimeZone {
+  return value === 'KST' || value === 'UTC';
+}
+
+/**
+ * 타임스탬프를 지정한 시간대의 문자열로 변환 (YYYY-MM-DD HH:mm:ss 형식)
+ * @param timestamp UTC 타임스탬프 (밀리초)
+ * @param timeZone 기준 시간대
+ */
+export function formatInTimeZone(timestamp: number, timeZone: ReportTimeZone): string {
+  if (timeZone === 'KST') {
+    return formatKST(timestamp);
+  }
+  return new Date(timestamp).toISOString().replace('T', ' ').substring(0, 19);
+}
+
+/**
+ * 지정한 시간대의 날짜/시간 문자열을 UTC 타임스탬프로 변환
+ * 지원 형식: YYYY-MM-DD, YYYY-MM-DD HH:mm, YYYY-MM-DD HH:mm:ss (T 구분자 허용)
+ * @returns UTC 타임스탬프 (밀리초), 형식이 잘못되면 null
+ */
+export function parseInTimeZone(value: string, timeZone: ReportTimeZone): number | null {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hours = '0', minutes = '0', seconds = '0'] = match;
+  const utcMs = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds));
+  const check = new Date(utcMs);
+  // 2월 30일처럼 존재하지 않는 날짜는 거부
+  if (check.getUTCMonth() !== Number(month) - 1 || check.getUTCDate() !== Number(day)) {
+    return null;
+  }
+
+  return utcMs - TIME_ZONE_OFFSET_MS[timeZone];
+}
+
+/**
+ * 지정한 시간대 기준 하루(YYYY-MM-DD)의 UTC 타임스탬프 범위
+ * @returns start 이상 end 미만
+ */
+export function getDayRange(date: string, timeZone: ReportTimeZone): { start: number; end: number } | null {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return null;
+  }
+  const start = parseInTimeZone(date, timeZone);
+  return start === null ? null : { start, end: start + 24 * 60 * 60 * 1000 };
+}
+
+/**
+ * 지정한 시간대 기준 한 달(YYYY-MM)의 UTC 타임스탬프 범위
+ * @returns start 이상 end 미만
+ */
+export function getMonthRange(month: string, timeZone: ReportTimeZone): { start: number; end: number } | null {
+  const match = /^(\d{4})-(\d{2})$/.exec(month);
+  if (!match) {
+    return null;
+  }
+  const year = Number(match[1]);
+  const monthIndex = Number(match[2]) - 1;
+  if (monthIndex < 0 || monthIndex > 11) {
+    return null;
+  }
+  const offset = TIME_ZONE_OFFSET_MS[timeZone];
+  return {
+    start: Date.UTC(year, monthIndex, 1) - offset,
+    end: Date.UTC(year, monthIndex + 1, 1) - offset
+  };
+}
+
+/**
+ * 날짜 문자열(YYYY-MM-DD)에 일 수를 더한 날짜 문자열
+ */
+export function addDays(date: string, days: number): string {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().substring(0, 10);
+}
+
+/**
+ * 월 문자열(YYYY-MM)에 개월 수를 더한 월 문자열
+ */
+export function addMonths(month: string, months: number): string {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, monthNumber - 1 + months, 1)).toISOString().substring(0, 7);
+}
+
+/**
+ * 시각이 속한 KST 일/주(월요일 시작)/월 범위 (책임 있는 게임 한도 기간)
+ * @returns 기간별 start 이상 end 미만
+ */
+export function getKstPeriodRanges(timestamp: number): Record<'daily' | 'weekly' | 'monthly', { start: number; end: number }> {
+  const today = formatInTimeZone(timestamp, 'KST').substring(0, 10);
+  const daily = getDayRange(today, 'KST') as { start: number; end: number };
+  const weekday = new Date(`${today}T00:00:00Z`).getUTCDay(); // 0 = 일요일
+  const weekStart = getDayRange(addDays(today, -((weekday + 6) % 7)), 'KST') as { start: number; end: number };
+  const monthly = getMonthRange(today.substring(0, 7), 'KST') as { start: number; end: number };
+
+  return {
+    daily,
+    weekly: { start: weekStart.start, end: weekStart.start + 7 * 24 * 60 * 60 * 1000 },
+    monthly
+  };
+}
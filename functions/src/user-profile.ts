@@ -0,0 +1,294 @@
+/**
+ * 사용자 프로필 (User Profile)
+ *
+ * 클라이언트는 /users/{uid}/profile에 직접 쓸 수 없고 updateProfile 콜러블로만 수정한다.
+ * - 수정 가능: nickname, country, avatarId
+ * - 그 외 필드(membership, referrer, referralCode, createdAt 등)는 서버 전용
+ * - 닉네임은 대소문자 구분 없이 유일 - /nicknames/{key} = uid 인덱스를 트랜잭션으로 선점
+ *   인덱스 이전에 저장된 profile.nickname은 backfillNicknameIndex(admin)로 채우고, 채우기 전이라도
+ *   같은 닉네임을 쓰는 기존 프로필이 있으면 그 사용자 것으로 인덱스에 먼저 기록한 뒤 거절
+ * - 예약어 닉네임(admin, system 등)은 사용 불가 (/config/profile/reservedNicknames로 추가 가능)
+ * - 국가는 COUNTRY_CHANGE_COOLDOWN_MS에 한 번만 변경 가능하고, 한 번 설정하면 지울 수 없음 (국가별 이용 제한 우회 방지)
+ */
+
+import { onCall, HttpsError, CallableRequest } from 'firebase-functions/v2/https';
+import { rtdb } from './firebase-config';
+import { normalizeCountryCode } from './country-availability';
+import { withRateLimit } from './rate-limit';
+import { withAudit } from './audit';
+import { requireAdmin } from './auth-guards';
+
+const NICKNAMES_PATH = '/nicknames';
+const PROFILE_CONFIG_PATH = '/config/profile';
+
+const NICKNAME_MIN_LENGTH = 2;
+const NICKNAME_MAX_LENGTH = 16;
+// 한글, 영문, 숫자, 밑줄만 허용 (RTDB 키에 쓸 수 없는 문자 포함 안 함)
+const NICKNAME_PATTERN = /^[A-Za-z0-9_가-힣]+$/;
+const AVATAR_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+const COUNTRY_CHANGE_COOLDOWN_MS = 30 * 24 * 60 * 60 * 1000;
+const BACKFILL_PAGE_SIZE = 200;
+
+const DEFAULT_RESERVED_NICKNAMES = ['admin', 'administrator', 'operator', 'support', 'system', 'pointhub', 'moderator', 'official'];
+
+const EDITABLE_FIELDS = ['nickname', 'country', 'avatarId'];
+
+function toNicknameKey(nickname: string): string {
+  return nickname.normalize('NFKC').toLowerCase();
+}
+
+async function getReservedNicknames(): Promise<Set<string>> {
+  const snapshot = await rtdb.ref(`${PROFILE_CONFIG_PATH}/reservedNicknames`).once('value');
+  const configured = snapshot.val();
+  const values = Array.isArray(configured) ? configured : configured && typeof configured === 'object' ? Object.values(configured) : [];
+  return new Set([...DEFAULT_RESERVED_NICKNAMES, ...values.filter((value): value is string => typeof value === 'string')].map(toNicknameKey));
+}
+
+/**
+ * 닉네임 형식 검증
+ * @returns 앞뒤 공백을 제거한 닉네임
+ */
+function validateNickname(value: any): string {
+  if (typeof value !== 'string') {
+    throw new HttpsError('invalid-argument', 'nickname must be a string');
+  }
+  const nickname = value.trim().normalize('NFKC');
+  if (nickname.length < NICKNAME_MIN_LENGTH || nickname.length > NICKNAME_MAX_LENGTH) {
+    throw new HttpsError('invalid-argument', `nickname must be ${NICKNAME_MIN_LENGTH}-${NICKNAME_MAX_LENGTH} characters`);
+  }
+  if (!NICKNAME_PATTERN.test(nickname)) {
+    throw new HttpsError('invalid-argument', 'nickname may only contain letters, numbers, Korean characters and underscores');
+  }
+  return nickname;
+}
+
+/**
+ * 인덱스에 없는 닉네임을 이미 프로필에 쓰고 있는 다른 사용자 (인덱스 도입 전 프로필)
+ */
+async function findLegacyNicknameOwner(uid: string, nickname: string): Promise<string | null> {
+  const snapshot = await rtdb.ref('/users').orderByChild('profile/nickname').equalTo(nickname).limitToFirst(2).once('value');
+  let owner: string | null = null;
+  snapshot.forEach((child) => {
+    if (child.key !== uid && owner === null) {
+      owner = child.key;
+    }
+  });
+  return owner;
+}
+
+/**
+ * 닉네임 선점 (이미 본인 것이면 그대로 통과)
+ * @returns 선점에 성공하면 true
+ */
+async function claimNickname(uid: string, key: string, nickname: string): Promise<boolean> {
+  const indexed = (await rtdb.ref(`${NICKNAMES_PATH}/${key}`).once('value')).val();
+  if (indexed === null) {
+    const legacyOwner = await findLegacyNicknameOwner(uid, nickname);
+    if (legacyOwner) {
+      // 기존 사용자의 닉네임을 인덱스에 기록 (다른 호출이 먼저 기록했으면 그대로)
+      await rtdb.ref(`${NICKNAMES_PATH}/${key}`).transaction((current) => (current === null ? legacyOwner : undefined));
+    }
+  }
+
+  const result = await rtdb.ref(`${NICKNAMES_PATH}/${key}`).transaction((current) => {
+    if (current !== null && current !== uid) {
+      return; // Abort - 다른 사용자가 사용 중
+    }
+    return uid;
+  });
+  return result.committed;
+}
+
+async function releaseNickname(uid: string, key: string): Promise<void> {
+  await rtdb.ref(`${NICKNAMES_PATH}/${key}`).transaction((current) => (current === uid ? null : undefined));
+}
+
+/**
+ * 프로필 수정
+ * data: { nickname?, country?, avatarId? } - 전달한 필드만 변경, null이면 avatarId 삭제
+ *   (country는 설정 전에만 null 허용 - 국가 미설정 사용자는 allowUnknownCountry 규칙을 따르므로 지워서 차단을 피할 수 없게 함)
+ */
+export const updateProfile = onCall(withRateLimit('updateProfile', async (request: CallableRequest) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Authentication required');
+  }
+
+  const { uid } = request.auth;
+  const data = request.data || {};
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new HttpsError('invalid-argument', 'Profile data must be an object');
+  }
+
+  const unknownFields = Object.keys(data).filter((field) => !EDITABLE_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    throw new HttpsError('invalid-argument', `These profile fields cannot be changed: ${unknownFields.join(', ')}`);
+  }
+  if (Object.keys(data).length === 0) {
+    throw new HttpsError('invalid-argument', 'No profile fields to update');
+  }
+
+  const profileSnapshot = await rtdb.ref(`/users/${uid}/profile`).once('value');
+  if (!profileSnapshot.exists()) {
+    throw new HttpsError('failed-precondition', 'User profile not initialized');
+  }
+  const profile = profileSnapshot.val() || {};
+  const now = Date.now();
+  const updates: Record<string, any> = {};
+
+  if (data.avatarId !== undefined) {
+    if (data.avatarId !== null && (typeof data.avatarId !== 'string' || !AVATAR_ID_PATTERN.test(data.avatarId))) {
+      throw new HttpsError('invalid-argument', 'avatarId must be 1-32 letters, numbers, underscores or hyphens');
+    }
+    updates.avatarId = data.avatarId;
+  }
+
+  if (data.country !== undefined) {
+    const country = data.country === null ? null : normalizeCountryCode(data.country);
+    if (data.country !== null && !country) {
+      throw new HttpsError('invalid-argument', 'country must be an ISO 3166-1 alpha-2 code');
+    }
+    if (country === null && profile.country) {
+      throw new HttpsError('failed-precondition', 'Country cannot be removed once it is set', { code: 'COUNTRY_REQUIRED' });
+    }
+    if (country !== (profile.country ?? null)) {
+      const lastChangedAt = Number(profile.countryUpdatedAt) || 0;
+      if (profile.country && now - lastChangedAt < COUNTRY_CHANGE_COOLDOWN_MS) {
+        throw new HttpsError('failed-precondition', 'Country can only be changed once every 30 days', {
+          nextChangeAt: lastChangedAt + COUNTRY_CHANGE_COOLDOWN_MS
+        });
+      }
+      updates.country = country;
+      updates.countryUpdatedAt = now;
+    }
+  }
+
+  let claimedKey: string | null = null;
+  const previousKey = typeof profile.nickname === 'string' ? toNicknameKey(profile.nickname) : null;
+  if (data.nickname !== undefined) {
+    const nickname = validateNickname(data.nickname);
+    const key = toNicknameKey(nickname);
+
+    if ((await getReservedNicknames()).has(key)) {
+      throw new HttpsError('already-exists', 'This nickname is reserved', { code: 'NICKNAME_RESERVED' });
+    }
+    if (!(await claimNickname(uid, key, nickname))) {
+      throw new HttpsError('already-exists', 'This nickname is already taken', { code: 'NICKNAME_TAKEN' });
+    }
+    if (key !== previousKey) {
+      claimedKey = key;
+    }
+    updates.nickname = nickname;
+  }
+
+  updates.updatedAt = now;
+  try {
+    await rtdb.ref(`/users/${uid}/profile`).update(updates);
+  } catch (error) {
+    if (claimedKey) {
+      await releaseNickname(uid, claimedKey);
+    }
+    throw error;
+  }
+
+  // 이전 닉네임 반납 (프로필 저장 후 - 실패해도 이전 닉네임만 계속 예약됨)
+  if (claimedKey && previousKey) {
+    await releaseNickname(uid, previousKey);
+  }
+
+  console.log(`[updateProfile] User ${uid} updated profile fields: ${Object.keys(updates).filter((field) => field !== 'updatedAt').join(', ')}`);
+
+  return {
+    success: true,
+    profile: {
+      nickname: updates.nickname ?? profile.nickname ?? null,
+      country: updates.country !== undefined ? updates.country : profile.country ?? null,
+      avatarId: updates.avatarId !== undefined ? updates.avatarId : profile.avatarId ?? null
+    }
+  };
+}));
+
+/**
+ * 닉네임 사용 가능 여부 확인
+ * data: { nickname }
+ */
+export const checkNicknameAvailability = onCall(withRateLimit('checkNicknameAvailability', async (request: CallableRequest) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Authentication required');
+  }
+
+  const nickname = validateNickname(request.data?.nickname);
+  const key = toNicknameKey(nickname);
+  if ((await getReservedNicknames()).has(key)) {
+    return { success: true, available: false, reason: 'reserved' };
+  }
+
+  const owner = (await rtdb.ref(`${NICKNAMES_PATH}/${key}`).once('value')).val();
+  const available = owner === null || owner === request.auth.uid;
+  return { success: true, available, ...(available ? {} : { reason: 'taken' }) };
+}));
+
+/**
+ * 닉네임 인덱스 채우기 (admin 전용, 여러 번 실행해도 안전)
+ * 인덱스 도입 전에 저장된 profile.nickname을 /nicknames에 기록한다.
+ * 대소문자만 다른 닉네임이 여러 사용자에게 있으면 먼저 읽은 사용자(uid 순)가 갖고 나머지는 conflicts로 반환
+ * data: { startAfter? } - 이전 응답의 nextStartAfter (한 번에 모두 끝나지 않은 경우)
+ */
+export const backfillNicknameIndex = onCall(withRateLimit('backfillNicknameIndex', withAudit('backfillNicknameIndex', async (request: CallableRequest) => {
+  const adminUid = requireAdmin(request);
+  const startAfter = typeof request.data?.startAfter === 'string' ? request.data.startAfter : null;
+  const deadline = Date.now() + 45 * 1000;
+
+  let lastKey = startAfter;
+  let scanned = 0;
+  let claimed = 0;
+  let done = false;
+  const conflicts: { uid: string; nickname: string; ownerUid: string }[] = [];
+
+  while (Date.now() < deadline) {
+    let query = rtdb.ref('/users').orderByKey();
+    if (lastKey) {
+      query = query.startAfter(lastKey);
+    }
+    const snapshot = await query.limitToFirst(BACKFILL_PAGE_SIZE).once('value');
+
+    const profiles: { uid: string; nickname: unknown }[] = [];
+    snapshot.forEach((child) => {
+      profiles.push({ uid: child.key as string, nickname: child.child('profile/nickname').val() });
+    });
+
+    for (const { uid, nickname } of profiles) {
+      scanned++;
+      if (typeof nickname !== 'string' || !nickname.trim()) {
+        continue;
+      }
+      const key = toNicknameKey(nickname.trim());
+      if (!key || /[.#$\[\]\/]/.test(key)) {
+        continue; // RTDB 키로 쓸 수 없는 이전 닉네임 - 다음 변경 때 검증됨
+      }
+      const result = await rtdb.ref(`${NICKNAMES_PATH}/${key}`).transaction((current) => (current === null ? uid : undefined));
+      const owner = result.snapshot.val();
+      if (result.committed) {
+        claimed++;
+      } else if (owner !== uid) {
+        conflicts.push({ uid, nickname, ownerUid: owner });
+      }
+    }
+
+    if (profiles.length < BACKFILL_PAGE_SIZE) {
+      done = true;
+      break;
+    }
+    lastKey = profiles[profiles.length - 1].uid;
+  }
+
+  console.log(`[backfillNicknameIndex] Admin ${adminUid}: scanned ${scanned}, claimed ${claimed}, conflicts ${conflicts.length}, done ${done}`);
+
+  return {
+    success: true,
+    scanned,
+    claimed,
+    conflicts,
+    done,
+    nextStartAfter: done ? null : lastKey
+  };
+}, { paths: [NICKNAMES_PATH] })));
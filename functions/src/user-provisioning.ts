@@ -0,0 +1,207 @@
+/**
+ * 사용자 프로비저닝 (User Provisioning)
+ *
+ * 사용자 데이터(/users/{uid})를 만드는 유일한 경로.
+ * - 지갑이 없을 때만 생성 (트랜잭션) - 이미 있는 사용자의 지갑/프로필은 덮어쓰지 않음
+ * - 회원가입 보너스는 /users/{uid}/provisioning/signupBonus 마커로 한 번만 지급
+ *   (마커 이전 방식으로 생성된 기존 사용자는 provisioning 기록이 없으므로 지급 대상 아님)
+ * - 호출 경로: Auth onCreate 트리거, pointHubLogin, createUserProfile/enhancedInitUserProfile 콜러블
+ * - 콜러블은 본인 uid만 프로비저닝 가능
+ * - 새 사용자에게 추천 코드 발급, 전달된 추천 코드로 추천인 연결 (referrals.ts)
+ */
+
+import * as functionsV1 from 'firebase-functions/v1';
+import { onCall, HttpsError, CallableRequest } from 'firebase-functions/v2/https';
+import { rtdb } from './firebase-config';
+import { creditWallet } from './wallet';
+import { ensureReferralCode, tryBindReferrer, ReferralBindResult } from './referrals';
+import { withRateLimit } from './rate-limit';
+import { recordAccountSignals, COLLUSION_SIGNAL_SECRET } from './collusion';
+
+type ProvisioningSource = 'auth_trigger' | 'pointhub_login' | 'callable';
+
+interface ProvisionOptions {
+  email?: string | null;
+  emailVerified?: boolean;
+  source: ProvisioningSource;
+}
+
+export interface ProvisionResult {
+  uid: string;
+  created: boolean;
+  signupBonusPaid: boolean;
+}
+
+interface SignupBonusMarker {
+  status: 'claimed' | 'paid';
+  claimedAt: number;
+  paidAt?: number;
+  ledgerId?: string;
+}
+
+export const SIGNUP_BONUS_USDT = 100;
+
+/**
+ * 지갑이 없을 때만 빈 지갑 생성
+ * 서버 값과 비교하는 트랜잭션이므로 동시에 여러 경로에서 호출돼도 한 번만 생성된다.
+ */
+async function createWalletIfAbsent(uid: string): Promise<boolean> {
+  const result = await rtdb.ref(`/users/${uid}/wallet`).transaction((current) => {
+    if (current !== null) {
+      return; // Abort - 이미 지갑이 있음
+    }
+    return { usdt: 0, ivy: 0, pending: 0 };
+  });
+  return result.committed;
+}
+
+/**
+ * 회원가입 보너스 지급 (사용자당 최대 한 번)
+ * 마커를 먼저 선점하고 지급 후 ledgerId를 기록한다. 지급이 실패하면 마커를 해제해서 다시 시도할 수 있게 한다.
+ */
+async function paySignupBonusOnce(uid: string, source: ProvisioningSource): Promise<boolean> {
+  const markerRef = rtdb.ref(`/users/${uid}/provisioning/signupBonus`);
+  const claimedAt = Date.now();
+
+  const claim = await markerRef.transaction((current: SignupBonusMarker | null) => {
+    if (current !== null) {
+      return; // Abort - 이미 지급(또는 지급 중)
+    }
+    return { status: 'claimed', claimedAt };
+  });
+  if (!claim.committed) {
+    return false;
+  }
+
+  try {
+    const mutation = await creditWallet(uid, SIGNUP_BONUS_USDT, 'signup_bonus', {
+      description: source === 'pointhub_login' ? 'Welcome bonus for new user (PointHub)' : 'Welcome bonus for new user',
+      source
+    });
+    await markerRef.update({ status: 'paid', paidAt: Date.now(), ledgerId: mutation.ledgerId });
+    return true;
+  } catch (error) {
+    await markerRef.remove();
+    throw error;
+  }
+}
+
+/**
+ * 사용자 프로비저닝 (멱등)
+ * - 지갑이 없으면 생성하고 auth/profile 기본값과 provisioning 기록을 채움
+ * - 이미 있는 사용자는 비어 있는 auth 필드만 보완
+ * - provisioning 기록이 있는 사용자에게만 회원가입 보너스를 한 번 지급
+ */
+export async function provisionUser(uid: string, options: ProvisionOptions): Promise<ProvisionResult> {
+  const created = await createWalletIfAbsent(uid);
+  const now = Date.now();
+
+  const [authSnapshot, profileSnapshot, provisioningSnapshot] = await Promise.all([
+    rtdb.ref(`/users/${uid}/auth`).once('value'),
+    rtdb.ref(`/users/${uid}/profile/createdAt`).once('value'),
+    rtdb.ref(`/users/${uid}/provisioning/createdAt`).once('value')
+  ]);
+
+  const updates: Record<string, any> = {};
+  if (!authSnapshot.exists()) {
+    updates[`/users/${uid}/auth`] = {
+      uid,
+      email: options.email || null,
+      emailVerified: options.emailVerified === true
+    };
+  }
+  if (!profileSnapshot.exists()) {
+    updates[`/users/${uid}/profile/createdAt`] = now;
+  }
+  if (created && !provisioningSnapshot.exists()) {
+    updates[`/users/${uid}/provisioning/createdAt`] = now;
+    updates[`/users/${uid}/provisioning/source`] = options.source;
+  }
+  if (Object.keys(updates).length > 0) {
+    await rtdb.ref().update(updates);
+  }
+
+  // 이번 호출에서 생성했거나, 이전 프로비저닝이 보너스 지급 전에 중단된 경우에만 지급 시도
+  const eligibleForBonus = created || provisioningSnapshot.exists();
+  const signupBonusPaid = eligibleForBonus ? await paySignupBonusOnce(uid, options.source) : false;
+
+  if (created) {
+    try {
+      await ensureReferralCode(uid);
+    } catch (error) {
+      // 추천 코드는 getMyReferralCode 호출 시 다시 발급됨
+      console.error(`[provisionUser] Failed to issue referral code for ${uid}:`, error);
+    }
+  }
+
+  if (created || signupBonusPaid) {
+    console.log(`[provisionUser] User ${uid} provisioned via ${options.source} (created: ${created}, signupBonusPaid: ${signupBonusPaid})`);
+  }
+
+  return { uid, created, signupBonusPaid };
+}
+
+/**
+ * 콜러블 공통 처리 - 본인 uid만 허용, referralCode가 있으면 추천인 연결
+ */
+async function provisionCaller(request: CallableRequest): Promise<ProvisionResult & { referral: ReferralBindResult | null }> {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Authentication required');
+  }
+
+  const { uid, token } = request.auth;
+  const requestedUid = request.data?.uid;
+  if (requestedUid !== undefined && requestedUid !== null && requestedUid !== uid) {
+    console.warn(`[provisionUser] User ${uid} attempted to provision another uid ${requestedUid}`);
+    throw new HttpsError('permission-denied', 'You can only provision your own account');
+  }
+
+  const result = await provisionUser(uid, {
+    email: token.email || null,
+    emailVerified: token.email_verified === true,
+    source: 'callable'
+  });
+  await recordAccountSignals(uid, request, 'signup');
+  const referralCode = request.data?.referralCode;
+  const referral = referralCode ? await tryBindReferrer(uid, referralCode, 'signup') : null;
+
+  return { ...result, referral };
+}
+
+// Auth 계정 생성 시 자동 프로비저닝 (Admin SDK로 생성한 PointHub 계정 포함)
+export const provisionUserOnAuthCreate = functionsV1.auth.user().onCreate(async (user) => {
+  try {
+    await provisionUser(user.uid, {
+      email: user.email || null,
+      emailVerified: user.emailVerified,
+      source: 'auth_trigger'
+    });
+  } catch (error) {
+    // 콜러블/로그인 경로에서 다시 프로비저닝되므로 여기서는 기록만
+    console.error(`[provisionUserOnAuthCreate] Failed to provision user ${user.uid}:`, error);
+  }
+});
+
+// 클라이언트 회원가입 후 프로필 초기화 (본인 계정만, 여러 번 호출해도 안전)
+// data: { referralCode?, deviceId? }
+export const createUserProfile = onCall({ secrets: [COLLUSION_SIGNAL_SECRET] }, withRateLimit('createUserProfile', async (request: CallableRequest) => {
+  const result = await provisionCaller(request);
+  return { success: true, ...result, email: request.auth?.token.email || null };
+}));
+
+// 추천 코드와 함께 프로필 초기화 (본인 계정만, 여러 번 호출해도 안전)
+// data: { referralCode? } - 추천인은 가입 직후 한 번만 연결됨
+export const enhancedInitUserProfile = onCall({ secrets: [COLLUSION_SIGNAL_SECRET] }, withRateLimit('enhancedInitUserProfile', async (request: CallableRequest) => {
+  const { referrerId, signupAmount } = request.data || {};
+  if (referrerId !== undefined) {
+    // 추천인 uid를 직접 지정할 수 없음 - 추천 코드로만 연결
+    console.warn(`[enhancedInitUserProfile] Ignoring client-provided referrerId for user ${request.auth?.uid}`);
+  }
+  if (signupAmount !== undefined) {
+    // 클라이언트가 보낸 금액으로 보상을 분배하지 않음 - 가입 보너스는 서버 고정 금액
+    console.warn(`[enhancedInitUserProfile] Ignoring client-provided signupAmount for user ${request.auth?.uid}`);
+  }
+
+  const result = await provisionCaller(request);
+  return { success: true, ...result, message: 'User profile initialized' };
+}));
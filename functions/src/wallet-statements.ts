@@ -0,0 +1,305 @@
+/**
+ * 지갑 명세서 (Wallet Statements)
+ *
+ * /ledger/{uid}를 기준으로 사용자별 일간/월간 명세서를 만든다.
+ * - 기간 경계는 KST 기준 (일: 00:00 ~ 24:00, 월: 1일 00:00 ~ 다음 달 1일 00:00)
+ * - 통화별 기초 잔액, 기말 잔액, 입출금 합계
+ * - 분류별 합계 (베팅, 당첨, 보너스, 환불, 추천 수익 등)와 operation별 합계
+ * - 저장 위치: /statements/{uid}/daily/{YYYY-MM-DD}, /statements/{uid}/monthly/{YYYY-MM}
+ */
+
+import { onCall, HttpsError, CallableRequest } from 'firebase-functions/v2/https';
+import { rtdb } from './firebase-config';
+import { requireAdmin } from './auth-guards';
+import { WalletCurrency, WALLET_CURRENCIES, StatementCategory, categorizeOperation, forEachUserPage } from './wallet';
+import { NormalizedLedgerEntry, readLedgerEntries } from './ledger-query';
+import { addDays, formatKST, getDayRange, getMonthRange, todayKST } from './time-utils';
+import { withRateLimit } from './rate-limit';
+
+type StatementPeriodType = 'daily' | 'monthly';
+interface FlowTotal {
+  credit: number;
+  debit: number;
+  net: number;
+}
+
+interface CurrencySummary {
+  openingBalance: number;
+  closingBalance: number;
+  credits: number;
+  debits: number;
+  net: number;
+  entryCount: number;
+}
+
+interface WalletStatement {
+  uid: string;
+  periodType: StatementPeriodType;
+  period: string;
+  timeZone: 'KST';
+  start: number;
+  end: number;
+  currencies: Record<WalletCurrency, CurrencySummary>;
+  categories: Partial<Record<StatementCategory, Partial<Record<WalletCurrency, FlowTotal>>>>;
+  operations: Record<string, Partial<Record<WalletCurrency, FlowTotal & { count: number }>>>;
+  entryCount: number;
+  generatedAt: number;
+  provisional?: boolean;
+}
+
+const STATEMENTS_PATH = '/statements';
+// 기초 잔액을 찾을 때 먼저 확인하는 직전 항목 수 (통화별 마지막 항목이 없으면 전체 재생)
+const OPENING_LOOKBACK_ENTRIES = 50;
+
+function roundAmount(value: number): number {
+  return Math.round(value * 1e8) / 1e8;
+}
+
+function applyEntryBalance(balances: Record<WalletCurrency, number>, entry: NormalizedLedgerEntry): void {
+  balances[entry.currency] = entry.balanceAfter !== null
+    ? entry.balanceAfter
+    : roundAmount(balances[entry.currency] + (entry.type === 'debit' ? -entry.amount : entry.amount));
+}
+
+/**
+ * 기간 시작 시점의 통화별 잔액
+ * 직전 항목들의 balanceAfter를 먼저 사용하고, 찾지 못한 통화가 있으면 처음부터 재생
+ */
+async function getOpeningBalances(uid: string, start: number): Promise<Record<WalletCurrency, number>> {
+  const balances = {} as Record<WalletCurrency, number>;
+  WALLET_CURRENCIES.forEach((currency) => { balances[currency] = 0; });
+
+  const snapshot = await rtdb.ref(`/ledger/${uid}`)
+    .orderByChild('createdAt')
+    .endBefore(start)
+    .limitToLast(OPENING_LOOKBACK_ENTRIES)
+    .once('value');
+
+  const recent: Array<{ ledgerId: string; currency: WalletCurrency; balanceAfter: any }> = [];
+  snapshot.forEach((child) => {
+    const entry = child.val() || {};
+    recent.push({ ledgerId: child.key as string, currency: entry.currency === 'ivy' ? 'ivy' : 'usdt', balanceAfter: entry.balanceAfter });
+    return false;
+  });
+  recent.sort((a, b) => (a.ledgerId < b.ledgerId ? -1 : a.ledgerId > b.ledgerId ? 1 : 0));
+
+  const resolved = new Set<WalletCurrency>();
+  for (let i = recent.length - 1; i >= 0 && resolved.size < WALLET_CURRENCIES.length; i--) {
+    const { currency, balanceAfter } = recent[i];
+    if (!resolved.has(currency) && typeof balanceAfter === 'number') {
+      balances[currency] = balanceAfter;
+      resolved.add(currency);
+    }
+  }
+
+  if (resolved.size === WALLET_CURRENCIES.length || recent.length === 0) {
+    return balances;
+  }
+
+  const replayed = {} as Record<WalletCurrency, number>;
+  WALLET_CURRENCIES.forEach((currency) => { replayed[currency] = 0; });
+  for (const entry of await readLedgerEntries(uid, null, start)) {
+    applyEntryBalance(replayed, entry);
+  }
+  for (const currency of WALLET_CURRENCIES) {
+    if (!resolved.has(currency)) {
+      balances[currency] = replayed[currency];
+    }
+  }
+  return balances;
+}
+
+function addFlow(total: FlowTotal, entry: NormalizedLedgerEntry): void {
+  if (entry.type === 'credit') {
+    total.credit = roundAmount(total.credit + entry.amount);
+  } else {
+    total.debit = roundAmount(total.debit + entry.amount);
+  }
+  total.net = roundAmount(total.credit - total.debit);
+}
+
+function getPeriodRange(periodType: StatementPeriodType, period: string): { start: number; end: number } | null {
+  return periodType === 'daily' ? getDayRange(period, 'KST') : getMonthRange(period, 'KST');
+}
+
+/**
+ * 한 사용자의 기간 명세서 계산 (저장하지 않음)
+ */
+export async function buildWalletStatement(uid: string, periodType: StatementPeriodType, period: string): Promise<WalletStatement> {
+  const range = getPeriodRange(periodType, period);
+  if (!range) {
+    throw new HttpsError('invalid-argument', periodType === 'daily' ? 'period must be YYYY-MM-DD' : 'period must be YYYY-MM');
+  }
+
+  const [openingBalances, entries] = await Promise.all([
+    getOpeningBalances(uid, range.start),
+    readLedgerEntries(uid, range.start, range.end)
+  ]);
+
+  const balances = { ...openingBalances };
+  const currencies = {} as Record<WalletCurrency, CurrencySummary>;
+  for (const currency of WALLET_CURRENCIES) {
+    currencies[currency] = {
+      openingBalance: openingBalances[currency],
+      closingBalance: openingBalances[currency],
+      credits: 0,
+      debits: 0,
+      net: 0,
+      entryCount: 0
+    };
+  }
+
+  const categories: WalletStatement['categories'] = {};
+  const operations: WalletStatement['operations'] = {};
+
+  for (const entry of entries) {
+    applyEntryBalance(balances, entry);
+
+    const summary = currencies[entry.currency];
+    if (entry.type === 'credit') {
+      summary.credits = roundAmount(summary.credits + entry.amount);
+    } else {
+      summary.debits = roundAmount(summary.debits + entry.amount);
+    }
+    summary.net = roundAmount(summary.credits - summary.debits);
+    summary.entryCount++;
+
+    const category = categorizeOperation(entry.operation);
+    const categoryTotals = categories[category] || (categories[category] = {});
+    addFlow(categoryTotals[entry.currency] || (categoryTotals[entry.currency] = { credit: 0, debit: 0, net: 0 }), entry);
+
+    const operationKey = entry.operation || 'unknown';
+    const operationTotals = operations[operationKey] || (operations[operationKey] = {});
+    const operationTotal = operationTotals[entry.currency] || (operationTotals[entry.currency] = { credit: 0, debit: 0, net: 0, count: 0 });
+    addFlow(operationTotal, entry);
+    operationTotal.count++;
+  }
+
+  for (const currency of WALLET_CURRENCIES) {
+    currencies[currency].closingBalance = balances[currency];
+  }
+
+  return {
+    uid,
+    periodType,
+    period,
+    timeZone: 'KST',
+    start: range.start,
+    end: range.end,
+    currencies,
+    categories,
+    operations,
+    entryCount: entries.length,
+    generatedAt: Date.now()
+  };
+}
+
+async function storeStatement(statement: WalletStatement): Promise<void> {
+  await rtdb.ref(`${STATEMENTS_PATH}/${statement.uid}/${statement.periodType}/${statement.period}`).set(statement);
+}
+
+/**
+ * 지난 KST 하루의 일간 명세서 생성, 그날이 월말이면 월간 명세서도 생성 (스케줄러에서 호출)
+ * - 일간: 그날 Ledger 항목이 있는 사용자만
+ * - 월간: 잔액이나 항목이 있는 사용자 모두
+ * @param date 대상 날짜 (YYYY-MM-DD, 기본값: 어제 KST)
+ */
+export async function generateWalletStatements(date: string = addDays(todayKST(), -1)): Promise<{
+  date: string;
+  daily: number;
+  monthly: number;
+  failures: number;
+}> {
+  const isMonthEnd = addDays(date, 1).endsWith('-01');
+  const month = date.substring(0, 7);
+  let daily = 0;
+  let monthly = 0;
+  let failures = 0;
+
+  await forEachUserPage(async (users) => {
+    for (const [uid] of users) {
+      try {
+        const dailyStatement = await buildWalletStatement(uid, 'daily', date);
+        if (dailyStatement.entryCount > 0) {
+          await storeStatement(dailyStatement);
+          daily++;
+        }
+
+        if (isMonthEnd) {
+          const monthlyStatement = await buildWalletStatement(uid, 'monthly', month);
+          const hasBalance = WALLET_CURRENCIES.some((currency) => monthlyStatement.currencies[currency].closingBalance !== 0);
+          if (monthlyStatement.entryCount > 0 || hasBalance) {
+            await storeStatement(monthlyStatement);
+            monthly++;
+          }
+        }
+      } catch (error) {
+        failures++;
+        console.error(`[generateWalletStatements] Failed to build statements for user ${uid}:`, error);
+      }
+    }
+  });
+
+  console.log(`[generateWalletStatements] ${date} (KST): ${daily} daily, ${monthly} monthly statements, ${failures} failures`);
+  return { date, daily, monthly, failures };
+}
+
+/**
+ * 명세서 조회
+ * data: { periodType: 'daily' | 'monthly', period?, limit?, targetUid? }
+ * - period 지정: 스케줄러가 저장한 해당 기간 명세서. 저장된 것이 없으면 계산만 해서 반환 (저장하지 않음),
+ *   진행 중인 기간이면 provisional로 표시
+ * - period 생략: 저장된 명세서를 최신순으로 limit개
+ * - targetUid: 다른 사용자 조회 (관리자 전용)
+ */
+export const getWalletStatements = onCall(withRateLimit('getWalletStatements', async (request: CallableRequest) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Authentication required');
+  }
+
+  const { periodType = 'monthly', period, limit = 12, targetUid } = request.data || {};
+  let uid = request.auth.uid;
+  if (targetUid !== undefined && targetUid !== null && targetUid !== uid) {
+    if (typeof targetUid !== 'string' || !targetUid) {
+      throw new HttpsError('invalid-argument', 'targetUid must be a string');
+    }
+    requireAdmin(request);
+    uid = targetUid;
+  }
+
+  if (periodType !== 'daily' && periodType !== 'monthly') {
+    throw new HttpsError('invalid-argument', 'periodType must be daily or monthly');
+  }
+
+  if (period !== undefined && period !== null) {
+    const range = typeof period === 'string' ? getPeriodRange(periodType, period) : null;
+    if (!range) {
+      throw new HttpsError('invalid-argument', periodType === 'daily' ? 'period must be YYYY-MM-DD' : 'period must be YYYY-MM');
+    }
+
+    const snapshot = await rtdb.ref(`${STATEMENTS_PATH}/${uid}/${periodType}/${period}`).once('value');
+    if (snapshot.exists()) {
+      return { success: true, statement: snapshot.val() };
+    }
+
+    // 명세서 저장은 스케줄러만 - 사용자 요청으로 임의 기간의 명세서가 쌓이지 않도록 계산 결과만 반환
+    const statement = await buildWalletStatement(uid, periodType, period);
+    if (range.end > Date.now()) {
+      statement.provisional = true;
+    }
+
+    console.log(`[getWalletStatements] Built ${periodType} statement ${period} for user ${uid} (provisional: ${!!statement.provisional}, as of ${formatKST(statement.generatedAt)} KST, not stored)`);
+    return { success: true, statement };
+  }
+
+  const pageSize = Math.min(Math.max(Number(limit) || 12, 1), 100);
+  const snapshot = await rtdb.ref(`${STATEMENTS_PATH}/${uid}/${periodType}`).orderByKey().limitToLast(pageSize).once('value');
+  const statements: WalletStatement[] = [];
+  snapshot.forEach((child) => {
+    statements.push(child.val());
+    return false;
+  });
+  statements.reverse();
+
+  return { success: true, statements };
+}));
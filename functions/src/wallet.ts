@@ -0,0 +1,1396 @@
+/**
+ * Wallet & Ledger 공통 모듈
+ *
+ * 잔액 변경과 Ledger 기록을 하나의 트랜잭션으로 처리한다.
+ * - /users/{uid}/wallet 트랜잭션 안에서 잔액을 바꾸고 Ledger 항목을 ledgerOutbox에 함께 기록
+ * - 커밋 후 ledgerOutbox 항목을 /ledger/{uid}/{ledgerId}로 옮김 (동일 키, 멀티패스 업데이트)
+ * - 옮기기 전에 중단되더라도 outbox에 남은 항목은 다음 지갑 변경이나 정합성 검사에서 다시 옮겨짐
+ * - 통화(usdt, ivy)별 잔액과 Ledger 항목을 관리하고, 게임 차감은 게임별 차감 정책(예: IVY 우선)을 따름
+ * - 게임 베팅은 홀드(wallet.holds, wallet.pending)로 잡아두고 정산 시 확정하거나 해제함
+ * - 책임 있는 게임 한도가 있는 사용자는 wallet.wagerGuard에 한도와 기간별 누적 사용량을 두고,
+ *   베팅 차감과 한도 확인을 같은 트랜잭션에서 처리함 (동시 베팅으로 한도를 넘지 않음)
+ */
+
+import { HttpsError } from 'firebase-functions/v2/https';
+import { rtdb } from './firebase-config';
+import { getKstPeriodRanges } from './time-utils';
+
+export type WalletCurrency = 'usdt' | 'ivy';
+
+export interface LedgerEntry {
+  type: 'credit' | 'debit';
+  currency: WalletCurrency;
+  amount: number;       // 해당 통화 단위 금액
+  amountUsd: number;    // 기록 시점 환산율로 계산한 USD 가치
+  balanceBefore: number;
+  balanceAfter: number;
+  meta: Record<string, any>;
+  createdAt: number;
+}
+
+export interface WalletMutationResult {
+  ledgerId: string;
+  currency: WalletCurrency;
+  amount: number;
+  amountUsd: number;
+  balanceBefore: number;
+  balanceAfter: number;
+}
+
+export interface WalletMutationOptions {
+  currency?: WalletCurrency;
+}
+
+export interface WalletBalances {
+  usdt: number;
+  ivy: number;
+  pending: number;
+  available: Record<WalletCurrency, number>; // 베팅/차감에 사용할 수 있는 잔액
+  locked: {
+    amountUsd: number; // 정산 대기 중인 홀드 합계 (wallet.pending)
+    holds: WalletHold[];
+  };
+}
+
+/**
+ * 통화별 규칙
+ * - usdRate: 1 단위당 USD 가치 (게임 베팅 금액은 USD 기준)
+ * - convertibleTo: 사용자가 직접 전환할 수 있는 대상 통화
+ */
+export interface CurrencyRule {
+  usdRate: number;
+  convertibleTo: WalletCurrency[];
+}
+
+export interface SpendResult {
+  spendId: string;
+  policyKey: string;
+  amountUsd: number;
+  legs: WalletMutationResult[];
+}
+
+export type HoldGameType = 'cube' | 'matching' | 'goldenbell' | 'instant' | 'pointhub';
+
+export interface HoldRequest {
+  amountUsd: number;
+  gameType: HoldGameType;
+  gameId: string;
+  round?: number;
+  ttlMs?: number;
+  meta?: Record<string, any>;
+}
+
+export interface WalletHold {
+  holdId: string;
+  status: 'held' | 'settled' | 'released';
+  amountUsd: number;
+  amounts: Partial<Record<WalletCurrency, number>>; // 통화별 홀드 금액 (해제 시 그대로 반환)
+  operation: string;
+  gameType: HoldGameType;
+  gameId: string;
+  round?: number;
+  createdAt: number;
+  expiresAt: number;
+  resolvedAt?: number;
+}
+
+interface WalletLeg {
+  type: 'credit' | 'debit';
+  currency: WalletCurrency;
+  amount: number;
+  operation: string;
+  meta: Record<string, any>;
+}
+
+interface WalletPlan {
+  legs: WalletLeg[];
+  mutate?: (wallet: any, results: WalletMutationResult[]) => void;
+}
+
+interface ReconciliationIssue {
+  ledgerId: string;
+  currency: WalletCurrency;
+  expectedBalanceBefore: number;
+  recordedBalanceBefore: number;
+}
+
+export interface ReconciliationResult {
+  uid: string;
+  drifted: boolean;
+  balances: Record<WalletCurrency, { wallet: number; ledger: number; drift: number }>;
+  pending: { wallet: number; activeHolds: number; drift: number }; // wallet.pending vs 활성 홀드 합계
+  chainBreaks: ReconciliationIssue[];
+  entriesReplayed: number;
+  outboxFlushed: number;
+  checkedAt: number;
+}
+
+export type WagerLimitType = 'bet' | 'loss';
+export type WagerLimitPeriod = 'daily' | 'weekly' | 'monthly';
+export type WagerLimits = Record<WagerLimitType, Record<WagerLimitPeriod, number | null>>;
+
+// 기간별 누적 사용량 (USD) - start가 현재 기간 시작과 다르면 새 기간으로 보고 0부터 다시 계산
+export interface WagerUsageBucket {
+  start: number;
+  end: number;
+  wagered: number; // 베팅 - 베팅 환불
+  won: number;
+}
+
+export interface WagerGuard {
+  limits: WagerLimits;
+  usage: Record<WagerLimitPeriod, WagerUsageBucket>;
+}
+
+export type StatementCategory =
+  | 'bets'
+  | 'wins'
+  | 'bonuses'
+  | 'refunds'
+  | 'referral'
+  | 'transfers'
+  | 'conversions'
+  | 'adjustments'
+  | 'other';
+
+export interface ReconciliationSummary {
+  runId: string;
+  usersChecked: number;
+  usersDrifted: number;
+  failures: number;
+  startedAt: number;
+  finishedAt: number;
+}
+
+export const WALLET_CURRENCIES: WalletCurrency[] = ['usdt', 'ivy'];
+const LEDGER_OUTBOX_KEY = 'ledgerOutbox';
+const WALLET_HOLDS_KEY = 'holds';
+const WAGER_GUARD_KEY = 'wagerGuard';
+const CREDIT_MARKERS_KEY = 'creditMarkers';
+const WAGER_LIMIT_TYPES: WagerLimitType[] = ['bet', 'loss'];
+const WAGER_LIMIT_PERIODS: WagerLimitPeriod[] = ['daily', 'weekly', 'monthly'];
+const DEFAULT_HOLD_TTL_MS = 24 * 60 * 60 * 1000; // 게임이 이 시간 안에 정산되지 않으면 sweeper가 해제
+const USER_SCAN_PAGE_SIZE = 200; // 스케줄러가 /users를 나눠 읽는 단위
+const LEDGER_REPLAY_PAGE_SIZE = 500; // 정합성 검사가 한 번에 읽는 Ledger 항목 수
+const RECONCILE_MAX_ATTEMPTS = 3; // 검사 중 지갑이 바뀌면 Ledger를 다시 재생하는 최대 횟수
+const BALANCE_EPSILON = 1e-6;
+
+// 통화 규칙 기본값 (/config/wallet/currencies/{currency}로 덮어쓰기 가능)
+const DEFAULT_CURRENCY_RULES: Record<WalletCurrency, CurrencyRule> = {
+  usdt: { usdRate: 1, convertibleTo: [] },
+  ivy: { usdRate: 1, convertibleTo: [] }
+};
+
+// 게임별 차감 순서 기본값 (/config/spendingPolicies/{policyKey}/currencies로 덮어쓰기 가능)
+const DEFAULT_SPENDING_POLICIES: Record<string, WalletCurrency[]> = {
+  ivy_priority: ['ivy', 'usdt'],
+  cube: ['ivy', 'usdt'],
+  matching: ['ivy', 'usdt'],
+  goldenbell: ['ivy', 'usdt'],
+  // PointHub 출금은 선택한 통화에서만 홀드
+  pointhub_usdt: ['usdt'],
+  pointhub_ivy: ['ivy']
+};
+const FALLBACK_SPENDING_POLICY: WalletCurrency[] = ['usdt'];
+
+function toAmount(value: any): number {
+  const parsed = typeof value === 'number' ? value : parseFloat(String(value ?? 0));
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+// 부동소수점 오차 제거 (소수점 8자리)
+function roundAmount(value: number): number {
+  return Math.round(value * 1e8) / 1e8;
+}
+
+function assertValidAmount(amount: number): void {
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+    throw new HttpsError('invalid-argument', `Amount must be a positive number. Got: ${amount}`);
+  }
+}
+
+export function isWalletCurrency(value: any): value is WalletCurrency {
+  return WALLET_CURRENCIES.includes(value);
+}
+
+// 이름에 reward가 있지만 게임 당첨이 아닌 지급 (가입/VIP 보상)
+const BONUS_REWARD_OPERATIONS = new Set(['signup_ivy_reward', 'vip_ivy_reward', 'vip_reward']);
+
+/**
+ * Ledger operation → 분류 (명세서 합계, 책임 있는 게임 사용량 계산에 사용)
+ */
+export function categorizeOperation(operation: string | null): StatementCategory {
+  if (!operation) {
+    return 'other';
+  }
+  if (operation.startsWith('referral')) {
+    return 'referral';
+  }
+  if (BONUS_REWARD_OPERATIONS.has(operation)) {
+    return 'bonuses';
+  }
+  if (operation.endsWith('_bet') || operation === 'goldenbell_register' || operation === 'game_debit') {
+    return 'bets';
+  }
+  if (operation.endsWith('_win') || operation.includes('reward') || operation.includes('winner')) {
+    return 'wins';
+  }
+  if (operation.endsWith('_bonus')) {
+    return 'bonuses';
+  }
+  if (operation === 'hold_release' || operation.endsWith('_refund')) {
+    return 'refunds';
+  }
+  if (operation.startsWith('pointhub_')) {
+    return 'transfers';
+  }
+  if (operation === 'currency_conversion') {
+    return 'conversions';
+  }
+  if (operation === 'admin_adjustment') {
+    return 'adjustments';
+  }
+  return 'other';
+}
+
+/**
+ * Ledger 항목이 베팅 사용량에 주는 영향 (USD)
+ * - 베팅: bets 분류 debit 또는 meta.countsAsWager가 true인 debit (debit 콜러블)
+ * - 환불: 게임 홀드 해제(hold_release, PointHub 홀드 제외)와 *_refund credit → 베팅액에서 뺌
+ * - 당첨: wins 분류 credit
+ */
+export function getWagerEffect(entry: { type: 'credit' | 'debit'; amountUsd: number; meta: Record<string, any> }): { wagered: number; won: number } {
+  const category = categorizeOperation(typeof entry.meta?.operation === 'string' ? entry.meta.operation : null);
+  if (entry.type === 'debit' && (category === 'bets' || entry.meta?.countsAsWager === true)) {
+    return { wagered: entry.amountUsd, won: 0 };
+  }
+  if (entry.type === 'credit' && category === 'refunds' && entry.meta?.gameType !== 'pointhub') {
+    return { wagered: -entry.amountUsd, won: 0 };
+  }
+  if (entry.type === 'credit' && category === 'wins') {
+    return { wagered: 0, won: entry.amountUsd };
+  }
+  return { wagered: 0, won: 0 };
+}
+
+function toWagerLimit(value: any): number | null {
+  const amount = Number(value);
+  return value !== null && value !== undefined && Number.isFinite(amount) && amount >= 0 ? amount : null;
+}
+
+/**
+ * 저장된 wagerGuard를 현재 기간 기준으로 읽음 (기간이 바뀐 사용량은 0)
+ */
+export function readWagerGuard(value: any, now: number = Date.now()): WagerGuard {
+  const ranges = getKstPeriodRanges(now);
+  const limits = {} as WagerLimits;
+  for (const type of WAGER_LIMIT_TYPES) {
+    limits[type] = {} as Record<WagerLimitPeriod, number | null>;
+    for (const period of WAGER_LIMIT_PERIODS) {
+      limits[type][period] = toWagerLimit(value?.limits?.[type]?.[period]);
+    }
+  }
+
+  const usage = {} as Record<WagerLimitPeriod, WagerUsageBucket>;
+  for (const period of WAGER_LIMIT_PERIODS) {
+    const stored = value?.usage?.[period];
+    const range = ranges[period];
+    usage[period] = stored && Number(stored.start) === range.start
+      ? { start: range.start, end: range.end, wagered: toAmount(stored.wagered), won: toAmount(stored.won) }
+      : { start: range.start, end: range.end, wagered: 0, won: 0 };
+  }
+
+  return { limits, usage };
+}
+
+export interface WagerLimitViolation {
+  code: 'RG_BET_LIMIT_EXCEEDED' | 'RG_LOSS_LIMIT_EXCEEDED';
+  period: WagerLimitPeriod;
+  limit: number;
+  used: number;
+  remaining: number;
+  resetsAt: number;
+}
+
+/**
+ * 이번 베팅 금액(amountUsd)을 더했을 때 넘는 한도 (없으면 null)
+ * 손실 한도는 이번 베팅을 모두 잃는 경우를 기준으로 확인
+ */
+export function findWagerLimitViolation(guard: WagerGuard, amountUsd: number): WagerLimitViolation | null {
+  if (amountUsd <= 0) {
+    return null;
+  }
+  for (const period of WAGER_LIMIT_PERIODS) {
+    const bucket = guard.usage[period];
+    const wagered = Math.max(0, roundAmount(bucket.wagered));
+    const netLoss = roundAmount(wagered - bucket.won);
+
+    const betLimit = guard.limits.bet[period];
+    if (betLimit !== null && wagered + amountUsd > betLimit + BALANCE_EPSILON) {
+      return {
+        code: 'RG_BET_LIMIT_EXCEEDED', period, limit: betLimit, used: wagered,
+        remaining: Math.max(0, roundAmount(betLimit - wagered)), resetsAt: bucket.end
+      };
+    }
+
+    const lossLimit = guard.limits.loss[period];
+    if (lossLimit !== null && netLoss + amountUsd > lossLimit + BALANCE_EPSILON) {
+      return {
+        code: 'RG_LOSS_LIMIT_EXCEEDED', period, limit: lossLimit, used: Math.max(0, netLoss),
+        remaining: Math.max(0, roundAmount(lossLimit - netLoss)), resetsAt: bucket.end
+      };
+    }
+  }
+  return null;
+}
+
+export function wagerLimitError(violation: WagerLimitViolation): HttpsError {
+  const message = violation.code === 'RG_BET_LIMIT_EXCEEDED'
+    ? `This bet would exceed your ${violation.period} bet limit.`
+    : `This bet could exceed your ${violation.period} loss limit.`;
+  return new HttpsError('failed-precondition', message, { ...violation });
+}
+
+/**
+ * 한도를 지갑에 반영 (책임 있는 게임 설정 변경/적용 시)
+ * wagerGuard가 처음 생기면 seedUsage로 현재 기간 사용량을 채운다 (Ledger에서 한 번만 계산).
+ */
+export async function syncWagerLimits(
+  uid: string,
+  limits: WagerLimits,
+  seedUsage: () => Promise<Record<WagerLimitPeriod, { wagered: number; won: number }>>
+): Promise<void> {
+  const guardRef = rtdb.ref(`/users/${uid}/wallet/${WAGER_GUARD_KEY}`);
+  const existing = await guardRef.child('usage').once('value');
+  const now = Date.now();
+  const ranges = getKstPeriodRanges(now);
+  let seeded: Record<WagerLimitPeriod, WagerUsageBucket> | null = null;
+  if (!existing.exists()) {
+    const usage = await seedUsage();
+    seeded = {} as Record<WagerLimitPeriod, WagerUsageBucket>;
+    for (const period of WAGER_LIMIT_PERIODS) {
+      seeded[period] = { ...ranges[period], wagered: roundAmount(usage[period].wagered), won: roundAmount(usage[period].won) };
+    }
+  }
+
+  await guardRef.transaction((current) => {
+    const next = { ...(current || {}), limits, updatedAt: now };
+    if (!next.usage && seeded) {
+      next.usage = seeded;
+    }
+    return next;
+  });
+}
+
+/**
+ * 통화 규칙 조회 (설정값이 없거나 잘못되면 기본값 사용)
+ */
+export async function getCurrencyRules(): Promise<Record<WalletCurrency, CurrencyRule>> {
+  const snapshot = await rtdb.ref('/config/wallet/currencies').once('value');
+  const configured = snapshot.val() || {};
+  const rules = {} as Record<WalletCurrency, CurrencyRule>;
+
+  for (const currency of WALLET_CURRENCIES) {
+    const override = configured[currency] || {};
+    const usdRate = toAmount(override.usdRate);
+    rules[currency] = {
+      usdRate: usdRate > 0 ? usdRate : DEFAULT_CURRENCY_RULES[currency].usdRate,
+      convertibleTo: Array.isArray(override.convertibleTo)
+        ? override.convertibleTo.filter(isWalletCurrency)
+        : DEFAULT_CURRENCY_RULES[currency].convertibleTo
+    };
+  }
+
+  return rules;
+}
+
+/**
+ * 게임별 차감 순서 조회
+ * @param policyKey 게임 키 (cube, matching, goldenbell)
+ */
+export async function getSpendingPolicy(policyKey: string): Promise<WalletCurrency[]> {
+  const snapshot = await rtdb.ref(`/config/spendingPolicies/${policyKey}/currencies`).once('value');
+  const configured = snapshot.val();
+  const currencies = Array.isArray(configured) ? configured.filter(isWalletCurrency) : [];
+
+  if (currencies.length > 0) {
+    return Array.from(new Set(currencies));
+  }
+  return DEFAULT_SPENDING_POLICIES[policyKey] || FALLBACK_SPENDING_POLICY;
+}
+
+/**
+ * 지갑 트랜잭션 공통 처리
+ * planWallet이 현재 지갑 값으로 잔액 변경 목록(legs)과 추가 변경(mutate: holds, pending 등)을 계산한다.
+ * null을 반환하면 변경 없이 중단하며, describeShortfall이 있으면 잔액 부족 에러를 던진다.
+ * 모든 변경과 Ledger 항목(통화별 1건)은 하나의 트랜잭션으로 커밋된다.
+ */
+async function applyWalletPlan(
+  uid: string,
+  planWallet: (wallet: any) => WalletPlan | null,
+  rules: Record<WalletCurrency, CurrencyRule>,
+  describeShortfall?: (wallet: any) => string
+): Promise<{ applied: boolean; results: WalletMutationResult[] }> {
+  const walletRef = rtdb.ref(`/users/${uid}/wallet`);
+
+  let results: WalletMutationResult[] = [];
+  let applied = false;
+  let lastWallet: any = null;
+  let limitViolation: WagerLimitViolation | null = null;
+
+  const transactionResult = await walletRef.transaction((wallet) => {
+    results = [];
+    applied = false;
+    lastWallet = wallet;
+    limitViolation = null;
+
+    const plan = planWallet(wallet || {});
+    if (!plan) {
+      // 로컬 캐시가 비어있으면 null로 호출됨 - 그대로 반환해서 서버 값으로 재시도되게 함
+      return wallet === null ? wallet : undefined;
+    }
+
+    const current = { ...(wallet || {}) };
+    const outbox = { ...(current[LEDGER_OUTBOX_KEY] || {}) };
+    const now = Date.now();
+    const entries: LedgerEntry[] = [];
+
+    for (const leg of plan.legs) {
+      const balanceBefore = toAmount(current[leg.currency]);
+      const balanceAfter = roundAmount(leg.type === 'credit' ? balanceBefore + leg.amount : balanceBefore - leg.amount);
+      // 재시도마다 새 키를 발급해야 Ledger 키 순서가 커밋 순서와 일치함
+      const ledgerId = rtdb.ref(`/ledger/${uid}`).push().key as string;
+      const amountUsd = roundAmount(leg.amount * rules[leg.currency].usdRate);
+
+      const entry: LedgerEntry = {
+        type: leg.type,
+        currency: leg.currency,
+        amount: leg.amount,
+        amountUsd,
+        balanceBefore,
+        balanceAfter,
+        meta: {
+          ...leg.meta,
+          operation: leg.operation,
+          timestamp: now
+        },
+        createdAt: now
+      };
+
+      current[leg.currency] = balanceAfter;
+      outbox[ledgerId] = entry;
+      entries.push(entry);
+      results.push({ ledgerId, currency: leg.currency, amount: leg.amount, amountUsd, balanceBefore, balanceAfter });
+    }
+
+    // 책임 있는 게임 한도 - 사용량 확인과 갱신을 잔액 변경과 같은 트랜잭션에서 처리
+    if (current[WAGER_GUARD_KEY]) {
+      const guard = readWagerGuard(current[WAGER_GUARD_KEY], now);
+      const effect = entries.reduce(
+        (sum, entry) => {
+          const { wagered, won } = getWagerEffect(entry);
+          return { wagered: sum.wagered + wagered, won: sum.won + won };
+        },
+        { wagered: 0, won: 0 }
+      );
+      limitViolation = findWagerLimitViolation(guard, roundAmount(effect.wagered));
+      if (limitViolation) {
+        return; // Abort - 한도 초과
+      }
+      for (const period of WAGER_LIMIT_PERIODS) {
+        const bucket = guard.usage[period];
+        bucket.wagered = roundAmount(bucket.wagered + effect.wagered);
+        bucket.won = roundAmount(bucket.won + effect.won);
+      }
+      current[WAGER_GUARD_KEY] = { ...current[WAGER_GUARD_KEY], usage: guard.usage };
+    }
+
+    if (plan.mutate) {
+      plan.mutate(current, results);
+    }
+
+    current[LEDGER_OUTBOX_KEY] = outbox;
+    applied = true;
+    return current;
+  });
+
+  const committedResults = results;
+  const committed = transactionResult.committed && applied;
+
+  if (!committed) {
+    const violation = limitViolation as WagerLimitViolation | null;
+    if (violation) {
+      console.warn(`[wallet] Wager blocked for user ${uid}: ${violation.period} ${violation.code} (limit ${violation.limit}, used ${violation.used})`);
+      throw wagerLimitError(violation);
+    }
+    if (describeShortfall) {
+      throw new HttpsError('failed-precondition', describeShortfall(lastWallet || {}));
+    }
+    return { applied: false, results: [] };
+  }
+
+  // 커밋된 outbox 항목(이번 항목 + 이전에 남은 항목)을 /ledger로 이동
+  const outbox = transactionResult.snapshot.child(LEDGER_OUTBOX_KEY).val() || {};
+  try {
+    await flushOutboxEntries(uid, outbox);
+  } catch (flushError) {
+    // 잔액과 항목은 이미 함께 커밋됨 - 정합성 검사에서 다시 옮김
+    console.error(`[wallet] Failed to flush ledger outbox for user ${uid}:`, flushError);
+  }
+
+  return { applied: true, results: committedResults };
+}
+
+/**
+ * 단일 통화 잔액 변경 + Ledger 기록
+ * @param uid 사용자 UID
+ * @param type credit(증가) 또는 debit(감소)
+ * @param amount 해당 통화 단위 양수 금액
+ * @param operation Ledger meta.operation 값 (예: cube_bet, matching_win)
+ * @param meta 추가 메타데이터
+ * @returns 생성된 Ledger ID와 변경 전/후 잔액
+ */
+async function applyWalletMutation(
+  uid: string,
+  type: 'credit' | 'debit',
+  amount: number,
+  operation: string,
+  meta: Record<string, any> = {},
+  options: WalletMutationOptions = {}
+): Promise<WalletMutationResult> {
+  assertValidAmount(amount);
+
+  const currency = options.currency || 'usdt';
+  if (!isWalletCurrency(currency)) {
+    throw new HttpsError('invalid-argument', `Unsupported currency: ${currency}`);
+  }
+
+  const rules = await getCurrencyRules();
+  const { results: [result] } = await applyWalletPlan(
+    uid,
+    (wallet) => {
+      if (type === 'debit' && toAmount(wallet[currency]) < amount) {
+        return null;
+      }
+      return { legs: [{ type, currency, amount, operation, meta }] };
+    },
+    rules,
+    (wallet) => `Insufficient balance. Current balance: ${toAmount(wallet[currency])} ${currency.toUpperCase()}, Required: ${amount} ${currency.toUpperCase()}`
+  );
+
+  console.log(`[wallet] ${type} ${amount} ${currency.toUpperCase()} for user ${uid} (${operation}): ${result.balanceBefore} -> ${result.balanceAfter}`);
+  return result;
+}
+
+async function flushOutboxEntries(uid: string, outbox: Record<string, LedgerEntry>): Promise<number> {
+  const ledgerIds = Object.keys(outbox);
+  if (ledgerIds.length === 0) {
+    return 0;
+  }
+
+  const updates: Record<string, any> = {};
+  for (const ledgerId of ledgerIds) {
+    updates[`/ledger/${uid}/${ledgerId}`] = outbox[ledgerId];
+    updates[`/users/${uid}/wallet/${LEDGER_OUTBOX_KEY}/${ledgerId}`] = null;
+  }
+
+  await rtdb.ref().update(updates);
+  return ledgerIds.length;
+}
+
+/**
+ * 지갑 입금 (Ledger 기록 포함)
+ */
+export async function creditWallet(
+  uid: string,
+  amount: number,
+  operation: string,
+  meta: Record<string, any> = {},
+  options: WalletMutationOptions = {}
+): Promise<WalletMutationResult> {
+  return applyWalletMutation(uid, 'credit', amount, operation, meta, options);
+}
+
+/**
+ * 한 번만 반영되는 지갑 입금 (외부 이체 등 재시도되는 입금용)
+ * 입금과 같은 트랜잭션에서 wallet.creditMarkers/{markerKey}에 Ledger ID를 남기고,
+ * 표시가 이미 있으면 잔액을 바꾸지 않고 기존 Ledger ID를 반환한다.
+ * 호출자는 입금 결과를 자기 기록에 남긴 뒤 clearCreditMarker로 표시를 지운다.
+ */
+export async function creditWalletOnce(
+  uid: string,
+  markerKey: string,
+  amount: number,
+  operation: string,
+  meta: Record<string, any> = {},
+  options: WalletMutationOptions = {}
+): Promise<{ ledgerId: string; alreadyCredited: boolean }> {
+  assertValidAmount(amount);
+
+  const currency = options.currency || 'usdt';
+  if (!isWalletCurrency(currency)) {
+    throw new HttpsError('invalid-argument', `Unsupported currency: ${currency}`);
+  }
+
+  const rules = await getCurrencyRules();
+  let existingLedgerId: string | null = null;
+  const { applied, results } = await applyWalletPlan(
+    uid,
+    (wallet) => {
+      existingLedgerId = wallet[CREDIT_MARKERS_KEY]?.[markerKey] || null;
+      if (existingLedgerId) {
+        return null;
+      }
+      return {
+        legs: [{ type: 'credit', currency, amount, operation, meta }],
+        mutate: (next, legResults) => {
+          next[CREDIT_MARKERS_KEY] = { ...(next[CREDIT_MARKERS_KEY] || {}), [markerKey]: legResults[0].ledgerId };
+        }
+      };
+    },
+    rules
+  );
+
+  if (!applied) {
+    const ledgerId = existingLedgerId as string | null;
+    if (!ledgerId) {
+      throw new HttpsError('aborted', `Wallet credit ${markerKey} for user ${uid} was not applied`);
+    }
+    console.log(`[wallet] Credit ${markerKey} for user ${uid} was already applied (ledger ${ledgerId})`);
+    return { ledgerId, alreadyCredited: true };
+  }
+
+  const [result] = results;
+  console.log(`[wallet] credit ${amount} ${currency.toUpperCase()} for user ${uid} (${operation}, ${markerKey}): ${result.balanceBefore} -> ${result.balanceAfter}`);
+  return { ledgerId: result.ledgerId, alreadyCredited: false };
+}
+
+/**
+ * creditWalletOnce 표시 제거 - 호출자가 입금 결과를 기록한 뒤에만 호출
+ */
+export async function clearCreditMarker(uid: string, markerKey: string): Promise<void> {
+  await rtdb.ref(`/users/${uid}/wallet/${CREDIT_MARKERS_KEY}/${markerKey}`).remove();
+}
+
+/**
+ * meta.{field} 값이 value인 Ledger 항목 ID (아직 outbox에 있는 항목 포함)
+ * /ledger/{uid}의 meta/{field} 인덱스가 필요하다.
+ */
+export async function findLedgerIdByMeta(uid: string, field: string, value: string): Promise<string | null> {
+  const snapshot = await rtdb.ref(`/ledger/${uid}`)
+    .orderByChild(`meta/${field}`)
+    .equalTo(value)
+    .limitToFirst(1)
+    .once('value');
+
+  let ledgerId: string | null = null;
+  snapshot.forEach((child) => {
+    ledgerId = child.key;
+    return true;
+  });
+  if (ledgerId) {
+    return ledgerId;
+  }
+
+  const outboxSnapshot = await rtdb.ref(`/users/${uid}/wallet/${LEDGER_OUTBOX_KEY}`).once('value');
+  outboxSnapshot.forEach((child) => {
+    if (child.child(`meta/${field}`).val() === value) {
+      ledgerId = child.key;
+      return true;
+    }
+    return false;
+  });
+  return ledgerId;
+}
+
+/**
+ * 지갑 차감 (Ledger 기록 포함)
+ * 잔액이 부족하면 failed-precondition HttpsError를 던진다.
+ */
+export async function debitWallet(
+  uid: string,
+  amount: number,
+  operation: string,
+  meta: Record<string, any> = {},
+  options: WalletMutationOptions = {}
+): Promise<WalletMutationResult> {
+  return applyWalletMutation(uid, 'debit', amount, operation, meta, options);
+}
+
+/**
+ * 차감 정책 순서대로 USD 기준 금액을 통화별 차감 목록으로 나눔 (잔액이 부족하면 null)
+ */
+function planPolicyLegs(
+  wallet: any,
+  amountUsd: number,
+  policy: WalletCurrency[],
+  rules: Record<WalletCurrency, CurrencyRule>,
+  operation: string,
+  meta: Record<string, any>
+): WalletLeg[] | null {
+  let remainingUsd = amountUsd;
+  const planned: WalletLeg[] = [];
+
+  for (const currency of policy) {
+    if (remainingUsd <= BALANCE_EPSILON) {
+      break;
+    }
+    const rate = rules[currency].usdRate;
+    const availableUsd = toAmount(wallet[currency]) * rate;
+    const takeUsd = Math.min(remainingUsd, availableUsd);
+    if (takeUsd <= BALANCE_EPSILON) {
+      continue;
+    }
+    planned.push({
+      type: 'debit',
+      currency,
+      amount: roundAmount(takeUsd / rate),
+      operation,
+      meta
+    });
+    remainingUsd = roundAmount(remainingUsd - takeUsd);
+  }
+
+  return remainingUsd > BALANCE_EPSILON ? null : planned;
+}
+
+/**
+ * 게임 차감 정책에 따라 USD 기준 금액을 여러 통화에서 차감
+ * 예: IVY 우선 정책이면 IVY로 가능한 만큼 차감하고 나머지를 USDT에서 차감
+ * 통화별로 Ledger 항목이 생성되며 meta.spendId로 서로 연결된다.
+ * 전체 잔액(USD 환산)이 부족하면 아무것도 차감하지 않고 failed-precondition HttpsError를 던진다.
+ * @param policyKey 게임 키 (cube, matching, goldenbell)
+ */
+export async function spendWithPolicy(
+  uid: string,
+  amountUsd: number,
+  policyKey: string,
+  operation: string,
+  meta: Record<string, any> = {}
+): Promise<SpendResult> {
+  assertValidAmount(amountUsd);
+
+  const [rules, policy] = await Promise.all([getCurrencyRules(), getSpendingPolicy(policyKey)]);
+  const spendId = rtdb.ref(`/ledger/${uid}`).push().key as string;
+  const spendableUsd = (wallet: any) => roundAmount(
+    policy.reduce((sum, currency) => sum + toAmount(wallet[currency]) * rules[currency].usdRate, 0)
+  );
+
+  const { results: legs } = await applyWalletPlan(
+    uid,
+    (wallet) => {
+      const legs = planPolicyLegs(wallet, amountUsd, policy, rules, operation, { ...meta, spendId, spendingPolicy: policyKey });
+      return legs ? { legs } : null;
+    },
+    rules,
+    (wallet) => `Insufficient balance. Current balance: ${spendableUsd(wallet)} USD (${policy.map((c) => c.toUpperCase()).join(' + ')}), Required: ${amountUsd} USD`
+  );
+
+  console.log(`[wallet] spend ${amountUsd} USD for user ${uid} (${operation}, policy ${policyKey}): ${legs.map((leg) => `${leg.currency.toUpperCase()}(${leg.amount})`).join(' + ')}`);
+
+  return { spendId, policyKey, amountUsd, legs };
+}
+
+/**
+ * 통화 전환 (통화 규칙의 convertibleTo에 허용된 경우만)
+ * 두 통화의 usdRate로 환산하며 차감/입금 Ledger 항목은 meta.conversionId로 연결된다.
+ */
+export async function convertWalletCurrency(
+  uid: string,
+  fromCurrency: WalletCurrency,
+  toCurrency: WalletCurrency,
+  amount: number
+): Promise<{ conversionId: string; debit: WalletMutationResult; credit: WalletMutationResult }> {
+  assertValidAmount(amount);
+
+  if (!isWalletCurrency(fromCurrency) || !isWalletCurrency(toCurrency) || fromCurrency === toCurrency) {
+    throw new HttpsError('invalid-argument', `Invalid conversion: ${fromCurrency} -> ${toCurrency}`);
+  }
+
+  const rules = await getCurrencyRules();
+  if (!rules[fromCurrency].convertibleTo.includes(toCurrency)) {
+    throw new HttpsError('failed-precondition', `Conversion from ${fromCurrency.toUpperCase()} to ${toCurrency.toUpperCase()} is not allowed`);
+  }
+
+  const conversionId = rtdb.ref(`/ledger/${uid}`).push().key as string;
+  const convertedAmount = roundAmount(amount * rules[fromCurrency].usdRate / rules[toCurrency].usdRate);
+  const meta = { conversionId, fromCurrency, toCurrency };
+
+  const { results: [debit, credit] } = await applyWalletPlan(
+    uid,
+    (wallet) => {
+      if (toAmount(wallet[fromCurrency]) < amount) {
+        return null;
+      }
+      return {
+        legs: [
+          { type: 'debit', currency: fromCurrency, amount, operation: 'currency_conversion', meta },
+          { type: 'credit', currency: toCurrency, amount: convertedAmount, operation: 'currency_conversion', meta }
+        ]
+      };
+    },
+    rules,
+    (wallet) => `Insufficient balance. Current balance: ${toAmount(wallet[fromCurrency])} ${fromCurrency.toUpperCase()}, Required: ${amount} ${fromCurrency.toUpperCase()}`
+  );
+
+  console.log(`[wallet] convert ${amount} ${fromCurrency.toUpperCase()} -> ${convertedAmount} ${toCurrency.toUpperCase()} for user ${uid}`);
+  return { conversionId, debit, credit };
+}
+
+// ============================================
+// 베팅 홀드 (Escrow)
+// ============================================
+
+/**
+ * 게임 참여 시 차감 정책에 따라 금액을 available 잔액(usdt, ivy)에서 wallet.pending으로 옮긴다.
+ * - 홀드는 /users/{uid}/wallet/holds/{holdId}에 저장되고 wallet.pending은 활성 홀드 금액(USD)의 합계
+ * - 통화별 차감은 Ledger debit 항목으로 기록 (meta.holdId)
+ * - 게임 정산 시 settleHold로 확정(차감 확정, 잔액 변화 없음), 취소/미정산 시 releaseHold로 원래 통화에 반환
+ * 여러 홀드를 요청하면 하나의 트랜잭션으로 모두 만들거나 모두 실패한다.
+ * @param policyKey 게임 키 (cube, matching, goldenbell)
+ * @param operation Ledger meta.operation 값 (예: cube_bet)
+ */
+export async function placeHolds(
+  uid: string,
+  policyKey: string,
+  operation: string,
+  requests: HoldRequest[]
+): Promise<WalletHold[]> {
+  if (requests.length === 0) {
+    return [];
+  }
+  requests.forEach((holdRequest) => assertValidAmount(holdRequest.amountUsd));
+
+  const [rules, policy] = await Promise.all([getCurrencyRules(), getSpendingPolicy(policyKey)]);
+  const totalUsd = roundAmount(requests.reduce((sum, holdRequest) => sum + holdRequest.amountUsd, 0));
+  const spendableUsd = (wallet: any) => roundAmount(
+    policy.reduce((sum, currency) => sum + toAmount(wallet[currency]) * rules[currency].usdRate, 0)
+  );
+  const holdIds = requests.map(() => rtdb.ref(`/users/${uid}/wallet/${WALLET_HOLDS_KEY}`).push().key as string);
+  let placedHolds: WalletHold[] = [];
+
+  await applyWalletPlan(
+    uid,
+    (wallet) => {
+      // 홀드마다 남은 잔액 기준으로 나눠야 하므로 가상 잔액에 차감을 반영하며 계획
+      const simulated = { ...wallet };
+      const legs: WalletLeg[] = [];
+      const now = Date.now();
+      placedHolds = [];
+
+      for (let i = 0; i < requests.length; i++) {
+        const holdRequest = requests[i];
+        const holdId = holdIds[i];
+        const holdLegs = planPolicyLegs(simulated, holdRequest.amountUsd, policy, rules, operation, {
+          ...(holdRequest.meta || {}),
+          holdId,
+          gameType: holdRequest.gameType,
+          gameId: holdRequest.gameId,
+          ...(holdRequest.round !== undefined ? { round: holdRequest.round } : {}),
+          spendingPolicy: policyKey
+        });
+        if (!holdLegs) {
+          return null;
+        }
+
+        const holdAmounts: Partial<Record<WalletCurrency, number>> = {};
+        for (const leg of holdLegs) {
+          simulated[leg.currency] = roundAmount(toAmount(simulated[leg.currency]) - leg.amount);
+          holdAmounts[leg.currency] = leg.amount;
+        }
+
+        legs.push(...holdLegs);
+        placedHolds.push({
+          holdId,
+          status: 'held',
+          amountUsd: holdRequest.amountUsd,
+          amounts: holdAmounts,
+          operation,
+          gameType: holdRequest.gameType,
+          gameId: holdRequest.gameId,
+          ...(holdRequest.round !== undefined ? { round: holdRequest.round } : {}),
+          createdAt: now,
+          expiresAt: now + (holdRequest.ttlMs ?? DEFAULT_HOLD_TTL_MS)
+        });
+      }
+
+      return {
+        legs,
+        mutate: (next) => {
+          const activeHolds = { ...(next[WALLET_HOLDS_KEY] || {}) };
+          for (const hold of placedHolds) {
+            activeHolds[hold.holdId] = hold;
+          }
+          next[WALLET_HOLDS_KEY] = activeHolds;
+          next.pending = roundAmount(toAmount(next.pending) + totalUsd);
+        }
+      };
+    },
+    rules,
+    (wallet) => `Insufficient balance. Current balance: ${spendableUsd(wallet)} USD (${policy.map((c) => c.toUpperCase()).join(' + ')}), Required: ${totalUsd} USD`
+  );
+
+  await recordHoldHistory(uid, placedHolds);
+  console.log(`[wallet] Placed ${placedHolds.length} hold(s) for user ${uid} (${operation}): ${placedHolds.map((hold) => `${hold.holdId}=${hold.amountUsd} USD`).join(', ')}`);
+
+  return placedHolds;
+}
+
+/**
+ * 단일 홀드 생성 (placeHolds 래퍼)
+ */
+export async function placeHold(
+  uid: string,
+  policyKey: string,
+  operation: string,
+  holdRequest: HoldRequest
+): Promise<WalletHold> {
+  const [hold] = await placeHolds(uid, policyKey, operation, [holdRequest]);
+  return hold;
+}
+
+/**
+ * 홀드 정산 - 게임이 정산되어 베팅이 확정됨
+ * wallet.pending에서만 빠지고 available 잔액은 변하지 않는다 (차감은 홀드 생성 시 Ledger에 기록됨).
+ * @returns 정산된 홀드 (이미 정산/해제된 홀드면 null)
+ */
+export async function settleHold(uid: string, holdId: string, meta: Record<string, any> = {}): Promise<WalletHold | null> {
+  return resolveHold(uid, holdId, 'settled', meta);
+}
+
+/**
+ * 홀드 해제 - 게임 취소/미정산/처리 오류 시 홀드 금액을 원래 통화로 반환 (Ledger credit 기록)
+ * @returns 해제된 홀드 (이미 정산/해제된 홀드면 null)
+ */
+export async function releaseHold(uid: string, holdId: string, reason: string, meta: Record<string, any> = {}): Promise<WalletHold | null> {
+  return resolveHold(uid, holdId, 'released', { ...meta, reason });
+}
+
+async function resolveHold(
+  uid: string,
+  holdId: string,
+  status: 'settled' | 'released',
+  meta: Record<string, any>
+): Promise<WalletHold | null> {
+  const rules = await getCurrencyRules();
+  let resolved: WalletHold | null = null;
+
+  const { applied } = await applyWalletPlan(
+    uid,
+    (wallet) => {
+      resolved = null;
+      const hold: WalletHold | undefined = wallet[WALLET_HOLDS_KEY]?.[holdId];
+      if (!hold) {
+        return null;
+      }
+
+      const legs: WalletLeg[] = status === 'released'
+        ? (Object.entries(hold.amounts || {}) as [WalletCurrency, number][])
+          .filter(([currency, amount]) => isWalletCurrency(currency) && amount > 0)
+          .map(([currency, amount]) => ({
+            type: 'credit' as const,
+            currency,
+            amount,
+            operation: 'hold_release',
+            meta: { ...meta, holdId, gameType: hold.gameType, gameId: hold.gameId }
+          }))
+        : [];
+
+      resolved = { ...hold, status, resolvedAt: Date.now() };
+
+      return {
+        legs,
+        mutate: (next) => {
+          const activeHolds = { ...(next[WALLET_HOLDS_KEY] || {}) };
+          delete activeHolds[holdId];
+          next[WALLET_HOLDS_KEY] = activeHolds;
+          next.pending = Math.max(0, roundAmount(toAmount(next.pending) - toAmount(hold.amountUsd)));
+        }
+      };
+    },
+    rules
+  );
+
+  const resolvedHold = resolved as WalletHold | null;
+  if (!applied || !resolvedHold) {
+    return null;
+  }
+
+  await recordHoldHistory(uid, [{ ...resolvedHold, ...(Object.keys(meta).length > 0 ? { resolution: meta } : {}) }]);
+  console.log(`[wallet] Hold ${holdId} ${status} for user ${uid} (${resolvedHold.amountUsd} USD)`);
+
+  return resolvedHold;
+}
+
+// 홀드 이력 (/holdHistory/{uid}/{holdId}) - 조회용 사본, 실패해도 지갑 상태에는 영향 없음
+async function recordHoldHistory(uid: string, holds: WalletHold[]): Promise<void> {
+  if (holds.length === 0) {
+    return;
+  }
+  const updates: Record<string, any> = {};
+  for (const hold of holds) {
+    updates[`/holdHistory/${uid}/${hold.holdId}`] = hold;
+  }
+  try {
+    await rtdb.ref().update(updates);
+  } catch (error) {
+    console.error(`[wallet] Failed to record hold history for user ${uid}:`, error);
+  }
+}
+
+/**
+ * 게임 상태로 홀드 처리 방법 결정
+ * - 게임(라운드) 결과가 있음 → settle
+ * - 게임이 없음(삭제/취소) 또는 결과 없이 게임이 끝남 → release
+ * - 아직 진행 중이면 만료 시간이 지났을 때만 release
+ */
+async function resolveHoldOutcome(hold: WalletHold, now: number): Promise<'settle' | 'release' | 'keep'> {
+  const expired = hold.expiresAt <= now;
+
+  if (hold.gameType === 'cube' || hold.gameType === 'matching') {
+    const statusSnapshot = await rtdb.ref(`/games/${hold.gameType}/${hold.gameId}/status`).once('value');
+    if (!statusSnapshot.exists()) {
+      return 'release';
+    }
+    // 결과 없이 finished 처리된 게임(테스트 리셋 등)은 취소로 간주
+    const resultKey = hold.gameType === 'cube' ? 'result' : 'winningNumbers';
+    const resultSnapshot = await rtdb.ref(`/games/${hold.gameType}/${hold.gameId}/${resultKey}`).once('value');
+    if (resultSnapshot.exists()) {
+      return 'settle';
+    }
+    if (statusSnapshot.val() === 'finished') {
+      return 'release';
+    }
+    return expired ? 'release' : 'keep';
+  }
+
+  if (hold.gameType === 'goldenbell') {
+    const gameSnapshot = await rtdb.ref(`/games/goldenbell/${hold.gameId}/status`).once('value');
+    if (!gameSnapshot.exists()) {
+      return 'release';
+    }
+    const resultSnapshot = await rtdb.ref(`/games/goldenbell/${hold.gameId}/results/${hold.round}`).once('value');
+    if (resultSnapshot.exists()) {
+      return 'settle';
+    }
+    if (gameSnapshot.val() === 'finished') {
+      return 'release';
+    }
+    return expired ? 'release' : 'keep';
+  }
+
+  if (hold.gameType === 'pointhub') {
+    // PointHub 출금 홀드는 외부 처리 결과를 아는 pointhub-transfers 복구 작업이 정산/해제
+    return 'keep';
+  }
+
+  return expired ? 'release' : 'keep';
+}
+
+/**
+ * 정산되지 않은 홀드 정리 (스케줄러에서 호출)
+ * 게임이 정산됐는데 홀드 정산이 누락된 경우 settle, 취소/미정산 게임의 홀드는 release
+ * 활성 홀드가 있는 사용자(wallet.pending > 0)만 wallet/pending 인덱스로 나눠 읽는다.
+ * (pending과 홀드 합계가 어긋난 지갑은 reconcileWallets가 플래그로 남김)
+ */
+export async function sweepWalletHolds(): Promise<{ settled: number; released: number; failures: number }> {
+  const now = Date.now();
+  let settled = 0;
+  let released = 0;
+  let failures = 0;
+
+  let cursor: { pending: number; uid: string } | null = null;
+  while (true) {
+    let query = rtdb.ref('/users').orderByChild('wallet/pending');
+    query = cursor ? query.startAfter(cursor.pending, cursor.uid) : query.startAfter(0);
+    const snapshot = await query.limitToFirst(USER_SCAN_PAGE_SIZE).once('value');
+
+    const users: [string, any][] = [];
+    snapshot.forEach((child) => {
+      users.push([child.key as string, child.val()]);
+      return false;
+    });
+
+    for (const [uid, userData] of users) {
+      const activeHolds = userData?.wallet?.[WALLET_HOLDS_KEY] || {};
+
+      for (const hold of Object.values(activeHolds) as WalletHold[]) {
+        try {
+          const outcome = await resolveHoldOutcome(hold, now);
+          if (outcome === 'settle') {
+            if (await settleHold(uid, hold.holdId, { settledVia: 'sweeper' })) {
+              settled++;
+            }
+          } else if (outcome === 'release') {
+            const reason = hold.expiresAt <= now ? 'hold_expired' : 'game_cancelled';
+            if (await releaseHold(uid, hold.holdId, reason, { releasedVia: 'sweeper' })) {
+              released++;
+            }
+          }
+        } catch (error) {
+          failures++;
+          console.error(`[sweepWalletHolds] Failed to process hold ${hold.holdId} for user ${uid}:`, error);
+        }
+      }
+    }
+
+    if (users.length < USER_SCAN_PAGE_SIZE) {
+      break;
+    }
+    const [lastUid, lastUser] = users[users.length - 1];
+    cursor = { pending: toAmount(lastUser?.wallet?.pending), uid: lastUid };
+  }
+
+  console.log(`[sweepWalletHolds] Completed: ${settled} settled, ${released} released, ${failures} failed`);
+  return { settled, released, failures };
+}
+
+/**
+ * 현재 잔액 조회
+ */
+export async function getWalletBalance(uid: string, currency: WalletCurrency = 'usdt'): Promise<number> {
+  const snapshot = await rtdb.ref(`/users/${uid}/wallet/${currency}`).once('value');
+  return toAmount(snapshot.val());
+}
+
+/**
+ * 통화별 잔액 조회 (usdt, ivy, pending)
+ * available은 바로 사용 가능한 잔액, locked는 게임 정산을 기다리는 홀드
+ */
+export async function getWalletBalances(uid: string): Promise<WalletBalances> {
+  const snapshot = await rtdb.ref(`/users/${uid}/wallet`).once('value');
+  const wallet = snapshot.val() || {};
+  const usdt = toAmount(wallet.usdt);
+  const ivy = toAmount(wallet.ivy);
+  const pending = toAmount(wallet.pending);
+  const holds = (Object.values(wallet[WALLET_HOLDS_KEY] || {}) as WalletHold[])
+    .sort((a, b) => a.createdAt - b.createdAt);
+
+  return {
+    usdt,
+    ivy,
+    pending,
+    available: { usdt, ivy },
+    locked: { amountUsd: pending, holds }
+  };
+}
+
+// ============================================
+// 정합성 검사 (Reconciliation)
+// ============================================
+
+interface LedgerReplay {
+  running: Record<WalletCurrency, number>;
+  chainBreaks: ReconciliationIssue[];
+  entriesReplayed: number;
+}
+
+/**
+ * /ledger/{uid}를 키 순서로 LEDGER_REPLAY_PAGE_SIZE개씩 나눠 읽으며 통화별 잔액을 재생
+ * balanceBefore가 직전 잔액과 다르면 chain break로 기록
+ */
+async function replayLedger(uid: string): Promise<LedgerReplay> {
+  const running: Record<WalletCurrency, number> = { usdt: 0, ivy: 0 };
+  const chainBreaks: ReconciliationIssue[] = [];
+  let entriesReplayed = 0;
+  let lastKey: string | null = null;
+
+  while (true) {
+    let query = rtdb.ref(`/ledger/${uid}`).orderByKey();
+    if (lastKey !== null) {
+      query = query.startAfter(lastKey);
+    }
+    const snapshot = await query.limitToFirst(LEDGER_REPLAY_PAGE_SIZE).once('value');
+
+    const entries: [string, any][] = [];
+    snapshot.forEach((child) => {
+      entries.push([child.key as string, child.val() || {}]);
+      return false;
+    });
+
+    for (const [ledgerId, entry] of entries) {
+      const currency: WalletCurrency = entry.currency === 'ivy' ? 'ivy' : 'usdt';
+      // 이전 debit 함수는 amountUsd를 음수로 기록했으므로 부호는 type으로만 판단
+      // amount 필드가 없는 이전 항목은 amountUsd가 통화 단위 금액
+      const amount = Math.abs(toAmount(entry.amount ?? entry.amountUsd));
+      const signedAmount = entry.type === 'debit' ? -amount : amount;
+
+      if (typeof entry.balanceBefore === 'number' && Math.abs(entry.balanceBefore - running[currency]) > BALANCE_EPSILON) {
+        chainBreaks.push({
+          ledgerId,
+          currency,
+          expectedBalanceBefore: running[currency],
+          recordedBalanceBefore: entry.balanceBefore
+        });
+      }
+
+      running[currency] = typeof entry.balanceAfter === 'number'
+        ? entry.balanceAfter
+        : running[currency] + signedAmount;
+      entriesReplayed++;
+    }
+
+    if (entries.length < LEDGER_REPLAY_PAGE_SIZE) {
+      return { running, chainBreaks, entriesReplayed };
+    }
+    lastKey = entries[entries.length - 1][0];
+  }
+}
+
+/**
+ * outbox를 제외한 지갑 상태 - Ledger 재생 전후로 지갑이 바뀌었는지 비교하는 용도
+ */
+function walletStateKey(wallet: any): string {
+  const state = { ...(wallet || {}) };
+  delete state[LEDGER_OUTBOX_KEY];
+  return JSON.stringify(state);
+}
+
+/**
+ * 사용자 한 명의 Ledger를 재생하여 지갑 잔액과 비교
+ * - 남아있는 outbox 항목을 먼저 /ledger로 이동
+ * - balanceBefore가 직전 잔액과 다르면 chain break로 기록
+ * - 최종 Ledger 잔액과 지갑 잔액이 다르면 drift로 기록
+ * 재생이 끝난 뒤 지갑을 다시 읽어, 재생하는 동안 지갑이 바뀌었으면 처음부터 다시 재생한다.
+ * (바뀌지 않았으면 그 지갑과 재생한 Ledger가 같은 시점의 상태)
+ */
+export async function reconcileUserWallet(uid: string): Promise<ReconciliationResult> {
+  let wallet = (await rtdb.ref(`/users/${uid}/wallet`).once('value')).val();
+  let outboxFlushed = 0;
+
+  for (let attempt = 1; attempt <= RECONCILE_MAX_ATTEMPTS; attempt++) {
+    outboxFlushed += await flushOutboxEntries(uid, wallet?.[LEDGER_OUTBOX_KEY] || {});
+    const replay = await replayLedger(uid);
+    const latest = (await rtdb.ref(`/users/${uid}/wallet`).once('value')).val();
+
+    const outboxEmpty = Object.keys(latest?.[LEDGER_OUTBOX_KEY] || {}).length === 0;
+    if (outboxEmpty && walletStateKey(latest) === walletStateKey(wallet)) {
+      return buildReconciliationResult(uid, latest, replay, outboxFlushed);
+    }
+    wallet = latest;
+  }
+
+  throw new Error(`Wallet of user ${uid} kept changing during reconciliation`);
+}
+
+function buildReconciliationResult(
+  uid: string,
+  wallet: any,
+  replay: LedgerReplay,
+  outboxFlushed: number
+): ReconciliationResult {
+  const { running, chainBreaks, entriesReplayed } = replay;
+  const balances = {} as ReconciliationResult['balances'];
+  let drifted = chainBreaks.length > 0;
+
+  for (const currency of WALLET_CURRENCIES) {
+    const walletBalance = toAmount(wallet?.[currency]);
+    const drift = walletBalance - running[currency];
+    if (Math.abs(drift) > BALANCE_EPSILON) {
+      drifted = true;
+    }
+    balances[currency] = { wallet: walletBalance, ledger: running[currency], drift };
+  }
+
+  const walletPending = toAmount(wallet?.pending);
+  const activeHoldsUsd = roundAmount(
+    (Object.values(wallet?.[WALLET_HOLDS_KEY] || {}) as WalletHold[]).reduce((sum, hold) => sum + toAmount(hold.amountUsd), 0)
+  );
+  const pendingDrift = roundAmount(walletPending - activeHoldsUsd);
+  if (Math.abs(pendingDrift) > BALANCE_EPSILON) {
+    drifted = true;
+  }
+
+  return {
+    uid,
+    drifted,
+    balances,
+    pending: { wallet: walletPending, activeHolds: activeHoldsUsd, drift: pendingDrift },
+    chainBreaks,
+    entriesReplayed,
+    outboxFlushed,
+    checkedAt: Date.now()
+  };
+}
+
+/**
+ * /users를 키 순서로 pageSize명씩 나눠 읽으며 페이지마다 visit 호출 (스케줄러용)
+ * 전체 사용자를 한 번에 메모리에 올리지 않는다.
+ */
+export async function forEachUserPage(
+  visit: (users: [string, any][]) => Promise<void>,
+  pageSize: number = USER_SCAN_PAGE_SIZE
+): Promise<void> {
+  let lastKey: string | null = null;
+
+  while (true) {
+    let query = rtdb.ref('/users').orderByKey();
+    if (lastKey !== null) {
+      query = query.startAfter(lastKey);
+    }
+    const snapshot = await query.limitToFirst(pageSize).once('value');
+
+    const users: [string, any][] = [];
+    snapshot.forEach((child) => {
+      users.push([child.key as string, child.val()]);
+      return false;
+    });
+
+    if (users.length > 0) {
+      await visit(users);
+    }
+    if (users.length < pageSize) {
+      return;
+    }
+    lastKey = users[users.length - 1][0];
+  }
+}
+
+/**
+ * 전체 사용자 정합성 검사 (스케줄러에서 호출)
+ * drift가 있는 사용자는 /reconciliation/flags/{uid}에 기록하고, 정상이면 기존 플래그를 제거한다.
+ */
+export async function reconcileWallets(): Promise<ReconciliationSummary> {
+  const startedAt = Date.now();
+  const runId = `recon_${startedAt}`;
+  let usersChecked = 0;
+  let usersDrifted = 0;
+  let failures = 0;
+
+  await forEachUserPage(async (users) => {
+    for (const [uid] of users) {
+      try {
+        const result = await reconcileUserWallet(uid);
+        usersChecked++;
+
+        if (result.drifted) {
+          usersDrifted++;
+          await rtdb.ref(`/reconciliation/flags/${uid}`).set({
+            ...result,
+            runId
+          });
+          console.warn(`[reconcileWallets] Drift detected for user ${uid}:`, JSON.stringify(result.balances));
+        } else {
+          await rtdb.ref(`/reconciliation/flags/${uid}`).remove();
+        }
+      } catch (error) {
+        failures++;
+        console.error(`[reconcileWallets] Failed to reconcile user ${uid}:`, error);
+      }
+    }
+  });
+
+  const summary: ReconciliationSummary = {
+    runId,
+    usersChecked,
+    usersDrifted,
+    failures,
+    startedAt,
+    finishedAt: Date.now()
+  };
+
+  await rtdb.ref(`/reconciliation/runs/${runId}`).set(summary);
+  console.log(`[reconcileWallets] Completed: ${usersChecked} checked, ${usersDrifted} drifted, ${failures} failed`);
+
+  return summary;
+}
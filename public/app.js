@@ -757,7 +757,7 @@ class PointHubApp {
             console.log('🔐 PointHub 로그인 시도:', userId);
             const pointHubLogin = window.httpsCallable(window.firebaseFunctions, 'pointHubLogin');
             console.log('pointHubLogin 함수:', pointHubLogin);
-            const result = await pointHubLogin({ id: userId, password: password });
+            const result = await pointHubLogin({ id: userId, password: password, deviceId: getDeviceId() });
 
             console.log('📋 PointHub 로그인 결과:', result.data);
 
@@ -807,9 +807,13 @@ class PointHubApp {
                 try {
                     console.log('📤 Creating user profile in database...');
                     const createUserProfile = window.httpsCallable(window.firebaseFunctions, 'createUserProfile');
+                    // 추천 링크(?ref=CODE)로 가입한 경우 추천 코드 전달
+                    const referralCode = new URLSearchParams(window.location.search).get('ref');
                     const result = await createUserProfile({ 
                         uid: user.uid, 
-                        email: user.email 
+                        email: user.email,
+                        deviceId: getDeviceId(),
+                        ...(referralCode ? { referralCode } : {})
                     });
                     
                     console.log('✅ User profile created:', result.data);
@@ -1123,6 +1127,117 @@ window.callUnityFunction = (objectName, methodName, data) => {
     }
 };
 
+// 다중 계정 탐지용 기기 ID (브라우저마다 한 번 생성해서 로그인/가입 시 전달, 서버는 해시만 저장)
+const DEVICE_ID_STORAGE_KEY = 'pointhubDeviceId';
+
+function getDeviceId() {
+    try {
+        let deviceId = window.localStorage.getItem(DEVICE_ID_STORAGE_KEY);
+        if (!deviceId) {
+            deviceId = window.crypto && typeof window.crypto.randomUUID === 'function'
+                ? window.crypto.randomUUID()
+                : `device_${Date.now()}_${Math.random().toString(36).slice(2, 12)}`;
+            window.localStorage.setItem(DEVICE_ID_STORAGE_KEY, deviceId);
+        }
+        return deviceId;
+    } catch (error) {
+        // 저장소를 쓸 수 없는 환경 (사생활 보호 모드 등)
+        return null;
+    }
+}
+
+// idempotencyKey를 받는 Cloud Function (재시도 시 중복 차감 방지)
+const IDEMPOTENT_CLOUD_FUNCTIONS = new Set([
+    'debit',
+    'convertCurrency',
+    'joinCubeGame',
+    'joinMatchingGame',
+    'joinGoldenBell',
+    'depositFromPointHub',
+    'withdrawToPointHub'
+]);
+
+// 실패한 요청의 키를 재시도용으로 유지하는 시간 (서버 보관 기간보다 짧게)
+const IDEMPOTENCY_KEY_REUSE_WINDOW_MS = 10 * 60 * 1000;
+
+// 서버가 요청을 처리했는지 클라이언트가 알 수 없는 에러 - 재시도에 같은 키를 사용해야 함
+const IDEMPOTENCY_RETRY_ERROR_CODES = new Set([
+    'functions/unavailable',
+    'functions/deadline-exceeded',
+    'functions/internal',
+    'functions/aborted'
+]);
+
+// Unity 요청 식별자(함수명+requestId 또는 함수명+파라미터) -> { key, createdAt }
+const pendingIdempotencyKeys = new Map();
+
+function generateIdempotencyKey() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
+    }
+    return `idem_${Date.now()}_${Math.random().toString(36).slice(2, 12)}`;
+}
+
+// 키 순서와 관계없이 같은 파라미터면 같은 문자열
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Unity 요청에 idempotencyKey를 붙인다.
+ * - Unity가 idempotencyKey를 직접 보내면 그대로 사용
+ * - requestId가 있으면 함수명+requestId, 없으면 함수명+파라미터가 같은 요청을 같은 작업으로 보고
+ *   결과가 확정될 때까지(재사용 기간 안에서) 같은 키를 사용
+ * - 결과가 확정되면 releaseIdempotencyKey로 키를 버림 - 같은 파라미터의 다음 베팅은 새 키로 별도 작업이 됨
+ * @returns {{ callParams: object, requestSignature: string | null }}
+ */
+function attachIdempotencyKey(params) {
+    const callParams = { ...(params.params || {}) };
+
+    if (!IDEMPOTENT_CLOUD_FUNCTIONS.has(params.functionName) || callParams.idempotencyKey) {
+        return { callParams, requestSignature: null };
+    }
+
+    const now = Date.now();
+    for (const [signature, entry] of pendingIdempotencyKeys) {
+        if (now - entry.createdAt > IDEMPOTENCY_KEY_REUSE_WINDOW_MS) {
+            pendingIdempotencyKeys.delete(signature);
+        }
+    }
+
+    const requestSignature = params.requestId
+        ? `${params.functionName}:id:${params.requestId}`
+        : `${params.functionName}:params:${stableStringify(callParams)}`;
+
+    let entry = pendingIdempotencyKeys.get(requestSignature);
+    if (!entry) {
+        entry = { key: generateIdempotencyKey(), createdAt: now };
+        pendingIdempotencyKeys.set(requestSignature, entry);
+    }
+
+    callParams.idempotencyKey = entry.key;
+    return { callParams, requestSignature };
+}
+
+/**
+ * 결과가 확정된 요청의 키를 버린다 (성공, 또는 서버가 처리하지 않았다고 응답한 에러)
+ */
+function releaseIdempotencyKey(requestSignature, error) {
+    if (!requestSignature) {
+        return;
+    }
+    if (error && IDEMPOTENCY_RETRY_ERROR_CODES.has(error.code)) {
+        return;
+    }
+    pendingIdempotencyKeys.delete(requestSignature);
+}
+
 // Cloud Function 호출 (Unity에서 사용)
 window.callCloudFunction = async (dataStr) => {
     try {
@@ -1134,9 +1249,18 @@ window.callCloudFunction = async (dataStr) => {
             return;
         }
         
+        const { callParams, requestSignature } = attachIdempotencyKey(params);
+        
         // Firebase Cloud Function 호출
         const cloudFunction = window.httpsCallable(window.firebaseFunctions, params.functionName);
-        const result = await cloudFunction(params.params);
+        let result;
+        try {
+            result = await cloudFunction(callParams);
+        } catch (callError) {
+            releaseIdempotencyKey(requestSignature, callError);
+            throw callError;
+        }
+        releaseIdempotencyKey(requestSignature);
         
         console.log('✅ Cloud Function result:', result.data);
         
@@ -1341,14 +1465,15 @@ window.markHistoryNotificationSeen = async (dataStr) => {
             return;
         }
 
-        if (!window.firebaseDatabase || !window.firebaseRef || !window.firebaseUpdate) {
+        if (!window.firebaseDatabase || !window.firebaseRef || !window.firebaseUpdate || !window.firebaseServerTimestamp) {
             throw new Error('Firebase helpers not ready');
         }
 
+        // 기기 시계가 서버보다 빠르면 규칙(popupOpenedAt <= now)에 걸리므로 서버 시각으로 기록
         const historyRef = window.firebaseRef(window.firebaseDatabase, `/gameHistory/${uid}/${historyId}`);
         await window.firebaseUpdate(historyRef, {
             isPopupOpen: true,
-            popupOpenedAt: Date.now()
+            popupOpenedAt: window.firebaseServerTimestamp()
         });
 
         console.log(`✅ Marked gameHistory/${uid}/${historyId} as popup open`);
@@ -1668,37 +1793,6 @@ function ensureFirebaseRealtimeHelpers() {
     }
 }
 
-async function resolveVipStatus(uid, existingParticipant) {
-    if (!uid) {
-        return false;
-    }
-
-    if (existingParticipant && typeof existingParticipant.isVip === 'boolean') {
-        return existingParticipant.isVip;
-    }
-
-    const cache = window.goldenBellRealtime?.vipStatusCache || {};
-    if (typeof cache[uid] === 'boolean') {
-        return cache[uid];
-    }
-
-    let isVip = false;
-    try {
-        const membershipRef = window.firebaseRef(window.firebaseDatabase, `/users/${uid}/profile/membership`);
-        const membershipSnapshot = await window.firebaseOnce(membershipRef);
-        const membershipValue = membershipSnapshot.exists() ? membershipSnapshot.val() : null;
-        if (typeof membershipValue === 'string') {
-            isVip = membershipValue.trim().toLowerCase() === 'vip';
-        }
-    } catch (error) {
-        console.warn('[resolveVipStatus] Failed to read membership, defaulting to false', error);
-    }
-
-    window.goldenBellRealtime.vipStatusCache = window.goldenBellRealtime.vipStatusCache || {};
-    window.goldenBellRealtime.vipStatusCache[uid] = isVip;
-    return isVip;
-}
-
 function normalizeGoldenBellChoice(choice) {
     if (!choice) return null;
     const value = String(choice).toLowerCase();
@@ -1772,11 +1866,19 @@ window.registerGoldenBellParticipant = async (dataStr) => {
     }
 };
 
+function callGoldenBellFunction(name, data) {
+    if (!window.firebaseFunctions || !window.httpsCallable) {
+        throw new Error('Firebase Functions not initialized');
+    }
+    return window.httpsCallable(window.firebaseFunctions, name)(data);
+}
+
+// 선택/결정/보상 기록은 서버 함수에서 게임 단계와 시간을 확인한 뒤 저장 (RTDB 직접 쓰기 금지)
 window.submitGoldenBellChoiceRealtime = async (dataStr) => {
+    let params = {};
     try {
-        ensureFirebaseRealtimeHelpers();
-        const params = typeof dataStr === 'string' && dataStr.length ? JSON.parse(dataStr) : {};
-        const { gameId, uid, choice, round, totalBet, isVip } = params;
+        params = typeof dataStr === 'string' && dataStr.length ? JSON.parse(dataStr) : {};
+        const { gameId, uid, choice } = params;
         if (!gameId || !uid) {
             throw new Error('gameId and uid are required');
         }
@@ -1786,78 +1888,33 @@ window.submitGoldenBellChoiceRealtime = async (dataStr) => {
             throw new Error('Invalid choice value');
         }
 
-        const participantRef = window.firebaseRef(window.firebaseDatabase, `${GOLDEN_BELL_RTDB_PATH}/${gameId}/participants/${uid}`);
-        const now = Date.now();
-
-        let existingParticipant = null;
-        try {
-            const participantSnapshot = await window.firebaseOnce(participantRef);
-            existingParticipant = participantSnapshot.exists() ? participantSnapshot.val() : null;
-        } catch (error) {
-            console.warn('[submitGoldenBellChoiceRealtime] Failed to read participant before update', error);
-        }
-
-        const updateData = {
-            choice: normalizedChoice,
-            choiceSubmittedAt: now,
-            currentRound: round || 1
-        };
-        
-        // totalBet이 제공되면 업데이트 (로컬에서 계산된 값)
-        if (totalBet !== undefined && totalBet !== null) {
-            updateData.totalBet = parseFloat(totalBet);
-            console.log(`[submitGoldenBellChoiceRealtime] Updating totalBet to ${updateData.totalBet}`);
-        } else if (!existingParticipant) {
-            updateData.totalBet = 1;
-        }
-
-        // Unity에서 받은 isVip 값을 우선 사용, 없으면 서버에서 조회
-        let finalIsVip = false;
-        if (typeof isVip === 'boolean') {
-            finalIsVip = isVip;
-            console.log(`[submitGoldenBellChoiceRealtime] Using isVip from Unity: ${finalIsVip}`);
-        } else {
-            finalIsVip = await resolveVipStatus(uid, existingParticipant);
-            console.log(`[submitGoldenBellChoiceRealtime] Resolved isVip from server: ${finalIsVip}`);
-        }
-        updateData.isVip = finalIsVip;
-
-        if (!existingParticipant) {
-            updateData.joinedAt = now;
-            updateData.joinedRound = round || 1;
-            updateData.accumulatedReward = 0;
-            updateData.isActive = true;
-        }
-
-        await window.firebaseUpdate(participantRef, updateData);
+        // totalBet, isVip, 베팅 홀드는 서버에서 결정
+        const result = await callGoldenBellFunction('submitGoldenBellChoice', { gameId, choice: normalizedChoice });
+        console.log('[submitGoldenBellChoiceRealtime] Choice accepted:', result.data);
 
         emitGoldenBellActionResult({ success: true, action: 'choice', gameId, uid });
     } catch (error) {
         console.error('❌ submitGoldenBellChoiceRealtime failed:', error);
-        emitGoldenBellActionResult({ success: false, action: 'choice', gameId: null, uid: null, error: error.message });
+        emitGoldenBellActionResult({ success: false, action: 'choice', gameId: params?.gameId || null, uid: params?.uid || null, error: error.message });
     }
 };
 
 window.submitGoldenBellDecisionRealtime = async (dataStr) => {
+    let params = {};
     try {
-        ensureFirebaseRealtimeHelpers();
-        const params = typeof dataStr === 'string' && dataStr.length ? JSON.parse(dataStr) : {};
+        params = typeof dataStr === 'string' && dataStr.length ? JSON.parse(dataStr) : {};
         const { gameId, uid, decision } = params;
         if (!gameId || !uid || !decision) {
             throw new Error('gameId, uid and decision are required');
         }
 
-        const participantRef = window.firebaseRef(window.firebaseDatabase, `${GOLDEN_BELL_RTDB_PATH}/${gameId}/participants/${uid}`);
-        const now = Date.now();
-        await window.firebaseUpdate(participantRef, {
-            decision,
-            decisionSubmittedAt: now
-        });
+        const result = await callGoldenBellFunction('submitGoldenBellDecision', { gameId, decision });
+        console.log('[submitGoldenBellDecisionRealtime] Decision accepted:', result.data);
 
         emitGoldenBellActionResult({ success: true, action: 'decision', gameId, uid });
     } catch (error) {
         console.error('❌ submitGoldenBellDecisionRealtime failed:', error);
-        emitGoldenBellActionResult({ success: false, action: 'decision', gameId: null, uid: null, error: error.message });
+        emitGoldenBellActionResult({ success: false, action: 'decision', gameId: params?.gameId || null, uid: params?.uid || null, error: error.message });
     }
 };
 
@@ -1899,26 +1956,22 @@ window.checkGoldenBellParticipantExists = async (dataStr) => {
 window.updateGoldenBellParticipantReward = async (dataStr) => {
     let params = {};
     try {
-        ensureFirebaseRealtimeHelpers();
         params = typeof dataStr === 'string' && dataStr.length ? JSON.parse(dataStr) : {};
-        const { gameId, uid, accumulatedReward, isWinner, round, reward } = params;
+        const { gameId, uid, accumulatedReward, isWinner, round } = params;
         if (!gameId || !uid) {
             throw new Error('gameId and uid are required');
         }
 
-        const participantRef = window.firebaseRef(window.firebaseDatabase, `${GOLDEN_BELL_RTDB_PATH}/${gameId}/participants/${uid}`);
-        const updateData = {};
-        if (accumulatedReward !== undefined && accumulatedReward !== null) {
-            updateData.accumulatedReward = parseFloat(accumulatedReward);
-        }
-        if (isWinner !== undefined && isWinner !== null) {
-            updateData.isWinner = Boolean(isWinner);
-        }
-        updateData.lastRewardUpdatedAt = Date.now();
-
-        await window.firebaseUpdate(participantRef, updateData);
+        const normalizedRound = Number(round);
 
-        await persistRoundRewardLogs(gameId, uid, round, reward);
+        // 누적 상금/승리 여부/라운드 보상은 서버의 라운드 결과 기준으로 확정됨 - 보낸 값은 검증용
+        const result = await callGoldenBellFunction('updateGoldenBellParticipantReward', {
+            gameId,
+            round: normalizedRound,
+            accumulatedReward: accumulatedReward !== undefined && accumulatedReward !== null ? parseFloat(accumulatedReward) : null,
+            isWinner: isWinner !== undefined && isWinner !== null ? Boolean(isWinner) : null
+        });
+        console.log('[updateGoldenBellParticipantReward] Reward synced:', result.data);
 
         emitGoldenBellActionResult({ success: true, action: 'updateReward', gameId, uid });
     } catch (error) {
@@ -1927,54 +1980,6 @@ window.updateGoldenBellParticipantReward = async (dataStr) => {
     }
 };
 
-async function persistRoundRewardLogs(gameId, uid, round, rewardPayload) {
-    if (!rewardPayload) {
-        return;
-    }
-
-    const normalizedRound = Number(rewardPayload.round ?? round);
-    if (!Number.isFinite(normalizedRound) || normalizedRound <= 0) {
-        console.warn('[updateGoldenBellParticipantReward] Skipping reward persistence - invalid round', rewardPayload);
-        return;
-    }
-
-    const safeNumber = (value, fallback = 0) => {
-        const parsed = Number(value);
-        return Number.isFinite(parsed) ? parsed : fallback;
-    };
-
-    const sanitizedReward = {
-        round: Math.floor(normalizedRound),
-        winnerCount: safeNumber(rewardPayload.winnerCount),
-        vipWinnerCount: safeNumber(rewardPayload.vipWinnerCount),
-        opponentPot: safeNumber(rewardPayload.opponentPot),
-        baseRewardPerWinner: safeNumber(rewardPayload.baseRewardPerWinner),
-        vipBonusPerWinner: safeNumber(rewardPayload.vipBonusPerWinner),
-        vipBonusTotal: safeNumber(rewardPayload.vipBonusTotal),
-        totalRewardPerWinner: safeNumber(rewardPayload.totalRewardPerWinner),
-        totalRoundPot: safeNumber(rewardPayload.totalRoundPot)
-    };
-
-    const rewardWithMeta = {
-        ...sanitizedReward,
-        recordedAt: Date.now()
-    };
-
-    const participantLogRef = window.firebaseRef(
-        window.firebaseDatabase,
-        `${GOLDEN_BELL_RTDB_PATH}/${gameId}/participants/${uid}/roundRewardLogs/${sanitizedReward.round}`
-    );
-    const roundResultRef = window.firebaseRef(
-        window.firebaseDatabase,
-        `${GOLDEN_BELL_RTDB_PATH}/${gameId}/results/${sanitizedReward.round}/reward`
-    );
-
-    await Promise.all([
-        window.firebaseSet(participantLogRef, sanitizedReward),
-        window.firebaseSet(roundResultRef, rewardWithMeta)
-    ]);
-}
-
 window.fetchGoldenBellParticipants = async (dataStr) => {
     try {
         ensureFirebaseRealtimeHelpers();
@@ -131,28 +131,7 @@ class PointHubClient {
   }
 
   // Wallet operations (server-side functions)
-  async creditWallet(amount, type, meta = {}) {
-    if (!this.user) {
-      throw new Error('User not authenticated');
-    }
-
-    try {
-      const creditFunction = httpsCallable(functions, 'credit');
-      const result = await creditFunction({ 
-        amount, 
-        type, 
-        meta 
-      });
-      
-      console.log('Credit result:', result.data);
-      return result.data;
-    } catch (error) {
-      console.error('Credit error:', error.message);
-      throw error;
-    }
-  }
-
-  async debitWallet(amount, type, meta = {}) {
+  async debitWallet(amount, type, meta = {}, idempotencyKey = null) {
     if (!this.user) {
       throw new Error('User not authenticated');
     }
@@ -162,7 +141,8 @@ class PointHubClient {
       const result = await debitFunction({ 
         amount, 
         type, 
-        meta 
+        meta,
+        ...(idempotencyKey ? { idempotencyKey } : {})
       });
       
       console.log('Debit result:', result.data);
@@ -204,19 +184,18 @@ class PointHubClient {
   }
 
   // Utility methods
+  // 프로필은 서버에서 검증 후 저장 (nickname, country, avatarId만 변경 가능)
   async updateProfile(profileData) {
     if (!this.user) {
       throw new Error('User not authenticated');
     }
 
     try {
-      const profileRef = ref(database, `users/${this.user.uid}/profile`);
-      await set(profileRef, {
-        ...profileData,
-        updatedAt: Date.now()
-      });
+      const updateProfileFunction = httpsCallable(functions, 'updateProfile');
+      const result = await updateProfileFunction(profileData);
       
       console.log('Profile updated successfully');
+      return result.data;
     } catch (error) {
       console.error('Profile update error:', error.message);
       throw error;
@@ -243,9 +222,6 @@ await pointHubClient.signUp('user@example.com', 'password');
 // Sign in
 await pointHubClient.signIn('user@example.com', 'password');
 
-// Credit wallet
-await pointHubClient.creditWallet(100, 'deposit', { source: 'bank_transfer' });
-
 // Debit wallet
 await pointHubClient.debitWallet(50, 'bet', { gameId: 'game_123' });
 
@@ -1,11 +1,15 @@
 // Vite Bridge for Unity WebGL Communication
 import PointHubClient from './client-example.js';
 
+const MAX_TRACKED_IDEMPOTENCY_KEYS = 200;
+
 class ViteBridge {
   constructor() {
     this.pointHubClient = new PointHubClient();
     this.requestCounter = 0;
     this.pendingRequests = new Map();
+    // Unity requestId -> idempotencyKey (같은 requestId로 재시도하면 같은 키 사용)
+    this.idempotencyKeys = new Map();
     
     // Override client event handlers to forward to Unity
     this.setupClientEventHandlers();
@@ -62,6 +66,21 @@ class ViteBridge {
     return `req_${++this.requestCounter}_${Date.now()}`;
   }
 
+  // Idempotency key for a request - reused while the same requestId is retried
+  getIdempotencyKey(reqId) {
+    if (!this.idempotencyKeys.has(reqId)) {
+      const key = typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
+        ? crypto.randomUUID()
+        : `idem_${Date.now()}_${Math.random().toString(36).slice(2, 12)}`;
+      this.idempotencyKeys.set(reqId, key);
+      // 오래된 항목부터 정리 (Map은 삽입 순서 유지)
+      if (this.idempotencyKeys.size > MAX_TRACKED_IDEMPOTENCY_KEYS) {
+        this.idempotencyKeys.delete(this.idempotencyKeys.keys().next().value);
+      }
+    }
+    return this.idempotencyKeys.get(reqId);
+  }
+
   // Authentication Methods
   async signIn(email, password, requestId = null) {
     const reqId = requestId || this.generateRequestId();
@@ -134,35 +153,13 @@ class ViteBridge {
   }
 
   // Wallet Management Methods
-  async creditWallet(amount, type, meta = '{}', requestId = null) {
-    const reqId = requestId || this.generateRequestId();
-    
-    try {
-      console.log(`CreditWallet request ${reqId}: ${amount} ${type}`);
-      const parsedMeta = typeof meta === 'string' ? JSON.parse(meta) : meta;
-      const result = await this.pointHubClient.creditWallet(amount, type, parsedMeta);
-      
-      this.sendToUnity('OnCreditWalletCompleted', {
-        requestId: reqId,
-        success: true,
-        data: result
-      });
-    } catch (error) {
-      this.sendToUnity('OnCreditWalletCompleted', {
-        requestId: reqId,
-        success: false,
-        error: error.message
-      });
-    }
-  }
-
   async debitWallet(amount, type, meta = '{}', requestId = null) {
     const reqId = requestId || this.generateRequestId();
     
     try {
       console.log(`DebitWallet request ${reqId}: ${amount} ${type}`);
       const parsedMeta = typeof meta === 'string' ? JSON.parse(meta) : meta;
-      const result = await this.pointHubClient.debitWallet(amount, type, parsedMeta);
+      const result = await this.pointHubClient.debitWallet(amount, type, parsedMeta, this.getIdempotencyKey(reqId));
       
       this.sendToUnity('OnDebitWalletCompleted', {
         requestId: reqId,
@@ -188,11 +185,12 @@ class ViteBridge {
         ? JSON.parse(profileDataJson) 
         : profileDataJson;
         
-      await this.pointHubClient.updateProfile(profileData);
+      const result = await this.pointHubClient.updateProfile(profileData);
       
       this.sendToUnity('OnUpdateProfileCompleted', {
         requestId: reqId,
-        success: true
+        success: true,
+        data: result
       });
     } catch (error) {
       this.sendToUnity('OnUpdateProfileCompleted', {
@@ -0,0 +1,453 @@
+#!/usr/bin/env node
+
+/**
+ * Local PointHub mock server
+ * Stand-in for https://www.point-hub.cloud/api so pointHubLogin and the
+ * PointHub deposit/withdrawal flows can run under the Firebase emulator.
+ *
+ * - Verifies the HMAC-SHA256 signature built by generateSignature() in functions/src/pointhub-client.ts
+ * - Keeps members and USDP/USDM/GPOINT/GPORDER balances in memory
+ * - Can inject failures (bad signature, insufficient funds, timeouts, HTTP errors, ...)
+ *
+ * Usage:
+ *   node scripts/pointhub-mock-server.js
+ *   or
+ *   npm run mock:pointhub
+ *
+ * Point the functions at it (functions/.env.local is picked up by the emulator):
+ *   POINTHUB_BASE_URL=http://127.0.0.1:8787/api
+ *   POINTHUB_API_KEY=mock-api-key
+ *   POINTHUB_SECRET_KEY=mock-secret-key
+ *
+ * Environment:
+ *   POINTHUB_MOCK_PORT   listen port (default 8787)
+ *   POINTHUB_API_KEY     expected apiKey (default mock-api-key)
+ *   POINTHUB_SECRET_KEY  HMAC secret (default mock-secret-key)
+ *   POINTHUB_MOCK_SEED   optional JSON file with an array of members (same shape as DEFAULT_MEMBERS)
+ *
+ * Control endpoints (not part of the PointHub API):
+ *   GET  /__mock/state              members, balances and transaction log
+ *   POST /__mock/reset              restore the seed members and clear failures
+ *   POST /__mock/members            add or replace a member { id, password, mbid, mbid2, nickname, level, balances }
+ *   POST /__mock/failures           inject a failure { endpoint, mode, count?, delayMs? }
+ *   DELETE /__mock/failures         clear injected failures
+ *
+ * Failure modes (endpoint is a path such as /PH/USDP/WITHDRAW, or * for every endpoint):
+ *   bad_signature       respond as if the signature did not match
+ *   insufficient_funds  reject the withdrawal/transfer with an insufficient balance code (mock-only - goes to review)
+ *   timeout             never answer within delayMs (default 30000) - the client should time out
+ *   applied_timeout     apply the transfer, then stall - the client cannot know the outcome
+ *   http_500            respond with HTTP 500
+ *   invalid_json        respond with a non-JSON body
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+
+const PORT = Number(process.env.POINTHUB_MOCK_PORT) || 8787;
+const API_KEY = process.env.POINTHUB_API_KEY || 'mock-api-key';
+const SECRET_KEY = process.env.POINTHUB_SECRET_KEY || 'mock-secret-key';
+const SIGNATURE_MAX_SKEW_SECONDS = 300;
+const API_PREFIX = '/api';
+
+// Result codes returned by the mock (0000 and 8001 match the real service).
+// The others are mock-only: the functions do not map them, so a transfer that
+// gets one is left for admin review instead of being compensated.
+const RESULT = {
+  SUCCESS: '0000',
+  AUTH_FAILED: '8001',
+  MEMBER_NOT_FOUND: '8002',
+  INSUFFICIENT_BALANCE: '8101',
+  INVALID_AMOUNT: '8102',
+  INVALID_SIGNATURE: '9001',
+  TIMESTAMP_EXPIRED: '9002',
+  INVALID_API_KEY: '9003',
+  UNKNOWN_ENDPOINT: '9004'
+};
+
+const POINT_TYPES = ['USDP', 'USDM', 'GPOINT', 'GPORDER'];
+
+const DEFAULT_MEMBERS = [
+  {
+    id: 'testuser1',
+    password: 'password1',
+    mbid: 'EN000001',
+    mbid2: 1,
+    nickname: 'Test User 1',
+    level: 'VIP',
+    balances: { USDP: 1000, USDM: 500, GPOINT: 1000, GPORDER: 0 }
+  },
+  {
+    id: 'testuser2',
+    password: 'password2',
+    mbid: 'EN000002',
+    mbid2: 1,
+    nickname: 'Test User 2',
+    level: 'NORMAL',
+    balances: { USDP: 50, USDM: 0, GPOINT: 100, GPORDER: 0 }
+  }
+];
+
+let members = new Map();
+let transactions = [];
+let failures = [];
+let nextTransactionNumber = 1;
+
+function loadSeedMembers() {
+  const seedPath = process.env.POINTHUB_MOCK_SEED;
+  if (!seedPath) {
+    return DEFAULT_MEMBERS;
+  }
+  const seed = JSON.parse(fs.readFileSync(seedPath, 'utf8'));
+  if (!Array.isArray(seed)) {
+    throw new Error(`POINTHUB_MOCK_SEED must contain an array of members: ${seedPath}`);
+  }
+  return seed;
+}
+
+function normalizeMember(member) {
+  const balances = {};
+  for (const type of POINT_TYPES) {
+    balances[type] = Number(member.balances?.[type]) || 0;
+  }
+  return {
+    id: String(member.id),
+    password: String(member.password),
+    mbid: String(member.mbid),
+    mbid2: Number(member.mbid2) || 1,
+    nickname: member.nickname || member.id,
+    level: member.level || 'NORMAL',
+    balances
+  };
+}
+
+function memberKey(mbid, mbid2) {
+  return `${mbid}:${Number(mbid2)}`;
+}
+
+function resetState() {
+  members = new Map();
+  for (const member of loadSeedMembers().map(normalizeMember)) {
+    members.set(memberKey(member.mbid, member.mbid2), member);
+  }
+  transactions = [];
+  failures = [];
+  nextTransactionNumber = 1;
+}
+
+function findMemberById(id) {
+  for (const member of members.values()) {
+    if (member.id === id) {
+      return member;
+    }
+  }
+  return null;
+}
+
+// ============================================
+// Failure injection
+// ============================================
+
+const FAILURE_MODES = ['bad_signature', 'insufficient_funds', 'timeout', 'applied_timeout', 'http_500', 'invalid_json'];
+
+/**
+ * Take the first matching injected failure and decrement its remaining count
+ */
+function takeFailure(endpoint) {
+  const index = failures.findIndex((failure) =>
+    failure.endpoint === '*' || failure.endpoint.toUpperCase() === endpoint.toUpperCase()
+  );
+  if (index === -1) {
+    return null;
+  }
+
+  const failure = failures[index];
+  failure.remaining--;
+  if (failure.remaining <= 0) {
+    failures.splice(index, 1);
+  }
+  return failure;
+}
+
+// ============================================
+// PointHub API handlers
+// ============================================
+
+function ok(data) {
+  return { result: RESULT.SUCCESS, resultMsg: 'success', data: [data] };
+}
+
+function fail(result, resultMsg) {
+  return { result, resultMsg, data: '' };
+}
+
+function verifySignature(body) {
+  if (body.apiKey !== API_KEY) {
+    return fail(RESULT.INVALID_API_KEY, 'invalid apiKey');
+  }
+
+  const timestamp = Number(body.timestamp);
+  if (!Number.isFinite(timestamp) || Math.abs(Math.floor(Date.now() / 1000) - timestamp) > SIGNATURE_MAX_SKEW_SECONDS) {
+    return fail(RESULT.TIMESTAMP_EXPIRED, 'timestamp expired');
+  }
+
+  const expected = crypto.createHmac('sha256', SECRET_KEY).update(`${body.apiKey}${timestamp}`).digest('hex');
+  const received = typeof body.signature === 'string' ? body.signature : '';
+  if (received.length !== expected.length
+    || !crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected))) {
+    return fail(RESULT.INVALID_SIGNATURE, 'invalid signature');
+  }
+
+  return null;
+}
+
+function handleMemberCheck(body) {
+  const member = findMemberById(body.id);
+  if (!member || member.password !== body.password) {
+    return fail(RESULT.AUTH_FAILED, 'member authentication failed');
+  }
+  return ok({
+    mbid: member.mbid,
+    mbid2: member.mbid2,
+    nickname: member.nickname,
+    level: member.level
+  });
+}
+
+function handlePoints(type, action, body, failure) {
+  const member = members.get(memberKey(body.mbid, body.mbid2));
+  if (!member) {
+    return fail(RESULT.MEMBER_NOT_FOUND, 'member not found');
+  }
+
+  if (action === 'SELECT') {
+    return ok({
+      mbid: member.mbid,
+      mbid2: member.mbid2,
+      balance: member.balances[type],
+      currency: type,
+      timestamp: Date.now()
+    });
+  }
+
+  const amount = Number(body.amount);
+  if (!Number.isFinite(amount) || amount <= 0) {
+    return fail(RESULT.INVALID_AMOUNT, 'invalid amount');
+  }
+
+  if (failure && failure.mode === 'insufficient_funds') {
+    return fail(RESULT.INSUFFICIENT_BALANCE, 'insufficient balance');
+  }
+
+  // TRANSFER: PointHub balance increases, WITHDRAW: PointHub balance decreases
+  const signedAmount = action === 'TRANSFER' ? amount : -amount;
+  if (member.balances[type] + signedAmount < 0) {
+    return fail(RESULT.INSUFFICIENT_BALANCE, 'insufficient balance');
+  }
+
+  member.balances[type] = Math.round((member.balances[type] + signedAmount) * 1e8) / 1e8;
+  const transactionId = `MOCK${String(nextTransactionNumber++).padStart(8, '0')}`;
+  transactions.push({
+    transactionId,
+    mbid: member.mbid,
+    mbid2: member.mbid2,
+    type,
+    action,
+    amount,
+    memo: body.memo || null,
+    newBalance: member.balances[type],
+    timestamp: Date.now()
+  });
+
+  return ok({
+    mbid: member.mbid,
+    mbid2: member.mbid2,
+    amount,
+    currency: type,
+    transactionId,
+    newBalance: member.balances[type],
+    timestamp: Date.now()
+  });
+}
+
+function dispatch(endpoint, body, failure) {
+  if (endpoint.toUpperCase() === '/PH/MEMBER/CHECK') {
+    return handleMemberCheck(body);
+  }
+
+  const match = /^\/PH\/([A-Za-z]+)\/([A-Za-z]+)$/.exec(endpoint);
+  const type = match ? match[1].toUpperCase() : '';
+  const action = match ? match[2].toUpperCase() : '';
+  if (!POINT_TYPES.includes(type) || !['SELECT', 'TRANSFER', 'WITHDRAW'].includes(action)) {
+    return fail(RESULT.UNKNOWN_ENDPOINT, `unknown endpoint ${endpoint}`);
+  }
+  return handlePoints(type, action, body, failure);
+}
+
+// ============================================
+// HTTP server
+// ============================================
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', (chunk) => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      if (!raw) {
+        resolve({});
+        return;
+      }
+      try {
+        resolve(JSON.parse(raw));
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, payload) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+}
+
+function stall(res, delayMs) {
+  const timer = setTimeout(() => {
+    if (!res.writableEnded) {
+      sendJson(res, 504, { error: 'mock timeout' });
+    }
+  }, delayMs);
+  res.on('close', () => clearTimeout(timer));
+}
+
+async function handleControl(req, res, path) {
+  if (req.method === 'GET' && path === '/__mock/state') {
+    sendJson(res, 200, { members: Array.from(members.values()), transactions, failures });
+    return;
+  }
+
+  if (req.method === 'POST' && path === '/__mock/reset') {
+    resetState();
+    sendJson(res, 200, { ok: true });
+    return;
+  }
+
+  if (req.method === 'POST' && path === '/__mock/members') {
+    const body = await readJsonBody(req);
+    if (!body.id || !body.password || !body.mbid) {
+      sendJson(res, 400, { error: 'id, password and mbid are required' });
+      return;
+    }
+    const member = normalizeMember(body);
+    members.set(memberKey(member.mbid, member.mbid2), member);
+    sendJson(res, 200, { ok: true, member });
+    return;
+  }
+
+  if (req.method === 'POST' && path === '/__mock/failures') {
+    const body = await readJsonBody(req);
+    if (!FAILURE_MODES.includes(body.mode)) {
+      sendJson(res, 400, { error: `mode must be one of ${FAILURE_MODES.join(', ')}` });
+      return;
+    }
+    const failure = {
+      endpoint: body.endpoint || '*',
+      mode: body.mode,
+      remaining: Math.max(Number(body.count) || 1, 1),
+      delayMs: Number(body.delayMs) || 30000
+    };
+    failures.push(failure);
+    sendJson(res, 200, { ok: true, failure });
+    return;
+  }
+
+  if (req.method === 'DELETE' && path === '/__mock/failures') {
+    failures = [];
+    sendJson(res, 200, { ok: true });
+    return;
+  }
+
+  sendJson(res, 404, { error: 'unknown control endpoint' });
+}
+
+async function handleRequest(req, res) {
+  const path = (req.url || '').split('?')[0];
+
+  if (path.startsWith('/__mock/')) {
+    await handleControl(req, res, path);
+    return;
+  }
+
+  if (req.method !== 'POST' || !path.startsWith(`${API_PREFIX}/PH/`)) {
+    sendJson(res, 404, { error: 'not found' });
+    return;
+  }
+
+  const endpoint = path.substring(API_PREFIX.length);
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (error) {
+    sendJson(res, 400, { error: 'invalid JSON body' });
+    return;
+  }
+
+  const failure = takeFailure(endpoint);
+  if (failure) {
+    console.log(`[mock] ${endpoint} injected failure: ${failure.mode}`);
+  }
+
+  if (failure?.mode === 'timeout') {
+    stall(res, failure.delayMs);
+    return;
+  }
+  if (failure?.mode === 'http_500') {
+    sendJson(res, 500, { error: 'mock internal error' });
+    return;
+  }
+  if (failure?.mode === 'invalid_json') {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end('<html>maintenance</html>');
+    return;
+  }
+
+  const payload = failure?.mode === 'bad_signature'
+    ? fail(RESULT.INVALID_SIGNATURE, 'invalid signature')
+    : verifySignature(body) || dispatch(endpoint, body, failure);
+
+  console.log(`[mock] ${endpoint} → ${payload.result} ${payload.resultMsg}`);
+
+  if (failure?.mode === 'applied_timeout') {
+    // The change above is already applied; the caller never sees the result
+    stall(res, failure.delayMs);
+    return;
+  }
+
+  sendJson(res, 200, payload);
+}
+
+resetState();
+
+const server = http.createServer((req, res) => {
+  handleRequest(req, res).catch((error) => {
+    console.error('[mock] Request failed:', error);
+    if (!res.writableEnded) {
+      sendJson(res, 500, { error: 'mock server error' });
+    }
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`PointHub mock server listening on http://127.0.0.1:${PORT}${API_PREFIX}`);
+  console.log(`Members: ${Array.from(members.values()).map((member) => member.id).join(', ')}`);
+});
+
+process.on('SIGINT', () => {
+  server.close(() => process.exit(0));
+  // Stalled (timeout) responses keep connections open
+  setTimeout(() => process.exit(0), 1000).unref();
+});
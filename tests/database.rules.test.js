@@ -0,0 +1,317 @@
+#!/usr/bin/env node
+
+/**
+ * Realtime Database security rules tests
+ * Runs database.rules.json against the database emulator so rule regressions
+ * fail before deploy.
+ *
+ * - Cross-user reads of /users, /ledger and other per-user nodes
+ * - Client writes to wallets and profiles
+ * - Spoofed /gameHistory entries (only the popup-seen flags are client-writable)
+ * - Golden Bell writes (none - choices go through submitGoldenBellChoice) and
+ *   private per-round choices
+ *
+ * Usage:
+ *   npm run test:rules
+ *   (starts the database emulator, runs this file with node --test, then stops it)
+ *   Also runs from `npm run predeploy`. The emulator needs Java 11+.
+ *
+ * Against an emulator that is already running:
+ *   FIREBASE_DATABASE_EMULATOR_HOST=127.0.0.1:9000 node --test tests/database.rules.test.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const {
+  initializeTestEnvironment,
+  assertFails,
+  assertSucceeds
+} = require('@firebase/rules-unit-testing');
+
+const PROJECT_ID = 'demo-pointhub-rules';
+const RULES_PATH = path.join(__dirname, '..', 'database.rules.json');
+const [EMULATOR_HOST, EMULATOR_PORT] = (process.env.FIREBASE_DATABASE_EMULATOR_HOST || '127.0.0.1:9000').split(':');
+
+const ALICE = 'alice';
+const BOB = 'bob';
+const GAME_ID = 'gb_rules_test';
+
+let testEnv;
+
+function db(uid) {
+  return uid ? testEnv.authenticatedContext(uid).database() : testEnv.unauthenticatedContext().database();
+}
+
+async function seed(data) {
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    await context.database().ref().set(data);
+  });
+}
+
+function seedData(now) {
+  return {
+    users: {
+      [ALICE]: {
+        profile: { nickname: 'alice', membership: 'gold', createdAt: now },
+        wallet: { usdt: 100, ivy: 50, pending: 0 }
+      },
+      [BOB]: {
+        profile: { nickname: 'bob', membership: 'gold', createdAt: now },
+        wallet: { usdt: 10, ivy: 0, pending: 0 }
+      }
+    },
+    ledger: {
+      [ALICE]: { entry1: { type: 'signup_bonus', amountUsd: 100, createdAt: now } },
+      [BOB]: { entry1: { type: 'signup_bonus', amountUsd: 100, createdAt: now } }
+    },
+    statements: { [ALICE]: { '2026-10': { totalCredits: 100 } } },
+    holdHistory: { [ALICE]: { hold1: { amountUsd: 1 } } },
+    referrals: { [ALICE]: { members: { [BOB]: { boundAt: now } } } },
+    responsibleGaming: { [ALICE]: { limits: { bet: { daily: 100 } } } },
+    gameHistory: {
+      [ALICE]: {
+        history1: { gameId: GAME_ID, gameType: 'goldenbell', isCompleted: true, rewardAmount: 2, createdAt: now }
+      }
+    },
+    games: {
+      cube: { round1: { status: 'betting' } },
+      goldenbell: {
+        [GAME_ID]: {
+          gameId: GAME_ID,
+          status: 'betting',
+          round: 1,
+          bettingStartAt: now - 5000,
+          bettingEndAt: now + 60000,
+          totalPot: 2,
+          participants: {
+            [ALICE]: {
+              uid: ALICE,
+              isActive: true,
+              isWinner: false,
+              accumulatedReward: 0,
+              choiceSubmittedAt: now - 1000,
+              roundHolds: { 1: 'hold_alice_1' }
+            },
+            [BOB]: {
+              uid: BOB,
+              isActive: true,
+              isWinner: false,
+              accumulatedReward: 0,
+              choiceSubmittedAt: 0,
+              roundHolds: { 1: 'hold_bob_1' }
+            }
+          }
+        }
+      }
+    },
+    goldenbell: { legacy: { status: 'finished' } },
+    goldenbellChoices: {
+      [GAME_ID]: { 1: { [ALICE]: { choice: 'even', selection: 'PLAYER', submittedAt: now - 1000 } } }
+    },
+    goldenbellHistory: { [ALICE]: { h1: { type: 'register' } } },
+    oracle: { BTCUSDT: { price: 1 } },
+    config: { membership: { tiers: { gold: { isVip: false } } } },
+    nicknames: { alice: ALICE, bob: BOB },
+    pointHubTransfers: { t1: { uid: ALICE, status: 'completed' } },
+    balanceAdjustments: { a1: { uid: ALICE, status: 'pending' } },
+    staffRoles: { [BOB]: { roles: { admin: true } } },
+    staffRoleChanges: { c1: { targetUid: BOB, role: 'admin', action: 'grant' } },
+    audit: { a1: { functionName: 'testResetAllData', actorUid: BOB, status: 'success', createdAt: 1 } },
+    idempotency: { [`debit:${ALICE}:key_12345678`]: { uid: ALICE, functionName: 'debit', status: 'completed', expiresAt: 2 } },
+    rateLimits: { [`getServerTime:${ALICE}`]: { tokens: 2, updatedAt: 1, expiresAt: 2 } },
+    accountSignals: { [ALICE]: { firstIpHash: 'h1', lastIpHash: 'h1' } },
+    collusionCases: { case1: { caseId: 'case1', uids: [ALICE, BOB], status: 'open', createdAt: 1 } },
+    collusionState: { lastScanAt: 1 },
+    payoutHolds: { [ALICE]: { case1: { gameType: 'goldenbell', gameId: 'g1', createdAt: 1 } } },
+    heldPayouts: { p1: { uid: ALICE, amount: 10, status: 'held' } }
+  };
+}
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    database: {
+      rules: fs.readFileSync(RULES_PATH, 'utf8'),
+      host: EMULATOR_HOST,
+      port: Number(EMULATOR_PORT)
+    }
+  });
+});
+
+after(async () => {
+  if (testEnv) {
+    await testEnv.cleanup();
+  }
+});
+
+beforeEach(async () => {
+  await testEnv.clearDatabase();
+  await seed(seedData(Date.now()));
+});
+
+describe('users', () => {
+  it('lets a user read their own record', async () => {
+    await assertSucceeds(db(ALICE).ref(`users/${ALICE}`).once('value'));
+  });
+
+  it('blocks reading another user', async () => {
+    await assertFails(db(BOB).ref(`users/${ALICE}`).once('value'));
+    await assertFails(db(BOB).ref(`users/${ALICE}/wallet`).once('value'));
+  });
+
+  it('blocks unauthenticated and collection-wide reads', async () => {
+    await assertFails(db().ref(`users/${ALICE}`).once('value'));
+    await assertFails(db(ALICE).ref('users').once('value'));
+  });
+
+  it('blocks client wallet writes', async () => {
+    await assertFails(db(ALICE).ref(`users/${ALICE}/wallet/usdt`).set(1000000));
+    await assertFails(db(ALICE).ref(`users/${ALICE}/wallet`).update({ ivy: 999 }));
+    await assertFails(db(ALICE).ref(`users/${ALICE}/wallet/holds/fake`).set({ amountUsd: -100 }));
+    await assertFails(db(ALICE).ref(`users/${BOB}/wallet/usdt`).set(0));
+  });
+
+  it('blocks client profile and record writes', async () => {
+    await assertFails(db(ALICE).ref(`users/${ALICE}/profile/membership`).set('vip'));
+    await assertFails(db(ALICE).ref(`users/${ALICE}/profile/nickname`).set('admin'));
+    await assertFails(db(ALICE).ref(`users/${ALICE}`).set({ wallet: { usdt: 1 } }));
+  });
+});
+
+describe('ledger and other per-user nodes', () => {
+  const perUserNodes = ['ledger', 'statements', 'holdHistory', 'referrals', 'responsibleGaming', 'goldenbellHistory'];
+
+  for (const node of perUserNodes) {
+    it(`${node}: owner can read, other users cannot`, async () => {
+      await assertSucceeds(db(ALICE).ref(`${node}/${ALICE}`).once('value'));
+      await assertFails(db(BOB).ref(`${node}/${ALICE}`).once('value'));
+      await assertFails(db().ref(`${node}/${ALICE}`).once('value'));
+    });
+
+    it(`${node}: clients cannot write`, async () => {
+      await assertFails(db(ALICE).ref(`${node}/${ALICE}/forged`).set({ amountUsd: 1000 }));
+      await assertFails(db(ALICE).ref(`${node}/${BOB}/forged`).set({ amountUsd: 1000 }));
+    });
+  }
+
+  it('blocks reading the whole ledger', async () => {
+    await assertFails(db(ALICE).ref('ledger').once('value'));
+  });
+
+  it('keeps server-only indexes private', async () => {
+    for (const node of ['nicknames', 'pointHubTransfers', 'balanceAdjustments', 'staffRoles', 'staffRoleChanges', 'audit', 'idempotency', 'rateLimits', 'accountSignals', 'collusionCases', 'collusionState', 'payoutHolds', 'heldPayouts']) {
+      await assertFails(db(ALICE).ref(node).once('value'));
+      await assertFails(db(ALICE).ref(`${node}/forged`).set(ALICE));
+    }
+  });
+});
+
+describe('gameHistory', () => {
+  it('lets the owner read their history only', async () => {
+    await assertSucceeds(db(ALICE).ref(`gameHistory/${ALICE}`).once('value'));
+    await assertFails(db(BOB).ref(`gameHistory/${ALICE}`).once('value'));
+  });
+
+  it('blocks spoofed history entries', async () => {
+    await assertFails(db(ALICE).ref(`gameHistory/${ALICE}/forged`).set({
+      gameId: GAME_ID,
+      gameType: 'goldenbell',
+      isCompleted: true,
+      rewardAmount: 1000
+    }));
+    await assertFails(db(ALICE).ref(`gameHistory/${BOB}/forged`).set({ gameType: 'cube', rewardAmount: 1 }));
+  });
+
+  it('blocks editing results of an existing entry', async () => {
+    await assertFails(db(ALICE).ref(`gameHistory/${ALICE}/history1/rewardAmount`).set(1000));
+    await assertFails(db(ALICE).ref(`gameHistory/${ALICE}/history1`).update({ isCompleted: false }));
+  });
+
+  it('allows marking an existing entry as seen', async () => {
+    await assertSucceeds(db(ALICE).ref(`gameHistory/${ALICE}/history1`).update({
+      isPopupOpen: true,
+      popupOpenedAt: { '.sv': 'timestamp' }
+    }));
+  });
+
+  it('accepts a device clock that runs a little ahead of the server', async () => {
+    await assertSucceeds(db(ALICE).ref(`gameHistory/${ALICE}/history1/popupOpenedAt`).set(Date.now() + 60000));
+  });
+
+  it('rejects seen flags on missing entries, for other users or with bad values', async () => {
+    await assertFails(db(ALICE).ref(`gameHistory/${ALICE}/missing`).update({ isPopupOpen: true }));
+    await assertFails(db(BOB).ref(`gameHistory/${ALICE}/history1`).update({ isPopupOpen: true }));
+    await assertFails(db(ALICE).ref(`gameHistory/${ALICE}/history1/isPopupOpen`).set('yes'));
+    await assertFails(db(ALICE).ref(`gameHistory/${ALICE}/history1/popupOpenedAt`).set(Date.now() + 86400000));
+  });
+});
+
+describe('games', () => {
+  const gamePath = `games/goldenbell/${GAME_ID}`;
+
+  it('is publicly readable', async () => {
+    await assertSucceeds(db().ref('games').once('value'));
+    await assertSucceeds(db(ALICE).ref(gamePath).once('value'));
+  });
+
+  it('blocks writes to game state', async () => {
+    await assertFails(db(ALICE).ref('games/cube/round1/status').set('finished'));
+    await assertFails(db(ALICE).ref(`${gamePath}/status`).set('finished'));
+    await assertFails(db(ALICE).ref(`${gamePath}/totalPot`).set(0));
+    await assertFails(db(ALICE).ref(`${gamePath}/results/1`).set({ winners: [ALICE] }));
+    await assertFails(db(ALICE).ref(`${gamePath}/roundResults/1`).set({ winners: [ALICE] }));
+    await assertFails(db(ALICE).ref(`${gamePath}/waitingRoom/${ALICE}`).set({ uid: ALICE }));
+    await assertFails(db(ALICE).ref('games/goldenbell/forged').set({ status: 'betting' }));
+  });
+
+  it('blocks Golden Bell reward and participant writes', async () => {
+    const participantPath = `${gamePath}/participants/${ALICE}`;
+    await assertFails(db(ALICE).ref(`${participantPath}/accumulatedReward`).set(1000));
+    await assertFails(db(ALICE).ref(`${participantPath}/isWinner`).set(true));
+    await assertFails(db(ALICE).ref(`${participantPath}/roundRewardLogs/1`).set({ totalRewardPerWinner: 1000 }));
+    await assertFails(db(ALICE).ref(`${participantPath}/roundHolds/1`).remove());
+    await assertFails(db(ALICE).ref(`${participantPath}/choiceSubmittedAt`).set(Date.now()));
+    await assertFails(db(ALICE).ref(participantPath).update({ choice: 'odd', totalBet: 0 }));
+    await assertFails(db(ALICE).ref(`${gamePath}/participants/forged`).set({ uid: 'forged', isActive: true }));
+  });
+
+  it('blocks direct choice writes, even your own during betting', async () => {
+    const choicePath = `${gamePath}/participants/${ALICE}/choice`;
+    await assertFails(db(ALICE).ref(choicePath).set('odd'));
+    await assertFails(db(ALICE).ref(choicePath).remove());
+    await assertFails(db(BOB).ref(choicePath).set('odd'));
+    await assertFails(db(BOB).ref(`${gamePath}/participants/${BOB}/choice`).set('even'));
+    await assertFails(db().ref(choicePath).set('odd'));
+  });
+});
+
+describe('goldenbellChoices', () => {
+  const choicePath = `goldenbellChoices/${GAME_ID}/1`;
+
+  it('lets users read only their own round choice', async () => {
+    await assertSucceeds(db(ALICE).ref(`${choicePath}/${ALICE}`).once('value'));
+    await assertFails(db(BOB).ref(`${choicePath}/${ALICE}`).once('value'));
+    await assertFails(db(ALICE).ref(choicePath).once('value'));
+    await assertFails(db().ref(`${choicePath}/${ALICE}`).once('value'));
+  });
+
+  it('blocks client writes', async () => {
+    await assertFails(db(ALICE).ref(`${choicePath}/${ALICE}/choice`).set('odd'));
+    await assertFails(db(BOB).ref(`${choicePath}/${BOB}`).set({ choice: 'even', selection: 'PLAYER', submittedAt: Date.now() }));
+  });
+});
+
+describe('legacy /goldenbell and public config', () => {
+  it('blocks writes to the legacy goldenbell node', async () => {
+    await assertFails(db(ALICE).ref('goldenbell/legacy/status').set('betting'));
+    await assertFails(db(ALICE).ref(`goldenbell/legacy/participants/${ALICE}`).set({ accumulatedReward: 1000 }));
+  });
+
+  it('allows reading oracle and config but not writing', async () => {
+    await assertSucceeds(db().ref('oracle').once('value'));
+    await assertSucceeds(db(ALICE).ref('config').once('value'));
+    await assertFails(db(ALICE).ref('oracle/BTCUSDT/price').set(2));
+    await assertFails(db(ALICE).ref('config/membership/tiers/gold/isVip').set(true));
+  });
+});
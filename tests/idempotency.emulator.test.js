@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+/**
+ * Idempotency key retry tests
+ * Runs the compiled Cloud Functions modules (functions/lib) against the
+ * database emulator.
+ *
+ * - withIdempotency replays stored results, releases the key after a failure,
+ *   and never re-runs a stalled request or one that failed after moving funds
+ *
+ * Usage:
+ *   npm run test:functions
+ *   (builds functions/, starts the database emulator, runs the emulator test files one
+ *   after another with node --test, then stops it). The emulator needs Java 11+.
+ *
+ * Against an emulator that is already running (after `npm --prefix functions run build`):
+ *   FIREBASE_DATABASE_EMULATOR_HOST=127.0.0.1:9000 node --test tests/idempotency.emulator.test.js
+ */
+
+const assert = require('node:assert/strict');
+const { describe, it, before, after, beforeEach } = require('node:test');
+
+process.env.FIREBASE_DATABASE_EMULATOR_HOST = process.env.FIREBASE_DATABASE_EMULATOR_HOST || '127.0.0.1:9000';
+process.env.GCLOUD_PROJECT = process.env.GCLOUD_PROJECT || 'demo-pointhub-functions';
+
+const LIB = '../functions/lib';
+const ALICE = 'alice';
+const OLD = Date.now() - 60 * 60 * 1000;
+
+let admin;
+let rtdb;
+let wallet;
+let idempotency;
+
+async function walletOf(uid) {
+  return (await rtdb.ref(`/users/${uid}/wallet`).once('value')).val() || {};
+}
+
+function callRequest(data) {
+  return { auth: { uid: ALICE, token: {} }, data };
+}
+
+before(() => {
+  ({ default: admin, rtdb } = require(`${LIB}/firebase-config`));
+  wallet = require(`${LIB}/wallet`);
+  idempotency = require(`${LIB}/idempotency`);
+});
+
+after(async () => {
+  await rtdb.ref().set(null);
+  await admin.app().delete();
+});
+
+beforeEach(async () => {
+  await rtdb.ref().set({
+    users: {
+      [ALICE]: {
+        profile: { nickname: 'alice', createdAt: OLD },
+        wallet: { usdt: 100, ivy: 0, pending: 0 }
+      }
+    }
+  });
+});
+
+describe('withIdempotency', () => {
+  const KEY = 'retry_key_0001';
+
+  it('replays the stored result without running the handler again', async () => {
+    let calls = 0;
+    const handler = idempotency.withIdempotency('testCredit', async () => {
+      calls++;
+      await wallet.creditWallet(ALICE, 5, 'test_credit');
+      return { success: true, pendingReview: true };
+    });
+
+    const first = await handler(callRequest({ amount: 5, idempotencyKey: KEY }));
+    const retry = await handler(callRequest({ amount: 5, idempotencyKey: KEY }));
+
+    assert.deepEqual(retry, first);
+    assert.equal(calls, 1);
+    assert.equal((await walletOf(ALICE)).usdt, 105);
+  });
+
+  it('releases the key after a failure so the retry runs', async () => {
+    let calls = 0;
+    const handler = idempotency.withIdempotency('testCredit', async () => {
+      calls++;
+      if (calls === 1) {
+        throw new Error('temporary failure');
+      }
+      return { success: true };
+    });
+
+    await assert.rejects(handler(callRequest({ amount: 5, idempotencyKey: KEY })), /temporary failure/);
+    assert.deepEqual(await handler(callRequest({ amount: 5, idempotencyKey: KEY })), { success: true });
+    assert.equal(calls, 2);
+  });
+
+  it('rejects a key reused with different data', async () => {
+    const handler = idempotency.withIdempotency('testCredit', async () => ({ success: true }));
+
+    await handler(callRequest({ amount: 5, idempotencyKey: KEY }));
+    await assert.rejects(
+      handler(callRequest({ amount: 6, idempotencyKey: KEY })),
+      (error) => error.code === 'failed-precondition'
+    );
+  });
+
+  it('does not re-run a stalled request and keeps it flagged', async () => {
+    let calls = 0;
+    const handler = idempotency.withIdempotency('testCredit', async () => {
+      calls++;
+      return { success: true };
+    });
+
+    // Run once to store the request hash, then put the record back into a stalled pending state
+    await handler(callRequest({ amount: 5, idempotencyKey: KEY }));
+    const recordRef = rtdb.ref(`/idempotency/testCredit:${ALICE}:${KEY}`);
+    await recordRef.update({ status: 'pending', startedAt: OLD, resultJson: null });
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      await assert.rejects(
+        handler(callRequest({ amount: 5, idempotencyKey: KEY })),
+        (error) => error.code === 'failed-precondition' && error.details?.code === 'IDEMPOTENCY_NEEDS_RECONCILIATION'
+      );
+    }
+    assert.equal(calls, 1);
+    assert.equal((await recordRef.child('status').once('value')).val(), 'needs_reconciliation');
+  });
+
+  it('keeps the key flagged when the handler fails after moving funds', async () => {
+    let calls = 0;
+    const handler = idempotency.withIdempotency('testJoin', async (request) => {
+      calls++;
+      await wallet.placeHold(ALICE, 'cube', 'cube_bet', { amountUsd: 20, gameType: 'cube', gameId: 'g_commit' });
+      idempotency.markIdempotencyCommitted(request);
+      throw new Error('participant write failed');
+    });
+
+    await assert.rejects(handler(callRequest({ position: 1, idempotencyKey: KEY })), /participant write failed/);
+    await assert.rejects(
+      handler(callRequest({ position: 1, idempotencyKey: KEY })),
+      (error) => error.code === 'failed-precondition' && error.details?.code === 'IDEMPOTENCY_NEEDS_RECONCILIATION'
+    );
+
+    const record = (await rtdb.ref(`/idempotency/testJoin:${ALICE}:${KEY}`).once('value')).val();
+    assert.equal(calls, 1);
+    assert.equal(record.status, 'needs_reconciliation');
+    assert.equal(record.failureReason, 'participant write failed');
+    assert.equal(Object.keys((await walletOf(ALICE)).holds || {}).length, 1);
+  });
+});
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+
+/**
+ * PointHub transfer double-credit tests
+ * Runs the compiled Cloud Functions modules (functions/lib) against the
+ * database emulator.
+ *
+ * - creditWalletOnce credits a transfer once, including concurrent calls
+ * - PointHub transfer recovery does not credit a deposit whose ledger entry
+ *   is already in /ledger or still in the wallet outbox
+ *
+ * Usage:
+ *   npm run test:functions
+ *   (builds functions/, starts the database emulator, runs the emulator test files one
+ *   after another with node --test, then stops it). The emulator needs Java 11+.
+ *
+ * Against an emulator that is already running (after `npm --prefix functions run build`):
+ *   FIREBASE_DATABASE_EMULATOR_HOST=127.0.0.1:9000 node --test tests/pointhub-transfers.emulator.test.js
+ */
+
+const assert = require('node:assert/strict');
+const { describe, it, before, after, beforeEach } = require('node:test');
+
+process.env.FIREBASE_DATABASE_EMULATOR_HOST = process.env.FIREBASE_DATABASE_EMULATOR_HOST || '127.0.0.1:9000';
+process.env.GCLOUD_PROJECT = process.env.GCLOUD_PROJECT || 'demo-pointhub-functions';
+
+const LIB = '../functions/lib';
+const ALICE = 'alice';
+const OLD = Date.now() - 60 * 60 * 1000;
+
+let admin;
+let rtdb;
+let wallet;
+let transfers;
+
+async function ledgerEntriesFor(uid, transferId) {
+  const snapshot = await rtdb.ref(`/ledger/${uid}`).orderByChild('meta/transferId').equalTo(transferId).once('value');
+  return Object.keys(snapshot.val() || {});
+}
+
+async function walletOf(uid) {
+  return (await rtdb.ref(`/users/${uid}/wallet`).once('value')).val() || {};
+}
+
+function confirmedDeposit(transferId, amount) {
+  return {
+    transferId,
+    uid: ALICE,
+    direction: 'deposit',
+    account: 'usdp',
+    walletCurrency: 'usdt',
+    amount,
+    status: 'external_confirmed',
+    mbid: 'alice_mb',
+    mbid2: 1,
+    createdAt: OLD,
+    updatedAt: OLD,
+    history: { h1: { status: 'external_confirmed', at: OLD } }
+  };
+}
+
+before(() => {
+  ({ default: admin, rtdb } = require(`${LIB}/firebase-config`));
+  wallet = require(`${LIB}/wallet`);
+  transfers = require(`${LIB}/pointhub-transfers`);
+});
+
+after(async () => {
+  await rtdb.ref().set(null);
+  await admin.app().delete();
+});
+
+beforeEach(async () => {
+  await rtdb.ref().set({
+    users: {
+      [ALICE]: {
+        profile: { nickname: 'alice', createdAt: OLD },
+        wallet: { usdt: 100, ivy: 0, pending: 0 }
+      }
+    }
+  });
+});
+
+describe('creditWalletOnce', () => {
+  it('credits a marker key only once', async () => {
+    const first = await wallet.creditWalletOnce(ALICE, 'tr_once', 25, 'pointhub_deposit', { transferId: 'tr_once' });
+    const second = await wallet.creditWalletOnce(ALICE, 'tr_once', 25, 'pointhub_deposit', { transferId: 'tr_once' });
+
+    assert.equal(first.alreadyCredited, false);
+    assert.equal(second.alreadyCredited, true);
+    assert.equal(second.ledgerId, first.ledgerId);
+    assert.equal((await walletOf(ALICE)).usdt, 125);
+    assert.deepEqual(await ledgerEntriesFor(ALICE, 'tr_once'), [first.ledgerId]);
+  });
+
+  it('credits once when the same transfer is completed concurrently', async () => {
+    const results = await Promise.all([1, 2, 3].map(() =>
+      wallet.creditWalletOnce(ALICE, 'tr_race', 10, 'pointhub_deposit', { transferId: 'tr_race' })
+    ));
+
+    assert.equal(results.filter((result) => !result.alreadyCredited).length, 1);
+    assert.equal((await walletOf(ALICE)).usdt, 110);
+    assert.equal((await ledgerEntriesFor(ALICE, 'tr_race')).length, 1);
+  });
+});
+
+describe('recoverPointHubTransfers', () => {
+  it('credits a confirmed deposit once and marks it credited', async () => {
+    await rtdb.ref('/pointHubTransfers/tr_recover').set(confirmedDeposit('tr_recover', 40));
+
+    await transfers.recoverPointHubTransfers();
+    await transfers.recoverPointHubTransfers();
+
+    const transfer = (await rtdb.ref('/pointHubTransfers/tr_recover').once('value')).val();
+    assert.equal(transfer.status, 'credited');
+    assert.equal((await walletOf(ALICE)).usdt, 140);
+    assert.deepEqual(await ledgerEntriesFor(ALICE, 'tr_recover'), [transfer.ledgerId]);
+  });
+
+  it('does not credit again when the ledger entry is already in /ledger', async () => {
+    await rtdb.ref().update({
+      '/pointHubTransfers/tr_ledger': confirmedDeposit('tr_ledger', 40),
+      [`/users/${ALICE}/wallet/usdt`]: 140,
+      [`/ledger/${ALICE}/ld_existing`]: {
+        type: 'credit', currency: 'usdt', amount: 40, balanceBefore: 100, balanceAfter: 140,
+        operation: 'pointhub_deposit', meta: { transferId: 'tr_ledger' }, createdAt: OLD
+      }
+    });
+
+    await transfers.recoverPointHubTransfers();
+
+    const transfer = (await rtdb.ref('/pointHubTransfers/tr_ledger').once('value')).val();
+    assert.equal(transfer.status, 'credited');
+    assert.equal(transfer.ledgerId, 'ld_existing');
+    assert.equal((await walletOf(ALICE)).usdt, 140);
+  });
+
+  it('does not credit again when the ledger entry is still in the wallet outbox', async () => {
+    await rtdb.ref().update({
+      '/pointHubTransfers/tr_outbox': confirmedDeposit('tr_outbox', 40),
+      [`/users/${ALICE}/wallet/usdt`]: 140,
+      [`/users/${ALICE}/wallet/ledgerOutbox/ld_outbox`]: {
+        type: 'credit', currency: 'usdt', amount: 40, balanceBefore: 100, balanceAfter: 140,
+        operation: 'pointhub_deposit', meta: { transferId: 'tr_outbox' }, createdAt: OLD
+      }
+    });
+
+    await transfers.recoverPointHubTransfers();
+
+    const transfer = (await rtdb.ref('/pointHubTransfers/tr_outbox').once('value')).val();
+    assert.equal(transfer.status, 'credited');
+    assert.equal(transfer.ledgerId, 'ld_outbox');
+    assert.equal((await walletOf(ALICE)).usdt, 140);
+  });
+});